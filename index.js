@@ -1,20 +1,97 @@
 // index.js - WireMCP Server
-const axios = require('axios');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const net = require('net');
+const path = require('path');
+const fsSync = require('fs');
 const which = require('which');
-const fs = require('fs').promises;
-const execAsync = promisify(exec);
-const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const { z } = require('zod');
+const {
+  createSession,
+  getSession,
+  deleteSession,
+  listSessions,
+  removeStaleSessionDirs,
+  removeAllSessionsSync,
+  describeSession,
+  sessionEvents,
+  SESSION_TTL_MS,
+} = require('./lib/sessions');
+const { runWithRequest, runTshark, fieldArgs, listInterfaces, validateInterface, formatEndpoint } = require('./lib/tshark');
+const { CONFIG_FILE, CONFIG_ERRORS, SETTINGS, config } = require('./lib/config');
+const { describeInterfaces, defaultInterface } = require('./lib/interfaces');
+const { ALLOWED_DIRS, resolveAllowedPath, resolveAllowedDir } = require('./lib/paths');
+const { listLibraryPcaps, resolveLibraryPcap, readCapinfos } = require('./lib/library');
+const { DEFAULT_QUERY_FIELDS, queryPackets } = require('./lib/query');
+const { collectDnsPackets, pairTransactions, analyzeTransactions } = require('./lib/dns');
+const {
+  collectTlsSessions,
+  auditSessions,
+  loadFingerprintBlocklist,
+  tlsDecryptionArgs,
+  countDecryptedSessions,
+} = require('./lib/tls');
+const {
+  collectHttpMessages,
+  pairHttpTransactions,
+  analyzeHttpTransactions,
+  exportHttpObjects,
+} = require('./lib/http');
+const { listStreams, followStream, encodeSegment } = require('./lib/streams');
+const { extractCredentials, redactCredentials } = require('./lib/credentials');
+const {
+  MAX_CAPTURES,
+  startCapture,
+  stopCapture,
+  discardCapture,
+  getCapture,
+  listCaptures,
+  describeCapture,
+  killAllCapturesSync,
+  reapOrphanedCaptures,
+} = require('./lib/captures');
+const { THRESHOLDS: ANOMALY_THRESHOLDS, collectFlowPackets, detectAnomalies } = require('./lib/anomalies');
+const { THRESHOLDS: DRIFT_THRESHOLDS, comparePcaps } = require('./lib/compare');
+const { EXPORT_FORMATS, exportFindings } = require('./lib/export');
+const { parseProtocolHierarchy, parseConversations } = require('./lib/stats');
+const { builtinPackets, builtinConversations, builtinAddresses, formatConversations } = require('./lib/builtin');
+const { enrichAddresses, addressLabel, formatAddresses, geoDatabaseStatus, loadGeoDatabases } = require('./lib/enrich');
+const { loadOuiTable } = require('./lib/oui');
+const { collectInventory, buildInventory } = require('./lib/inventory');
+const { collectTcpConversations, diagnoseConversations, timelineInterval, ioTimeline } = require('./lib/tcp');
+const { MAX_ROWS_LIMIT: PROFILE_MAX_ROWS, loadProfiles, runProfile, renderProfilePrompt } = require('./lib/profiles');
+const {
+  loadFeedConfig,
+  ensureFeeds,
+  checkIndicators,
+  formatThreatReport,
+  formatFeedStatus,
+} = require('./lib/threatintel');
+const {
+  FilterError,
+  validateDisplayFilter,
+  validateCaptureFilter,
+  displayFilterArgs,
+  statArg,
+  removeEmptyPcapSync,
+} = require('./lib/filters');
 
 // Redirect console.log to stderr
-const originalConsoleLog = console.log;
 console.log = (...args) => console.error(...args);
 
-// Dynamically locate tshark
-async function findTshark() {
+// Locate tshark once: the configured path if set, otherwise PATH and the usual install locations
+let tsharkPathPromise = null;
+
+async function locateTshark() {
+  if (config.tsharkPath) {
+    try {
+      await runTshark(config.tsharkPath, ['-v']);
+    } catch (e) {
+      throw new Error(`Configured tshark (tsharkPath / WIREMCP_TSHARK) at ${config.tsharkPath} does not run: ${e.message}`);
+    }
+    console.error(`Using configured tshark at: ${config.tsharkPath}`);
+    return config.tsharkPath;
+  }
   try {
     const tsharkPath = await which('tshark');
     console.error(`Found tshark at: ${tsharkPath}`);
@@ -27,15 +104,314 @@ async function findTshark() {
     
     for (const path of fallbacks) {
       try {
-        await execAsync(`${path} -v`);
+        await runTshark(path, ['-v']);
         console.error(`Found tshark at fallback: ${path}`);
         return path;
       } catch (e) {
         console.error(`Fallback ${path} failed: ${e.message}`);
       }
     }
-    throw new Error('tshark not found. Please install Wireshark (https://www.wireshark.org/download.html) and ensure tshark is in your PATH.');
+    throw new Error('tshark not found. Please install Wireshark (https://www.wireshark.org/download.html) and ensure tshark is in your PATH, or set tsharkPath / WIREMCP_TSHARK.');
+  }
+}
+
+// A failed lookup is not cached so installing tshark does not need a restart
+function findTshark() {
+  if (!tsharkPathPromise) {
+    tsharkPathPromise = locateTshark().catch(err => {
+      tsharkPathPromise = null;
+      throw err;
+    });
+  }
+  return tsharkPathPromise;
+}
+
+// tshark for the tools that can fall back to the built-in pcap reader; null when it is missing
+async function findTsharkOrFallback() {
+  try {
+    return await findTshark();
+  } catch (error) {
+    console.error(`${error.message} Falling back to the built-in PCAP reader.`);
+    return null;
+  }
+}
+
+// The built-in reader only reads existing captures; reject what needs tshark with a clear reason
+function checkBuiltinSupport(args) {
+  const needsTshark = [
+    args.displayFilter && 'displayFilter',
+    (args.tlsKeyLogPath || args.tlsRsaKeyPath) && 'TLS decryption',
+    !args.pcapPath && !args.sessionId && 'live capture',
+  ].filter(feature => feature);
+  if (needsTshark.length > 0) {
+    throw new Error(`tshark was not found, and ${needsTshark.join(', ')} cannot be done without it. ` +
+      'Install Wireshark (https://www.wireshark.org/download.html) or set tsharkPath / WIREMCP_TSHARK, ' +
+      'or pass pcapPath or sessionId alone to use the built-in PCAP reader.');
+  }
+}
+
+function backendNote(tsharkPath, truncated) {
+  if (tsharkPath) return `Backend: tshark (${tsharkPath})`;
+  return 'Backend: built-in PCAP reader (tshark not found; reduced mode decoding only Ethernet, IPv4/IPv6, TCP, UDP, DNS and HTTP/1 request lines)' +
+    (truncated ? '\nNote: the capture ends mid-packet; the incomplete last packet was skipped.' : '');
+}
+
+// Capture live traffic into a new capture session
+async function captureToSession(tsharkPath, captureInterface, duration, captureFilter) {
+  const session = await createSession({ interface: captureInterface, duration, captureFilter });
+  try {
+    await runTshark(tsharkPath, [
+      '-i', captureInterface, '-w', session.pcapPath, '-a', `duration:${duration}`,
+      ...(captureFilter ? ['-f', captureFilter] : []),
+    ]);
+  } catch (error) {
+    await deleteSession(session.id);
+    throw error;
+  }
+  return session;
+}
+
+// Reuse an existing capture session if one was requested, otherwise capture fresh traffic.
+// Filters are compiled up front so a typo never costs a capture.
+async function resolveLiveCapture(tsharkPath, args) {
+  if (args.sessionId) {
+    if (args.captureFilter) {
+      throw new Error('captureFilter only applies to new captures; use displayFilter to filter an existing capture session');
+    }
+    const session = getSession(args.sessionId);
+    if (args.displayFilter) await validateDisplayFilter(tsharkPath, args.displayFilter);
+    console.error(`Using capture session ${session.id}`);
+    return session;
+  }
+  const captureInterface = await validateInterface(tsharkPath, args.interface || await defaultInterface(tsharkPath));
+  if (args.captureFilter) await validateCaptureFilter(tsharkPath, captureInterface, args.captureFilter);
+  if (args.displayFilter) await validateDisplayFilter(tsharkPath, args.displayFilter);
+  console.error(`Capturing packets on ${captureInterface} for ${args.duration}s`);
+  return captureToSession(tsharkPath, captureInterface, args.duration, args.captureFilter);
+}
+
+// Resolve the pcap an offline tool should read: a capture session or an explicit path
+async function resolvePcapPath(tsharkPath, args) {
+  let pcapPath;
+  if (args.sessionId) {
+    pcapPath = getSession(args.sessionId).pcapPath;
+  } else if (args.pcapPath) {
+    pcapPath = await resolveAllowedPath(args.pcapPath);
+  } else {
+    throw new Error('Either pcapPath or sessionId must be provided');
+  }
+  // Without tshark the caller has already rejected display filters
+  if (args.displayFilter && tsharkPath) await validateDisplayFilter(tsharkPath, args.displayFilter);
+  return pcapPath;
+}
+
+// Resolve the traffic a capture-or-pcap tool should read: an explicit PCAP file,
+// an existing capture session, or a fresh live capture
+async function resolveTrafficSource(tsharkPath, args) {
+  if (args.pcapPath && !args.sessionId) {
+    if (args.captureFilter) throw new Error('captureFilter only applies to live captures; use displayFilter with pcapPath');
+    return { pcapPath: await resolvePcapPath(tsharkPath, args), session: null };
   }
+  const session = await resolveLiveCapture(tsharkPath, args);
+  return { pcapPath: session.pcapPath, session };
+}
+
+function sourceNote({ pcapPath, session }) {
+  return session ? sessionNote(session) : `Analyzed PCAP: ${pcapPath}`;
+}
+
+// Validate the optional TLS key log / RSA key and build the tshark preferences for them
+async function resolveDecryption(args) {
+  const keyLogPath = args.tlsKeyLogPath ? await resolveAllowedPath(args.tlsKeyLogPath, 'tlsKeyLogPath') : null;
+  const rsaKeyPath = args.tlsRsaKeyPath ? await resolveAllowedPath(args.tlsRsaKeyPath, 'tlsRsaKeyPath') : null;
+  return { keyLogPath, rsaKeyPath, args: tlsDecryptionArgs({ keyLogPath, rsaKeyPath }) };
+}
+
+// Report how many TLS sessions the supplied keys decrypted; label names the capture
+// when a tool reads more than one
+async function decryptionNote(tsharkPath, pcapPath, decryption, label) {
+  if (decryption.args.length === 0) return '';
+  const { tlsSessions, decryptedSessions } = await countDecryptedSessions(tsharkPath, pcapPath, decryption.args);
+  console.error(`Decrypted ${decryptedSessions} of ${tlsSessions} TLS sessions${label ? ` in the ${label}` : ''}`);
+  const keys = [decryption.keyLogPath, decryption.rsaKeyPath].filter(key => key).join(' and ');
+  return `\n\nTLS decryption${label ? ` (${label})` : ''}: ${decryptedSessions} of ${tlsSessions} TLS sessions decrypted using ${keys}`;
+}
+
+// Unique IPv4 and IPv6 addresses in a capture
+async function collectAddresses(tsharkPath, pcapPath, displayFilter, extraArgs) {
+  const { stdout } = await runTshark(tsharkPath, [
+    '-r', pcapPath, ...extraArgs, '-T', 'fields', ...displayFilterArgs(displayFilter),
+    ...fieldArgs(['ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst']),
+  ]);
+  return [...new Set(stdout.split('\n').flatMap(line => line.split('\t')).filter(ip => ip && ip !== 'unknown'))];
+}
+
+function formatStreamList(streams, limit = 100) {
+  if (streams.length === 0) return 'None';
+  const lines = streams.slice(0, limit)
+    .map(s => `${s.stream}: ${s.client} -> ${s.server} (${s.packets} packets, ${s.bytes} bytes)`);
+  if (streams.length > limit) lines.push(`... ${streams.length - limit} more; narrow with displayFilter`);
+  return lines.join('\n');
+}
+
+function sessionNote(session) {
+  return `Capture session: ${session.id} (pass sessionId to other tools to analyze this same traffic)`;
+}
+
+const sessionIdSchema = z.string().optional()
+  .describe('ID of an existing capture session to analyze instead of capturing new traffic');
+const captureFilterSchema = z.string().optional()
+  .describe('BPF capture filter applied while capturing (e.g., "tcp port 443 and host 10.0.0.5")');
+const displayFilterSchema = z.string().optional()
+  .describe('Wireshark display filter applied when reading packets (e.g., "http.request || dns")');
+
+// Fit packet JSON into the output budget. When packets are dropped, say how many
+// and point at query_packets so the model knows the rest exists.
+function trimPackets(packets, source, maxChars = config.maxOutputChars) {
+  let jsonString = JSON.stringify(packets);
+  if (jsonString.length <= maxChars) return { jsonString, note: '', shown: packets };
+
+  const trimCount = Math.floor(packets.length * (maxChars / jsonString.length));
+  const shown = packets.slice(0, trimCount);
+  jsonString = JSON.stringify(shown);
+  console.error(`Trimmed packets from ${packets.length} to ${trimCount} to fit ${maxChars} chars`);
+  const note = `\n\nNote: output truncated to the first ${trimCount} of ${packets.length} packets. ` +
+    `Use query_packets with ${source} and offset ${trimCount} to page through the remaining packets.`;
+  return { jsonString, note, shown };
+}
+
+// Optional TLS decryption inputs accepted by every tool that reads packets
+const tlsDecryptionSchema = {
+  tlsKeyLogPath: z.string().optional().describe('Path to an SSLKEYLOGFILE-format key log used to decrypt TLS sessions'),
+  tlsRsaKeyPath: z.string().optional().describe('Path to a PEM RSA private key for decrypting legacy RSA key exchange TLS sessions'),
+};
+
+// Parameters shared by tools that analyze either a live capture or a PCAP file
+const trafficSourceSchema = {
+  pcapPath: z.string().optional().describe('Path to a PCAP file to analyze instead of capturing live traffic'),
+  sessionId: sessionIdSchema,
+  interface: z.string().optional().describe('Network interface to capture from when no pcapPath or sessionId is given; defaults to the configured or detected interface (see list_interfaces)'),
+  duration: z.number().positive().optional().default(5).describe('Capture duration in seconds'),
+  captureFilter: captureFilterSchema,
+  displayFilter: displayFilterSchema,
+  ...tlsDecryptionSchema,
+};
+
+// Output records built by the lib modules carry more fields than their schemas name
+const record = shape => z.object(shape).passthrough();
+
+// Output fields shared by the tools that read one capture
+const sourceOutputSchema = {
+  pcapPath: z.string().describe('PCAP file that was read'),
+  sessionId: z.string().nullable().describe('Capture session holding the traffic, if any'),
+};
+const backendOutputSchema = z.enum(['tshark', 'builtin'])
+  .describe('What produced the result: tshark, or the built-in PCAP reader in reduced mode when tshark is missing');
+const addressOutputSchema = z.object({
+  ip: z.string(),
+  scope: z.string().nullable().describe('private, loopback, multicast, link-local, cgnat, reserved or public'),
+  country: z.string().nullable(),
+  countryName: z.string().nullable(),
+  city: z.string().nullable(),
+  asn: z.number().nullable(),
+  organization: z.string().nullable(),
+});
+const feedStatusOutputSchema = record({
+  name: z.string(),
+  status: z.enum(['fresh', 'stale', 'unavailable']),
+  indicators: z.number(),
+  updatedAt: z.string().nullable(),
+  error: z.string().nullable(),
+});
+const threatReportOutputSchema = record({
+  matches: z.array(record({
+    indicator: z.string(),
+    type: z.enum(['ip', 'domain', 'url']),
+    feeds: z.array(z.string()),
+    matchedOn: z.string(),
+  })),
+  feeds: z.array(feedStatusOutputSchema),
+  complete: z.boolean().describe('False when a feed was stale or unavailable, so no match is not an all-clear'),
+});
+const packetsOutputSchema = z.array(z.record(z.array(z.string())))
+  .describe('Packets as tshark field name to values');
+const conversationOutputSchema = z.object({
+  protocol: z.enum(['tcp', 'udp']),
+  addressA: z.string(),
+  portA: z.number().nullable(),
+  addressB: z.string(),
+  portB: z.number().nullable(),
+  framesAToB: z.number(),
+  bytesAToB: z.number(),
+  framesBToA: z.number(),
+  bytesBToA: z.number(),
+  frames: z.number(),
+  bytes: z.number(),
+  relativeStart: z.number().describe('Seconds from the first packet of the capture'),
+  duration: z.number().describe('Seconds'),
+});
+const protocolOutputSchema = z.object({
+  protocol: z.string(),
+  path: z.string().describe('Protocol path such as eth:ip:tcp:tls'),
+  depth: z.number(),
+  frames: z.number(),
+  bytes: z.number(),
+});
+const streamOutputSchema = record({
+  stream: z.number(),
+  client: z.string(),
+  server: z.string(),
+  packets: z.number(),
+  bytes: z.number(),
+});
+const findingOutputSchema = record({
+  severity: z.string(),
+});
+
+const captureStatusOutputSchema = record({
+  sessionId: z.string(),
+  state: z.enum(['running', 'finished', 'stopped', 'failed']),
+  interface: z.string(),
+  startedAt: z.string(),
+  elapsedSeconds: z.number(),
+  packets: z.number().nullable().describe('null until tshark reports a count'),
+  bytes: z.number(),
+  pcapPath: z.string().nullable().describe('Set once the capture has ended'),
+  exitCode: z.number().nullable(),
+});
+
+// A tool result: the human-readable text plus the same data as structuredContent
+function toolResult(text, structuredContent) {
+  return { content: [{ type: 'text', text }], structuredContent };
+}
+
+function sourceOutput({ pcapPath, session }) {
+  return { pcapPath, sessionId: session ? session.id : null };
+}
+
+// Format a caught error as an MCP tool error; rejected filters include machine-readable details
+function toolError(toolName, error) {
+  console.error(`Error in ${toolName}: ${error.message}`);
+  const text = error instanceof FilterError
+    ? `Error: ${error.message}\n${JSON.stringify(error.toJSON(), null, 2)}`
+    : `Error: ${error.message}`;
+  return { content: [{ type: 'text', text }], isError: true };
+}
+
+// Every registered tool name, for checking per-tool configuration
+const TOOL_NAMES = new Set();
+
+// Run a tool handler as one request: its tshark processes report progress, stop when
+// the client cancels, and are killed at the tool's timeout. Live captures get their
+// duration on top of the timeout; reading a pcap or session does not wait for it.
+function withRequest(toolName, handler) {
+  TOOL_NAMES.add(toolName);
+  return (args, extra) => {
+    const captures = !args.pcapPath && !args.sessionId;
+    const timeoutSeconds = (config.toolTimeouts[toolName] || config.toolTimeout) + (captures ? args.duration || 0 : 0);
+    return runWithRequest({ toolName, extra, timeoutSeconds }, () => handler(args))
+      .catch(error => toolError(toolName, error));
+  };
 }
 
 // Initialize MCP server
@@ -45,482 +421,1784 @@ const server = new McpServer({
 });
 
 // Tool 1: Capture live packet data
-server.tool(
+server.registerTool(
   'capture_packets',
-  'Capture live traffic and provide raw packet data as JSON for LLM analysis',
   {
-    interface: z.string().optional().default('en0').describe('Network interface to capture from (e.g., eth0, en0)'),
-    duration: z.number().optional().default(5).describe('Capture duration in seconds'),
+    description: 'Capture live traffic and provide raw packet data as JSON for LLM analysis',
+    inputSchema: {
+      interface: z.string().optional().describe('Network interface to capture from (e.g., eth0, en0); defaults to the configured or detected interface (see list_interfaces)'),
+      duration: z.number().positive().optional().default(5).describe('Capture duration in seconds'),
+      sessionId: sessionIdSchema,
+      captureFilter: captureFilterSchema,
+      displayFilter: displayFilterSchema,
+      ...tlsDecryptionSchema,
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      totalPackets: z.number(),
+      packets: packetsOutputSchema.describe('Packets as tshark field name to values, trimmed like the text'),
+    },
   },
-  async (args) => {
+  withRequest('capture_packets', async (args) => {
     try {
       const tsharkPath = await findTshark();
-      const { interface, duration } = args;
-      const tempPcap = 'temp_capture.pcap';
-      console.error(`Capturing packets on ${interface} for ${duration}s`);
+      const session = await resolveLiveCapture(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
 
-      await execAsync(
-        `${tsharkPath} -i ${interface} -w ${tempPcap} -a duration:${duration}`,
-        { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
+      const { stdout, stderr } = await runTshark(tsharkPath, [
+        '-r', session.pcapPath, ...decryption.args, '-T', 'json', ...displayFilterArgs(args.displayFilter),
+        ...fieldArgs(['frame.number', 'ip.src', 'ip.dst', 'tcp.srcport', 'tcp.dstport', 'tcp.flags', 'frame.time', 'http.request.method', 'http.response.code']),
+      ]);
+      if (stderr) console.error(`tshark stderr: ${stderr}`);
+      const packets = JSON.parse(stdout);
+
+      const { jsonString, note, shown } = trimPackets(packets, `sessionId "${session.id}"`);
+
+      return toolResult(
+        `${sessionNote(session)}\n\nCaptured packet data (JSON for LLM analysis):\n${jsonString}${note}` +
+          await decryptionNote(tsharkPath, session.pcapPath, decryption),
+        {
+          ...sourceOutput({ pcapPath: session.pcapPath, session }),
+          totalPackets: packets.length,
+          packets: shown.map(p => p._source.layers),
+        },
       );
+    } catch (error) {
+      return toolError('capture_packets', error);
+    }
+  })
+);
+
+// Tool 2: Capture and provide summary statistics
+server.registerTool(
+  'get_summary_stats',
+  {
+    description: 'Capture live traffic and provide protocol hierarchy statistics for LLM analysis',
+    inputSchema: {
+      interface: z.string().optional().describe('Network interface to capture from (e.g., eth0, en0); defaults to the configured or detected interface (see list_interfaces)'),
+      duration: z.number().positive().optional().default(5).describe('Capture duration in seconds'),
+      sessionId: sessionIdSchema,
+      captureFilter: captureFilterSchema,
+      displayFilter: displayFilterSchema,
+      ...tlsDecryptionSchema,
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      totalFrames: z.number(),
+      protocols: z.array(protocolOutputSchema).describe('Protocol hierarchy (tshark -z io,phs) in tree order'),
+    },
+  },
+  withRequest('get_summary_stats', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const session = await resolveLiveCapture(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
 
-      const { stdout, stderr } = await execAsync(
-        `${tsharkPath} -r "${tempPcap}" -T json -e frame.number -e ip.src -e ip.dst -e tcp.srcport -e tcp.dstport -e tcp.flags -e frame.time -e http.request.method -e http.response.code`,
-        { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
+      const { stdout, stderr } = await runTshark(tsharkPath, [
+        '-r', session.pcapPath, ...decryption.args, '-qz', statArg('io,phs', args.displayFilter),
+      ]);
+      if (stderr) console.error(`tshark stderr: ${stderr}`);
+
+      return toolResult(
+        `${sessionNote(session)}\n\nProtocol hierarchy statistics for LLM analysis:\n${stdout}` +
+          await decryptionNote(tsharkPath, session.pcapPath, decryption),
+        { ...sourceOutput({ pcapPath: session.pcapPath, session }), ...parseProtocolHierarchy(stdout) },
       );
+    } catch (error) {
+      return toolError('get_summary_stats', error);
+    }
+  })
+);
+
+// Tool 3: Capture and provide conversation stats
+server.registerTool(
+  'get_conversations',
+  {
+    description: 'Provide TCP/UDP conversation statistics for live traffic or a PCAP file for LLM analysis. Without tshark, PCAP files and sessions are read by a built-in reader',
+    inputSchema: trafficSourceSchema,
+    outputSchema: {
+      ...sourceOutputSchema,
+      backend: backendOutputSchema,
+      conversations: z.array(conversationOutputSchema)
+        .describe('TCP conversations from tshark -z conv,tcp; the built-in reader adds UDP'),
+      hosts: z.array(addressOutputSchema),
+      streams: z.array(streamOutputSchema).nullable().describe('TCP stream indexes for follow_stream; null without tshark'),
+    },
+  },
+  withRequest('get_conversations', async (args) => {
+    try {
+      const tsharkPath = await findTsharkOrFallback();
+      if (!tsharkPath) {
+        checkBuiltinSupport(args);
+        const pcapPath = await resolvePcapPath(null, args);
+        const source = { pcapPath, session: args.sessionId ? getSession(args.sessionId) : null };
+        const { conversations, addresses, truncated } = await builtinConversations(pcapPath);
+        const enriched = await enrichAddresses(addresses);
+        return toolResult(
+          `${sourceNote(source)}\n${backendNote(null, truncated)}\n\n` +
+            `TCP/UDP conversation statistics for LLM analysis:\n${formatConversations(conversations)}\n\n` +
+            `Hosts in these conversations:\n${formatAddresses(addresses, enriched) || 'None'}\n\n` +
+            'TCP stream indexes: not available without tshark (follow_stream needs it too)',
+          { ...sourceOutput(source), backend: 'builtin', conversations, hosts: [...enriched.values()], streams: null },
+        );
+      }
+
+      const source = await resolveTrafficSource(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+
+      const { stdout, stderr } = await runTshark(tsharkPath, [
+        '-r', source.pcapPath, ...decryption.args, '-qz', statArg('conv,tcp', args.displayFilter),
+      ]);
       if (stderr) console.error(`tshark stderr: ${stderr}`);
-      let packets = JSON.parse(stdout);
-
-      const maxChars = 720000;
-      let jsonString = JSON.stringify(packets);
-      if (jsonString.length > maxChars) {
-        const trimFactor = maxChars / jsonString.length;
-        const trimCount = Math.floor(packets.length * trimFactor);
-        packets = packets.slice(0, trimCount);
-        jsonString = JSON.stringify(packets);
-        console.error(`Trimmed packets from ${packets.length} to ${trimCount} to fit ${maxChars} chars`);
+
+      const streams = await listStreams(tsharkPath, source.pcapPath, {
+        protocol: 'tcp', displayFilter: args.displayFilter, extraArgs: decryption.args,
+      });
+      const ips = await collectAddresses(tsharkPath, source.pcapPath, args.displayFilter, decryption.args);
+      const enriched = await enrichAddresses(ips);
+      const streamSource = source.session ? 'this sessionId' : 'this pcapPath';
+
+      return toolResult(
+        `${sourceNote(source)}\n${backendNote(tsharkPath)}\n\nTCP/UDP conversation statistics for LLM analysis:\n${stdout}\n` +
+          `Hosts in these conversations:\n${formatAddresses(ips, enriched) || 'None'}\n\n` +
+          `TCP stream indexes (pass to follow_stream with ${streamSource} to see the payload):\n${formatStreamList(streams)}` +
+          await decryptionNote(tsharkPath, source.pcapPath, decryption),
+        {
+          ...sourceOutput(source),
+          backend: 'tshark',
+          conversations: parseConversations(stdout, 'tcp'),
+          hosts: [...enriched.values()],
+          streams,
+        },
+      );
+    } catch (error) {
+      return toolError('get_conversations', error);
+    }
+  })
+);
+
+// Tool 4: Capture traffic and check threats against threat intelligence feeds
+server.registerTool(
+  'check_threats',
+  {
+    description: 'Check IPs in live traffic or a PCAP file against threat intelligence feeds (URLhaus, Feodo Tracker, SSLBL and local blocklists). Without tshark, PCAP files and sessions are read by a built-in reader',
+    inputSchema: trafficSourceSchema,
+    outputSchema: {
+      ...sourceOutputSchema,
+      backend: backendOutputSchema,
+      ips: z.array(addressOutputSchema),
+      threats: threatReportOutputSchema,
+    },
+  },
+  withRequest('check_threats', async (args) => {
+    try {
+      const tsharkPath = await findTsharkOrFallback();
+      let source;
+      let ips;
+      let truncated = false;
+      let decryption = { args: [] };
+      if (tsharkPath) {
+        source = await resolveTrafficSource(tsharkPath, args);
+        decryption = await resolveDecryption(args);
+        ips = await collectAddresses(tsharkPath, source.pcapPath, args.displayFilter, decryption.args);
+      } else {
+        checkBuiltinSupport(args);
+        const pcapPath = await resolvePcapPath(null, args);
+        source = { pcapPath, session: args.sessionId ? getSession(args.sessionId) : null };
+        ({ addresses: ips, truncated } = await builtinAddresses(pcapPath));
       }
+      console.error(`Captured ${ips.length} unique IPs: ${ips.join(', ')}`);
+      const enriched = await enrichAddresses(ips);
 
-      await fs.unlink(tempPcap).catch(err => console.error(`Failed to delete ${tempPcap}: ${err.message}`));
+      const result = await checkIndicators({ ips });
+      console.error(`Checked IPs against threat feeds: ${result.matches.length} threats found`);
 
-      return {
-        content: [{
-          type: 'text',
-          text: `Captured packet data (JSON for LLM analysis):\n${jsonString}`,
-        }],
-      };
+      const outputText = `${sourceNote(source)}\n${backendNote(tsharkPath, truncated)}\n\n` +
+        `Captured IPs:\n${formatAddresses(ips, enriched) || 'None'}\n\n` +
+        formatThreatReport(result, 'IPs', enriched) +
+        await decryptionNote(tsharkPath, source.pcapPath, decryption);
+
+      return toolResult(outputText, {
+        ...sourceOutput(source),
+        backend: tsharkPath ? 'tshark' : 'builtin',
+        ips: [...enriched.values()],
+        threats: result,
+      });
     } catch (error) {
-      console.error(`Error in capture_packets: ${error.message}`);
-      return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      return toolError('check_threats', error);
     }
-  }
+  })
 );
 
-// Tool 2: Capture and provide summary statistics
-server.tool(
-  'get_summary_stats',
-  'Capture live traffic and provide protocol hierarchy statistics for LLM analysis',
+// Tool 5: Check a specific IP against threat intelligence feeds
+server.registerTool(
+  'check_ip_threats',
+  {
+    description: 'Check a given IP address against threat intelligence feeds (URLhaus, Feodo Tracker, SSLBL and local blocklists) for IOCs',
+    inputSchema: {
+      ip: z.string().ip().describe('IP address to check (e.g., 192.168.1.1)'),
+    },
+    outputSchema: {
+      ip: addressOutputSchema,
+      threats: threatReportOutputSchema,
+    },
+  },
+  withRequest('check_ip_threats', async (args) => {
+    try {
+      const { ip } = args;
+      console.error(`Checking IP ${ip} against threat feeds`);
+
+      const result = await checkIndicators({ ips: [ip] });
+      console.error(`IP ${ip} checked against threat feeds: ${result.matches.length > 0 ? 'Threat found' : 'No threat found'}`);
+      const enriched = await enrichAddresses([ip]);
+
+      const outputText = `IP checked: ${ip} ${addressLabel(enriched.get(ip))}\n\n` +
+        formatThreatReport(result, 'IP', enriched);
+
+      return toolResult(outputText, { ip: enriched.get(ip), threats: result });
+    } catch (error) {
+      return toolError('check_ip_threats', error);
+    }
+  })
+);
+
+// Tool 6: Analyze an existing PCAP file for general context
+server.registerTool(
+  'analyze_pcap',
+  {
+    description: 'Analyze a PCAP file and provide general packet data as JSON for LLM analysis. Works without tshark in a reduced mode using a built-in PCAP reader',
+    inputSchema: {
+      pcapPath: z.string().optional().describe('Path to the PCAP file to analyze (e.g., ./demo.pcap)'),
+      sessionId: z.string().optional().describe('ID of a capture session to analyze instead of a PCAP file'),
+      displayFilter: displayFilterSchema,
+      ...tlsDecryptionSchema,
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      backend: backendOutputSchema,
+      ips: z.array(addressOutputSchema),
+      urls: z.array(z.string()),
+      protocols: z.array(z.string()).describe('Distinct frame.protocols paths'),
+      totalPackets: z.number(),
+      packets: packetsOutputSchema.describe('Packets as tshark field name to values, trimmed like the text'),
+    },
+  },
+  withRequest('analyze_pcap', async (args) => {
+    try {
+      const tsharkPath = await findTsharkOrFallback();
+      if (!tsharkPath) checkBuiltinSupport(args);
+      // Check if file exists
+      const pcapPath = await resolvePcapPath(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      console.error(`Analyzing PCAP file: ${pcapPath}`);
+
+      // Extract broad packet data
+      let packets;
+      let truncated = false;
+      if (tsharkPath) {
+        const { stdout, stderr } = await runTshark(tsharkPath, [
+          '-r', pcapPath, ...decryption.args, '-T', 'json', ...displayFilterArgs(args.displayFilter),
+          ...fieldArgs(['frame.number', 'ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst', 'tcp.srcport', 'tcp.dstport', 'udp.srcport', 'udp.dstport', 'http.host', 'http.request.uri', 'http2.headers.authority', 'http2.headers.path', 'frame.protocols']),
+        ]);
+        if (stderr) console.error(`tshark stderr: ${stderr}`);
+        packets = JSON.parse(stdout);
+      } else {
+        ({ packets, truncated } = await builtinPackets(pcapPath));
+      }
+
+      // Both backends report IPv4 and IPv6 addresses under their own field names
+      const ips = [...new Set(packets.flatMap(p => [
+        p._source?.layers['ip.src']?.[0],
+        p._source?.layers['ip.dst']?.[0],
+        p._source?.layers['ipv6.src']?.[0],
+        p._source?.layers['ipv6.dst']?.[0],
+      ]).filter(ip => ip))];
+      console.error(`Found ${ips.length} unique IPs: ${ips.join(', ')}`);
+      const enriched = await enrichAddresses(ips);
+
+      const urls = packets
+        .filter(p => p._source?.layers['http.host'] && p._source?.layers['http.request.uri'])
+        .map(p => `http://${p._source.layers['http.host'][0]}${p._source.layers['http.request.uri'][0]}`);
+      // HTTP/2 requests (visible once TLS is decrypted); one packet may carry several streams
+      urls.push(...packets
+        .filter(p => p._source?.layers['http2.headers.authority'] && p._source?.layers['http2.headers.path'])
+        .flatMap(p => p._source.layers['http2.headers.authority']
+          .map((authority, i) => `https://${authority}${p._source.layers['http2.headers.path'][i] || ''}`)));
+      console.error(`Found ${urls.length} URLs: ${urls.join(', ') || 'None'}`);
+
+      const protocols = [...new Set(packets.map(p => p._source?.layers['frame.protocols']?.[0]))].filter(p => p);
+      console.error(`Found protocols: ${protocols.join(', ') || 'None'}`);
+
+      const { jsonString, note, shown } = trimPackets(packets, args.sessionId ? `sessionId "${args.sessionId}"` : `pcapPath "${args.pcapPath}"`);
+
+      const outputText = `Analyzed PCAP: ${pcapPath}\n${backendNote(tsharkPath, truncated)}\n\n` +
+        `Unique IPs:\n${formatAddresses(ips, enriched)}\n\n` +
+        `URLs:\n${urls.length > 0 ? urls.join('\n') : 'None'}\n\n` +
+        `Protocols:\n${protocols.join('\n') || 'None'}\n\n` +
+        `Packet Data (JSON for LLM):\n${jsonString}${note}` +
+        await decryptionNote(tsharkPath, pcapPath, decryption);
+
+      return toolResult(outputText, {
+        pcapPath,
+        sessionId: args.sessionId || null,
+        backend: tsharkPath ? 'tshark' : 'builtin',
+        ips: [...enriched.values()],
+        urls,
+        protocols,
+        totalPackets: packets.length,
+        packets: shown.map(p => p._source.layers),
+      });
+    } catch (error) {
+      return toolError('analyze_pcap', error);
+    }
+  })
+);
+
+// Tool 7: Extract credentials from a PCAP file
+server.registerTool(
+    'extract_credentials',
+    {
+      description: 'Extract potential credentials from a PCAP file for LLM analysis: HTTP Basic/Digest/form POSTs, FTP, Telnet, SMTP/POP3/IMAP AUTH, SNMP communities, LDAP simple binds, NTLM and Kerberos hashes. Optionally redacts secrets for shareable reports',
+      inputSchema: {
+        pcapPath: z.string().optional().describe('Path to the PCAP file to analyze (e.g., ./demo.pcap)'),
+        sessionId: z.string().optional().describe('ID of a capture session to analyze instead of a PCAP file'),
+        displayFilter: displayFilterSchema,
+        redact: z.boolean().optional().default(false).describe('Mask passwords, community strings and hashes in the output'),
+        ...tlsDecryptionSchema,
+      },
+      outputSchema: {
+        ...sourceOutputSchema,
+        redacted: z.boolean(),
+        plaintext: z.array(record({
+          type: z.string(),
+          frame: z.string(),
+          username: z.string().nullable().optional(),
+          password: z.string().optional(),
+          data: z.string().optional().describe('Raw text of Telnet prompts'),
+        })),
+        encrypted: z.array(record({
+          type: z.string(),
+          frame: z.string(),
+          username: z.string().nullable(),
+          hash: z.string(),
+          crackingMode: z.string().optional(),
+        })),
+        notes: z.array(z.string()),
+      },
+    },
+    withRequest('extract_credentials', async (args) => {
+      try {
+        const tsharkPath = await findTshark();
+        const pcapPath = await resolvePcapPath(tsharkPath, args);
+        const decryption = await resolveDecryption(args);
+        console.error(`Extracting credentials from PCAP file: ${pcapPath}`);
+
+        const extracted = await extractCredentials(tsharkPath, pcapPath, args.displayFilter, decryption.args);
+        const credentials = args.redact ? redactCredentials(extracted) : extracted;
+        console.error(`Found ${credentials.plaintext.length} plaintext and ${credentials.encrypted.length} encrypted credentials`);
+
+        const notes = [];
+        if (credentials.missingFields.length > 0) {
+          notes.push(`This tshark version does not decode ${credentials.missingFields.join(', ')}; SMTP AUTH LOGIN exchanges may be missed.`);
+        }
+        if (args.redact) notes.push('Secrets are redacted; run again without redact to see them.');
+
+        const outputText = `Analyzed PCAP: ${pcapPath}\n\n` +
+          `Plaintext Credentials:\n${credentials.plaintext.length > 0 ? 
+            credentials.plaintext.map(c => 
+              c.type === 'Telnet Prompt' ? 
+                `${c.type}: ${c.data} (Frame ${c.frame})` : 
+                `${c.type}: ${c.username}:${c.password}${c.detail ? ` at ${c.detail}` : ''} (Frame ${c.frame})`
+            ).join('\n') : 
+            'None'}\n\n` +
+          `Encrypted/Hashed Credentials:\n${credentials.encrypted.length > 0 ?
+            credentials.encrypted.map(c =>
+              `${c.type}: User=${c.username} Realm=${c.realm} (Frame ${c.frame})\n` +
+              (c.etype ? `Encryption: ${c.etype}${c.spn ? ` SPN=${c.spn}` : ''}\n` : '') +
+              (c.requestFrame || c.replyFrame ? `Correlated ${c.requestFrame ? `request frame ${c.requestFrame}` : `reply frame ${c.replyFrame}`}` +
+                `${c.requestedEtypes && c.requestedEtypes.length > 0 ? ` (client offered ${c.requestedEtypes.join(', ')})` : ''}\n` : '') +
+              `Hash=${c.hash}\n` +
+              `Cracking Command: ${c.crackingMode}\n` +
+              (c.note ? `Note: ${c.note}\n` : '')
+            ).join('\n') :
+            'None'}\n\n` +
+          (notes.length > 0 ? `Notes:\n${notes.join('\n')}\n\n` : '') +
+          `Note: Encrypted credentials can be cracked using tools like John the Ripper or hashcat.\n` +
+          `For Kerberos hashes (RC4 / AES128 / AES256):\n` +
+          `- AS-REQ pre-auth: hashcat -m 7500 / 19800 / 19900\n` +
+          `- AS-REP: hashcat -m 18200 / 32100 / 32200\n` +
+          `- TGS-REP (Kerberoast): hashcat -m 13100 / 19600 / 19700\n` +
+          `For NTLM hashes: NTLMv1 hashcat -m 5500, NTLMv2 hashcat -m 5600 (john --format=netntlm / netntlmv2)\n` +
+          `For HTTP Digest: hashcat -m 11400` +
+          await decryptionNote(tsharkPath, pcapPath, decryption);
+  
+        return toolResult(outputText, {
+          pcapPath,
+          sessionId: args.sessionId || null,
+          redacted: args.redact,
+          plaintext: credentials.plaintext,
+          encrypted: credentials.encrypted,
+          notes,
+        });
+      } catch (error) {
+        return toolError('extract_credentials', error);
+      }
+    })
+  );
+
+// Tool 8: List active capture sessions
+server.registerTool(
+  'list_sessions',
+  {
+    description: 'List active capture sessions that analysis tools can reuse via sessionId',
+    inputSchema: {},
+    outputSchema: {
+      sessions: z.array(record({
+        id: z.string(),
+        pcapPath: z.string(),
+        createdAt: z.string(),
+        expiresAt: z.string(),
+      })),
+    },
+  },
+  withRequest('list_sessions', async () => {
+    try {
+      const active = listSessions().map(describeSession);
+      const outputText = `Active capture sessions (expire after ${SESSION_TTL_MS / 1000}s without use):\n${
+        active.length > 0 ? JSON.stringify(active, null, 2) : 'None'
+      }`;
+      return toolResult(outputText, { sessions: active });
+    } catch (error) {
+      return toolError('list_sessions', error);
+    }
+  })
+);
+
+// Tool 9: Delete a capture session and its pcap
+server.registerTool(
+  'delete_session',
   {
-    interface: z.string().optional().default('en0').describe('Network interface to capture from (e.g., eth0, en0)'),
-    duration: z.number().optional().default(5).describe('Capture duration in seconds'),
+    description: 'Delete a capture session and remove its PCAP file from disk',
+    inputSchema: {
+      sessionId: z.string().describe('ID of the capture session to delete'),
+    },
+    outputSchema: {
+      sessionId: z.string(),
+      deleted: z.boolean(),
+    },
   },
-  async (args) => {
+  withRequest('delete_session', async (args) => {
     try {
+      const { sessionId } = args;
+      // Background captures are stopped before their files are removed
+      const deleted = await discardCapture(sessionId);
+      if (!deleted) {
+        return { content: [{ type: 'text', text: `Error: Capture session '${sessionId}' does not exist` }], isError: true };
+      }
+      return toolResult(`Deleted capture session ${sessionId}`, { sessionId, deleted: true });
+    } catch (error) {
+      return toolError('delete_session', error);
+    }
+  })
+);
+
+// Tool 10: Page through packets with caller-chosen fields
+server.registerTool(
+  'query_packets',
+  {
+    description: 'Query packets from a PCAP file or capture session with selected tshark fields, paging through large captures with offset/limit or a cursor',
+    inputSchema: {
+      pcapPath: z.string().optional().describe('Path to the PCAP file to query (e.g., ./demo.pcap)'),
+      sessionId: z.string().optional().describe('ID of a capture session to query instead of a PCAP file'),
+      fields: z.array(z.string().regex(/^[A-Za-z0-9_.-]+$/)).min(1).optional().default(DEFAULT_QUERY_FIELDS)
+        .describe('tshark field names to return for each packet (e.g., ["ip.src", "dns.qry.name"]); frame.number is always included'),
+      displayFilter: displayFilterSchema,
+      ...tlsDecryptionSchema,
+      frameStart: z.number().int().positive().optional().describe('First frame number to include'),
+      frameEnd: z.number().int().positive().optional().describe('Last frame number to include'),
+      offset: z.number().int().min(0).optional().default(0).describe('Number of matching packets to skip'),
+      limit: z.number().int().min(1).max(1000).optional().default(100).describe('Maximum packets to return'),
+      cursor: z.string().optional().describe('nextCursor from a previous query_packets call; overrides offset'),
+    },
+    outputSchema: {
+      pcapPath: z.string(),
+      fields: z.array(z.string()),
+      filter: z.string().nullable().describe('Display filter built from displayFilter and the frame range'),
+      totalPackets: z.number(),
+      offset: z.number(),
+      returned: z.number(),
+      nextCursor: z.string().nullable(),
+      packets: z.array(z.record(z.union([z.string(), z.array(z.string()), z.null()])))
+        .describe('One object per packet keyed by field name; repeated fields are arrays, absent ones null'),
+    },
+  },
+  withRequest('query_packets', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const pcapPath = await resolvePcapPath(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      console.error(`Querying packets from ${pcapPath}`);
+
+      const result = await queryPackets(tsharkPath, pcapPath, { ...args, extraArgs: decryption.args });
+      console.error(`Returned ${result.returned} of ${result.totalPackets} matching packets from offset ${result.offset}`);
+
+      const outputText = `Queried PCAP: ${pcapPath}\n` +
+        `Matching packets: ${result.totalPackets}\n` +
+        `Returned: ${result.returned} (offset ${result.offset})\n` +
+        `Next cursor: ${result.nextCursor || 'None (end of results)'}\n\n` +
+        `Packet Data (JSON for LLM):\n${JSON.stringify(result)}` +
+        await decryptionNote(tsharkPath, pcapPath, decryption);
+
+      return toolResult(outputText, { pcapPath, ...result });
+    } catch (error) {
+      return toolError('query_packets', error);
+    }
+  })
+);
+
+// Tool 11: Report and refresh threat intelligence feeds
+server.registerTool(
+  'threat_feed_status',
+  {
+    description: 'Show the status of the threat intelligence feeds (fresh, stale or unavailable) and optionally force a refresh',
+    inputSchema: {
+      refresh: z.boolean().optional().default(false).describe('Re-download remote feeds even if the cache is still fresh'),
+    },
+    outputSchema: {
+      refreshed: z.boolean(),
+      feeds: z.array(feedStatusOutputSchema),
+    },
+  },
+  withRequest('threat_feed_status', async (args) => {
+    try {
+      const { feeds } = await ensureFeeds({ force: args.refresh });
+      const outputText = `Threat intelligence feeds${args.refresh ? ' (refreshed)' : ''}:\n${feeds.map(formatFeedStatus).join('\n')}`;
+      return toolResult(outputText, { refreshed: args.refresh, feeds });
+    } catch (error) {
+      return toolError('threat_feed_status', error);
+    }
+  })
+);
+
+// Tool 12: DNS analysis with tunneling and DGA detection
+server.registerTool(
+  'analyze_dns',
+  {
+    description: 'Analyze DNS traffic from a live capture or PCAP file: query/response pairs, NXDOMAIN ratios, top domains, tunneling and DGA indicators, and threat intelligence matches',
+    inputSchema: {
+      ...trafficSourceSchema,
+      checkThreats: z.boolean().optional().default(true).describe('Check queried domains against the threat intelligence feeds'),
+      maxTransactions: z.number().int().min(0).max(5000).optional().default(200).describe('Maximum query/response pairs to include in the output'),
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      packets: z.number(),
+      totalTransactions: z.number(),
+      uniqueNames: z.number(),
+      clients: z.array(record({
+        client: z.string(),
+        queries: z.number(),
+        nxdomain: z.number(),
+        nxdomainRatio: z.number(),
+      })),
+      topDomains: z.array(record({ name: z.string(), count: z.number() })),
+      findings: z.array(findingOutputSchema.extend({
+        type: z.enum(['tunneling', 'dga']),
+        indicator: z.string(),
+        reasons: z.array(z.string()),
+      })),
+      threats: threatReportOutputSchema.nullable(),
+      transactions: z.array(record({
+        client: z.string(),
+        server: z.string(),
+        name: z.string(),
+        rcode: z.string().nullable(),
+      })).describe('Query/response pairs, capped at maxTransactions'),
+    },
+  },
+  withRequest('analyze_dns', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const source = await resolveTrafficSource(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      console.error(`Analyzing DNS in ${source.pcapPath}`);
+
+      const packets = await collectDnsPackets(tsharkPath, source.pcapPath, args.displayFilter, decryption.args);
+      const transactions = pairTransactions(packets);
+      const analysis = analyzeTransactions(transactions);
+      console.error(`Found ${transactions.length} DNS transactions and ${analysis.findings.length} findings`);
+
+      const threats = args.checkThreats && analysis.uniqueNames.length > 0
+        ? await checkIndicators({ domains: analysis.uniqueNames })
+        : null;
+
+      const shown = transactions.slice(0, args.maxTransactions).map(({ time, ...t }) => t);
+      const truncated = transactions.length > shown.length
+        ? `\nNote: showing ${shown.length} of ${transactions.length} transactions. Use query_packets with displayFilter "dns" to page through the rest.`
+        : '';
+
+      const outputText = `${sourceNote(source)}\n\n` +
+        `DNS packets: ${packets.length}, transactions: ${transactions.length}, unique names: ${analysis.uniqueNames.length}\n\n` +
+        `NXDOMAIN ratio per client:\n${analysis.clients.length > 0
+          ? analysis.clients.map(c => `${c.client}: ${c.nxdomain}/${c.queries} (${(c.nxdomainRatio * 100).toFixed(1)}%)`).join('\n')
+          : 'None'}\n\n` +
+        `Top queried domains:\n${analysis.topDomains.map(d => `${d.name}: ${d.count}`).join('\n') || 'None'}\n\n` +
+        `Tunneling and DGA indicators:\n${analysis.findings.length > 0
+          ? analysis.findings.map(f => `[${f.severity}] ${f.type}: ${f.indicator} (${f.reasons.join(', ')})`).join('\n')
+          : 'None'}\n\n` +
+        (threats ? `${formatThreatReport(threats, 'domains')}\n\n` : '') +
+        `Transactions (JSON for LLM):\n${JSON.stringify(shown)}${truncated}` +
+        await decryptionNote(tsharkPath, source.pcapPath, decryption);
+
+      return toolResult(outputText, {
+        ...sourceOutput(source),
+        packets: packets.length,
+        totalTransactions: transactions.length,
+        uniqueNames: analysis.uniqueNames.length,
+        clients: analysis.clients,
+        topDomains: analysis.topDomains,
+        findings: analysis.findings,
+        threats,
+        transactions: shown,
+      });
+    } catch (error) {
+      return toolError('analyze_dns', error);
+    }
+  })
+);
+
+// Tool 13: TLS handshake inspection and certificate audit
+server.registerTool(
+  'analyze_tls',
+  {
+    description: 'Inspect TLS handshakes from a live capture or PCAP file: SNI, negotiated version and cipher, ALPN, JA3/JA3S/JA4 fingerprints and server certificate chains, flagging expired or self-signed certificates, deprecated versions, weak ciphers and known-bad fingerprints',
+    inputSchema: {
+      ...trafficSourceSchema,
+      maxSessions: z.number().int().min(0).max(5000).optional().default(200).describe('Maximum TLS sessions to include in the output'),
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      totalSessions: z.number(),
+      flaggedSessions: z.number(),
+      sessions: z.array(record({
+        stream: z.number().nullable(),
+        client: z.string().nullable(),
+        server: z.string().nullable(),
+        serverPort: z.number().nullable(),
+        sni: z.string().nullable(),
+        version: z.string().nullable(),
+        cipher: z.string().nullable(),
+        ja3: z.string().nullable(),
+        ja3s: z.string().nullable(),
+        ja4: z.string().nullable(),
+        certificates: z.array(record({})),
+        findings: z.array(findingOutputSchema.extend({ issue: z.string() })),
+      })).describe('TLS sessions, capped at maxSessions'),
+      notes: z.array(z.string()),
+    },
+  },
+  withRequest('analyze_tls', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const source = await resolveTrafficSource(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      console.error(`Analyzing TLS handshakes in ${source.pcapPath}`);
+
+      const [{ sessions: rawSessions, missingFields }, blocklist] = await Promise.all([
+        collectTlsSessions(tsharkPath, source.pcapPath, args.displayFilter, decryption.args),
+        loadFingerprintBlocklist(),
+      ]);
+      const sessions = auditSessions(rawSessions, blocklist);
+      const flagged = sessions.filter(session => session.findings.length > 0);
+      console.error(`Found ${sessions.length} TLS sessions, ${flagged.length} with findings`);
+
+      const notes = [];
+      if (missingFields.length > 0) notes.push(`This tshark version does not provide ${missingFields.join(', ')}; those fingerprints are omitted.`);
+      if (blocklist.errors.length > 0) notes.push(`Could not read fingerprint blocklists: ${blocklist.errors.join('; ')}`);
+      if (decryption.args.length === 0 && sessions.some(session => session.version === 'TLS 1.3')) {
+        notes.push('TLS 1.3 encrypts certificates, so certificate chains are only shown for TLS 1.2 and earlier unless tlsKeyLogPath is given.');
+      }
+
+      const shown = sessions.slice(0, args.maxSessions);
+      if (sessions.length > shown.length) {
+        notes.push(`Showing ${shown.length} of ${sessions.length} sessions. Narrow the analysis with displayFilter to see the rest.`);
+      }
+
+      const outputText = `${sourceNote(source)}\n\n` +
+        `TLS sessions: ${sessions.length}, with findings: ${flagged.length}\n\n` +
+        `Findings:\n${flagged.length > 0
+          ? flagged.flatMap(session => session.findings.map(f =>
+            `[${f.severity}] ${session.sni || session.server}:${session.serverPort} (stream ${session.stream}): ${f.issue}`)).join('\n')
+          : 'None'}\n\n` +
+        (notes.length > 0 ? `Notes:\n${notes.join('\n')}\n\n` : '') +
+        `TLS Sessions (JSON for LLM):\n${JSON.stringify(shown)}` +
+        await decryptionNote(tsharkPath, source.pcapPath, decryption);
+
+      return toolResult(outputText, {
+        ...sourceOutput(source),
+        totalSessions: sessions.length,
+        flaggedSessions: flagged.length,
+        sessions: shown,
+        notes,
+      });
+    } catch (error) {
+      return toolError('analyze_tls', error);
+    }
+  })
+);
+
+// Tool 14: HTTP transaction reconstruction
+server.registerTool(
+  'analyze_http',
+  {
+    description: 'Reconstruct HTTP/1.x transactions from a live capture or PCAP file: request/response pairs with method, URI, status, content type, size, user agent, referer and latency, grouped by host, flagging executable downloads, unusual user agents and POSTs to raw IP addresses',
+    inputSchema: {
+      ...trafficSourceSchema,
+      checkThreats: z.boolean().optional().default(true).describe('Check contacted hosts against the threat intelligence feeds'),
+      maxTransactions: z.number().int().min(0).max(5000).optional().default(200).describe('Maximum transactions to include in the output'),
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      messages: z.number(),
+      totalTransactions: z.number(),
+      hosts: z.array(record({
+        host: z.string(),
+        requests: z.number(),
+        bytes: z.number(),
+        methods: z.record(z.number()),
+        statuses: z.record(z.number()),
+        clients: z.array(z.string()),
+        userAgents: z.array(z.string()),
+      })),
+      findings: z.array(findingOutputSchema.extend({
+        issue: z.string(),
+        requestFrame: z.number().nullable(),
+        responseFrame: z.number().nullable(),
+        client: z.string(),
+      })),
+      threats: threatReportOutputSchema.nullable(),
+      transactions: z.array(record({
+        client: z.string(),
+        server: z.string(),
+        method: z.string(),
+        host: z.string(),
+        uri: z.string(),
+        status: z.number().nullable(),
+      })).describe('Request/response pairs, capped at maxTransactions'),
+    },
+  },
+  withRequest('analyze_http', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const source = await resolveTrafficSource(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      console.error(`Analyzing HTTP in ${source.pcapPath}`);
+
+      const messages = await collectHttpMessages(tsharkPath, source.pcapPath, args.displayFilter, decryption.args);
+      const transactions = pairHttpTransactions(messages);
+      const analysis = analyzeHttpTransactions(transactions);
+      console.error(`Found ${transactions.length} HTTP transactions and ${analysis.findings.length} findings`);
+
+      let threats = null;
+      if (args.checkThreats && transactions.length > 0) {
+        const hosts = [...new Set(transactions.map(t => t.host.replace(/:\d+$/, '')))];
+        const urls = [...new Set(transactions.filter(t => t.uri).map(t => `http://${t.host}${t.uri}`))];
+        threats = await checkIndicators({
+          ips: [...new Set([...transactions.map(t => t.server), ...hosts.filter(host => net.isIP(host))])],
+          domains: hosts.filter(host => !net.isIP(host)),
+          urls,
+        });
+      }
+
+      const shown = transactions.slice(0, args.maxTransactions).map(({ time, ...t }) => t);
+      const truncated = transactions.length > shown.length
+        ? `\nNote: showing ${shown.length} of ${transactions.length} transactions. Narrow the analysis with displayFilter (e.g. http.host == "example.com") to see the rest.`
+        : '';
+
+      const outputText = `${sourceNote(source)}\n\n` +
+        `HTTP messages: ${messages.length}, transactions: ${transactions.length}, hosts: ${analysis.hosts.length}\n\n` +
+        `Hosts:\n${analysis.hosts.length > 0
+          ? analysis.hosts.map(h => `${h.host}: ${h.requests} transactions, ${h.bytes} bytes, methods ${JSON.stringify(h.methods)}, statuses ${JSON.stringify(h.statuses)}`).join('\n')
+          : 'None'}\n\n` +
+        `Suspicious patterns:\n${analysis.findings.length > 0
+          ? analysis.findings.map(f => `[${f.severity}] ${f.issue} (client ${f.client}, frame ${f.requestFrame ?? f.responseFrame})`).join('\n')
+          : 'None'}\n\n` +
+        (threats ? `${formatThreatReport(threats, 'hosts and URLs')}\n\n` : '') +
+        `Transactions (JSON for LLM):\n${JSON.stringify(shown)}${truncated}` +
+        await decryptionNote(tsharkPath, source.pcapPath, decryption);
+
+      return toolResult(outputText, {
+        ...sourceOutput(source),
+        messages: messages.length,
+        totalTransactions: transactions.length,
+        hosts: analysis.hosts,
+        findings: analysis.findings,
+        threats,
+        transactions: shown,
+      });
+    } catch (error) {
+      return toolError('analyze_http', error);
+    }
+  })
+);
+
+// Tool 15: HTTP object export
+server.registerTool(
+  'export_http_objects',
+  {
+    description: 'Export files transferred over HTTP (like tshark --export-objects) from a live capture or PCAP file into a capture session directory, returning their names, sizes and SHA-256 hashes',
+    inputSchema: {
+      ...trafficSourceSchema,
+      maxObjects: z.number().int().min(0).max(5000).optional().default(500).describe('Maximum exported objects to list in the output'),
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      exportSessionId: z.string().describe('Capture session the objects are stored in and deleted with'),
+      outputDir: z.string(),
+      manifestPath: z.string().describe('sha256sum-format manifest of every exported object'),
+      totalObjects: z.number(),
+      totalBytes: z.number(),
+      objects: z.array(z.object({
+        file: z.string(),
+        path: z.string(),
+        size: z.number(),
+        sha256: z.string(),
+      })).describe('Exported objects, capped at maxObjects'),
+    },
+  },
+  withRequest('export_http_objects', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const source = await resolveTrafficSource(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      // PCAP files get their own session so the exported objects share its lifetime
+      const session = source.session || await createSession({ pcapPath: source.pcapPath });
+      const outDir = path.join(session.dir, 'http-objects');
+      console.error(`Exporting HTTP objects from ${source.pcapPath} to ${outDir}`);
+
+      let exported;
+      try {
+        exported = await exportHttpObjects(tsharkPath, source.pcapPath, outDir, {
+          displayFilter: args.displayFilter,
+          extraArgs: decryption.args,
+        });
+      } catch (error) {
+        if (!source.session) await deleteSession(session.id);
+        throw error;
+      }
+      const { objects, manifestPath } = exported;
+      console.error(`Exported ${objects.length} HTTP objects`);
+
+      const shown = objects.slice(0, args.maxObjects);
+      const totalBytes = objects.reduce((sum, o) => sum + o.size, 0);
+      const outputText = `${sourceNote(source)}\n\n` +
+        (source.session ? '' : `${sessionNote(session)}\n`) +
+        `Exported ${objects.length} HTTP objects (${totalBytes} bytes) to ${outDir}\n` +
+        `SHA-256 manifest: ${manifestPath}\n\n` +
+        `Objects:\n${shown.length > 0 ? shown.map(o => `${o.sha256}  ${o.size}  ${o.file}`).join('\n') : 'None'}` +
+        (objects.length > shown.length ? `\nNote: showing ${shown.length} of ${objects.length} objects; the manifest lists all of them.` : '') +
+        `\n\nThe objects are deleted with the session (expires after ${SESSION_TTL_MS / 1000}s of inactivity).` +
+        await decryptionNote(tsharkPath, source.pcapPath, decryption);
+
+      return toolResult(outputText, {
+        ...sourceOutput(source),
+        exportSessionId: session.id,
+        outputDir: outDir,
+        manifestPath,
+        totalObjects: objects.length,
+        totalBytes,
+        objects: shown,
+      });
+    } catch (error) {
+      return toolError('export_http_objects', error);
+    }
+  })
+);
+
+// Tool 16: Stream reassembly
+server.registerTool(
+  'follow_stream',
+  {
+    description: 'Reassemble a TCP, UDP, TLS or HTTP/2 stream from a PCAP file or capture session and return its payload per direction as ASCII, hex dump or base64, with byte-offset paging. Without a stream index or 5-tuple it lists the available stream indexes',
+    inputSchema: {
+      pcapPath: z.string().optional().describe('Path to the PCAP file'),
+      sessionId: z.string().optional().describe('ID of a capture session to analyze instead of a PCAP file'),
+      protocol: z.enum(['tcp', 'udp', 'tls', 'http2']).optional().default('tcp').describe('Stream protocol to follow; tls and http2 need decryption keys for encrypted traffic'),
+      stream: z.number().int().min(0).optional().describe('Stream index (tcp.stream or udp.stream) as listed by this tool or get_conversations'),
+      substream: z.number().int().min(0).optional().describe('HTTP/2 stream ID within the TCP stream (default 1)'),
+      tuple: z.object({
+        srcIp: z.string().ip().describe('Source IP address'),
+        srcPort: z.number().int().min(0).max(65535).describe('Source port'),
+        dstIp: z.string().ip().describe('Destination IP address'),
+        dstPort: z.number().int().min(0).max(65535).describe('Destination port'),
+      }).optional().describe('Select the stream by addresses and ports instead of an index (the protocol is the fifth element)'),
+      format: z.enum(['ascii', 'hex', 'base64']).optional().default('ascii').describe('Payload encoding in the output'),
+      byteOffset: z.number().int().min(0).optional().default(0).describe('Offset into the reassembled stream to start from'),
+      maxBytes: z.number().int().min(1).max(1048576).optional().default(32768).describe('Maximum payload bytes to return'),
+      displayFilter: z.string().optional()
+        .describe('Wireshark display filter for the stream listing; only allowed without stream or tuple'),
+      ...tlsDecryptionSchema,
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      protocol: z.enum(['tcp', 'udp', 'tls', 'http2']),
+      streams: z.array(streamOutputSchema).optional().describe('Available streams, when no stream was selected'),
+      selector: z.string().optional().describe('Stream that was followed'),
+      client: z.string().nullable().optional(),
+      server: z.string().nullable().optional(),
+      totals: z.object({ clientToServer: z.number(), serverToClient: z.number() }).optional(),
+      totalBytes: z.number().optional(),
+      byteOffset: z.number().optional(),
+      returnedBytes: z.number().optional(),
+      nextOffset: z.number().nullable().optional().describe('byteOffset of the next page, or null at the end'),
+      format: z.enum(['ascii', 'hex', 'base64']).optional(),
+      segments: z.array(z.object({
+        direction: z.enum(['clientToServer', 'serverToClient']),
+        offset: z.number(),
+        length: z.number(),
+        data: z.string().describe('Payload in the requested format'),
+      })).optional(),
+    },
+  },
+  withRequest('follow_stream', async (args) => {
+    try {
+      // tshark's follow statistic reads the whole stream, so a filter cannot apply to it
+      if (args.displayFilter && (args.stream !== undefined || args.tuple)) {
+        throw new Error('displayFilter only filters the stream listing; omit it when following a stream or tuple');
+      }
       const tsharkPath = await findTshark();
-      const { interface, duration } = args;
-      const tempPcap = 'temp_capture.pcap';
-      console.error(`Capturing summary stats on ${interface} for ${duration}s`);
+      const pcapPath = await resolvePcapPath(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      const source = { pcapPath, session: args.sessionId ? getSession(args.sessionId) : null };
+
+      if (args.stream === undefined && !args.tuple) {
+        console.error(`Listing ${args.protocol} streams in ${pcapPath}`);
+        const streams = await listStreams(tsharkPath, pcapPath, {
+          protocol: args.protocol, displayFilter: args.displayFilter, extraArgs: decryption.args,
+        });
+        return toolResult(
+          `${sourceNote(source)}\n\n${args.protocol.toUpperCase()} streams: ${streams.length}\n` +
+            `Call follow_stream again with one of these stream indexes:\n${formatStreamList(streams)}`,
+          { ...sourceOutput(source), protocol: args.protocol, streams },
+        );
+      }
+
+      console.error(`Following ${args.protocol} stream ${args.stream ?? JSON.stringify(args.tuple)} in ${pcapPath}`);
+      const result = await followStream(tsharkPath, pcapPath, {
+        protocol: args.protocol,
+        stream: args.stream,
+        substream: args.substream,
+        tuple: args.tuple,
+        byteOffset: args.byteOffset,
+        maxBytes: args.maxBytes,
+        extraArgs: decryption.args,
+      });
+
+      const labels = { clientToServer: `${result.client} -> ${result.server}`, serverToClient: `${result.server} -> ${result.client}` };
+      const range = result.returnedBytes > 0
+        ? `bytes ${result.byteOffset}-${result.byteOffset + result.returnedBytes - 1} of ${result.totalBytes}`
+        : `no bytes at offset ${result.byteOffset} of ${result.totalBytes}`;
+      const outputText = `${sourceNote(source)}\n\n` +
+        `Stream: ${args.protocol} ${result.selector}${result.filter ? ` (filter: ${result.filter})` : ''}\n` +
+        `Client: ${result.client || 'unknown'}, server: ${result.server || 'unknown'}\n` +
+        `Payload: ${result.totals.clientToServer} bytes client -> server, ${result.totals.serverToClient} bytes server -> client\n` +
+        `Showing ${range} as ${args.format}` +
+        (result.nextOffset !== null ? `\nMore data available: call again with byteOffset ${result.nextOffset}` : '') +
+        (result.totalBytes === 0 && decryption.args.length === 0 && ['tls', 'http2'].includes(args.protocol)
+          ? '\nNote: no payload was reassembled. Encrypted streams need tlsKeyLogPath or tlsRsaKeyPath.'
+          : '') +
+        '\n\n' +
+        result.segments.map(segment =>
+          `--- ${labels[segment.direction]} (offset ${segment.offset}, ${segment.data.length} bytes) ---\n${encodeSegment(segment, args.format)}`).join('\n\n') +
+        await decryptionNote(tsharkPath, pcapPath, decryption);
+
+      return toolResult(outputText, {
+        ...sourceOutput(source),
+        protocol: args.protocol,
+        selector: result.selector,
+        client: result.client,
+        server: result.server,
+        totals: result.totals,
+        totalBytes: result.totalBytes,
+        byteOffset: result.byteOffset,
+        returnedBytes: result.returnedBytes,
+        nextOffset: result.nextOffset,
+        format: args.format,
+        segments: result.segments.map(segment => ({
+          direction: segment.direction,
+          offset: segment.offset,
+          length: segment.data.length,
+          data: encodeSegment(segment, args.format),
+        })),
+      });
+    } catch (error) {
+      return toolError('follow_stream', error);
+    }
+  })
+);
 
-      await execAsync(
-        `${tsharkPath} -i ${interface} -w ${tempPcap} -a duration:${duration}`,
-        { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
+// Tool 17: Behavioral anomaly detection
+server.registerTool(
+  'detect_anomalies',
+  {
+    description: 'Run behavioral heuristics over a live capture or PCAP file: SYN port scans and host sweeps, periodic beaconing, ARP spoofing and large outbound transfers, each finding with severity and evidence (frames, hosts, counts). Thresholds are tunable',
+    inputSchema: {
+      ...trafficSourceSchema,
+      thresholds: z.object({
+        scanPorts: z.number().int().min(1).optional().describe(`Distinct ports on one host that count as a port scan (default ${ANOMALY_THRESHOLDS.scanPorts})`),
+        sweepHosts: z.number().int().min(1).optional().describe(`Distinct hosts probed on one port that count as a sweep (default ${ANOMALY_THRESHOLDS.sweepHosts})`),
+        scanFailureRatio: z.number().min(0).max(1).optional().describe(`Minimum share of SYNs without a completed handshake (default ${ANOMALY_THRESHOLDS.scanFailureRatio})`),
+        beaconMinConnections: z.number().int().min(3).optional().describe(`Minimum connections before beaconing is considered (default ${ANOMALY_THRESHOLDS.beaconMinConnections})`),
+        beaconMinInterval: z.number().min(0).optional().describe(`Minimum mean seconds between beacons (default ${ANOMALY_THRESHOLDS.beaconMinInterval})`),
+        beaconMaxJitter: z.number().min(0).optional().describe(`Maximum interval standard deviation relative to the mean (default ${ANOMALY_THRESHOLDS.beaconMaxJitter})`),
+        exfilMinBytes: z.number().int().min(0).optional().describe(`Minimum bytes sent from an internal to an external host (default ${ANOMALY_THRESHOLDS.exfilMinBytes})`),
+        exfilRatio: z.number().min(0).optional().describe(`Minimum outbound to inbound byte ratio (default ${ANOMALY_THRESHOLDS.exfilRatio})`),
+      }).optional().default({}).describe('Override detection thresholds'),
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      packets: z.number(),
+      connections: z.number().describe('TCP connection attempts'),
+      thresholds: z.record(z.number()),
+      findings: z.array(findingOutputSchema.extend({
+        type: z.enum(['port_scan', 'host_sweep', 'beaconing', 'arp_spoofing', 'large_outbound_transfer']),
+        summary: z.string(),
+      })).describe('Findings with their evidence'),
+    },
+  },
+  withRequest('detect_anomalies', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const source = await resolveTrafficSource(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      console.error(`Detecting anomalies in ${source.pcapPath}`);
+
+      const packets = await collectFlowPackets(tsharkPath, source.pcapPath, args.displayFilter, decryption.args);
+      const result = detectAnomalies(packets, args.thresholds);
+      console.error(`Found ${result.findings.length} anomalies in ${packets.length} packets`);
+
+      const outputText = `${sourceNote(source)}\n\n` +
+        `Packets analyzed: ${packets.length}, TCP connection attempts: ${result.connections}\n` +
+        `Thresholds: ${JSON.stringify(result.thresholds)}\n\n` +
+        `Findings:\n${result.findings.length > 0
+          ? result.findings.map(f => `[${f.severity}] ${f.type}: ${f.summary}`).join('\n')
+          : 'None'}\n\n` +
+        `Findings with evidence (JSON for LLM):\n${JSON.stringify(result.findings)}` +
+        await decryptionNote(tsharkPath, source.pcapPath, decryption);
+
+      return toolResult(outputText, {
+        ...sourceOutput(source),
+        packets: packets.length,
+        connections: result.connections,
+        thresholds: result.thresholds,
+        findings: result.findings,
+      });
+    } catch (error) {
+      return toolError('detect_anomalies', error);
+    }
+  })
+);
+
+// Tool 18: Start a background capture
+server.registerTool(
+  'start_capture',
+  {
+    description: 'Start a long-running background capture into a new capture session, optionally as a ring buffer. Returns immediately; use capture_status to follow it and stop_capture to finish it',
+    inputSchema: {
+      interface: z.string().optional().describe('Network interface to capture from (e.g., eth0, en0); defaults to the configured or detected interface (see list_interfaces)'),
+      captureFilter: captureFilterSchema,
+      maxDuration: z.number().int().positive().optional().describe('Stop automatically after this many seconds'),
+      maxPackets: z.number().int().positive().optional().describe('Stop automatically after this many packets'),
+      ringFileSizeKB: z.number().int().positive().optional().describe('Ring buffer: switch to a new file after this many kilobytes'),
+      ringFileDuration: z.number().int().positive().optional().describe('Ring buffer: switch to a new file after this many seconds'),
+      ringFiles: z.number().int().min(2).optional().describe('Ring buffer: keep only this many files, discarding the oldest'),
+    },
+    outputSchema: {
+      status: captureStatusOutputSchema,
+      unbounded: z.boolean().describe('True when no limit was set, so the capture runs until stop_capture'),
+    },
+  },
+  withRequest('start_capture', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const captureInterface = await validateInterface(tsharkPath, args.interface || await defaultInterface(tsharkPath));
+      if (args.captureFilter) await validateCaptureFilter(tsharkPath, captureInterface, args.captureFilter);
+
+      const capture = await startCapture(tsharkPath, { ...args, interface: captureInterface });
+      const status = await describeCapture(capture);
+      const unbounded = !args.maxDuration && !args.maxPackets && !args.ringFiles;
+
+      return toolResult(
+        `Started background capture on ${captureInterface}.\n` +
+          `${sessionNote(capture.session)}\n` +
+          `The session can be analyzed once stop_capture has finished it.\n\n` +
+          `Status:\n${JSON.stringify(status, null, 2)}` +
+          (unbounded ? '\n\nNote: no maxDuration, maxPackets or ringFiles limit was set, so the capture grows until stop_capture is called.' : ''),
+        { status, unbounded },
       );
+    } catch (error) {
+      return toolError('start_capture', error);
+    }
+  })
+);
+
+// Tool 19: Report background capture progress
+server.registerTool(
+  'capture_status',
+  {
+    description: 'Report the state, packets and bytes captured so far for one or all background captures',
+    inputSchema: {
+      sessionId: z.string().optional().describe('Session ID returned by start_capture (omit to list all background captures)'),
+    },
+    outputSchema: {
+      running: z.number(),
+      limit: z.number().describe('Maximum concurrent background captures'),
+      captures: z.array(captureStatusOutputSchema),
+    },
+  },
+  withRequest('capture_status', async (args) => {
+    try {
+      const selected = args.sessionId ? [getCapture(args.sessionId)] : listCaptures();
+      const statuses = await Promise.all(selected.map(describeCapture));
+      const running = statuses.filter(status => status.state === 'running').length;
 
-      const { stdout, stderr } = await execAsync(
-        `${tsharkPath} -r "${tempPcap}" -qz io,phs`,
-        { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
+      return toolResult(
+        `Background captures: ${statuses.length} (${running} running, limit ${MAX_CAPTURES})\n` +
+          `${statuses.length > 0 ? JSON.stringify(statuses, null, 2) : 'None'}` +
+          (statuses.some(status => status.packets === null)
+            ? '\n\nNote: packets is null until tshark reports a count; bytes reflects the capture files on disk.'
+            : ''),
+        { running, limit: MAX_CAPTURES, captures: statuses },
       );
-      if (stderr) console.error(`tshark stderr: ${stderr}`);
+    } catch (error) {
+      return toolError('capture_status', error);
+    }
+  })
+);
+
+// Tool 20: Stop a background capture
+server.registerTool(
+  'stop_capture',
+  {
+    description: 'Stop a background capture and finish its PCAP (merging ring buffer files) so analysis tools can use the session',
+    inputSchema: {
+      sessionId: z.string().describe('Session ID returned by start_capture'),
+    },
+    outputSchema: {
+      status: captureStatusOutputSchema,
+    },
+  },
+  withRequest('stop_capture', async (args) => {
+    try {
+      const capture = await stopCapture(args.sessionId);
+      const status = await describeCapture(capture);
+      console.error(`Stopped background capture ${capture.session.id}`);
 
-      await fs.unlink(tempPcap).catch(err => console.error(`Failed to delete ${tempPcap}: ${err.message}`));
+      return toolResult(
+        `Background capture ${status.state}: ${status.packets ?? 'unknown'} packets, ${status.bytes} bytes in ${status.elapsedSeconds}s.\n` +
+          `${sessionNote(capture.session)}\n\n` +
+          `Status:\n${JSON.stringify(status, null, 2)}`,
+        { status },
+      );
+    } catch (error) {
+      return toolError('stop_capture', error);
+    }
+  })
+);
 
-      return {
-        content: [{
-          type: 'text',
-          text: `Protocol hierarchy statistics for LLM analysis:\n${stdout}`,
-        }],
+// Tool 21: Baseline comparison of two captures
+server.registerTool(
+  'compare_pcaps',
+  {
+    description: 'Compare a candidate PCAP against a known-good baseline and report the drift: hosts that appeared or disappeared, new listening or contacted ports, protocol mix shifts, conversations whose volume changed beyond a threshold, and new DNS names and TLS SNIs',
+    inputSchema: {
+      baselinePcapPath: z.string().optional().describe('Path to the known-good baseline PCAP file'),
+      baselineSessionId: z.string().optional().describe('Capture session to use as the baseline instead of baselinePcapPath'),
+      candidatePcapPath: z.string().optional().describe('Path to the PCAP file to compare against the baseline'),
+      candidateSessionId: z.string().optional().describe('Capture session to compare instead of candidatePcapPath'),
+      displayFilter: displayFilterSchema,
+      ...tlsDecryptionSchema,
+      thresholds: z.object({
+        volumeChangeRatio: z.number().min(0).optional().describe(`Relative byte volume change that flags a conversation (default ${DRIFT_THRESHOLDS.volumeChangeRatio}, i.e. 50%)`),
+        minConversationBytes: z.number().int().min(0).optional().describe(`Ignore conversations smaller than this in both captures (default ${DRIFT_THRESHOLDS.minConversationBytes})`),
+        protocolShift: z.number().min(0).max(100).optional().describe(`Change in a protocol's share of frames, in percentage points, that is reported (default ${DRIFT_THRESHOLDS.protocolShift})`),
+      }).optional().default({}).describe('Override drift thresholds'),
+      maxItems: z.number().int().min(1).max(5000).optional().default(100).describe('Maximum entries per list in the output'),
+    },
+    outputSchema: {
+      baselinePcapPath: z.string(),
+      candidatePcapPath: z.string(),
+      thresholds: z.record(z.number()),
+      baseline: record({ packets: z.number(), bytes: z.number(), durationSeconds: z.number(), hosts: z.number() }),
+      candidate: record({ packets: z.number(), bytes: z.number(), durationSeconds: z.number(), hosts: z.number() }),
+      hosts: z.object({
+        appeared: z.array(record({ host: z.string() })),
+        disappeared: z.array(record({ host: z.string() })),
+      }).describe('Hosts only in one capture, with their enrichment'),
+      ports: z.object({
+        newListening: z.array(record({ service: z.string() })),
+        goneListening: z.array(record({ service: z.string() })),
+        newContacted: z.array(record({ port: z.string() })),
+        goneContacted: z.array(record({ port: z.string() })),
+      }),
+      protocols: z.array(record({ protocol: z.string(), change: z.enum(['new', 'gone', 'increased', 'decreased']) })),
+      conversations: z.array(record({
+        change: z.enum(['new', 'gone', 'increased', 'decreased']),
+        baselineBytes: z.number(),
+        candidateBytes: z.number(),
+        changeRatio: z.number().nullable(),
+      })),
+      dnsNames: z.object({ new: z.array(z.string()) }),
+      tlsSni: z.object({ new: z.array(z.string()) }),
+      truncated: z.array(z.string()).describe('Lists cut to maxItems, with their full length'),
+    },
+  },
+  withRequest('compare_pcaps', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const resolveSide = side => {
+        if (!args[`${side}PcapPath`] && !args[`${side}SessionId`]) {
+          throw new Error(`Either ${side}PcapPath or ${side}SessionId must be provided`);
+        }
+        return resolvePcapPath(tsharkPath, {
+          pcapPath: args[`${side}PcapPath`], sessionId: args[`${side}SessionId`], displayFilter: args.displayFilter,
+        });
       };
+      const baselinePath = await resolveSide('baseline');
+      const candidatePath = await resolveSide('candidate');
+      const decryption = await resolveDecryption(args);
+      console.error(`Comparing ${candidatePath} against baseline ${baselinePath}`);
+
+      const drift = await comparePcaps(tsharkPath, baselinePath, candidatePath, {
+        displayFilter: args.displayFilter, extraArgs: decryption.args, thresholds: args.thresholds,
+      });
+
+      // Cap every list, remembering how long it was
+      const truncated = [];
+      const cap = (list, label) => {
+        if (list.length > args.maxItems) truncated.push(`${label}: showing ${args.maxItems} of ${list.length}`);
+        return list.slice(0, args.maxItems);
+      };
+      const appeared = cap(drift.hosts.appeared, 'appeared hosts');
+      const disappeared = cap(drift.hosts.disappeared, 'disappeared hosts');
+      const enriched = await enrichAddresses([...appeared, ...disappeared].map(h => h.host));
+      const withDetails = hosts => hosts.map(h => {
+        const { ip, ...details } = enriched.get(h.host);
+        return { ...h, ...details };
+      });
+      const shown = {
+        ...drift,
+        hosts: { appeared: withDetails(appeared), disappeared: withDetails(disappeared) },
+        ports: Object.fromEntries(Object.entries(drift.ports).map(([key, list]) => [key, cap(list, key)])),
+        protocols: cap(drift.protocols, 'protocols'),
+        conversations: cap(drift.conversations, 'conversations'),
+        dnsNames: { new: cap(drift.dnsNames.new, 'new DNS names') },
+        tlsSni: { new: cap(drift.tlsSni.new, 'new TLS SNIs') },
+      };
+      const side = s => `${s.packets} packets, ${s.bytes} bytes over ${s.durationSeconds}s, ${s.hosts} hosts`;
+      console.error(`Drift: ${drift.hosts.appeared.length} new hosts, ${drift.conversations.length} changed conversations`);
+
+      const outputText = `Baseline: ${baselinePath} (${side(drift.baseline)})\n` +
+        `Candidate: ${candidatePath} (${side(drift.candidate)})\n\n` +
+        `Drift summary:\n` +
+        `Hosts appeared: ${drift.hosts.appeared.length}, disappeared: ${drift.hosts.disappeared.length}\n` +
+        `Listening services new: ${drift.ports.newListening.length}, gone: ${drift.ports.goneListening.length}\n` +
+        `Contacted ports new: ${drift.ports.newContacted.length}, gone: ${drift.ports.goneContacted.length}\n` +
+        `Protocol shifts: ${drift.protocols.length}\n` +
+        `Conversations with volume changes: ${drift.conversations.length}\n` +
+        `New DNS names: ${drift.dnsNames.new.length}, new TLS SNIs: ${drift.tlsSni.new.length}\n` +
+        (drift.baseline.durationSeconds > 0 && drift.candidate.durationSeconds > 0 &&
+          Math.abs(drift.candidate.durationSeconds / drift.baseline.durationSeconds - 1) > 0.5
+          ? '\nNote: the captures cover very different time spans, so volume changes partly reflect capture length.\n'
+          : '') +
+        (truncated.length > 0 ? `\nNote: ${truncated.join('; ')}. Raise maxItems or narrow with displayFilter.\n` : '') +
+        `\nDrift (JSON for LLM):\n${JSON.stringify(shown)}` +
+        await decryptionNote(tsharkPath, baselinePath, decryption, 'baseline') +
+        await decryptionNote(tsharkPath, candidatePath, decryption, 'candidate');
+
+      return toolResult(outputText, { baselinePcapPath: baselinePath, candidatePcapPath: candidatePath, ...shown, truncated });
     } catch (error) {
-      console.error(`Error in get_summary_stats: ${error.message}`);
-      return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      return toolError('compare_pcaps', error);
     }
-  }
+  })
 );
 
-// Tool 3: Capture and provide conversation stats
-server.tool(
-  'get_conversations',
-  'Capture live traffic and provide TCP/UDP conversation statistics for LLM analysis',
+// Tool 22: Export findings for SIEM and ticketing systems
+server.registerTool(
+  'export_findings',
+  {
+    description: 'Export a PCAP file or capture session for SIEM and ticketing systems: a STIX 2.1 bundle of threat indicators and observed IPs, domains, URLs and credentials, CSV files of packets and conversations, and a Zeek-style conn.log. Files are written to an allowed output directory',
+    inputSchema: {
+      pcapPath: z.string().optional().describe('Path to the PCAP file to export'),
+      sessionId: z.string().optional().describe('ID of a capture session to export instead of a PCAP file'),
+      outputDir: z.string().describe('Directory to write the export files to; must be inside the allowed directories and is created if missing'),
+      formats: z.array(z.enum(EXPORT_FORMATS)).min(1).optional().default(EXPORT_FORMATS)
+        .describe('Formats to write: stix (STIX 2.1 bundle), csv (packets and conversations), zeek (conn.log)'),
+      displayFilter: displayFilterSchema,
+      checkThreats: z.boolean().optional().default(true).describe('Check observed IPs, domains and URLs against the threat intelligence feeds and add STIX indicators for matches'),
+      includeCredentials: z.boolean().optional().default(false).describe('Add extracted credentials to the STIX bundle as user-account objects'),
+      redact: z.boolean().optional().default(true).describe('Leave passwords and hashes out of exported credentials; only account names are written'),
+      ...tlsDecryptionSchema,
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      outputDir: z.string(),
+      files: z.array(z.object({ path: z.string(), size: z.number() })),
+      packets: z.number(),
+      connections: z.number(),
+      observables: z.object({ ips: z.number(), domains: z.number(), urls: z.number() }),
+      credentials: z.number().describe('Credentials added to the STIX bundle'),
+      threats: threatReportOutputSchema.nullable(),
+    },
+  },
+  withRequest('export_findings', async (args) => {
+    try {
+      const tsharkPath = await findTshark();
+      const pcapPath = await resolvePcapPath(tsharkPath, args);
+      const outputDir = await resolveAllowedDir(args.outputDir);
+      const decryption = await resolveDecryption(args);
+      console.error(`Exporting ${args.formats.join(', ')} for ${pcapPath} to ${outputDir}`);
+
+      const result = await exportFindings(tsharkPath, pcapPath, outputDir, {
+        formats: args.formats,
+        displayFilter: args.displayFilter,
+        extraArgs: decryption.args,
+        checkThreats: args.checkThreats ? observables => checkIndicators(observables) : null,
+        extractCredentials: args.includeCredentials
+          ? async () => {
+            const extracted = await extractCredentials(tsharkPath, pcapPath, args.displayFilter, decryption.args);
+            return [...extracted.plaintext, ...extracted.encrypted];
+          }
+          : null,
+        includeSecrets: !args.redact,
+      });
+      console.error(`Exported ${result.files.length} files`);
+
+      const outputText = `Exported PCAP: ${pcapPath}\n\n` +
+        `Files written:\n${result.files.map(f => `${f.path} (${f.size} bytes)`).join('\n')}\n\n` +
+        `Summary: ${result.packets} packets, ${result.connections} connections, ` +
+        `${result.observables.ips} IPs, ${result.observables.domains} domains, ${result.observables.urls} URLs` +
+        (args.formats.includes('stix') && args.includeCredentials ? `, ${result.credentials} credentials` : '') +
+        (result.threats ? `\n\n${formatThreatReport(result.threats)}` : '') +
+        (args.includeCredentials && !args.redact ? '\n\nWarning: the STIX bundle contains cleartext passwords and hashes.' : '') +
+        await decryptionNote(tsharkPath, pcapPath, decryption);
+
+      return toolResult(outputText, {
+        pcapPath,
+        sessionId: args.sessionId || null,
+        outputDir,
+        ...result,
+        threats: result.threats || null,
+      });
+    } catch (error) {
+      return toolError('export_findings', error);
+    }
+  })
+);
+
+// Tool 23: List capture interfaces
+server.registerTool(
+  'list_interfaces',
+  {
+    description: 'List the network interfaces tshark can capture from, with descriptions, IP addresses and which one capture tools use when no interface is given',
+    inputSchema: {},
+    outputSchema: {
+      interfaces: z.array(record({
+        index: z.string(),
+        name: z.string(),
+        description: z.string().nullable(),
+        addresses: z.array(record({ address: z.string() })),
+        loopback: z.boolean(),
+        default: z.boolean(),
+      })),
+      defaultInterface: z.object({ name: z.string(), reason: z.string() }).nullable(),
+    },
+  },
+  withRequest('list_interfaces', async () => {
+    try {
+      const tsharkPath = await findTshark();
+      const { interfaces, defaultInterface: chosen } = await describeInterfaces(tsharkPath);
+      console.error(`tshark reports ${interfaces.length} capture interfaces`);
+
+      const lines = interfaces.map(iface => {
+        const addresses = iface.addresses.map(a => a.address).join(', ');
+        return `${iface.index}. ${iface.name}${iface.description ? ` (${iface.description})` : ''}` +
+          `${iface.loopback ? ' [loopback]' : ''}${iface.default ? ' [default]' : ''}` +
+          `${addresses ? `\n   addresses: ${addresses}` : ''}`;
+      });
+      const outputText = `Capture interfaces (tshark -D):\n${lines.join('\n') || 'None'}\n\n` +
+        (chosen
+          ? `Default interface: ${chosen.name} (${chosen.reason})`
+          : 'No default interface: tshark reports no capture interfaces. Check capture permissions.') +
+        `\n\nDetails:\n${JSON.stringify(interfaces, null, 2)}`;
+
+      return toolResult(outputText, { interfaces, defaultInterface: chosen });
+    } catch (error) {
+      return toolError('list_interfaces', error);
+    }
+  })
+);
+
+// Tool 24: Offline IP enrichment
+server.registerTool(
+  'enrich_ip',
+  {
+    description: 'Classify IP addresses (private, loopback, multicast, link-local, CGNAT, reserved or public) and add country, ASN and organization from local MaxMind-format GeoIP databases. Works fully offline',
+    inputSchema: {
+      ips: z.array(z.string().ip()).min(1).max(1000).describe('IP addresses to enrich (e.g., ["8.8.8.8", "10.0.0.5"])'),
+    },
+    outputSchema: {
+      addresses: z.array(addressOutputSchema),
+      databases: z.array(z.object({
+        file: z.string(),
+        type: z.string().optional(),
+        builtAt: z.string().optional(),
+        error: z.string().optional(),
+      })),
+    },
+  },
+  withRequest('enrich_ip', async (args) => {
+    try {
+      const ips = [...new Set(args.ips)];
+      const enriched = await enrichAddresses(ips);
+      const databases = await geoDatabaseStatus();
+      console.error(`Enriched ${ips.length} IPs using ${databases.filter(db => !db.error).length} GeoIP databases`);
+
+      const outputText = `Enriched IPs:\n${formatAddresses(ips, enriched)}\n\n` +
+        `GeoIP databases:\n${databases.length > 0
+          ? databases.map(db => (db.error ? `- ${db.file}: FAILED (${db.error})` : `- ${db.file}: ${db.type}, built ${db.builtAt}`)).join('\n')
+          : 'None configured; set geoipDatabases / WIREMCP_GEOIP_DBS for country and ASN data'}\n\n` +
+        `Details (JSON for LLM):\n${JSON.stringify([...enriched.values()], null, 2)}`;
+
+      return toolResult(outputText, { addresses: [...enriched.values()], databases });
+    } catch (error) {
+      return toolError('enrich_ip', error);
+    }
+  })
+);
+
+// Tool 25: TCP health and performance diagnostics
+const tcpCountersOutputSchema = {
+  retransmissions: z.number(),
+  fastRetransmissions: z.number(),
+  duplicateAcks: z.number(),
+  zeroWindows: z.number(),
+  outOfOrder: z.number(),
+  lostSegments: z.number().describe('Segments tshark saw a gap before (previous segment not captured)'),
+  resets: z.number(),
+};
+const tcpConversationOutputSchema = record({
+  stream: z.number(),
+  client: z.string(),
+  clientPort: z.number(),
+  server: z.string(),
+  serverPort: z.number(),
+  packets: z.number(),
+  bytes: z.number(),
+  start: z.number().describe('Seconds since the start of the capture'),
+  duration: z.number(),
+  ...tcpCountersOutputSchema,
+  expertWarnings: z.number(),
+  expertErrors: z.number(),
+  handshakeRttMs: z.number().nullable(),
+  responses: z.number(),
+  avgResponseMs: z.number().nullable(),
+  maxResponseMs: z.number().nullable(),
+  score: z.number().describe('Weighted problem count used to rank streams'),
+  problems: z.array(z.string()),
+  frames: z.array(z.number()).describe('First frames with a problem'),
+});
+
+function formatTcpConversation(c) {
+  const timing = [
+    c.handshakeRttMs !== null ? `handshake RTT ${c.handshakeRttMs} ms` : null,
+    c.responses > 0 ? `${c.responses} responses, avg ${c.avgResponseMs} ms, max ${c.maxResponseMs} ms` : null,
+  ].filter(part => part);
+  return `stream ${c.stream}: ${formatEndpoint(c.client, c.clientPort)} -> ${formatEndpoint(c.server, c.serverPort)} ` +
+    `(${c.packets} packets, ${c.bytes} bytes, score ${c.score})` +
+    `${c.problems.length > 0 ? `: ${c.problems.join(', ')}` : ''}${timing.length > 0 ? `; ${timing.join('; ')}` : ''}`;
+}
+
+server.registerTool(
+  'diagnose_tcp',
   {
-    interface: z.string().optional().default('en0').describe('Network interface to capture from (e.g., eth0, en0)'),
-    duration: z.number().optional().default(5).describe('Capture duration in seconds'),
+    description: 'Diagnose slow or failing TCP applications in a live capture or PCAP file: retransmissions, duplicate ACKs, zero windows, resets and out-of-order segments per conversation (tcp.analysis and expert info), handshake RTT and application response time, the worst-offending streams, and an io,stat timeline to line spikes up with errors',
+    inputSchema: {
+      ...trafficSourceSchema,
+      interval: z.number().min(0.001).max(86400).optional().describe('Timeline bucket size in seconds (default: chosen to give at most 60 buckets)'),
+      maxStreams: z.number().int().min(1).max(1000).optional().default(10).describe('Maximum worst-offending and slowest streams to list'),
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      totals: record({
+        packets: z.number(),
+        conversations: z.number(),
+        ...tcpCountersOutputSchema,
+        medianHandshakeRttMs: z.number().nullable(),
+        maxResponseMs: z.number().nullable(),
+      }),
+      worstStreams: z.array(tcpConversationOutputSchema).describe('Streams with problems by descending score, capped at maxStreams'),
+      slowestStreams: z.array(tcpConversationOutputSchema).describe('Streams by descending maximum response time, capped at maxStreams'),
+      expert: z.array(record({ severity: z.string(), message: z.string(), count: z.number() })).nullable()
+        .describe('Most frequent expert info messages; null when this tshark cannot report them'),
+      interval: z.number().nullable(),
+      timeline: z.array(record({
+        start: z.number(),
+        end: z.number().nullable(),
+        frames: z.number(),
+        bytes: z.number(),
+        retransmissions: z.number(),
+        duplicateAcks: z.number(),
+        zeroWindows: z.number(),
+        resets: z.number(),
+        outOfOrder: z.number(),
+      })),
+    },
   },
-  async (args) => {
+  withRequest('diagnose_tcp', async (args) => {
     try {
       const tsharkPath = await findTshark();
-      const { interface, duration } = args;
-      const tempPcap = 'temp_capture.pcap';
-      console.error(`Capturing conversations on ${interface} for ${duration}s`);
+      const source = await resolveTrafficSource(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      console.error(`Diagnosing TCP in ${source.pcapPath}`);
 
-      await execAsync(
-        `${tsharkPath} -i ${interface} -w ${tempPcap} -a duration:${duration}`,
-        { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
-      );
+      const collected = await collectTcpConversations(tsharkPath, source.pcapPath, args.displayFilter, decryption.args);
+      const { expertAvailable } = collected;
+      const diagnosis = diagnoseConversations(collected);
+      const worst = diagnosis.conversations.filter(c => c.score > 0).slice(0, args.maxStreams);
+      const slowest = diagnosis.slowest.slice(0, args.maxStreams);
 
-      const { stdout, stderr } = await execAsync(
-        `${tsharkPath} -r "${tempPcap}" -qz conv,tcp`,
-        { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
-      );
-      if (stderr) console.error(`tshark stderr: ${stderr}`);
+      const interval = collected.packets > 0 ? args.interval || timelineInterval(collected.lastTime) : null;
+      const timeline = interval
+        ? await ioTimeline(tsharkPath, source.pcapPath, { interval, displayFilter: args.displayFilter, extraArgs: decryption.args })
+        : [];
+      console.error(`Diagnosed ${diagnosis.conversations.length} TCP conversations, ${worst.length} with problems`);
 
-      await fs.unlink(tempPcap).catch(err => console.error(`Failed to delete ${tempPcap}: ${err.message}`));
+      const t = diagnosis.totals;
+      const errorCount = b => b.retransmissions + b.duplicateAcks + b.zeroWindows + b.resets + b.outOfOrder;
+      const outputText = `${sourceNote(source)}\n\n` +
+        `TCP packets: ${t.packets}, conversations: ${t.conversations}\n` +
+        `Retransmissions: ${t.retransmissions} (fast: ${t.fastRetransmissions}), duplicate ACKs: ${t.duplicateAcks}, ` +
+        `zero windows: ${t.zeroWindows}, resets: ${t.resets}, out-of-order: ${t.outOfOrder}, not captured: ${t.lostSegments}\n` +
+        `Median handshake RTT: ${t.medianHandshakeRttMs !== null ? `${t.medianHandshakeRttMs} ms` : 'n/a'}, ` +
+        `slowest response: ${t.maxResponseMs !== null ? `${t.maxResponseMs} ms` : 'n/a'}\n\n` +
+        `Worst-offending streams:\n${worst.map(formatTcpConversation).join('\n') || 'None'}\n\n` +
+        `Slowest application responses:\n${slowest.map(formatTcpConversation).join('\n') || 'None'}\n\n` +
+        `Expert info:\n${expertAvailable
+          ? diagnosis.expert.map(e => `[${e.severity}] ${e.message}: ${e.count}`).join('\n') || 'None'
+          : 'Not available from this tshark version'}\n\n` +
+        `I/O timeline${interval ? ` (${interval}s buckets)` : ''}:\n${timeline.map(b =>
+          `${b.start}s-${b.end === null ? 'end' : `${b.end}s`}: ${b.frames} frames, ${b.bytes} bytes` +
+          (errorCount(b) > 0
+            ? `, ${b.retransmissions} retransmissions, ${b.duplicateAcks} dup ACKs, ${b.zeroWindows} zero windows, ${b.resets} resets, ${b.outOfOrder} out-of-order`
+            : '')).join('\n') || 'None'}\n\n` +
+        `Worst streams (JSON for LLM):\n${JSON.stringify(worst)}` +
+        await decryptionNote(tsharkPath, source.pcapPath, decryption);
 
-      return {
-        content: [{
-          type: 'text',
-          text: `TCP/UDP conversation statistics for LLM analysis:\n${stdout}`,
-        }],
-      };
+      return toolResult(outputText, {
+        ...sourceOutput(source),
+        totals: t,
+        worstStreams: worst,
+        slowestStreams: slowest,
+        expert: expertAvailable ? diagnosis.expert : null,
+        interval,
+        timeline,
+      });
     } catch (error) {
-      console.error(`Error in get_conversations: ${error.message}`);
-      return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      return toolError('diagnose_tcp', error);
     }
-  }
+  })
 );
 
-// Tool 4: Capture traffic and check threats against URLhaus
-server.tool(
-  'check_threats',
-  'Capture live traffic and check IPs against URLhaus blacklist',
+// Tool 26: Passive asset inventory
+function formatInventoryHost(h) {
+  const macs = h.macs.map(m => `${m.mac} (${m.vendor || (m.locallyAdministered ? 'randomized/locally administered' : 'unknown vendor')})`);
+  const details = [
+    h.hostnames.length > 0 ? `names: ${h.hostnames.map(n => `${n.name} [${n.sources.join(', ')}]`).join(', ')}` : null,
+    h.osHints.length > 0 ? `OS: ${[...new Set(h.osHints.map(hint => hint.hint))].join('; ')}` : null,
+    ...h.dhcp.map(d => `DHCP: ${[d.vendorClass && `vendor class "${d.vendorClass}"`, d.parameterRequestList && `options ${d.parameterRequestList}`]
+      .filter(part => part).join(', ') || 'client seen'}`),
+    h.services.length > 0 ? `services: ${h.services.map(s => `${s.port}/${s.protocol}`).join(', ')}` : null,
+    h.mdnsServices.length > 0 ? `mDNS: ${h.mdnsServices.join(', ')}` : null,
+    h.device ? `device: ${[h.device.description, h.device.portId && `port ${h.device.portId}`].filter(part => part).join(', ') || h.device.protocols.join('/')}` : null,
+  ].filter(part => part);
+  return `${h.addresses.join(', ') || '(no IP)'}${macs.length > 0 ? ` - ${macs.join(', ')}` : ''}` +
+    `${details.length > 0 ? `\n  ${details.join('\n  ')}` : ''}`;
+}
+
+server.registerTool(
+  'build_inventory',
   {
-    interface: z.string().optional().default('en0').describe('Network interface to capture from (e.g., eth0, en0)'),
-    duration: z.number().optional().default(5).describe('Capture duration in seconds'),
+    description: 'Build a passive asset inventory from a live capture or PCAP file: one record per host with IP and MAC addresses, OUI vendor, hostnames from DHCP, NBNS, mDNS and LLDP/CDP, DHCP fingerprints, OS hints from TTL and TCP window size, and services that answered',
+    inputSchema: {
+      ...trafficSourceSchema,
+      includeExternal: z.boolean().optional().default(false).describe('Also list addresses only seen through a router (e.g. internet hosts)'),
+      maxHosts: z.number().int().min(1).max(10000).optional().default(500).describe('Maximum hosts to return'),
+    },
+    outputSchema: {
+      ...sourceOutputSchema,
+      packets: z.number(),
+      totalHosts: z.number(),
+      ouiSource: z.string().nullable().describe('OUI table used for MAC vendors; null when none was found'),
+      missingFields: z.array(z.string()).describe('Fields this tshark does not support, so their protocols were skipped'),
+      hosts: z.array(record({
+        addresses: z.array(z.string()),
+        macs: z.array(record({ mac: z.string(), vendor: z.string().nullable(), locallyAdministered: z.boolean() })),
+        hostnames: z.array(record({ name: z.string(), sources: z.array(z.string()) })),
+        dhcp: z.array(record({
+          mac: z.string(),
+          hostname: z.string().nullable(),
+          vendorClass: z.string().nullable(),
+          parameterRequestList: z.string().nullable().describe('DHCP option 55, the client\'s fingerprint'),
+        })),
+        osHints: z.array(record({ source: z.string(), hint: z.string(), detail: z.string() })),
+        services: z.array(record({ protocol: z.string(), port: z.number(), answers: z.number() })),
+        mdnsServices: z.array(z.string()),
+        device: record({
+          protocols: z.array(z.string()),
+          description: z.string().nullable(),
+          portId: z.string().nullable(),
+          managementAddresses: z.array(z.string()),
+        }).nullable().describe('What the host announced about itself over LLDP or CDP'),
+        packets: z.number(),
+        firstFrame: z.number().nullable(),
+      })).describe('Hosts sorted by address, capped at maxHosts'),
+    },
   },
-  async (args) => {
+  withRequest('build_inventory', async (args) => {
     try {
       const tsharkPath = await findTshark();
-      const { interface, duration } = args;
-      const tempPcap = 'temp_capture.pcap';
-      console.error(`Capturing traffic on ${interface} for ${duration}s to check threats`);
+      const source = await resolveTrafficSource(tsharkPath, args);
+      const decryption = await resolveDecryption(args);
+      console.error(`Building asset inventory from ${source.pcapPath}`);
 
-      await execAsync(
-        `${tsharkPath} -i ${interface} -w ${tempPcap} -a duration:${duration}`,
-        { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
-      );
-
-      const { stdout } = await execAsync(
-        `${tsharkPath} -r "${tempPcap}" -T fields -e ip.src -e ip.dst`,
-        { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
-      );
-      const ips = [...new Set(stdout.split('\n').flatMap(line => line.split('\t')).filter(ip => ip && ip !== 'unknown'))];
-      console.error(`Captured ${ips.length} unique IPs: ${ips.join(', ')}`);
-
-      const urlhausUrl = 'https://urlhaus.abuse.ch/downloads/text/';
-      console.error(`Fetching URLhaus blacklist from ${urlhausUrl}`);
-      let urlhausData;
-      let urlhausThreats = [];
-      try {
-        const response = await axios.get(urlhausUrl);
-        console.error(`URLhaus response status: ${response.status}, length: ${response.data.length} chars`);
-        console.error(`URLhaus raw data (first 200 chars): ${response.data.slice(0, 200)}`);
-        const ipRegex = /\b\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}\b/;
-        urlhausData = [...new Set(response.data.split('\n')
-          .map(line => {
-            const match = line.match(ipRegex);
-            return match ? match[0] : null;
-          })
-          .filter(ip => ip))];
-        console.error(`URLhaus lookup successful: ${urlhausData.length} blacklist IPs fetched`);
-        console.error(`Sample URLhaus IPs: ${urlhausData.slice(0, 5).join(', ') || 'None'}`);
-        urlhausThreats = ips.filter(ip => urlhausData.includes(ip));
-        console.error(`Checked IPs against URLhaus: ${urlhausThreats.length} threats found - ${urlhausThreats.join(', ') || 'None'}`);
-      } catch (e) {
-        console.error(`Failed to fetch URLhaus data: ${e.message}`);
-        urlhausData = [];
-      }
+      const ouiTable = await loadOuiTable(tsharkPath);
+      const collected = await collectInventory(tsharkPath, source.pcapPath, args.displayFilter, decryption.args);
+      const hosts = buildInventory(collected, ouiTable, { includeExternal: args.includeExternal });
+      const shown = hosts.slice(0, args.maxHosts);
+      console.error(`Inventoried ${hosts.length} hosts from ${collected.packets} packets`);
 
-      const outputText = `Captured IPs:\n${ips.join('\n')}\n\n` +
-        `Threat check against URLhaus blacklist:\n${
-          urlhausThreats.length > 0 ? `Potential threats: ${urlhausThreats.join(', ')}` : 'No threats detected in URLhaus blacklist.'
-        }`;
+      const outputText = `${sourceNote(source)}\n\n` +
+        `Packets: ${collected.packets}, hosts: ${hosts.length}\n` +
+        `MAC vendors: ${ouiTable.source || (ouiTable.error ? `OUI table unreadable (${ouiTable.error})` : 'no OUI table found; set ouiFile / WIREMCP_OUI_FILE')}\n` +
+        (collected.missingFields.length > 0 ? `Not supported by this tshark, skipped: ${collected.missingFields.join(', ')}\n` : '') +
+        `\nHosts:\n${shown.map(formatInventoryHost).join('\n') || 'None'}` +
+        (hosts.length > shown.length ? `\nNote: showing ${shown.length} of ${hosts.length} hosts; raise maxHosts or narrow with displayFilter.` : '') +
+        `\n\nInventory (JSON for LLM):\n${JSON.stringify(shown)}` +
+        await decryptionNote(tsharkPath, source.pcapPath, decryption);
 
-      await fs.unlink(tempPcap).catch(err => console.error(`Failed to delete ${tempPcap}: ${err.message}`));
-
-      return {
-        content: [{ type: 'text', text: outputText }],
-      };
+      return toolResult(outputText, {
+        ...sourceOutput(source),
+        packets: collected.packets,
+        totalHosts: hosts.length,
+        ouiSource: ouiTable.source,
+        missingFields: collected.missingFields,
+        hosts: shown,
+      });
     } catch (error) {
-      console.error(`Error in check_threats: ${error.message}`);
-      return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      return toolError('build_inventory', error);
     }
-  }
+  })
 );
 
-// Tool 5: Check a specific IP against URLhaus IOCs
-server.tool(
-  'check_ip_threats',
-  'Check a given IP address against URLhaus blacklist for IOCs',
+// Resource: capture files in the PCAP library
+server.resource(
+  'pcap_library',
+  new ResourceTemplate('pcap://library/{file}', {
+    list: async () => ({
+      resources: (await listLibraryPcaps()).map(file => ({
+        uri: `pcap://library/${encodeURIComponent(file.name)}`,
+        name: file.name,
+        description: `${file.size} bytes, modified ${file.modified}`,
+        mimeType: 'application/json',
+      })),
+    }),
+  }),
   {
-    ip: z.string().regex(/\b\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}\b/).describe('IP address to check (e.g., 192.168.1.1)'),
+    description: 'Capture files in the PCAP library (WIREMCP_PCAP_DIR). Reading one returns its capinfos metadata and the pcapPath to pass to analysis tools',
+    mimeType: 'application/json',
   },
-  async (args) => {
+  async (uri, { file }) => {
     try {
-      const { ip } = args;
-      console.error(`Checking IP ${ip} against URLhaus blacklist`);
-
-      const urlhausUrl = 'https://urlhaus.abuse.ch/downloads/text/';
-      console.error(`Fetching URLhaus blacklist from ${urlhausUrl}`);
-      let urlhausData;
-      let isThreat = false;
-      try {
-        const response = await axios.get(urlhausUrl);
-        console.error(`URLhaus response status: ${response.status}, length: ${response.data.length} chars`);
-        console.error(`URLhaus raw data (first 200 chars): ${response.data.slice(0, 200)}`);
-        const ipRegex = /\b\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}\b/;
-        urlhausData = [...new Set(response.data.split('\n')
-          .map(line => {
-            const match = line.match(ipRegex);
-            return match ? match[0] : null;
-          })
-          .filter(ip => ip))];
-        console.error(`URLhaus lookup successful: ${urlhausData.length} blacklist IPs fetched`);
-        console.error(`Sample URLhaus IPs: ${urlhausData.slice(0, 5).join(', ') || 'None'}`);
-        isThreat = urlhausData.includes(ip);
-        console.error(`IP ${ip} checked against URLhaus: ${isThreat ? 'Threat found' : 'No threat found'}`);
-      } catch (e) {
-        console.error(`Failed to fetch URLhaus data: ${e.message}`);
-        urlhausData = [];
-      }
-
-      const outputText = `IP checked: ${ip}\n\n` +
-        `Threat check against URLhaus blacklist:\n${
-          isThreat ? 'Potential threat detected in URLhaus blacklist.' : 'No threat detected in URLhaus blacklist.'
-        }`;
-
+      const tsharkPath = await findTshark();
+      const pcapPath = await resolveLibraryPcap(decodeURIComponent(file));
+      const metadata = await readCapinfos(tsharkPath, pcapPath);
       return {
-        content: [{ type: 'text', text: outputText }],
+        contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify({ pcapPath, ...metadata }, null, 2) }],
       };
     } catch (error) {
-      console.error(`Error in check_ip_threats: ${error.message}`);
-      return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      console.error(`Error reading resource ${uri.href}: ${error.message}`);
+      throw error;
     }
   }
 );
 
-// Tool 6: Analyze an existing PCAP file for general context
-server.tool(
-  'analyze_pcap',
-  'Analyze a PCAP file and provide general packet data as JSON for LLM analysis',
+// Resource: finished capture sessions, listed as soon as they exist
+server.resource(
+  'capture_sessions',
+  new ResourceTemplate('pcap://session/{sessionId}', {
+    list: async () => ({
+      resources: listSessions().filter(session => !session.capturing).map(session => ({
+        uri: `pcap://session/${session.id}`,
+        name: `Capture session ${session.id}`,
+        description: session.interface
+          ? `Captured on ${session.interface}${session.captureFilter ? ` with filter "${session.captureFilter}"` : ''}`
+          : `Session for ${session.pcapPath}`,
+        mimeType: 'application/json',
+      })),
+    }),
+  }),
   {
-    pcapPath: z.string().describe('Path to the PCAP file to analyze (e.g., ./demo.pcap)'),
+    description: 'Capture sessions created by the capture tools. Reading one returns its capinfos metadata and the sessionId to pass to analysis tools',
+    mimeType: 'application/json',
   },
-  async (args) => {
+  async (uri, { sessionId }) => {
     try {
       const tsharkPath = await findTshark();
-      const { pcapPath } = args;
-      console.error(`Analyzing PCAP file: ${pcapPath}`);
-
-      // Check if file exists
-      await fs.access(pcapPath);
-
-      // Extract broad packet data
-      const { stdout, stderr } = await execAsync(
-        `${tsharkPath} -r "${pcapPath}" -T json -e frame.number -e ip.src -e ip.dst -e tcp.srcport -e tcp.dstport -e udp.srcport -e udp.dstport -e http.host -e http.request.uri -e frame.protocols`,
-        { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
-      );
-      if (stderr) console.error(`tshark stderr: ${stderr}`);
-      const packets = JSON.parse(stdout);
-
-      const ips = [...new Set(packets.flatMap(p => [
-        p._source?.layers['ip.src']?.[0],
-        p._source?.layers['ip.dst']?.[0]
-      ]).filter(ip => ip))];
-      console.error(`Found ${ips.length} unique IPs: ${ips.join(', ')}`);
-
-      const urls = packets
-        .filter(p => p._source?.layers['http.host'] && p._source?.layers['http.request.uri'])
-        .map(p => `http://${p._source.layers['http.host'][0]}${p._source.layers['http.request.uri'][0]}`);
-      console.error(`Found ${urls.length} URLs: ${urls.join(', ') || 'None'}`);
-
-      const protocols = [...new Set(packets.map(p => p._source?.layers['frame.protocols']?.[0]))].filter(p => p);
-      console.error(`Found protocols: ${protocols.join(', ') || 'None'}`);
-
-      const maxChars = 720000;
-      let jsonString = JSON.stringify(packets);
-      if (jsonString.length > maxChars) {
-        const trimFactor = maxChars / jsonString.length;
-        const trimCount = Math.floor(packets.length * trimFactor);
-        packets.splice(trimCount);
-        jsonString = JSON.stringify(packets);
-        console.error(`Trimmed packets from ${packets.length} to ${trimCount} to fit ${maxChars} chars`);
-      }
-
-      const outputText = `Analyzed PCAP: ${pcapPath}\n\n` +
-        `Unique IPs:\n${ips.join('\n')}\n\n` +
-        `URLs:\n${urls.length > 0 ? urls.join('\n') : 'None'}\n\n` +
-        `Protocols:\n${protocols.join('\n') || 'None'}\n\n` +
-        `Packet Data (JSON for LLM):\n${jsonString}`;
-
+      const session = getSession(sessionId);
+      const metadata = await readCapinfos(tsharkPath, session.pcapPath);
       return {
-        content: [{ type: 'text', text: outputText }],
+        contents: [{
+          uri: uri.href,
+          mimeType: 'application/json',
+          text: JSON.stringify({ sessionId: session.id, session: describeSession(session), ...metadata }, null, 2),
+        }],
       };
     } catch (error) {
-      console.error(`Error in analyze_pcap: ${error.message}`);
-      return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+      console.error(`Error reading resource ${uri.href}: ${error.message}`);
+      throw error;
     }
   }
 );
 
-// Tool 7: Extract credentials from a PCAP file
-server.tool(
-    'extract_credentials',
-    'Extract potential credentials (HTTP Basic Auth, FTP, Telnet) from a PCAP file for LLM analysis',
-    {
-      pcapPath: z.string().describe('Path to the PCAP file to analyze (e.g., ./demo.pcap)'),
-    },
-    async (args) => {
-      try {
-        const tsharkPath = await findTshark();
-        const { pcapPath } = args;
-        console.error(`Extracting credentials from PCAP file: ${pcapPath}`);
-  
-        await fs.access(pcapPath);
-  
-        // Extract plaintext credentials
-        const { stdout: plaintextOut } = await execAsync(
-          `${tsharkPath} -r "${pcapPath}" -T fields -e http.authbasic -e ftp.request.command -e ftp.request.arg -e telnet.data -e frame.number`,
-          { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
-        );
-
-        // Extract Kerberos credentials
-        const { stdout: kerberosOut } = await execAsync(
-          `${tsharkPath} -r "${pcapPath}" -T fields -e kerberos.CNameString -e kerberos.realm -e kerberos.cipher -e kerberos.type -e kerberos.msg_type -e frame.number`,
-          { env: { ...process.env, PATH: `${process.env.PATH}:/usr/bin:/usr/local/bin:/opt/homebrew/bin` } }
-        );
-
-        const lines = plaintextOut.split('\n').filter(line => line.trim());
-        const packets = lines.map(line => {
-          const [authBasic, ftpCmd, ftpArg, telnetData, frameNumber] = line.split('\t');
-          return {
-            authBasic: authBasic || '',
-            ftpCmd: ftpCmd || '',
-            ftpArg: ftpArg || '',
-            telnetData: telnetData || '',
-            frameNumber: frameNumber || ''
-          };
-        });
-  
-        const credentials = {
-          plaintext: [],
-          encrypted: []
-        };
-  
-        // Process HTTP Basic Auth
-        packets.forEach(p => {
-          if (p.authBasic) {
-            const [username, password] = Buffer.from(p.authBasic, 'base64').toString().split(':');
-            credentials.plaintext.push({ type: 'HTTP Basic Auth', username, password, frame: p.frameNumber });
-          }
-        });
-  
-        // Process FTP
-        packets.forEach(p => {
-          if (p.ftpCmd === 'USER') {
-            credentials.plaintext.push({ type: 'FTP', username: p.ftpArg, password: '', frame: p.frameNumber });
-          }
-          if (p.ftpCmd === 'PASS') {
-            const lastUser = credentials.plaintext.findLast(c => c.type === 'FTP' && !c.password);
-            if (lastUser) lastUser.password = p.ftpArg;
-          }
-        });
-  
-        // Process Telnet
-        packets.forEach(p => {
-          if (p.telnetData) {
-            const telnetStr = p.telnetData.trim();
-            if (telnetStr.toLowerCase().includes('login:') || telnetStr.toLowerCase().includes('password:')) {
-              credentials.plaintext.push({ type: 'Telnet Prompt', data: telnetStr, frame: p.frameNumber });
-            } else if (telnetStr && !telnetStr.match(/[A-Z][a-z]+:/) && !telnetStr.includes(' ')) {
-              const lastPrompt = credentials.plaintext.findLast(c => c.type === 'Telnet Prompt');
-              if (lastPrompt && lastPrompt.data.toLowerCase().includes('login:')) {
-                credentials.plaintext.push({ type: 'Telnet', username: telnetStr, password: '', frame: p.frameNumber });
-              } else if (lastPrompt && lastPrompt.data.toLowerCase().includes('password:')) {
-                const lastUser = credentials.plaintext.findLast(c => c.type === 'Telnet' && !c.password);
-                if (lastUser) lastUser.password = telnetStr;
-                else credentials.plaintext.push({ type: 'Telnet', username: '', password: telnetStr, frame: p.frameNumber });
-              }
-            }
-          }
-        });
+// Tell clients to refresh the resource list when sessions come and go
+sessionEvents.on('change', () => server.sendResourceListChanged());
 
-        // Process Kerberos credentials
-        const kerberosLines = kerberosOut.split('\n').filter(line => line.trim());
-        kerberosLines.forEach(line => {
-          const [cname, realm, cipher, type, msgType, frameNumber] = line.split('\t');
-          
-          if (cipher && type) {
-            let hashFormat = '';
-            // Format hash based on message type
-            if (msgType === '10' || msgType === '30') { // AS-REQ or TGS-REQ
-              hashFormat = '$krb5pa$23$';
-              if (cname) hashFormat += `${cname}$`;
-              if (realm) hashFormat += `${realm}$`;
-              hashFormat += cipher;
-            } else if (msgType === '11') { // AS-REP
-              hashFormat = '$krb5asrep$23$';
-              if (cname) hashFormat += `${cname}@`;
-              if (realm) hashFormat += `${realm}$`;
-              hashFormat += cipher;
-            }
-
-            if (hashFormat) {
-              credentials.encrypted.push({
-                type: 'Kerberos',
-                hash: hashFormat,
-                username: cname || 'unknown',
-                realm: realm || 'unknown',
-                frame: frameNumber,
-                crackingMode: msgType === '11' ? 'hashcat -m 18200' : 'hashcat -m 7500'
-              });
-            }
-          }
-        });
+// Every registered prompt name, so analysis profiles cannot reuse one
+const PROMPT_NAMES = new Set();
 
-        console.error(`Found ${credentials.plaintext.length} plaintext and ${credentials.encrypted.length} encrypted credentials`);
-  
-        const outputText = `Analyzed PCAP: ${pcapPath}\n\n` +
-          `Plaintext Credentials:\n${credentials.plaintext.length > 0 ? 
-            credentials.plaintext.map(c => 
-              c.type === 'Telnet Prompt' ? 
-                `${c.type}: ${c.data} (Frame ${c.frame})` : 
-                `${c.type}: ${c.username}:${c.password} (Frame ${c.frame})`
-            ).join('\n') : 
-            'None'}\n\n` +
-          `Encrypted/Hashed Credentials:\n${credentials.encrypted.length > 0 ?
-            credentials.encrypted.map(c =>
-              `${c.type}: User=${c.username} Realm=${c.realm} (Frame ${c.frame})\n` +
-              `Hash=${c.hash}\n` +
-              `Cracking Command: ${c.crackingMode}\n`
-            ).join('\n') :
-            'None'}\n\n` +
-          `Note: Encrypted credentials can be cracked using tools like John the Ripper or hashcat.\n` +
-          `For Kerberos hashes:\n` +
-          `- AS-REQ/TGS-REQ: hashcat -m 7500 or john --format=krb5pa-md5\n` +
-          `- AS-REP: hashcat -m 18200 or john --format=krb5asrep`;
-  
-        return {
-          content: [{ type: 'text', text: outputText }],
-        };
-      } catch (error) {
-        console.error(`Error in extract_credentials: ${error.message}`);
-        return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
-      }
-    }
-  );
+function registerPrompt(name, ...args) {
+  PROMPT_NAMES.add(name);
+  return server.prompt(name, ...args);
+}
 
 // Add prompts for each tool
-server.prompt(
+function interfaceLabel(iface) {
+  return iface ? `interface ${iface}` : 'the default capture interface';
+}
+
+registerPrompt(
   'capture_packets_prompt',
   {
     interface: z.string().optional().describe('Network interface to capture from'),
     duration: z.number().optional().describe('Duration in seconds to capture'),
   },
-  ({ interface = 'en0', duration = 5 }) => ({
+  ({ interface: iface, duration = 5 }) => ({
     messages: [{
       role: 'user',
       content: {
         type: 'text',
-        text: `Please analyze the network traffic on interface ${interface} for ${duration} seconds and provide insights about:
+        text: `Please analyze the network traffic on ${interfaceLabel(iface)} for ${duration} seconds and provide insights about:
 1. The types of traffic observed
 2. Any notable patterns or anomalies
 3. Key IP addresses and ports involved
@@ -530,18 +2208,18 @@ server.prompt(
   })
 );
 
-server.prompt(
+registerPrompt(
   'summary_stats_prompt',
   {
     interface: z.string().optional().describe('Network interface to capture from'),
     duration: z.number().optional().describe('Duration in seconds to capture'),
   },
-  ({ interface = 'en0', duration = 5 }) => ({
+  ({ interface: iface, duration = 5 }) => ({
     messages: [{
       role: 'user',
       content: {
         type: 'text',
-        text: `Please provide a summary of network traffic statistics from interface ${interface} over ${duration} seconds, focusing on:
+        text: `Please provide a summary of network traffic statistics from ${interfaceLabel(iface)} over ${duration} seconds, focusing on:
 1. Protocol distribution
 2. Traffic volume by protocol
 3. Notable patterns in protocol usage
@@ -551,18 +2229,18 @@ server.prompt(
   })
 );
 
-server.prompt(
+registerPrompt(
   'conversations_prompt',
   {
     interface: z.string().optional().describe('Network interface to capture from'),
     duration: z.number().optional().describe('Duration in seconds to capture'),
   },
-  ({ interface = 'en0', duration = 5 }) => ({
+  ({ interface: iface, duration = 5 }) => ({
     messages: [{
       role: 'user',
       content: {
         type: 'text',
-        text: `Please analyze network conversations on interface ${interface} for ${duration} seconds and identify:
+        text: `Please analyze network conversations on ${interfaceLabel(iface)} for ${duration} seconds and identify:
 1. Most active IP pairs
 2. Conversation durations and data volumes
 3. Unusual communication patterns
@@ -572,19 +2250,19 @@ server.prompt(
   })
 );
 
-server.prompt(
+registerPrompt(
   'check_threats_prompt',
   {
     interface: z.string().optional().describe('Network interface to capture from'),
     duration: z.number().optional().describe('Duration in seconds to capture'),
   },
-  ({ interface = 'en0', duration = 5 }) => ({
+  ({ interface: iface, duration = 5 }) => ({
     messages: [{
       role: 'user',
       content: {
         type: 'text',
-        text: `Please analyze traffic on interface ${interface} for ${duration} seconds and check for security threats:
-1. Compare captured IPs against URLhaus blacklist
+        text: `Please analyze traffic on ${interfaceLabel(iface)} for ${duration} seconds and check for security threats:
+1. Compare captured IPs against the threat intelligence feeds
 2. Identify potential malicious activity
 3. Highlight any concerning patterns
 4. Provide security recommendations`
@@ -593,7 +2271,7 @@ server.prompt(
   })
 );
 
-server.prompt(
+registerPrompt(
   'check_ip_threats_prompt',
   {
     ip: z.string().describe('IP address to check'),
@@ -604,7 +2282,7 @@ server.prompt(
       content: {
         type: 'text',
         text: `Please analyze the following IP address (${ip}) for potential security threats:
-1. Check against URLhaus blacklist
+1. Check against the threat intelligence feeds
 2. Evaluate the IP's reputation
 3. Identify any known malicious activity
 4. Provide security recommendations`
@@ -613,7 +2291,7 @@ server.prompt(
   })
 );
 
-server.prompt(
+registerPrompt(
   'analyze_pcap_prompt',
   {
     pcapPath: z.string().describe('Path to the PCAP file'),
@@ -634,7 +2312,7 @@ server.prompt(
   })
 );
 
-server.prompt(
+registerPrompt(
   'extract_credentials_prompt',
   {
     pcapPath: z.string().describe('Path to the PCAP file'),
@@ -645,8 +2323,8 @@ server.prompt(
       content: {
         type: 'text',
         text: `Please analyze the PCAP file at ${pcapPath} for potential credential exposure:
-1. Look for plaintext credentials (HTTP Basic Auth, FTP, Telnet)
-2. Identify Kerberos authentication attempts
+1. Look for plaintext credentials (HTTP Basic Auth and form logins, FTP, Telnet, SMTP/POP3/IMAP, SNMP, LDAP)
+2. Identify Kerberos (AS-REQ, AS-REP roasting, Kerberoasting) and NTLM authentication attempts
 3. Extract any hashed credentials
 4. Provide security recommendations for credential handling`
       }
@@ -654,8 +2332,369 @@ server.prompt(
   })
 );
 
-// Start the server
-server.connect(new StdioServerTransport())
+registerPrompt(
+  'query_packets_prompt',
+  {
+    pcapPath: z.string().describe('Path to the PCAP file'),
+  },
+  ({ pcapPath }) => ({
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Please page through the packets in ${pcapPath} using query_packets and:
+1. Choose the tshark fields relevant to the question at hand
+2. Follow nextCursor until every matching packet has been reviewed
+3. Narrow the search with display filters or frame ranges where useful
+4. Summarize the notable packets with their frame numbers`
+      }
+    }]
+  })
+);
+
+registerPrompt(
+  'analyze_dns_prompt',
+  {
+    pcapPath: z.string().optional().describe('Path to the PCAP file (omit to capture live traffic)'),
+    interface: z.string().optional().describe('Network interface to capture from'),
+  },
+  ({ pcapPath, interface: iface }) => ({
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Please analyze the DNS traffic ${pcapPath ? `in the PCAP file at ${pcapPath}` : `on ${interfaceLabel(iface)}`} and identify:
+1. The most queried domains and the clients querying them
+2. Clients with unusually high NXDOMAIN ratios
+3. Signs of DNS tunneling or DGA-generated domains
+4. Domains listed by the threat intelligence feeds
+5. Recommended follow-up actions`
+      }
+    }]
+  })
+);
+
+registerPrompt(
+  'analyze_tls_prompt',
+  {
+    pcapPath: z.string().optional().describe('Path to the PCAP file (omit to capture live traffic)'),
+    interface: z.string().optional().describe('Network interface to capture from'),
+  },
+  ({ pcapPath, interface: iface }) => ({
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Please inspect the TLS traffic ${pcapPath ? `in the PCAP file at ${pcapPath}` : `on ${interfaceLabel(iface)}`} and report:
+1. Which services were contacted (SNI, ALPN) and how they negotiated (version, cipher)
+2. Client and server fingerprints (JA3/JA3S/JA4) and any known-bad matches
+3. Certificate problems such as expired, self-signed or weak-key certificates
+4. Deprecated protocol versions or weak ciphers in use
+5. Security recommendations`
+      }
+    }]
+  })
+);
+
+registerPrompt(
+  'analyze_http_prompt',
+  {
+    pcapPath: z.string().optional().describe('Path to the PCAP file (omit to capture live traffic)'),
+    interface: z.string().optional().describe('Network interface to capture from'),
+  },
+  ({ pcapPath, interface: iface }) => ({
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Please analyze the HTTP traffic ${pcapPath ? `in the PCAP file at ${pcapPath}` : `on ${interfaceLabel(iface)}`} and report:
+1. Which hosts were contacted, by which clients, and how (methods, status codes, volume)
+2. Downloaded executables or scripts, and their SHA-256 hashes via export_http_objects
+3. Unusual or scripted user agents and POSTs to raw IP addresses
+4. Threat intelligence matches for contacted hosts and URLs
+5. Security recommendations`
+      }
+    }]
+  })
+);
+
+registerPrompt(
+  'detect_anomalies_prompt',
+  {
+    pcapPath: z.string().optional().describe('Path to the PCAP file (omit to capture live traffic)'),
+    interface: z.string().optional().describe('Network interface to capture from'),
+  },
+  ({ pcapPath, interface: iface }) => ({
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Please look for behavioral anomalies ${pcapPath ? `in the PCAP file at ${pcapPath}` : `in traffic on ${interfaceLabel(iface)}`} and report:
+1. Port scans and host sweeps, with the scanning host and its targets
+2. Hosts beaconing at regular intervals and where they beacon to
+3. Signs of ARP spoofing
+4. Unusually large outbound transfers
+5. Which findings are likely benign, which need follow-up, and recommended next steps`
+      }
+    }]
+  })
+);
+
+registerPrompt(
+  'compare_pcaps_prompt',
+  {
+    baselinePcapPath: z.string().describe('Path to the known-good baseline PCAP file'),
+    candidatePcapPath: z.string().describe('Path to the PCAP file to compare'),
+  },
+  ({ baselinePcapPath, candidatePcapPath }) => ({
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Please compare the PCAP file at ${candidatePcapPath} against the known-good baseline at ${baselinePcapPath} and explain:
+1. Which hosts appeared or disappeared, and what they are likely to be
+2. New listening services or newly contacted ports
+3. Shifts in the protocol mix
+4. Conversations whose volume changed significantly
+5. New DNS names and TLS server names
+6. Which changes look like expected drift and which deserve investigation`
+      }
+    }]
+  })
+);
+
+registerPrompt(
+  'diagnose_tcp_prompt',
+  {
+    pcapPath: z.string().optional().describe('Path to the PCAP file (omit to capture live traffic)'),
+    interface: z.string().optional().describe('Network interface to capture from'),
+  },
+  ({ pcapPath, interface: iface }) => ({
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Please diagnose TCP performance ${pcapPath ? `in the PCAP file at ${pcapPath}` : `in traffic on ${interfaceLabel(iface)}`} and explain:
+1. Which connections suffer from retransmissions, duplicate ACKs, zero windows, resets or out-of-order segments
+2. Whether the network (handshake RTT, loss) or the server (application response time) is the bottleneck
+3. When in the timeline the problems cluster, and whether they line up with traffic spikes
+4. Likely causes and what to check next`
+      }
+    }]
+  })
+);
+
+registerPrompt(
+  'build_inventory_prompt',
+  {
+    pcapPath: z.string().optional().describe('Path to the PCAP file (omit to capture live traffic)'),
+    interface: z.string().optional().describe('Network interface to capture from'),
+  },
+  ({ pcapPath, interface: iface }) => ({
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: `Please build an inventory of the devices ${pcapPath ? `in the PCAP file at ${pcapPath}` : `seen on ${interfaceLabel(iface)}`} and describe:
+1. Each host's likely role (workstation, server, printer, phone, network device, IoT) and operating system
+2. Which hosts offer which services
+3. The network infrastructure: gateways, switches and DHCP or DNS servers
+4. Devices that look unexpected, unmanaged or use randomized MAC addresses`
+      }
+    }]
+  })
+);
+
+// Analysis profiles: one tool per valid profile in the profiles directory, registered
+// after the built-in tools and prompts so that clashing names are caught.
+// Problems with a profile stop the server like invalid settings do.
+const { profiles: PROFILES, errors: profileErrors } = loadProfiles(config.profilesDir);
+CONFIG_ERRORS.push(...profileErrors);
+const profileValueSchema = z.union([z.string(), z.array(z.string()), z.null()]);
+const PROFILE_TOOLS = PROFILES.filter(profile => {
+  if (TOOL_NAMES.has(profile.name)) {
+    CONFIG_ERRORS.push(`Invalid profile ${profile.file}: name '${profile.name}' is already a built-in tool`);
+    return false;
+  }
+  if (PROMPT_NAMES.has(`${profile.name}_prompt`)) {
+    CONFIG_ERRORS.push(`Invalid profile ${profile.file}: prompt '${profile.name}_prompt' is already a built-in prompt`);
+    return false;
+  }
+  return true;
+});
+
+for (const profile of PROFILE_TOOLS) {
+  server.registerTool(
+    profile.name,
+    {
+      description: `${profile.description} (analysis profile from ${path.basename(profile.file)}; ` +
+        `fields: ${profile.fields.join(', ')}${profile.displayFilter ? `; filter: ${profile.displayFilter}` : ''})`,
+      inputSchema: {
+        ...trafficSourceSchema,
+        maxRows: z.number().int().min(1).max(PROFILE_MAX_ROWS).optional().default(profile.maxRows)
+          .describe(profile.aggregate ? 'Maximum groups to return' : 'Maximum rows to return'),
+      },
+      outputSchema: {
+        ...sourceOutputSchema,
+        profile: z.string(),
+        displayFilter: z.string().nullable().describe('Profile filter combined with the caller\'s displayFilter'),
+        totalRows: z.number().describe('Packets that matched the filter'),
+        rows: z.array(z.record(profileValueSchema)).nullable().describe('Field values per packet, capped at maxRows; null when the profile aggregates'),
+        totalGroups: z.number().nullable(),
+        groups: z.array(z.object({
+          key: z.record(profileValueSchema),
+          count: z.number(),
+          sums: z.record(z.number()),
+        })).nullable().describe('Groups by descending count, capped at maxRows; null when the profile does not aggregate'),
+      },
+    },
+    withRequest(profile.name, async (args) => {
+      try {
+        const tsharkPath = await findTshark();
+        const source = await resolveTrafficSource(tsharkPath, args);
+        const decryption = await resolveDecryption(args);
+        console.error(`Running profile ${profile.name} on ${source.pcapPath}`);
+
+        const result = await runProfile(tsharkPath, source.pcapPath, profile, {
+          displayFilter: args.displayFilter,
+          extraArgs: decryption.args,
+          maxRows: args.maxRows,
+        });
+        console.error(`Profile ${profile.name} matched ${result.totalRows} packets`);
+
+        const shown = result.groups || result.rows;
+        const total = result.groups ? result.totalGroups : result.totalRows;
+        const truncated = total > shown.length
+          ? `\nNote: showing ${shown.length} of ${total} ${result.groups ? 'groups' : 'rows'}. Narrow with displayFilter or raise maxRows.`
+          : '';
+        const outputText = `${sourceNote(source)}\n\n` +
+          `Profile: ${profile.name} - ${profile.description}\n` +
+          `Filter: ${result.filter || 'none'}\n` +
+          `Matching packets: ${result.totalRows}\n\n` +
+          (result.groups
+            ? `Groups by ${profile.aggregate.groupBy.join(', ')} (${result.totalGroups}):\n${result.groups.length > 0
+              ? result.groups.map(g => `${Object.values(g.key).map(v => (v === null ? '-' : v)).join(' | ')}: ${g.count}` +
+                Object.entries(g.sums).map(([field, sum]) => `, ${field} sum ${sum}`).join('')).join('\n')
+              : 'None'}`
+            : `Rows (JSON for LLM):\n${JSON.stringify(result.rows)}`) +
+          truncated +
+          await decryptionNote(tsharkPath, source.pcapPath, decryption);
+
+        return toolResult(outputText, {
+          ...sourceOutput(source),
+          profile: profile.name,
+          displayFilter: result.filter,
+          totalRows: result.totalRows,
+          rows: result.rows,
+          totalGroups: result.totalGroups,
+          groups: result.groups,
+        });
+      } catch (error) {
+        return toolError(profile.name, error);
+      }
+    })
+  );
+}
+
+// One prompt per analysis profile, from its prompt template or a generic request
+for (const profile of PROFILE_TOOLS) {
+  registerPrompt(
+    `${profile.name}_prompt`,
+    {
+      pcapPath: z.string().optional().describe('Path to a PCAP file to analyze'),
+      interface: z.string().optional().describe('Network interface to capture from when no pcapPath is given'),
+    },
+    ({ pcapPath, interface: iface }) => ({
+      messages: [{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: renderProfilePrompt(profile, pcapPath ? `the PCAP file at ${pcapPath}` : `live traffic on ${interfaceLabel(iface)}`),
+        }
+      }]
+    })
+  );
+}
+
+// Session pcaps are only reachable through this process, so drop them on exit
+// after stopping background captures that still write into them
+process.on('exit', killAllCapturesSync);
+process.on('exit', removeAllSessionsSync);
+process.on('exit', removeEmptyPcapSync);
+process.on('SIGINT', () => process.exit(0));
+process.on('SIGTERM', () => process.exit(0));
+
+// Warn about configured files and tools that are missing; they may appear
+// later, so unlike invalid settings they do not stop the server
+async function validateStartup() {
+  const warnings = [];
+  const missing = (label, file) => {
+    if (file && !fsSync.existsSync(file)) warnings.push(`${label} ${file} does not exist`);
+  };
+  config.allowedDirs.forEach(dir => missing('allowedDirs entry', dir));
+  if (config.allowedDirs.length === 0) {
+    warnings.push('allowedDirs is not set, so pcapPath, TLS key paths and outputDir are rejected outside pcapDir and the session directory. ' +
+      'Set allowedDirs / WIREMCP_ALLOWED_DIRS to the directories holding your captures and exports.');
+  }
+  missing('pcapDir', config.pcapDir);
+  missing('feedsFile', config.feedsFile);
+  config.blocklists.forEach(file => missing('blocklists entry', file));
+  config.tlsFingerprints.forEach(file => missing('tlsFingerprints entry', file));
+  config.geoipDatabases.forEach(file => missing('geoipDatabases entry', file));
+  missing('ouiFile', config.ouiFile);
+  // The default profiles directory is optional; a configured one should exist
+  if (config.profilesDir !== SETTINGS.profilesDir.default) missing('profilesDir', config.profilesDir);
+  Object.keys(config.toolTimeouts)
+    .filter(name => !TOOL_NAMES.has(name))
+    .forEach(name => warnings.push(`toolTimeouts names unknown tool '${name}'`));
+  (await loadGeoDatabases())
+    .filter(db => db.error && fsSync.existsSync(db.file))
+    .forEach(db => warnings.push(`geoipDatabases entry ${db.file} cannot be read: ${db.error}`));
+
+  try {
+    const feeds = await loadFeedConfig();
+    Object.keys(config.feedUrls)
+      .filter(name => !feeds.some(feed => feed.name === name))
+      .forEach(name => warnings.push(`feedUrls names unknown feed '${name}'; known feeds: ${feeds.map(feed => feed.name).join(', ')}`));
+  } catch (err) {
+    warnings.push(`Threat feeds: ${err.message}`);
+  }
+
+  let tsharkPath = null;
+  try {
+    tsharkPath = await findTshark();
+    if (config.defaultInterface) {
+      const interfaces = await listInterfaces(tsharkPath);
+      if (!interfaces.some(i => i.name === config.defaultInterface || i.index === config.defaultInterface)) {
+        warnings.push(`defaultInterface '${config.defaultInterface}' is not reported by tshark -D. Available interfaces: ${interfaces.map(i => i.name).join(', ') || 'none'}`);
+      }
+    }
+    for (const profile of PROFILE_TOOLS.filter(p => p.displayFilter)) {
+      await validateDisplayFilter(tsharkPath, profile.displayFilter)
+        .catch(err => warnings.push(`Profile ${profile.name} (${profile.file}): ${err.message}`));
+    }
+  } catch (err) {
+    warnings.push(tsharkPath ? err.message
+      : `${err.message} Until then analyze_pcap, get_conversations and check_threats read PCAP files with the built-in reader in reduced mode; other tools fail.`);
+  }
+
+  console.error(`Config file: ${CONFIG_FILE}${fsSync.existsSync(CONFIG_FILE) ? '' : ' (not found, using environment and defaults)'}`);
+  if (PROFILE_TOOLS.length > 0) console.error(`Analysis profiles from ${config.profilesDir}: ${PROFILE_TOOLS.map(p => p.name).join(', ')}`);
+  warnings.forEach(warning => console.error(`Configuration warning: ${warning}`));
+}
+
+// Start the server, refusing to run with invalid settings
+if (CONFIG_ERRORS.length > 0) {
+  console.error(`Configuration errors (config file ${CONFIG_FILE}):\n${CONFIG_ERRORS.map(err => `  - ${err}`).join('\n')}`);
+  process.exit(1);
+}
+console.error(`pcapPath access restricted to: ${ALLOWED_DIRS.join(', ')}`);
+// Reap captures orphaned by a crashed run before their session directories are cleaned up
+reapOrphanedCaptures()
+  .then(removeStaleSessionDirs)
+  .catch(err => console.error(`Failed to clean up stale sessions: ${err.message}`));
+validateStartup()
+  .then(() => server.connect(new StdioServerTransport()))
   .then(() => console.error('WireMCP Server is running...'))
   .catch(err => {
     console.error('Failed to start WireMCP:', err);
@@ -0,0 +1,273 @@
+// lib/anomalies.js - Behavioral anomaly heuristics: scans, beaconing, ARP spoofing, exfiltration
+const { streamFields, isSet } = require('./tshark');
+const { isInternal } = require('./enrich');
+
+const ANOMALY_FIELDS = [
+  'frame.number', 'frame.time_epoch', 'frame.len', 'ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst',
+  'tcp.stream', 'tcp.srcport', 'tcp.dstport', 'tcp.flags.syn', 'tcp.flags.ack', 'tcp.flags.reset',
+  'udp.srcport', 'udp.dstport', 'arp.opcode', 'arp.src.proto_ipv4', 'arp.src.hw_mac',
+];
+
+// Defaults for every heuristic; callers may override any of them
+const THRESHOLDS = {
+  scanPorts: 20,
+  sweepHosts: 20,
+  scanFailureRatio: 0.7,
+  beaconMinConnections: 6,
+  beaconMinInterval: 5,
+  beaconMaxJitter: 0.1,
+  exfilMinBytes: 10 * 1024 * 1024,
+  exfilRatio: 10,
+};
+
+const MAX_EVIDENCE_FRAMES = 20;
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+function frames(list) {
+  return list.slice(0, MAX_EVIDENCE_FRAMES);
+}
+
+// Read the packets the heuristics need in a single tshark pass
+async function collectFlowPackets(tsharkPath, pcapPath, displayFilter, extraArgs = []) {
+  const base = 'tcp || udp || arp';
+  const packets = [];
+  await streamFields(tsharkPath, pcapPath, {
+    fields: ANOMALY_FIELDS,
+    filter: displayFilter ? `(${base}) && (${displayFilter})` : base,
+    extraArgs,
+  }, row => {
+    const tcp = row['tcp.stream'] !== '';
+    packets.push({
+      frame: Number(row['frame.number']),
+      time: Number(row['frame.time_epoch']),
+      length: Number(row['frame.len']) || 0,
+      src: row['ip.src'] || row['ipv6.src'],
+      dst: row['ip.dst'] || row['ipv6.dst'],
+      proto: tcp ? 'tcp' : (row['udp.srcport'] !== '' ? 'udp' : (row['arp.opcode'] !== '' ? 'arp' : '')),
+      stream: tcp ? Number(row['tcp.stream']) : null,
+      srcPort: Number(row['tcp.srcport'] || row['udp.srcport']) || null,
+      dstPort: Number(row['tcp.dstport'] || row['udp.dstport']) || null,
+      syn: isSet(row['tcp.flags.syn']),
+      ack: isSet(row['tcp.flags.ack']),
+      reset: isSet(row['tcp.flags.reset']),
+      arpOpcode: row['arp.opcode'] === '' ? null : Number(row['arp.opcode']),
+      arpIp: row['arp.src.proto_ipv4'],
+      arpMac: row['arp.src.hw_mac'],
+    });
+  });
+  return packets;
+}
+
+// Follow each TCP stream's handshake: SYN, SYN-ACK, then a plain ACK from the client
+function trackHandshakes(packets) {
+  const streams = new Map();
+  for (const p of packets) {
+    if (p.proto !== 'tcp') continue;
+    let s = streams.get(p.stream);
+    if (p.syn && !p.ack && !s) {
+      s = { client: p.src, server: p.dst, port: p.dstPort, synFrame: p.frame, time: p.time, synAck: false, completed: false };
+      streams.set(p.stream, s);
+      continue;
+    }
+    if (!s) continue;
+    if (p.syn && p.ack && p.src === s.server) s.synAck = true;
+    else if (!p.syn && p.ack && !p.reset && p.src === s.client && s.synAck) s.completed = true;
+  }
+  return [...streams.values()];
+}
+
+function scaledSeverity(count, threshold) {
+  return count >= threshold * 5 ? 'high' : 'medium';
+}
+
+function detectScans(handshakes, t) {
+  const findings = [];
+  const vertical = new Map();
+  const horizontal = new Map();
+  for (const h of handshakes) {
+    const v = vertical.get(`${h.client}|${h.server}`) || { client: h.client, server: h.server, ports: new Set(), attempts: [] };
+    v.ports.add(h.port);
+    v.attempts.push(h);
+    vertical.set(`${h.client}|${h.server}`, v);
+
+    const sweep = horizontal.get(`${h.client}|${h.port}`) || { client: h.client, port: h.port, hosts: new Set(), attempts: [] };
+    sweep.hosts.add(h.server);
+    sweep.attempts.push(h);
+    horizontal.set(`${h.client}|${h.port}`, sweep);
+  }
+
+  for (const v of vertical.values()) {
+    const failed = v.attempts.filter(h => !h.completed);
+    if (v.ports.size < t.scanPorts || failed.length / v.attempts.length < t.scanFailureRatio) continue;
+    findings.push({
+      type: 'port_scan',
+      severity: scaledSeverity(v.ports.size, t.scanPorts),
+      summary: `${v.client} sent SYNs to ${v.ports.size} ports on ${v.server}; ${failed.length} of ${v.attempts.length} never completed a handshake`,
+      evidence: {
+        source: v.client,
+        target: v.server,
+        ports: v.ports.size,
+        attempts: v.attempts.length,
+        incomplete: failed.length,
+        samplePorts: [...v.ports].slice(0, MAX_EVIDENCE_FRAMES),
+        frames: frames(failed.map(h => h.synFrame)),
+      },
+    });
+  }
+
+  for (const s of horizontal.values()) {
+    const failed = s.attempts.filter(h => !h.completed);
+    if (s.hosts.size < t.sweepHosts || failed.length / s.attempts.length < t.scanFailureRatio) continue;
+    findings.push({
+      type: 'host_sweep',
+      severity: scaledSeverity(s.hosts.size, t.sweepHosts),
+      summary: `${s.client} probed port ${s.port} on ${s.hosts.size} hosts; ${failed.length} of ${s.attempts.length} never completed a handshake`,
+      evidence: {
+        source: s.client,
+        port: s.port,
+        hosts: s.hosts.size,
+        attempts: s.attempts.length,
+        incomplete: failed.length,
+        sampleHosts: [...s.hosts].slice(0, MAX_EVIDENCE_FRAMES),
+        frames: frames(failed.map(h => h.synFrame)),
+      },
+    });
+  }
+  return findings;
+}
+
+// Connection start times per client/server/port; UDP packets within a second count as one event
+function connectionEvents(packets, handshakes) {
+  const events = new Map();
+  const add = (client, server, port, proto, time, frame) => {
+    const key = `${proto}|${client}|${server}|${port}`;
+    const entry = events.get(key) || { client, server, port, proto, times: [], frames: [] };
+    if (proto === 'udp' && entry.times.length > 0 && time - entry.times[entry.times.length - 1] < 1) return;
+    entry.times.push(time);
+    entry.frames.push(frame);
+    events.set(key, entry);
+  };
+  for (const h of handshakes) add(h.client, h.server, h.port, 'tcp', h.time, h.synFrame);
+  for (const p of packets) {
+    // Ephemeral source to a well-known or registered port approximates client to server
+    if (p.proto === 'udp' && p.srcPort > p.dstPort) add(p.src, p.dst, p.dstPort, 'udp', p.time, p.frame);
+  }
+  return [...events.values()];
+}
+
+function detectBeaconing(packets, handshakes, t) {
+  const findings = [];
+  for (const e of connectionEvents(packets, handshakes)) {
+    if (e.times.length < t.beaconMinConnections) continue;
+    const times = [...e.times].sort((a, b) => a - b);
+    const intervals = times.slice(1).map((time, i) => time - times[i]);
+    const mean = intervals.reduce((sum, x) => sum + x, 0) / intervals.length;
+    if (mean < t.beaconMinInterval) continue;
+    const stddev = Math.sqrt(intervals.reduce((sum, x) => sum + (x - mean) ** 2, 0) / intervals.length);
+    const jitter = stddev / mean;
+    if (jitter > t.beaconMaxJitter) continue;
+    findings.push({
+      type: 'beaconing',
+      severity: jitter <= t.beaconMaxJitter / 2 && !isInternal(e.server) ? 'high' : 'medium',
+      summary: `${e.client} contacted ${e.server}:${e.port}/${e.proto} ${e.times.length} times every ${mean.toFixed(1)}s (jitter ${(jitter * 100).toFixed(1)}%)`,
+      evidence: {
+        source: e.client,
+        destination: e.server,
+        port: e.port,
+        protocol: e.proto,
+        connections: e.times.length,
+        meanIntervalSeconds: Math.round(mean * 100) / 100,
+        jitter: Math.round(jitter * 1000) / 1000,
+        frames: frames(e.frames),
+      },
+    });
+  }
+  return findings;
+}
+
+function detectArpSpoofing(packets) {
+  const claims = new Map();
+  for (const p of packets) {
+    if (p.proto !== 'arp' || !p.arpIp || !p.arpMac || p.arpIp === '0.0.0.0') continue;
+    const claim = claims.get(p.arpIp) || { ip: p.arpIp, macs: new Map() };
+    const mac = claim.macs.get(p.arpMac) || { mac: p.arpMac, count: 0, frames: [] };
+    mac.count++;
+    mac.frames.push(p.frame);
+    claim.macs.set(p.arpMac, mac);
+    claims.set(p.arpIp, claim);
+  }
+  return [...claims.values()]
+    .filter(claim => claim.macs.size > 1)
+    .map(claim => {
+      const macs = [...claim.macs.values()];
+      return {
+        type: 'arp_spoofing',
+        severity: 'high',
+        summary: `${claim.ip} was claimed by ${macs.length} MAC addresses: ${macs.map(m => m.mac).join(', ')}`,
+        evidence: {
+          ip: claim.ip,
+          macs: macs.map(m => ({ mac: m.mac, packets: m.count, frames: frames(m.frames) })),
+        },
+      };
+    });
+}
+
+function detectExfiltration(packets, t) {
+  const pairs = new Map();
+  for (const p of packets) {
+    if (p.proto !== 'tcp' && p.proto !== 'udp') continue;
+    const srcInternal = isInternal(p.src);
+    if (srcInternal === isInternal(p.dst)) continue;
+    const [internal, external] = srcInternal ? [p.src, p.dst] : [p.dst, p.src];
+    const pair = pairs.get(`${internal}|${external}`) || { internal, external, out: 0, in: 0, ports: new Set(), frames: [] };
+    if (srcInternal) {
+      pair.out += p.length;
+      pair.ports.add(p.dstPort);
+      if (pair.frames.length < MAX_EVIDENCE_FRAMES) pair.frames.push(p.frame);
+    } else {
+      pair.in += p.length;
+    }
+    pairs.set(`${internal}|${external}`, pair);
+  }
+  const findings = [];
+  for (const pair of pairs.values()) {
+    if (pair.out < t.exfilMinBytes) continue;
+    const ratio = pair.in > 0 ? pair.out / pair.in : Infinity;
+    if (ratio < t.exfilRatio) continue;
+    findings.push({
+      type: 'large_outbound_transfer',
+      severity: pair.out >= t.exfilMinBytes * 10 ? 'high' : 'medium',
+      summary: `${pair.internal} sent ${pair.out} bytes to ${pair.external} and received ${pair.in} (ratio ${Number.isFinite(ratio) ? ratio.toFixed(1) : 'inf'})`,
+      evidence: {
+        source: pair.internal,
+        destination: pair.external,
+        bytesOut: pair.out,
+        bytesIn: pair.in,
+        ratio: Number.isFinite(ratio) ? Math.round(ratio * 10) / 10 : null,
+        destinationPorts: [...pair.ports].slice(0, MAX_EVIDENCE_FRAMES),
+        frames: pair.frames,
+      },
+    });
+  }
+  return findings;
+}
+
+// Run every heuristic and return findings ordered by severity
+function detectAnomalies(packets, thresholds = {}) {
+  const t = { ...THRESHOLDS, ...thresholds };
+  const handshakes = trackHandshakes(packets);
+  const findings = [
+    ...detectScans(handshakes, t),
+    ...detectBeaconing(packets, handshakes, t),
+    ...detectArpSpoofing(packets),
+    ...detectExfiltration(packets, t),
+  ].sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+  return { thresholds: t, connections: handshakes.length, findings };
+}
+
+module.exports = {
+  THRESHOLDS,
+  collectFlowPackets,
+  detectAnomalies,
+};
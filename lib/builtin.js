@@ -0,0 +1,110 @@
+// lib/builtin.js - Analyses answered by the built-in pcap reader when tshark is missing
+// Output mirrors the tshark-based tools closely enough that callers can swap backends.
+const { readPackets, decodePacket } = require('./pcap');
+const { formatEndpoint } = require('./tshark');
+
+// Read and decode every packet; returns what readPackets reports
+function decodeCapture(pcapPath, onPacket) {
+  return readPackets(pcapPath, raw => onPacket(raw, decodePacket(raw)));
+}
+
+// Packets in the shape of `tshark -T json -e ...` output, so analyze_pcap can treat both alike
+async function builtinPackets(pcapPath) {
+  const packets = [];
+  const result = await decodeCapture(pcapPath, (raw, packet) => {
+    const layers = { 'frame.number': [String(raw.number)] };
+    const ipLayer = packet.ipVersion === 6 ? 'ipv6' : 'ip';
+    if (packet.src) {
+      layers[`${ipLayer}.src`] = [packet.src];
+      layers[`${ipLayer}.dst`] = [packet.dst];
+    }
+    if (packet.transport) {
+      layers[`${packet.transport}.srcport`] = [String(packet.srcPort)];
+      layers[`${packet.transport}.dstport`] = [String(packet.dstPort)];
+    }
+    if (packet.http && packet.http.uri) {
+      if (packet.http.host) layers['http.host'] = [packet.http.host];
+      layers['http.request.uri'] = [packet.http.uri];
+    }
+    if (packet.dns && packet.dns.queries.length > 0) {
+      layers['dns.qry.name'] = packet.dns.queries.map(query => query.name);
+    }
+    layers['frame.protocols'] = [packet.protocols.join(':')];
+    packets.push({ _source: { layers } });
+  });
+  return { packets, truncated: result.truncated };
+}
+
+// TCP and UDP conversations the way tshark's conv statistics count them: address A
+// is the side that sent first, bytes are on-the-wire frame lengths
+async function builtinConversations(pcapPath) {
+  const conversations = new Map();
+  const addresses = new Set();
+  let firstTime = null;
+  const result = await decodeCapture(pcapPath, (raw, packet) => {
+    if (packet.src) {
+      addresses.add(packet.src);
+      addresses.add(packet.dst);
+    }
+    if (firstTime === null) firstTime = raw.time;
+    if (!packet.transport) return;
+    const source = `${packet.src}:${packet.srcPort}`;
+    const destination = `${packet.dst}:${packet.dstPort}`;
+    const key = `${packet.transport} ${[source, destination].sort().join(' ')}`;
+    let conversation = conversations.get(key);
+    if (!conversation) {
+      conversation = {
+        protocol: packet.transport, addressA: packet.src, portA: packet.srcPort, addressB: packet.dst, portB: packet.dstPort,
+        framesAToB: 0, bytesAToB: 0, framesBToA: 0, bytesBToA: 0, start: raw.time, end: raw.time,
+      };
+      conversations.set(key, conversation);
+    }
+    const fromA = source === `${conversation.addressA}:${conversation.portA}`;
+    conversation[fromA ? 'framesAToB' : 'framesBToA']++;
+    conversation[fromA ? 'bytesAToB' : 'bytesBToA'] += raw.length;
+    conversation.end = Math.max(conversation.end, raw.time);
+  });
+  const list = [...conversations.values()].map(c => ({
+    protocol: c.protocol, addressA: c.addressA, portA: c.portA, addressB: c.addressB, portB: c.portB,
+    framesAToB: c.framesAToB, bytesAToB: c.bytesAToB, framesBToA: c.framesBToA, bytesBToA: c.bytesBToA,
+    frames: c.framesAToB + c.framesBToA, bytes: c.bytesAToB + c.bytesBToA,
+    relativeStart: Math.round((c.start - firstTime) * 1e6) / 1e6, duration: Math.round((c.end - c.start) * 1e6) / 1e6,
+  })).sort((a, b) => b.bytes - a.bytes);
+  return { conversations: list, addresses: [...addresses], truncated: result.truncated };
+}
+
+// Unique IPv4 and IPv6 addresses in a capture
+async function builtinAddresses(pcapPath) {
+  const addresses = new Set();
+  const result = await decodeCapture(pcapPath, (raw, packet) => {
+    if (!packet.src) return;
+    addresses.add(packet.src);
+    addresses.add(packet.dst);
+  });
+  return { addresses: [...addresses], truncated: result.truncated };
+}
+
+// One table per protocol, in the column order of tshark's conv statistics
+function formatConversations(conversations) {
+  const sections = [];
+  for (const protocol of ['tcp', 'udp']) {
+    const rows = conversations.filter(c => c.protocol === protocol);
+    const lines = rows.map(c => [
+      `${formatEndpoint(c.addressA, c.portA)} <-> ${formatEndpoint(c.addressB, c.portB)}`,
+      `${c.framesBToA} frames ${c.bytesBToA} bytes <-`,
+      `-> ${c.framesAToB} frames ${c.bytesAToB} bytes`,
+      `total ${c.frames} frames ${c.bytes} bytes`,
+      `start ${c.relativeStart.toFixed(6)}s`,
+      `duration ${c.duration.toFixed(4)}s`,
+    ].join(' | '));
+    sections.push(`${protocol.toUpperCase()} Conversations (${rows.length}):\n${lines.join('\n') || 'None'}`);
+  }
+  return sections.join('\n\n');
+}
+
+module.exports = {
+  builtinPackets,
+  builtinConversations,
+  builtinAddresses,
+  formatConversations,
+};
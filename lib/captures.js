@@ -0,0 +1,277 @@
+// lib/captures.js - Long-running background captures with optional ring buffers
+// Each capture runs tshark as its own process group (tshark forwards to dumpcap),
+// writes into a capture session directory and is merged into one pcap on stop.
+const path = require('path');
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const { spawn, execFile } = require('child_process');
+const { runTshark, findWiresharkTool, capturedPacketCount } = require('./tshark');
+const { config } = require('./config');
+const { createSession, deleteSession, sessionEvents, SESSION_DIR, SESSION_TTL_MS } = require('./sessions');
+
+const MAX_CAPTURES = config.maxCaptures;
+const STOP_TIMEOUT_MS = 10000;
+const STARTUP_GRACE_MS = 1000;
+const PID_FILE = 'capture.pid';
+const RING_DIR = 'ring';
+
+const captures = new Map();
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function processCommandLine(pid) {
+  if (process.platform === 'linux') {
+    return fs.readFile(`/proc/${pid}/cmdline`, 'utf8').then(cmdline => cmdline.replace(/\0/g, ' '), () => '');
+  }
+  return new Promise(resolve => {
+    execFile('ps', ['-p', String(pid), '-o', 'command='], (error, stdout) => resolve(error ? '' : stdout));
+  });
+}
+
+// Signal tshark and the dumpcap it spawned together
+function signalCapture(child, signal) {
+  try {
+    if (process.platform === 'win32') child.kill(signal);
+    else process.kill(-child.pid, signal);
+  } catch (err) {
+    if (err.code !== 'ESRCH') console.error(`Failed to signal capture process ${child.pid}: ${err.message}`);
+  }
+}
+
+function ringArgs({ ringFileSizeKB, ringFiles, ringFileDuration }) {
+  return [
+    ...(ringFileSizeKB ? ['-b', `filesize:${ringFileSizeKB}`] : []),
+    ...(ringFileDuration ? ['-b', `duration:${ringFileDuration}`] : []),
+    ...(ringFiles ? ['-b', `files:${ringFiles}`] : []),
+  ];
+}
+
+async function captureFiles(capture) {
+  if (!capture.ring) {
+    return fsSync.existsSync(capture.session.pcapPath) ? [capture.session.pcapPath] : [];
+  }
+  const dir = path.join(capture.session.dir, RING_DIR);
+  return (await fs.readdir(dir).catch(() => [])).sort().map(name => path.join(dir, name));
+}
+
+async function capturedBytes(capture) {
+  let bytes = 0;
+  for (const file of await captureFiles(capture)) {
+    bytes += await fs.stat(file).then(stat => stat.size, () => 0);
+  }
+  return bytes;
+}
+
+// Merge ring buffer files into the session pcap once tshark has exited
+async function finalizeCapture(tsharkPath, capture) {
+  if (capture.ring) {
+    const files = await captureFiles(capture);
+    if (files.length === 1) {
+      await fs.rename(files[0], capture.session.pcapPath);
+    } else if (files.length > 1) {
+      const mergecapPath = await findWiresharkTool(tsharkPath, 'mergecap');
+      try {
+        await runTshark(mergecapPath, ['-w', capture.session.pcapPath, ...files]);
+        await fs.rm(path.join(capture.session.dir, RING_DIR), { recursive: true, force: true });
+      } catch (error) {
+        // Fall back to the newest file so the session is still usable
+        await fs.copyFile(files[files.length - 1], capture.session.pcapPath);
+        capture.notes.push(`mergecap failed (${error.message.split('\n')[0]}); the session holds only the newest ring file, all files remain in ${path.dirname(files[0])}`);
+      }
+    }
+  }
+  await fs.rm(path.join(capture.session.dir, PID_FILE), { force: true });
+  if (!fsSync.existsSync(capture.session.pcapPath)) {
+    capture.notes.push('No packets were written; the capture file is missing.');
+  }
+  capture.session.capturing = false;
+  capture.session.lastUsedAt = Date.now();
+  capture.session.expiresAt = Date.now() + SESSION_TTL_MS;
+  sessionEvents.emit('change');
+}
+
+// Start tshark in the background; options are already validated by the caller
+async function startCapture(tsharkPath, options) {
+  const running = [...captures.values()].filter(c => c.state === 'running');
+  if (running.length >= MAX_CAPTURES) {
+    throw new Error(`${running.length} background captures are already running (limit ${MAX_CAPTURES}). Stop one with stop_capture first.`);
+  }
+  const ring = Boolean(options.ringFileSizeKB || options.ringFileDuration);
+  if (options.ringFiles && !ring) {
+    throw new Error('ringFiles needs ringFileSizeKB or ringFileDuration to decide when to switch files');
+  }
+
+  const session = await createSession({
+    interface: options.interface, captureFilter: options.captureFilter, background: true, capturing: true,
+  });
+  const output = ring ? path.join(session.dir, RING_DIR, 'capture.pcapng') : session.pcapPath;
+  if (ring) await fs.mkdir(path.dirname(output), { recursive: true });
+
+  const args = [
+    '-i', options.interface, '-w', output,
+    ...ringArgs(options),
+    ...(options.maxDuration ? ['-a', `duration:${options.maxDuration}`] : []),
+    ...(options.maxPackets ? ['-c', String(options.maxPackets)] : []),
+    ...(options.captureFilter ? ['-f', options.captureFilter] : []),
+  ];
+  const child = spawn(tsharkPath, args, {
+    detached: process.platform !== 'win32',
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+
+  const capture = {
+    session, child, ring, options, state: 'running', startedAt: Date.now(), endedAt: null,
+    packets: null, exitCode: null, stderr: '', notes: [],
+  };
+  captures.set(session.id, capture);
+
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', chunk => {
+    capture.stderr = (capture.stderr + chunk).slice(-8192);
+    const count = capturedPacketCount(chunk);
+    if (count !== null) capture.packets = count;
+  });
+  capture.done = new Promise(resolve => {
+    child.on('error', error => {
+      capture.stderr += `\n${error.message}`;
+    });
+    child.on('close', code => {
+      capture.exitCode = code;
+      capture.endedAt = Date.now();
+      if (capture.state === 'running') capture.state = code === 0 ? 'finished' : 'failed';
+      console.error(`Background capture ${session.id} ${capture.state} (exit code ${code})`);
+      finalizeCapture(tsharkPath, capture)
+        .catch(error => capture.notes.push(`Could not finalize capture: ${error.message}`))
+        .then(resolve);
+    });
+  });
+
+  // Remember the process so a later server run can reap it if this one dies
+  if (child.pid) {
+    await fs.writeFile(path.join(session.dir, PID_FILE), JSON.stringify({ pid: child.pid, ownerPid: process.pid }));
+  }
+
+  // Surface immediate failures such as missing capture permissions to the caller
+  await Promise.race([capture.done, new Promise(resolve => setTimeout(resolve, STARTUP_GRACE_MS))]);
+  if (capture.state === 'failed') {
+    captures.delete(session.id);
+    await deleteSession(session.id);
+    throw new Error(`tshark failed to start capturing: ${capture.stderr.trim().split('\n').slice(-3).join(' ')}`);
+  }
+  console.error(`Started background capture ${session.id} on ${options.interface} (pid ${child.pid})`);
+  return capture;
+}
+
+async function describeCapture(capture) {
+  const files = capture.state === 'running' ? await captureFiles(capture) : [];
+  return {
+    sessionId: capture.session.id,
+    state: capture.state,
+    interface: capture.options.interface,
+    captureFilter: capture.options.captureFilter,
+    startedAt: new Date(capture.startedAt).toISOString(),
+    elapsedSeconds: Math.round(((capture.endedAt || Date.now()) - capture.startedAt) / 1000),
+    packets: capture.packets,
+    bytes: capture.state === 'running'
+      ? await capturedBytes(capture)
+      : await fs.stat(capture.session.pcapPath).then(stat => stat.size, () => 0),
+    ringBuffer: capture.ring ? { ...Object.fromEntries(['ringFileSizeKB', 'ringFileDuration', 'ringFiles']
+      .filter(key => capture.options[key]).map(key => [key, capture.options[key]])), currentFiles: capture.state === 'running' ? files.length : undefined } : null,
+    pcapPath: capture.state === 'running' ? null : capture.session.pcapPath,
+    exitCode: capture.exitCode,
+    errors: capture.state === 'failed' ? capture.stderr.trim().split('\n').slice(-5).join('\n') : undefined,
+    notes: capture.notes.length > 0 ? capture.notes : undefined,
+  };
+}
+
+function getCapture(sessionId) {
+  const capture = captures.get(sessionId);
+  if (!capture) throw new Error(`No background capture with session ID '${sessionId}'. Use capture_status to list captures.`);
+  return capture;
+}
+
+// Captures whose session has since expired or been deleted are forgotten
+function listCaptures() {
+  for (const [id, capture] of captures) {
+    if (capture.state !== 'running' && !fsSync.existsSync(capture.session.dir)) captures.delete(id);
+  }
+  return [...captures.values()];
+}
+
+// Stop a running capture and wait until its pcap is ready
+async function stopCapture(sessionId) {
+  const capture = getCapture(sessionId);
+  if (capture.state === 'running') {
+    capture.state = 'stopped';
+    signalCapture(capture.child, 'SIGINT');
+    const timer = setTimeout(() => signalCapture(capture.child, 'SIGKILL'), STOP_TIMEOUT_MS);
+    await capture.done;
+    clearTimeout(timer);
+  } else {
+    await capture.done;
+  }
+  return capture;
+}
+
+// Stop the capture if needed and drop its session
+async function discardCapture(sessionId) {
+  if (captures.has(sessionId)) {
+    await stopCapture(sessionId);
+    captures.delete(sessionId);
+  }
+  return deleteSession(sessionId);
+}
+
+// Synchronous variant for process exit handlers
+function killAllCapturesSync() {
+  for (const capture of captures.values()) {
+    if (capture.state === 'running') signalCapture(capture.child, 'SIGKILL');
+  }
+}
+
+// Kill captures left running by a WireMCP process that no longer exists
+async function reapOrphanedCaptures() {
+  const entries = await fs.readdir(SESSION_DIR, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (!entry.isDirectory() || captures.has(entry.name)) continue;
+    const pidFile = path.join(SESSION_DIR, entry.name, PID_FILE);
+    let record;
+    try {
+      record = JSON.parse(await fs.readFile(pidFile, 'utf8'));
+    } catch (err) {
+      continue;
+    }
+    if (isAlive(record.ownerPid)) continue;
+    // Only kill the recorded PID if it is still the tshark writing into this session
+    const sessionDir = path.join(SESSION_DIR, entry.name);
+    if (isAlive(record.pid) && (await processCommandLine(record.pid)).includes(sessionDir)) {
+      try {
+        if (process.platform === 'win32') process.kill(record.pid, 'SIGKILL');
+        else process.kill(-record.pid, 'SIGKILL');
+        console.error(`Killed orphaned capture process ${record.pid} from ${sessionDir}`);
+      } catch (err) {
+        console.error(`Failed to kill orphaned capture process ${record.pid}: ${err.message}`);
+      }
+    }
+    await fs.rm(pidFile, { force: true });
+  }
+}
+
+module.exports = {
+  MAX_CAPTURES,
+  startCapture,
+  stopCapture,
+  discardCapture,
+  getCapture,
+  listCaptures,
+  describeCapture,
+  killAllCapturesSync,
+  reapOrphanedCaptures,
+};
@@ -0,0 +1,206 @@
+// lib/compare.js - Baseline comparison: what changed between two captures
+const { streamFields, splitValues, isSet, formatEndpoint } = require('./tshark');
+const { protocolHierarchy } = require('./stats');
+
+const PROFILE_FIELDS = [
+  'frame.time_epoch', 'frame.len', 'ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst',
+  'tcp.srcport', 'tcp.dstport', 'tcp.flags.syn', 'tcp.flags.ack', 'udp.srcport', 'udp.dstport',
+  'dns.flags.response', 'dns.qry.name', 'tls.handshake.type', 'tls.handshake.extensions_server_name',
+];
+
+// Defaults for what counts as drift; callers may override any of them
+const THRESHOLDS = {
+  volumeChangeRatio: 0.5,
+  minConversationBytes: 10000,
+  protocolShift: 5,
+};
+
+function countInto(map, key, bytes, extra = {}) {
+  const entry = map.get(key) || { ...extra, packets: 0, bytes: 0 };
+  entry.packets++;
+  entry.bytes += bytes;
+  map.set(key, entry);
+  return entry;
+}
+
+// Read hosts, services, conversations, DNS names and SNIs from one capture in a single pass
+async function profileTraffic(tsharkPath, pcapPath, { displayFilter, extraArgs = [] } = {}) {
+  const profile = {
+    packets: 0,
+    bytes: 0,
+    firstTime: null,
+    lastTime: null,
+    hosts: new Map(),
+    listening: new Map(),
+    contacted: new Map(),
+    conversations: new Map(),
+    dnsNames: new Set(),
+    tlsSni: new Set(),
+  };
+
+  await streamFields(tsharkPath, pcapPath, { fields: PROFILE_FIELDS, filter: displayFilter, extraArgs }, row => {
+    const bytes = Number(row['frame.len']) || 0;
+    const time = Number(row['frame.time_epoch']);
+    profile.packets++;
+    profile.bytes += bytes;
+    if (profile.firstTime === null) profile.firstTime = time;
+    profile.lastTime = time;
+
+    splitValues(row['dns.qry.name']).forEach(name => {
+      if (!isSet(row['dns.flags.response'])) profile.dnsNames.add(name.toLowerCase());
+    });
+    splitValues(row['tls.handshake.extensions_server_name']).forEach(sni => profile.tlsSni.add(sni.toLowerCase()));
+
+    // Tunneled packets carry several addresses; the outermost pair is used
+    const src = splitValues(row['ip.src'] || row['ipv6.src'])[0];
+    const dst = splitValues(row['ip.dst'] || row['ipv6.dst'])[0];
+    if (!src || !dst) return;
+    countInto(profile.hosts, src, bytes, { host: src });
+    countInto(profile.hosts, dst, bytes, { host: dst });
+    const [a, b] = [src, dst].sort();
+    countInto(profile.conversations, `${a}|${b}`, bytes, { hosts: [a, b] });
+
+    const tcpSrc = Number(row['tcp.srcport']);
+    const tcpDst = Number(row['tcp.dstport']);
+    if (tcpSrc && tcpDst) {
+      // A SYN names the port a client contacted; the SYN-ACK proves the server listens on it
+      const syn = isSet(row['tcp.flags.syn']);
+      const ack = isSet(row['tcp.flags.ack']);
+      if (syn && !ack) countInto(profile.contacted, `tcp/${tcpDst}`, bytes, { proto: 'tcp', port: tcpDst, destinations: new Set() }).destinations.add(dst);
+      if (syn && ack) countInto(profile.listening, `tcp|${src}|${tcpSrc}`, bytes, { proto: 'tcp', host: src, port: tcpSrc });
+      return;
+    }
+
+    // UDP has no handshake; treat the lower port as the service side
+    const udpSrc = Number(row['udp.srcport']);
+    const udpDst = Number(row['udp.dstport']);
+    if (udpSrc && udpDst) {
+      if (udpDst <= udpSrc) {
+        countInto(profile.contacted, `udp/${udpDst}`, bytes, { proto: 'udp', port: udpDst, destinations: new Set() }).destinations.add(dst);
+      } else {
+        countInto(profile.listening, `udp|${src}|${udpSrc}`, bytes, { proto: 'udp', host: src, port: udpSrc });
+      }
+    }
+  });
+  return profile;
+}
+
+function byBytes(a, b) {
+  return b.bytes - a.bytes;
+}
+
+// Keys present in only one of two maps or sets
+function onlyIn(source, other) {
+  return [...source.keys()].filter(key => !other.has(key));
+}
+
+function summarizeProfile(profile) {
+  return {
+    packets: profile.packets,
+    bytes: profile.bytes,
+    durationSeconds: profile.firstTime !== null ? Math.round((profile.lastTime - profile.firstTime) * 1000) / 1000 : 0,
+    hosts: profile.hosts.size,
+    conversations: profile.conversations.size,
+    listeningServices: profile.listening.size,
+    dnsNames: profile.dnsNames.size,
+    tlsSni: profile.tlsSni.size,
+  };
+}
+
+function diffHosts(baseline, candidate) {
+  return {
+    appeared: onlyIn(candidate.hosts, baseline.hosts).map(key => candidate.hosts.get(key)).sort(byBytes),
+    disappeared: onlyIn(baseline.hosts, candidate.hosts).map(key => baseline.hosts.get(key)).sort(byBytes),
+  };
+}
+
+function diffPorts(baseline, candidate) {
+  const service = ({ proto, host, port, packets, bytes }) => ({ service: `${formatEndpoint(host, port)}/${proto}`, proto, host, port, packets, bytes });
+  const contacted = ({ proto, port, destinations, packets }) => ({ port: `${proto}/${port}`, packets, destinations: [...destinations].slice(0, 10) });
+  return {
+    newListening: onlyIn(candidate.listening, baseline.listening).map(key => service(candidate.listening.get(key))).sort(byBytes),
+    goneListening: onlyIn(baseline.listening, candidate.listening).map(key => service(baseline.listening.get(key))).sort(byBytes),
+    newContacted: onlyIn(candidate.contacted, baseline.contacted).map(key => contacted(candidate.contacted.get(key))),
+    goneContacted: onlyIn(baseline.contacted, candidate.contacted).map(key => contacted(baseline.contacted.get(key))),
+  };
+}
+
+// Compare each protocol's share of frames, in percentage points
+function diffProtocols(baseline, candidate, t) {
+  const share = hierarchy => new Map(hierarchy.protocols.map(p => [p.path, {
+    frames: p.frames,
+    share: hierarchy.totalFrames > 0 ? (p.frames / hierarchy.totalFrames) * 100 : 0,
+  }]));
+  const before = share(baseline);
+  const after = share(candidate);
+  const round = value => Math.round(value * 100) / 100;
+  return [...new Set([...before.keys(), ...after.keys()])]
+    .map(protocolPath => {
+      const b = before.get(protocolPath);
+      const a = after.get(protocolPath);
+      return {
+        protocol: protocolPath,
+        change: !b ? 'new' : (!a ? 'gone' : (a.share >= b.share ? 'increased' : 'decreased')),
+        baselineFrames: b ? b.frames : 0,
+        candidateFrames: a ? a.frames : 0,
+        baselineShare: round(b ? b.share : 0),
+        candidateShare: round(a ? a.share : 0),
+        shift: round((a ? a.share : 0) - (b ? b.share : 0)),
+      };
+    })
+    .filter(p => p.change === 'new' || p.change === 'gone' || Math.abs(p.shift) >= t.protocolShift)
+    .sort((x, y) => Math.abs(y.shift) - Math.abs(x.shift));
+}
+
+// Conversations (host pairs) whose byte volume changed by more than the threshold ratio
+function diffConversations(baseline, candidate, t) {
+  const changes = [];
+  for (const key of new Set([...baseline.conversations.keys(), ...candidate.conversations.keys()])) {
+    const b = baseline.conversations.get(key);
+    const a = candidate.conversations.get(key);
+    const before = b ? b.bytes : 0;
+    const after = a ? a.bytes : 0;
+    if (Math.max(before, after) < t.minConversationBytes) continue;
+    const ratio = before > 0 ? (after - before) / before : null;
+    if (ratio !== null && after > 0 && Math.abs(ratio) < t.volumeChangeRatio) continue;
+    changes.push({
+      hosts: (a || b).hosts,
+      change: !b ? 'new' : (!a ? 'gone' : (after > before ? 'increased' : 'decreased')),
+      baselineBytes: before,
+      candidateBytes: after,
+      baselinePackets: b ? b.packets : 0,
+      candidatePackets: a ? a.packets : 0,
+      changeRatio: ratio !== null ? Math.round(ratio * 1000) / 1000 : null,
+    });
+  }
+  return changes.sort((x, y) => Math.abs(y.candidateBytes - y.baselineBytes) - Math.abs(x.candidateBytes - x.baselineBytes));
+}
+
+// Profile both captures and report the drift from baseline to candidate
+async function comparePcaps(tsharkPath, baselinePath, candidatePath, { displayFilter, extraArgs = [], thresholds = {} } = {}) {
+  const t = { ...THRESHOLDS, ...thresholds };
+  const options = { displayFilter, extraArgs };
+  // One capture at a time keeps tshark's memory use bounded
+  const baseline = await profileTraffic(tsharkPath, baselinePath, options);
+  const candidate = await profileTraffic(tsharkPath, candidatePath, options);
+  const baselineHierarchy = await protocolHierarchy(tsharkPath, baselinePath, options);
+  const candidateHierarchy = await protocolHierarchy(tsharkPath, candidatePath, options);
+
+  return {
+    thresholds: t,
+    baseline: summarizeProfile(baseline),
+    candidate: summarizeProfile(candidate),
+    hosts: diffHosts(baseline, candidate),
+    ports: diffPorts(baseline, candidate),
+    protocols: diffProtocols(baselineHierarchy, candidateHierarchy, t),
+    conversations: diffConversations(baseline, candidate, t),
+    dnsNames: { new: onlyIn(candidate.dnsNames, baseline.dnsNames).sort() },
+    tlsSni: { new: onlyIn(candidate.tlsSni, baseline.tlsSni).sort() },
+  };
+}
+
+module.exports = {
+  THRESHOLDS,
+  profileTraffic,
+  comparePcaps,
+};
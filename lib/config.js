@@ -0,0 +1,143 @@
+// lib/config.js - Server configuration from a JSON config file and environment variables
+// Environment variables override the config file, which overrides the defaults.
+// Problems are collected in CONFIG_ERRORS instead of thrown so the server can
+// report all of them at startup.
+const os = require('os');
+const path = require('path');
+const fsSync = require('fs');
+
+const CONFIG_FILE = process.env.WIREMCP_CONFIG
+  ? path.resolve(process.env.WIREMCP_CONFIG)
+  : path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'wiremcp', 'config.json');
+
+// Every setting: its config file key, environment variable, type and default
+const SETTINGS = {
+  tsharkPath: { env: 'WIREMCP_TSHARK', type: 'path', default: null },
+  defaultInterface: { env: 'WIREMCP_INTERFACE', type: 'string', default: null },
+  allowedDirs: { env: 'WIREMCP_ALLOWED_DIRS', type: 'paths', default: [] },
+  pcapDir: { env: 'WIREMCP_PCAP_DIR', type: 'path', default: null },
+  maxOutputChars: { env: 'WIREMCP_MAX_OUTPUT_CHARS', type: 'integer', min: 1000, default: 720000 },
+  maxBufferMB: { env: 'WIREMCP_MAX_BUFFER_MB', type: 'integer', min: 1, default: 256 },
+  toolTimeout: { env: 'WIREMCP_TOOL_TIMEOUT', type: 'integer', min: 1, default: 600 },
+  toolTimeouts: { env: 'WIREMCP_TOOL_TIMEOUTS', type: 'timeouts', default: {} },
+  sessionDir: { env: 'WIREMCP_SESSION_DIR', type: 'path', default: path.join(os.tmpdir(), 'wiremcp-sessions') },
+  sessionTtl: { env: 'WIREMCP_SESSION_TTL', type: 'integer', min: 1, default: 3600 },
+  maxSessions: { env: 'WIREMCP_MAX_SESSIONS', type: 'integer', min: 1, default: 20 },
+  maxCaptures: { env: 'WIREMCP_MAX_CAPTURES', type: 'integer', min: 1, default: 4 },
+  feeds: { env: null, type: 'array', default: null },
+  feedsFile: { env: 'WIREMCP_FEEDS', type: 'path', default: null },
+  feedUrls: { env: 'WIREMCP_FEED_URLS', type: 'urls', default: {} },
+  blocklists: { env: 'WIREMCP_BLOCKLISTS', type: 'paths', default: [] },
+  feedCacheDir: { env: 'WIREMCP_FEED_CACHE_DIR', type: 'path', default: path.join(os.homedir(), '.cache', 'wiremcp', 'feeds') },
+  feedTtl: { env: 'WIREMCP_FEED_TTL', type: 'integer', min: 1, default: 3600 },
+  offline: { env: 'WIREMCP_OFFLINE', type: 'boolean', default: false },
+  tlsFingerprints: { env: 'WIREMCP_TLS_FINGERPRINTS', type: 'paths', default: [] },
+  geoipDatabases: { env: 'WIREMCP_GEOIP_DBS', type: 'paths', default: [] },
+  ouiFile: { env: 'WIREMCP_OUI_FILE', type: 'path', default: null },
+  profilesDir: { env: 'WIREMCP_PROFILES_DIR', type: 'path', default: path.join(path.dirname(CONFIG_FILE), 'profiles') },
+};
+
+const CONFIG_ERRORS = [];
+
+function readConfigFile() {
+  let text;
+  try {
+    text = fsSync.readFileSync(CONFIG_FILE, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT' || process.env.WIREMCP_CONFIG) {
+      CONFIG_ERRORS.push(`Cannot read config file ${CONFIG_FILE}: ${err.message}`);
+    }
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('expected a JSON object');
+    return parsed;
+  } catch (err) {
+    CONFIG_ERRORS.push(`Invalid config file ${CONFIG_FILE}: ${err.message}`);
+    return null;
+  }
+}
+
+// Convert one raw value to its setting type; relative paths in the config file
+// are resolved against the file's directory, those from the environment against the cwd
+function parseSetting(setting, raw, fromEnv) {
+  const base = fromEnv ? process.cwd() : path.dirname(CONFIG_FILE);
+  switch (setting.type) {
+    case 'string':
+      if (typeof raw !== 'string' || !raw) throw new Error('must be a non-empty string');
+      return raw;
+    case 'path':
+      if (typeof raw !== 'string' || !raw) throw new Error('must be a path');
+      return path.resolve(base, raw);
+    case 'paths': {
+      const list = fromEnv ? raw.split(path.delimiter) : raw;
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) throw new Error('must be an array of paths');
+      return list.filter(item => item).map(item => path.resolve(base, item));
+    }
+    case 'integer': {
+      const number = fromEnv ? Number(raw) : raw;
+      if (!Number.isInteger(number) || number < setting.min) throw new Error(`must be an integer of at least ${setting.min}`);
+      return number;
+    }
+    case 'boolean':
+      if (fromEnv) {
+        if (['1', 'true', 'yes'].includes(raw.toLowerCase())) return true;
+        if (['', '0', 'false', 'no'].includes(raw.toLowerCase())) return false;
+        throw new Error('must be true or false');
+      }
+      if (typeof raw !== 'boolean') throw new Error('must be true or false');
+      return raw;
+    case 'array':
+      if (!Array.isArray(raw)) throw new Error('must be an array');
+      return raw;
+    case 'urls': {
+      const urls = fromEnv ? JSON.parse(raw) : raw;
+      if (!urls || typeof urls !== 'object' || Array.isArray(urls)) throw new Error('must be an object mapping feed names to URLs');
+      for (const [name, url] of Object.entries(urls)) {
+        if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) throw new Error(`'${name}' must be an http(s) URL`);
+      }
+      return urls;
+    }
+    case 'timeouts': {
+      const timeouts = fromEnv ? JSON.parse(raw) : raw;
+      if (!timeouts || typeof timeouts !== 'object' || Array.isArray(timeouts)) throw new Error('must be an object mapping tool names to seconds');
+      for (const [name, seconds] of Object.entries(timeouts)) {
+        if (!Number.isInteger(seconds) || seconds < 1) throw new Error(`'${name}' must be a whole number of seconds`);
+      }
+      return timeouts;
+    }
+    default:
+      throw new Error(`unknown setting type ${setting.type}`);
+  }
+}
+
+function loadConfig() {
+  const file = readConfigFile() || {};
+  for (const key of Object.keys(file)) {
+    if (!SETTINGS[key]) CONFIG_ERRORS.push(`Unknown setting '${key}' in ${CONFIG_FILE}. Known settings: ${Object.keys(SETTINGS).join(', ')}`);
+  }
+
+  const config = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    config[key] = setting.default;
+    const fromEnv = Boolean(setting.env && process.env[setting.env]);
+    if (!fromEnv && file[key] === undefined) continue;
+    const source = fromEnv ? `environment variable ${setting.env}` : `'${key}' in ${CONFIG_FILE}`;
+    try {
+      config[key] = parseSetting(setting, fromEnv ? process.env[setting.env] : file[key], fromEnv);
+    } catch (err) {
+      CONFIG_ERRORS.push(`Invalid ${source}: ${err.message}`);
+    }
+  }
+  return Object.freeze(config);
+}
+
+const config = loadConfig();
+
+module.exports = {
+  CONFIG_FILE,
+  CONFIG_ERRORS,
+  SETTINGS,
+  config,
+};
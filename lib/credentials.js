@@ -0,0 +1,341 @@
+// lib/credentials.js - Credential extraction from plaintext and challenge-response protocols
+const { streamFields, splitValues, FIELD_AGGREGATOR } = require('./tshark');
+const { KERBEROS_FIELDS, hex, parseKerberosRow, buildKerberosHashes } = require('./kerberos');
+
+const CREDENTIAL_FIELDS = [
+  'frame.number', 'tcp.stream', 'udp.stream', 'ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst',
+  'http.authbasic', 'http.authorization', 'http.request.method', 'http.host', 'http.request.uri',
+  'urlencoded-form.key', 'urlencoded-form.value', 'http2.headers.authorization',
+  'ftp.request.command', 'ftp.request.arg', 'telnet.data',
+  'smtp.req.command', 'smtp.req.parameter', 'pop.request.command', 'pop.request.parameter', 'imap.request',
+  'ntlmssp.messagetype', 'ntlmssp.ntlmserverchallenge', 'ntlmssp.auth.username', 'ntlmssp.auth.domain',
+  'ntlmssp.auth.ntresponse', 'ntlmssp.auth.lmresponse',
+  'snmp.community', 'ldap.name', 'ldap.simple',
+  ...KERBEROS_FIELDS,
+];
+
+// Decoded SASL fields only exist in newer SMTP dissectors
+const OPTIONAL_CREDENTIAL_FIELDS = ['smtp.auth.username', 'smtp.auth.password', 'smtp.auth.username_password'];
+
+const CREDENTIAL_FILTER = [
+  'http.authbasic', 'http.authorization', 'urlencoded-form', 'http2.headers.authorization', 'ftp.request', 'telnet.data',
+  'smtp.req', 'smtp.auth', 'pop.request', 'imap.request', 'ntlmssp', 'snmp.community', 'ldap.simple', 'kerberos',
+].join(' || ');
+
+const PASSWORD_KEYS = /pass|pwd|secret|passcode|pin$/i;
+const USERNAME_KEYS = /user|login|email|account|^name$|^uid$/i;
+
+function decodeBase64(value) {
+  return Buffer.from(value || '', 'base64').toString('utf8');
+}
+
+// Basic auth "user:password"; only the first colon separates them, passwords may contain more
+function splitBasic(value) {
+  const colon = value.indexOf(':');
+  return colon === -1 ? [value, ''] : [value.slice(0, colon), value.slice(colon + 1)];
+}
+
+// SASL PLAIN is "authzid\0authcid\0password"
+function decodePlain(value) {
+  const [, username = '', password = ''] = decodeBase64(value).split('\0');
+  return { username, password };
+}
+
+// Split an IMAP command line into atoms and quoted strings
+function imapTokens(line) {
+  return [...line.matchAll(/"((?:[^"\\]|\\.)*)"|(\S+)/g)].map(m => (m[1] !== undefined ? m[1].replace(/\\(.)/g, '$1') : m[2]));
+}
+
+// Parse an HTTP Digest Authorization header into its parameters
+function digestParams(header) {
+  const params = {};
+  for (const m of header.replace(/^Digest\s+/i, '').matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g)) {
+    params[m[1].toLowerCase()] = m[2] !== undefined ? m[2] : m[3];
+  }
+  return params;
+}
+
+// Collects credentials row by row, keeping per-stream state for multi-step logins
+class CredentialCollector {
+  constructor() {
+    this.plaintext = [];
+    this.encrypted = [];
+    this.sasl = new Map();
+    this.pop3Users = new Map();
+    this.ntlmChallenges = new Map();
+    this.kerberosMessages = [];
+    this.seen = new Set();
+  }
+
+  addPlaintext(credential) {
+    const key = JSON.stringify([credential.type, credential.username, credential.password, credential.server]);
+    if (credential.type === 'SNMP Community' && this.seen.has(key)) return;
+    this.seen.add(key);
+    this.plaintext.push(credential);
+  }
+
+  row(r) {
+    const p = {
+      frame: r['frame.number'],
+      stream: r['tcp.stream'] || r['udp.stream'],
+      client: r['ip.src'] || r['ipv6.src'],
+      server: r['ip.dst'] || r['ipv6.dst'],
+    };
+    this.http(r, p);
+    this.ftp(r, p);
+    this.telnet(r, p);
+    this.smtp(r, p);
+    this.pop3(r, p);
+    this.imap(r, p);
+    this.ntlm(r, p);
+    this.snmp(r, p);
+    this.ldap(r, p);
+    this.kerberos(r, p);
+  }
+
+  http(r, p) {
+    if (r['http.authbasic']) {
+      // tshark reports the decoded "user:password"; older versions gave the raw token
+      const value = splitValues(r['http.authbasic'])[0];
+      const [username, password] = splitBasic(value.includes(':') ? value : decodeBase64(value));
+      this.addPlaintext({ type: 'HTTP Basic Auth', username, password, frame: p.frame, server: p.server });
+    }
+
+    // HTTP/2 Basic Auth (only visible in decrypted TLS sessions)
+    splitValues(r['http2.headers.authorization']).filter(value => /^Basic\s+/i.test(value.trim())).forEach(value => {
+      const [username, password] = splitBasic(decodeBase64(value.trim().replace(/^Basic\s+/i, '')));
+      this.addPlaintext({ type: 'HTTP/2 Basic Auth', username, password, frame: p.frame, server: p.server });
+    });
+
+    splitValues(r['http.authorization']).filter(value => /^Digest\s+/i.test(value)).forEach(value => {
+      const d = digestParams(value);
+      if (!d.response) return;
+      const method = splitValues(r['http.request.method'])[0] || 'GET';
+      // hashcat's SIP digest mode also covers HTTP Digest with MD5
+      const hash = ['$sip$', p.server, p.client, d.username, d.realm, method, '', d.uri, '',
+        d.nonce, d.cnonce || '', d.nc || '', d.qop || '', 'MD5', d.response].join('*');
+      this.encrypted.push({
+        type: 'HTTP Digest', hash, username: d.username || 'unknown', realm: d.realm || 'unknown',
+        frame: p.frame, crackingMode: 'hashcat -m 11400',
+      });
+    });
+
+    const keys = splitValues(r['urlencoded-form.key']);
+    if (keys.length > 0 && splitValues(r['http.request.method'])[0] === 'POST') {
+      const formValues = r['urlencoded-form.value'].split(FIELD_AGGREGATOR);
+      const fields = keys.map((key, i) => [key, formValues[i] || '']);
+      const password = fields.find(([key]) => PASSWORD_KEYS.test(key));
+      if (password) {
+        const username = fields.find(([key]) => USERNAME_KEYS.test(key));
+        this.addPlaintext({
+          type: 'HTTP Form POST', username: username ? username[1] : '', password: password[1], frame: p.frame, server: p.server,
+          detail: `${splitValues(r['http.host'])[0] || p.server}${splitValues(r['http.request.uri'])[0] || ''} (fields ${username ? `${username[0]}, ` : ''}${password[0]})`,
+        });
+      }
+    }
+  }
+
+  ftp(r, p) {
+    const command = r['ftp.request.command'];
+    if (command === 'USER') {
+      this.addPlaintext({ type: 'FTP', username: r['ftp.request.arg'], password: '', frame: p.frame, server: p.server });
+    }
+    if (command === 'PASS') {
+      const lastUser = this.plaintext.findLast(c => c.type === 'FTP' && !c.password);
+      if (lastUser) lastUser.password = r['ftp.request.arg'];
+    }
+  }
+
+  telnet(r, p) {
+    const telnetStr = splitValues(r['telnet.data']).join('').trim();
+    if (!telnetStr) return;
+    if (telnetStr.toLowerCase().includes('login:') || telnetStr.toLowerCase().includes('password:')) {
+      this.plaintext.push({ type: 'Telnet Prompt', data: telnetStr, frame: p.frame });
+    } else if (!telnetStr.match(/[A-Z][a-z]+:/) && !telnetStr.includes(' ')) {
+      const lastPrompt = this.plaintext.findLast(c => c.type === 'Telnet Prompt');
+      if (lastPrompt && lastPrompt.data.toLowerCase().includes('login:')) {
+        this.plaintext.push({ type: 'Telnet', username: telnetStr, password: '', frame: p.frame, server: p.server });
+      } else if (lastPrompt && lastPrompt.data.toLowerCase().includes('password:')) {
+        const lastUser = this.plaintext.findLast(c => c.type === 'Telnet' && !c.password);
+        if (lastUser) lastUser.password = telnetStr;
+        else this.plaintext.push({ type: 'Telnet', username: '', password: telnetStr, frame: p.frame, server: p.server });
+      }
+    }
+  }
+
+  // Start a PLAIN or LOGIN exchange, consuming the initial response if the client sent one
+  startSasl(type, mechanism, initial, p) {
+    const key = `${type}|${p.stream}`;
+    mechanism = (mechanism || '').toUpperCase();
+    if (mechanism !== 'PLAIN' && mechanism !== 'LOGIN') return;
+    this.sasl.set(key, { type: `${type} AUTH ${mechanism}`, mechanism, username: null, frame: p.frame });
+    if (initial && initial !== '=') this.continueSasl(type, initial, p);
+  }
+
+  // Feed a client continuation line to a pending SASL exchange; false if none is pending
+  continueSasl(type, line, p) {
+    const key = `${type}|${p.stream}`;
+    const state = this.sasl.get(key);
+    if (!state) return false;
+    if (line === '*') {
+      this.sasl.delete(key);
+      return true;
+    }
+    if (state.mechanism === 'PLAIN') {
+      const { username, password } = decodePlain(line);
+      this.addPlaintext({ type: state.type, username, password, frame: state.frame, server: p.server });
+      this.sasl.delete(key);
+    } else if (state.username === null) {
+      state.username = decodeBase64(line);
+    } else {
+      this.addPlaintext({ type: state.type, username: state.username, password: decodeBase64(line), frame: state.frame, server: p.server });
+      this.sasl.delete(key);
+    }
+    return true;
+  }
+
+  smtp(r, p) {
+    if (r['smtp.auth.username_password']) {
+      const { username, password } = decodePlain(r['smtp.auth.username_password']);
+      this.addPlaintext({ type: 'SMTP AUTH PLAIN', username, password, frame: p.frame, server: p.server });
+      return;
+    }
+    if (r['smtp.auth.username'] || r['smtp.auth.password']) {
+      // LOGIN is split over two client lines; tshark reports them decoded
+      if (r['smtp.auth.username']) {
+        this.addPlaintext({ type: 'SMTP AUTH LOGIN', username: decodeBase64(r['smtp.auth.username']), password: '', frame: p.frame, server: p.server });
+      } else {
+        const lastUser = this.plaintext.findLast(c => c.type === 'SMTP AUTH LOGIN' && !c.password);
+        if (lastUser) lastUser.password = decodeBase64(r['smtp.auth.password']);
+      }
+      return;
+    }
+    // Older dissectors only show the AUTH command itself
+    if ((r['smtp.req.command'] || '').toUpperCase() === 'AUTH') {
+      const [mechanism, initial] = r['smtp.req.parameter'].split(/\s+/);
+      if ((mechanism || '').toUpperCase() === 'PLAIN' && initial) this.startSasl('SMTP', mechanism, initial, p);
+    }
+  }
+
+  pop3(r, p) {
+    const command = r['pop.request.command'];
+    if (!command) return;
+    const parameter = r['pop.request.parameter'];
+    if (this.continueSasl('POP3', command, p)) return;
+    switch (command.toUpperCase()) {
+      case 'USER':
+        this.pop3Users.set(p.stream, parameter);
+        break;
+      case 'PASS':
+        this.addPlaintext({ type: 'POP3', username: this.pop3Users.get(p.stream) || '', password: parameter, frame: p.frame, server: p.server });
+        this.pop3Users.delete(p.stream);
+        break;
+      case 'AUTH': {
+        const [mechanism, initial] = parameter.split(/\s+/);
+        this.startSasl('POP3', mechanism, initial, p);
+        break;
+      }
+    }
+  }
+
+  imap(r, p) {
+    for (const line of splitValues(r['imap.request'])) {
+      const tokens = imapTokens(line.trim());
+      if (tokens.length === 1 && this.continueSasl('IMAP', tokens[0], p)) continue;
+      const command = (tokens[1] || '').toUpperCase();
+      if (command === 'LOGIN') {
+        this.addPlaintext({ type: 'IMAP LOGIN', username: tokens[2] || '', password: tokens[3] || '', frame: p.frame, server: p.server });
+      } else if (command === 'AUTHENTICATE') {
+        this.startSasl('IMAP', tokens[2], tokens[3], p);
+      }
+    }
+  }
+
+  // NTLMSSP: remember the server challenge per stream, then pair it with the AUTHENTICATE message
+  ntlm(r, p) {
+    const types = splitValues(r['ntlmssp.messagetype']).map(Number);
+    const challenge = hex(splitValues(r['ntlmssp.ntlmserverchallenge'])[0]);
+    if (types.includes(2) && challenge) this.ntlmChallenges.set(p.stream, challenge);
+    if (!types.includes(3)) return;
+
+    const username = splitValues(r['ntlmssp.auth.username'])[0] || '';
+    const domain = splitValues(r['ntlmssp.auth.domain'])[0] || '';
+    const ntResponse = hex(splitValues(r['ntlmssp.auth.ntresponse'])[0]);
+    const lmResponse = hex(splitValues(r['ntlmssp.auth.lmresponse'])[0]);
+    const serverChallenge = this.ntlmChallenges.get(p.stream);
+    // Anonymous and null sessions carry nothing crackable
+    if (!username || username === 'NULL' || !ntResponse) return;
+    if (!serverChallenge) {
+      this.plaintext.push({ type: 'NTLM (challenge not captured)', username: `${domain}\\${username}`, password: '', frame: p.frame, server: p.server });
+      return;
+    }
+    if (ntResponse.length === 48) {
+      this.encrypted.push({
+        type: 'NTLMv1', hash: `${username}::${domain}:${lmResponse}:${ntResponse}:${serverChallenge}`,
+        username, realm: domain || 'unknown', frame: p.frame, crackingMode: 'hashcat -m 5500',
+      });
+    } else {
+      this.encrypted.push({
+        type: 'NTLMv2', hash: `${username}::${domain}:${serverChallenge}:${ntResponse.slice(0, 32)}:${ntResponse.slice(32)}`,
+        username, realm: domain || 'unknown', frame: p.frame, crackingMode: 'hashcat -m 5600',
+      });
+    }
+  }
+
+  snmp(r, p) {
+    for (const community of splitValues(r['snmp.community'])) {
+      this.addPlaintext({ type: 'SNMP Community', username: '', password: community, frame: p.frame, server: p.server });
+    }
+  }
+
+  ldap(r, p) {
+    const names = splitValues(r['ldap.name']);
+    splitValues(r['ldap.simple']).forEach((password, i) => {
+      this.addPlaintext({ type: 'LDAP Simple Bind', username: names[i] || names[0] || '', password, frame: p.frame, server: p.server });
+    });
+  }
+
+  // Kerberos hashes need request/reply correlation, so messages are kept for finish()
+  kerberos(r, p) {
+    const message = parseKerberosRow(r, p);
+    if (message) this.kerberosMessages.push(message);
+  }
+
+  finish() {
+    this.encrypted.push(...buildKerberosHashes(this.kerberosMessages));
+  }
+}
+
+// Extract credentials from every supported protocol in one tshark pass
+async function extractCredentials(tsharkPath, pcapPath, displayFilter, extraArgs = []) {
+  const collector = new CredentialCollector();
+  const { missingFields } = await streamFields(tsharkPath, pcapPath, {
+    fields: CREDENTIAL_FIELDS,
+    optionalFields: OPTIONAL_CREDENTIAL_FIELDS,
+    filter: displayFilter ? `(${CREDENTIAL_FILTER}) && (${displayFilter})` : CREDENTIAL_FILTER,
+    extraArgs,
+  }, row => collector.row(row));
+  collector.finish();
+  return { plaintext: collector.plaintext, encrypted: collector.encrypted, missingFields };
+}
+
+// Keep a hint of the secret's shape without revealing it
+function mask(secret) {
+  if (!secret) return secret;
+  return secret.length <= 4 ? '****' : `${secret[0]}****${secret[secret.length - 1]}`;
+}
+
+// Mask passwords, community strings and hashes for shareable reports; account names stay visible
+function redactCredentials({ plaintext, encrypted, ...rest }) {
+  return {
+    ...rest,
+    plaintext: plaintext.map(c => (c.password ? { ...c, password: mask(c.password) } : c)),
+    encrypted: encrypted.map(c => ({ ...c, hash: '[redacted]' })),
+  };
+}
+
+module.exports = {
+  CREDENTIAL_FIELDS,
+  extractCredentials,
+  redactCredentials,
+};
@@ -0,0 +1,223 @@
+// lib/dns.js - DNS transaction analysis with tunneling and DGA heuristics
+const { streamFields, splitValues, isSet } = require('./tshark');
+
+const DNS_FIELDS = [
+  'frame.number', 'frame.time_epoch', 'ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst',
+  'dns.id', 'dns.flags.response', 'dns.qry.name', 'dns.qry.type', 'dns.flags.rcode',
+  'dns.a', 'dns.aaaa', 'dns.cname', 'dns.txt', 'dns.ptr.domain_name', 'dns.mx.mail_exchange', 'dns.ns',
+];
+
+const RECORD_TYPES = {
+  1: 'A', 2: 'NS', 5: 'CNAME', 6: 'SOA', 10: 'NULL', 12: 'PTR', 15: 'MX', 16: 'TXT',
+  28: 'AAAA', 33: 'SRV', 35: 'NAPTR', 43: 'DS', 46: 'RRSIG', 48: 'DNSKEY', 64: 'SVCB', 65: 'HTTPS', 255: 'ANY',
+};
+
+const RCODES = {
+  0: 'NOERROR', 1: 'FORMERR', 2: 'SERVFAIL', 3: 'NXDOMAIN', 4: 'NOTIMP', 5: 'REFUSED',
+};
+
+// Heuristic thresholds for tunneling and DGA detection
+const THRESHOLDS = {
+  longLabel: 40,
+  longName: 100,
+  highEntropy: 4.0,
+  highEntropyMinLength: 20,
+  manySubdomains: 50,
+  txtRatio: 0.5,
+  txtMinQueries: 10,
+  dgaScore: 3,
+};
+
+// Common multi-label public suffixes so registrable domains are grouped correctly
+const SECOND_LEVEL_SUFFIXES = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'ne', 'or', 'go']);
+
+function shannonEntropy(text) {
+  if (!text) return 0;
+  const counts = {};
+  for (const char of text) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+// Split a name into its registrable domain and the subdomain labels in front of it
+function splitDomain(name) {
+  const labels = name.toLowerCase().replace(/\.$/, '').split('.');
+  let size = 2;
+  if (labels.length > 2 && labels[labels.length - 1].length === 2 && SECOND_LEVEL_SUFFIXES.has(labels[labels.length - 2])) {
+    size = 3;
+  }
+  return {
+    registered: labels.slice(-size).join('.'),
+    subdomain: labels.slice(0, -size).join('.'),
+    label: labels[labels.length - size] || labels[0],
+  };
+}
+
+function isReverseZone(domain) {
+  return domain === 'in-addr.arpa' || domain === 'ip6.arpa';
+}
+
+// Score how machine-generated the registrable label looks; higher is more suspicious
+function dgaScore(label) {
+  if (label.length < 8) return { score: 0, reasons: [] };
+  const reasons = [];
+  let score = 0;
+  const entropy = shannonEntropy(label);
+  const vowels = (label.match(/[aeiou]/g) || []).length / label.length;
+  const digits = (label.match(/[0-9]/g) || []).length / label.length;
+  const consonantRun = Math.max(0, ...(label.match(/[bcdfghjklmnpqrstvwxz]+/g) || []).map(run => run.length));
+
+  if (entropy > 3.5) { score++; reasons.push(`entropy ${entropy.toFixed(2)}`); }
+  if (vowels < 0.25) { score++; reasons.push(`vowel ratio ${vowels.toFixed(2)}`); }
+  if (consonantRun >= 5) { score++; reasons.push(`consonant run of ${consonantRun}`); }
+  if (digits > 0.2 && digits < 0.8) { score++; reasons.push(`digit ratio ${digits.toFixed(2)}`); }
+  if (label.length >= 16) { score++; reasons.push(`length ${label.length}`); }
+  return { score, reasons };
+}
+
+// Read DNS packets from a pcap with tshark
+async function collectDnsPackets(tsharkPath, pcapPath, displayFilter, extraArgs = []) {
+  const filter = displayFilter ? `dns && (${displayFilter})` : 'dns';
+  const packets = [];
+  await streamFields(tsharkPath, pcapPath, { fields: DNS_FIELDS, filter, extraArgs }, row => {
+    const types = splitValues(row['dns.qry.type']);
+    packets.push({
+      frame: Number(row['frame.number']),
+      time: Number(row['frame.time_epoch']),
+      src: row['ip.src'] || row['ipv6.src'],
+      dst: row['ip.dst'] || row['ipv6.dst'],
+      id: row['dns.id'],
+      response: isSet(row['dns.flags.response']),
+      name: splitValues(row['dns.qry.name'])[0] || '',
+      type: RECORD_TYPES[types[0]] || (types[0] ? `TYPE${types[0]}` : ''),
+      rcode: row['dns.flags.rcode'] ? (RCODES[row['dns.flags.rcode']] || `RCODE${row['dns.flags.rcode']}`) : '',
+      answers: ['dns.a', 'dns.aaaa', 'dns.cname', 'dns.txt', 'dns.ptr.domain_name', 'dns.mx.mail_exchange', 'dns.ns']
+        .flatMap(field => splitValues(row[field])),
+    });
+  });
+  return packets;
+}
+
+// Pair queries with responses by client, server, transaction ID and name
+function pairTransactions(packets) {
+  const pending = new Map();
+  const transactions = [];
+  for (const packet of packets) {
+    if (!packet.response) {
+      const transaction = {
+        queryFrame: packet.frame, responseFrame: null, client: packet.src, server: packet.dst,
+        name: packet.name, type: packet.type, rcode: null, answers: [], latencyMs: null, time: packet.time,
+      };
+      pending.set(`${packet.src}|${packet.dst}|${packet.id}|${packet.name}`, transaction);
+      transactions.push(transaction);
+      continue;
+    }
+    const key = `${packet.dst}|${packet.src}|${packet.id}|${packet.name}`;
+    let transaction = pending.get(key);
+    if (transaction) {
+      pending.delete(key);
+    } else {
+      // Response whose query was not captured
+      transaction = {
+        queryFrame: null, client: packet.dst, server: packet.src, name: packet.name, type: packet.type, time: packet.time,
+      };
+      transactions.push(transaction);
+    }
+    transaction.responseFrame = packet.frame;
+    transaction.rcode = packet.rcode;
+    transaction.answers = packet.answers;
+    transaction.latencyMs = transaction.queryFrame !== null ? Math.round((packet.time - transaction.time) * 1000 * 100) / 100 : null;
+  }
+  return transactions;
+}
+
+function analyzeTransactions(transactions) {
+  const clients = new Map();
+  const names = new Map();
+  const domains = new Map();
+  const findings = [];
+
+  for (const t of transactions) {
+    if (!t.name) continue;
+
+    const client = clients.get(t.client) || { client: t.client, queries: 0, nxdomain: 0 };
+    client.queries++;
+    if (t.rcode === 'NXDOMAIN') client.nxdomain++;
+    clients.set(t.client, client);
+
+    names.set(t.name, (names.get(t.name) || 0) + 1);
+
+    const { registered, subdomain } = splitDomain(t.name);
+    const domain = domains.get(registered) || { domain: registered, queries: 0, txt: 0, nullQueries: 0, subdomains: new Set(), nxdomain: 0 };
+    domain.queries++;
+    if (t.type === 'TXT') domain.txt++;
+    if (t.type === 'NULL') domain.nullQueries++;
+    if (t.rcode === 'NXDOMAIN') domain.nxdomain++;
+    if (subdomain) domain.subdomains.add(subdomain);
+    domains.set(registered, domain);
+  }
+
+  // Per-name tunneling indicators; reverse lookups are long by design
+  for (const name of names.keys()) {
+    const { registered, subdomain } = splitDomain(name);
+    if (isReverseZone(registered)) continue;
+    const reasons = [];
+    const longest = Math.max(0, ...subdomain.split('.').map(label => label.length));
+    if (longest > THRESHOLDS.longLabel) reasons.push(`label of ${longest} characters`);
+    if (name.length > THRESHOLDS.longName) reasons.push(`name of ${name.length} characters`);
+    const compact = subdomain.replace(/\./g, '');
+    const entropy = shannonEntropy(compact);
+    if (compact.length >= THRESHOLDS.highEntropyMinLength && entropy > THRESHOLDS.highEntropy) {
+      reasons.push(`subdomain entropy ${entropy.toFixed(2)}`);
+    }
+    if (reasons.length > 0) {
+      findings.push({ type: 'tunneling', indicator: name, domain: registered, severity: reasons.length > 1 ? 'high' : 'medium', reasons });
+    }
+  }
+
+  // Per-domain tunneling indicators
+  for (const domain of domains.values()) {
+    if (isReverseZone(domain.domain)) continue;
+    const reasons = [];
+    if (domain.subdomains.size > THRESHOLDS.manySubdomains) reasons.push(`${domain.subdomains.size} unique subdomains`);
+    if (domain.queries >= THRESHOLDS.txtMinQueries && domain.txt / domain.queries > THRESHOLDS.txtRatio) {
+      reasons.push(`${domain.txt} of ${domain.queries} queries are TXT`);
+    }
+    if (domain.nullQueries > 0) reasons.push(`${domain.nullQueries} NULL record queries`);
+    if (reasons.length > 0) {
+      findings.push({ type: 'tunneling', indicator: domain.domain, domain: domain.domain, severity: reasons.length > 1 ? 'high' : 'medium', reasons });
+    }
+
+    const { label } = splitDomain(domain.domain);
+    const dga = dgaScore(label);
+    if (dga.score >= THRESHOLDS.dgaScore) {
+      const dgaReasons = [...dga.reasons];
+      if (domain.nxdomain > 0) dgaReasons.push(`${domain.nxdomain} NXDOMAIN responses`);
+      findings.push({ type: 'dga', indicator: domain.domain, domain: domain.domain, severity: domain.nxdomain > 0 ? 'high' : 'medium', reasons: dgaReasons });
+    }
+  }
+
+  return {
+    clients: [...clients.values()]
+      .map(c => ({ ...c, nxdomainRatio: Math.round((c.nxdomain / c.queries) * 1000) / 1000 }))
+      .sort((a, b) => b.nxdomainRatio - a.nxdomainRatio || b.queries - a.queries),
+    topDomains: [...names.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 20)
+      .map(([name, count]) => ({ name, count })),
+    uniqueNames: [...names.keys()],
+    findings,
+  };
+}
+
+module.exports = {
+  THRESHOLDS,
+  shannonEntropy,
+  splitDomain,
+  dgaScore,
+  collectDnsPackets,
+  pairTransactions,
+  analyzeTransactions,
+};
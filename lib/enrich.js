@@ -0,0 +1,129 @@
+// lib/enrich.js - Offline IP enrichment: address scope plus country, ASN and organization
+// from local MaxMind-format databases (geoipDatabases / WIREMCP_GEOIP_DBS)
+const net = require('net');
+const { config } = require('./config');
+const { openMmdb } = require('./mmdb');
+
+// Checked in order; the first matching range names the address's scope
+const SCOPE_RANGES = [
+  ['loopback', 'ipv4', [['127.0.0.0', 8]]],
+  ['loopback', 'ipv6', [['::1', 128]]],
+  ['private', 'ipv4', [['10.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16]]],
+  ['private', 'ipv6', [['fc00::', 7]]],
+  ['cgnat', 'ipv4', [['100.64.0.0', 10]]],
+  ['link-local', 'ipv4', [['169.254.0.0', 16]]],
+  ['link-local', 'ipv6', [['fe80::', 10]]],
+  ['multicast', 'ipv4', [['224.0.0.0', 4]]],
+  ['multicast', 'ipv6', [['ff00::', 8]]],
+  // Unspecified, documentation, benchmarking, broadcast and future-use ranges
+  ['reserved', 'ipv4', [['0.0.0.0', 8], ['192.0.0.0', 24], ['192.0.2.0', 24], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['240.0.0.0', 4]]],
+  ['reserved', 'ipv6', [['::', 128], ['2001:db8::', 32], ['100::', 64]]],
+].map(([scope, family, subnets]) => {
+  const list = new net.BlockList();
+  subnets.forEach(([prefix, bits]) => list.addSubnet(prefix, bits, family));
+  return { scope, family, list };
+});
+
+const INTERNAL_SCOPES = new Set(['private', 'cgnat', 'loopback', 'link-local']);
+
+let databasesPromise = null;
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are classified by their IPv4 address
+function unmapIpv4(ip) {
+  const match = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return match ? match[1] : ip;
+}
+
+// private, loopback, multicast, link-local, cgnat, reserved or public; null for non-IPs
+function classifyAddress(rawIp) {
+  const ip = unmapIpv4(rawIp);
+  const family = net.isIP(ip);
+  if (family === 0) return null;
+  const familyName = family === 6 ? 'ipv6' : 'ipv4';
+  const range = SCOPE_RANGES.find(r => r.family === familyName && r.list.check(ip, familyName));
+  return range ? range.scope : 'public';
+}
+
+// Addresses that belong to the local network rather than the internet
+function isInternal(ip) {
+  return INTERNAL_SCOPES.has(classifyAddress(ip));
+}
+
+// Open every configured database once; a broken file is reported, not fatal
+function loadGeoDatabases() {
+  if (!databasesPromise) {
+    databasesPromise = Promise.all(config.geoipDatabases.map(async file => {
+      try {
+        const reader = await openMmdb(file);
+        console.error(`Loaded ${reader.metadata.database_type} database from ${file}`);
+        return { file, type: reader.metadata.database_type, builtAt: new Date(reader.metadata.build_epoch * 1000).toISOString(), reader };
+      } catch (err) {
+        console.error(`Failed to load GeoIP database ${file}: ${err.message}`);
+        return { file, error: err.message };
+      }
+    }));
+  }
+  return databasesPromise;
+}
+
+// Pull location and network owner out of MaxMind, DB-IP or ipinfo-style records
+function readGeoRecord(data) {
+  const country = typeof data.country === 'object' ? data.country : (data.registered_country || {});
+  const asn = data.autonomous_system_number ?? data.asn;
+  return {
+    country: country.iso_code || data.country_code || (typeof data.country === 'string' ? data.country : null),
+    countryName: (country.names && country.names.en) || data.country_name || null,
+    city: (data.city && data.city.names && data.city.names.en) || (typeof data.city === 'string' ? data.city : null),
+    asn: typeof asn === 'string' ? Number(asn.replace(/^AS/i, '')) || null : (asn ?? null),
+    organization: data.autonomous_system_organization || data.as_name || data.organization || data.isp || null,
+  };
+}
+
+// Scope for every address, and for public ones whatever the databases know
+async function enrichAddresses(ips) {
+  const databases = (await loadGeoDatabases()).filter(db => db.reader);
+  const enriched = new Map();
+  for (const ip of ips) {
+    const info = { ip, scope: classifyAddress(ip), country: null, countryName: null, city: null, asn: null, organization: null };
+    if (info.scope === 'public') {
+      for (const db of databases) {
+        const match = db.reader.get(unmapIpv4(ip));
+        if (!match) continue;
+        const record = readGeoRecord(match.data);
+        // Earlier databases win; later ones only fill gaps
+        for (const [key, value] of Object.entries(record)) {
+          if (info[key] === null && value !== null && value !== undefined) info[key] = value;
+        }
+      }
+    }
+    enriched.set(ip, info);
+  }
+  return enriched;
+}
+
+// One-line description, e.g. "[public] US United States, AS15169 Google LLC"
+function addressLabel(info) {
+  const location = [info.country, info.countryName, info.city].filter(part => part).join(' ');
+  const network = [info.asn ? `AS${info.asn}` : null, info.organization].filter(part => part).join(' ');
+  const details = [location, network].filter(part => part).join(', ');
+  return `[${info.scope || 'not an IP'}]${details ? ` ${details}` : ''}`;
+}
+
+// "ip [scope] details" lines for a list of addresses
+function formatAddresses(ips, enriched) {
+  return ips.map(ip => (enriched.has(ip) ? `${ip} ${addressLabel(enriched.get(ip))}` : ip)).join('\n');
+}
+
+async function geoDatabaseStatus() {
+  return (await loadGeoDatabases()).map(({ file, type, builtAt, error }) => (error ? { file, error } : { file, type, builtAt }));
+}
+
+module.exports = {
+  classifyAddress,
+  isInternal,
+  loadGeoDatabases,
+  enrichAddresses,
+  addressLabel,
+  formatAddresses,
+  geoDatabaseStatus,
+};
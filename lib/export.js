@@ -0,0 +1,437 @@
+// lib/export.js - Machine-readable exports: STIX 2.1 bundles, CSV and Zeek-style conn.log
+const path = require('path');
+const net = require('net');
+const crypto = require('crypto');
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const { streamFields, splitValues, isSet } = require('./tshark');
+
+const EXPORT_FORMATS = ['stix', 'csv', 'zeek'];
+
+const EXPORT_FIELDS = [
+  'frame.number', 'frame.time_epoch', 'frame.len', 'frame.protocols',
+  'ip.src', 'ip.dst', 'ip.len', 'ip.hdr_len', 'ipv6.src', 'ipv6.dst', 'ipv6.plen',
+  'tcp.stream', 'tcp.srcport', 'tcp.dstport', 'tcp.len',
+  'tcp.flags.syn', 'tcp.flags.ack', 'tcp.flags.fin', 'tcp.flags.reset',
+  'udp.stream', 'udp.srcport', 'udp.dstport', 'udp.length', 'icmp.type', 'icmp.code', 'icmpv6.type', 'icmpv6.code',
+  'dns.flags.response', 'dns.qry.name', 'tls.handshake.extensions_server_name',
+  'http.host', 'http.request.full_uri', 'http2.headers.authority', 'http2.headers.path',
+  '_ws.col.Protocol', '_ws.col.Info',
+];
+
+// Zeek service names for the dissectors found in frame.protocols
+const ZEEK_SERVICES = {
+  http: 'http', http2: 'http2', tls: 'ssl', dns: 'dns', ssh: 'ssh', ftp: 'ftp', smtp: 'smtp', pop: 'pop3',
+  imap: 'imap', dhcp: 'dhcp', ntp: 'ntp', kerberos: 'krb', smb: 'smb', smb2: 'smb', ldap: 'ldap', snmp: 'snmp',
+  rdp: 'rdp', quic: 'quic', sip: 'sip', mysql: 'mysql', telnet: 'telnet', irc: 'irc', radius: 'radius',
+};
+
+const CONN_FIELDS = [
+  ['ts', 'time'], ['uid', 'string'], ['id.orig_h', 'addr'], ['id.orig_p', 'port'], ['id.resp_h', 'addr'], ['id.resp_p', 'port'],
+  ['proto', 'enum'], ['service', 'string'], ['duration', 'interval'], ['orig_bytes', 'count'], ['resp_bytes', 'count'],
+  ['conn_state', 'string'], ['local_orig', 'bool'], ['local_resp', 'bool'], ['missed_bytes', 'count'], ['history', 'string'],
+  ['orig_pkts', 'count'], ['orig_ip_bytes', 'count'], ['resp_pkts', 'count'], ['resp_ip_bytes', 'count'],
+  ['tunnel_parents', 'set[string]'],
+];
+
+const PACKET_COLUMNS = ['frame', 'timestamp', 'src', 'src_port', 'dst', 'dst_port', 'transport', 'protocol', 'length', 'info'];
+
+const CONVERSATION_COLUMNS = [
+  'uid', 'start', 'duration', 'proto', 'service', 'orig_h', 'orig_p', 'resp_h', 'resp_p',
+  'orig_pkts', 'orig_bytes', 'resp_pkts', 'resp_bytes', 'conn_state',
+];
+
+// Namespace for deterministic STIX cyber-observable IDs (STIX 2.1 section 2.9)
+const STIX_SCO_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\n`;
+}
+
+// Buffered synchronous writer so rows can be written from tshark's line callback
+function fileWriter(filePath) {
+  const fd = fsSync.openSync(filePath, 'wx');
+  let buffer = '';
+  let closed = false;
+  return {
+    path: filePath,
+    write(text) {
+      buffer += text;
+      if (buffer.length >= 65536) {
+        fsSync.writeSync(fd, buffer);
+        buffer = '';
+      }
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      try {
+        if (buffer) fsSync.writeSync(fd, buffer);
+      } finally {
+        fsSync.closeSync(fd);
+      }
+    },
+  };
+}
+
+function uuidv5(name, namespace) {
+  const hash = crypto.createHash('sha1')
+    .update(Buffer.from(namespace.replace(/-/g, ''), 'hex'))
+    .update(name)
+    .digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+  const hex = hash.subarray(0, 16).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Zeek-style connection UID: "C" followed by base62 characters
+function connUid(seed) {
+  let value = BigInt(`0x${crypto.createHash('sha1').update(seed).digest('hex').slice(0, 24)}`);
+  let uid = '';
+  while (uid.length < 17) {
+    uid += BASE62[Number(value % 62n)];
+    value /= 62n;
+  }
+  return `C${uid}`;
+}
+
+function isoTime(epochSeconds) {
+  return Number.isFinite(epochSeconds) ? new Date(epochSeconds * 1000).toISOString() : '';
+}
+
+function zeekTime(epochSeconds) {
+  return epochSeconds.toFixed(6);
+}
+
+function zeekStamp(date) {
+  return date.toISOString().slice(0, 19).replace(/[T:]/g, '-');
+}
+
+// Hostnames only: strip ports and skip IP literals
+function hostName(value) {
+  const host = value.replace(/^\[(.*)\](:\d+)?$/, '$1').replace(/:\d+$/, '').toLowerCase();
+  return host && !net.isIP(host) ? host : null;
+}
+
+function newFlow(key, proto, orig, resp, time) {
+  return {
+    key, proto, orig, resp, start: time, end: time, history: '', services: new Set(),
+    origPkts: 0, respPkts: 0, origBytes: 0, respBytes: 0, origIpBytes: 0, respIpBytes: 0,
+    origSyn: false, respSynAck: false, origFin: false, respFin: false, origRst: false, respRst: false,
+  };
+}
+
+// Record a history letter once per direction: uppercase for the originator
+function addHistory(flow, letter, fromOrig) {
+  const mark = fromOrig ? letter : letter.toLowerCase();
+  if (!flow.history.includes(mark)) flow.history += mark;
+}
+
+function connState(flow) {
+  if (flow.proto !== 'tcp') return flow.respPkts > 0 ? 'SF' : 'S0';
+  if (!flow.origSyn) return 'OTH';
+  if (!flow.respSynAck) {
+    if (flow.respRst) return 'REJ';
+    if (flow.origFin) return 'SH';
+    return flow.origRst ? 'RSTOS0' : 'S0';
+  }
+  if (flow.origRst) return 'RSTO';
+  if (flow.respRst) return 'RSTR';
+  if (flow.origFin && flow.respFin) return 'SF';
+  if (flow.origFin) return 'S2';
+  if (flow.respFin) return 'S3';
+  return 'S1';
+}
+
+// One tshark pass: write packet rows (when given a writer) and collect flows and observables
+async function collectExportData(tsharkPath, pcapPath, { displayFilter, extraArgs = [], packetsCsv } = {}) {
+  const flows = new Map();
+  const ips = new Set();
+  const domains = new Set();
+  const urls = new Set();
+  let packets = 0;
+  let firstTime = null;
+  let lastTime = null;
+  if (packetsCsv) packetsCsv.write(csvLine(PACKET_COLUMNS));
+
+  await streamFields(tsharkPath, pcapPath, { fields: EXPORT_FIELDS, filter: displayFilter, extraArgs }, row => {
+    const time = Number(row['frame.time_epoch']);
+    packets++;
+    if (firstTime === null) firstTime = time;
+    lastTime = time;
+
+    const src = splitValues(row['ip.src'] || row['ipv6.src'])[0] || '';
+    const dst = splitValues(row['ip.dst'] || row['ipv6.dst'])[0] || '';
+    const tcp = row['tcp.stream'] !== '';
+    const udp = !tcp && row['udp.stream'] !== '';
+    const icmpType = row['icmp.type'] || row['icmpv6.type'];
+    const icmp = !tcp && !udp && icmpType !== '';
+    const srcPort = tcp ? row['tcp.srcport'] : (udp ? row['udp.srcport'] : '');
+    const dstPort = tcp ? row['tcp.dstport'] : (udp ? row['udp.dstport'] : '');
+
+    if (packetsCsv) {
+      packetsCsv.write(csvLine([
+        row['frame.number'], isoTime(time), src, srcPort, dst, dstPort,
+        tcp ? 'tcp' : (udp ? 'udp' : (icmp ? 'icmp' : '')), row['_ws.col.Protocol'], row['frame.len'], row['_ws.col.Info'],
+      ]));
+    }
+
+    if (src) ips.add(src);
+    if (dst) ips.add(dst);
+    if (!isSet(row['dns.flags.response'])) splitValues(row['dns.qry.name']).forEach(name => domains.add(name.toLowerCase()));
+    [...splitValues(row['tls.handshake.extensions_server_name']), ...splitValues(row['http.host']),
+      ...splitValues(row['http2.headers.authority'])]
+      .map(hostName).filter(host => host).forEach(host => domains.add(host));
+    splitValues(row['http.request.full_uri']).forEach(url => urls.add(url));
+    const paths = splitValues(row['http2.headers.path']);
+    splitValues(row['http2.headers.authority']).forEach((authority, i) => urls.add(`https://${authority}${paths[i] || ''}`));
+
+    if (!src || !dst || !(tcp || udp || icmp)) return;
+
+    // ICMP has no stream index; key it on the address pair so replies join the request
+    const proto = tcp ? 'tcp' : (udp ? 'udp' : 'icmp');
+    const key = tcp ? `tcp:${row['tcp.stream']}` : (udp ? `udp:${row['udp.stream']}` : null);
+    let flow = key ? flows.get(key) : (flows.get(`icmp:${src}|${dst}`) || flows.get(`icmp:${dst}|${src}`));
+    if (!flow) {
+      const synAck = tcp && isSet(row['tcp.flags.syn']) && isSet(row['tcp.flags.ack']);
+      // A SYN-ACK seen first means the originator's SYN was not captured
+      const [origH, origP, respH, respP] = synAck
+        ? [dst, dstPort, src, srcPort]
+        : [src, icmp ? icmpType : srcPort, dst, icmp ? (row['icmp.code'] || row['icmpv6.code']) : dstPort];
+      const flowKey = key || `icmp:${src}|${dst}`;
+      flow = newFlow(flowKey, proto, { h: origH, p: origP }, { h: respH, p: respP }, time);
+      flows.set(flowKey, flow);
+    }
+
+    const fromOrig = src === flow.orig.h && (icmp || srcPort === flow.orig.p);
+    const ipBytes = row['ip.len'] !== '' ? Number(splitValues(row['ip.len'])[0]) : Number(splitValues(row['ipv6.plen'])[0] || 0) + 40;
+    let payload;
+    if (tcp) payload = Number(row['tcp.len']) || 0;
+    else if (udp) payload = Math.max(0, (Number(row['udp.length']) || 8) - 8);
+    else payload = Math.max(0, ipBytes - (Number(splitValues(row['ip.hdr_len'])[0]) || 40) - 8);
+
+    flow.end = time;
+    if (fromOrig) {
+      flow.origPkts++;
+      flow.origBytes += payload;
+      flow.origIpBytes += ipBytes;
+    } else {
+      flow.respPkts++;
+      flow.respBytes += payload;
+      flow.respIpBytes += ipBytes;
+    }
+
+    for (const protocol of row['frame.protocols'].split(':')) {
+      if (ZEEK_SERVICES[protocol]) flow.services.add(ZEEK_SERVICES[protocol]);
+    }
+
+    if (tcp) {
+      const syn = isSet(row['tcp.flags.syn']);
+      const ack = isSet(row['tcp.flags.ack']);
+      const fin = isSet(row['tcp.flags.fin']);
+      const rst = isSet(row['tcp.flags.reset']);
+      if (syn && !ack && fromOrig) { flow.origSyn = true; addHistory(flow, 'S', true); }
+      if (syn && ack && !fromOrig) { flow.respSynAck = true; addHistory(flow, 'H', false); }
+      if (!syn && ack && payload === 0 && !fin && !rst) addHistory(flow, 'A', fromOrig);
+      if (payload > 0) addHistory(flow, 'D', fromOrig);
+      if (fin) {
+        if (fromOrig) flow.origFin = true; else flow.respFin = true;
+        addHistory(flow, 'F', fromOrig);
+      }
+      if (rst) {
+        if (fromOrig) flow.origRst = true; else flow.respRst = true;
+        addHistory(flow, 'R', fromOrig);
+      }
+    } else if (payload > 0) {
+      addHistory(flow, 'D', fromOrig);
+    }
+  });
+
+  const connections = [...flows.values()]
+    .sort((a, b) => a.start - b.start)
+    .map(flow => ({ ...flow, uid: connUid(`${pcapPath}|${flow.key}`), state: connState(flow) }));
+  return {
+    packets,
+    firstTime,
+    lastTime,
+    connections,
+    observables: { ips: [...ips], domains: [...domains], urls: [...urls] },
+  };
+}
+
+function writeConversationsCsv(connections, writer) {
+  writer.write(csvLine(CONVERSATION_COLUMNS));
+  for (const c of connections) {
+    writer.write(csvLine([
+      c.uid, isoTime(c.start), (c.end - c.start).toFixed(6), c.proto, [...c.services].join(','),
+      c.orig.h, c.orig.p, c.resp.h, c.resp.p, c.origPkts, c.origBytes, c.respPkts, c.respBytes, c.state,
+    ]));
+  }
+}
+
+// Zeek's ASCII log format: tab-separated with #-prefixed header lines
+function writeConnLog(connections, writer) {
+  const now = new Date();
+  writer.write('#separator \\x09\n#set_separator\t,\n#empty_field\t(empty)\n#unset_field\t-\n#path\tconn\n' +
+    `#open\t${zeekStamp(now)}\n` +
+    `#fields\t${CONN_FIELDS.map(([name]) => name).join('\t')}\n` +
+    `#types\t${CONN_FIELDS.map(([, type]) => type).join('\t')}\n`);
+  for (const c of connections) {
+    const duration = c.origPkts + c.respPkts > 1 ? zeekTime(c.end - c.start) : '-';
+    writer.write(`${[
+      zeekTime(c.start), c.uid, c.orig.h, c.orig.p || '0', c.resp.h, c.resp.p || '0', c.proto,
+      c.services.size > 0 ? [...c.services].join(',') : '-', duration, c.origBytes, c.respBytes, c.state,
+      '-', '-', 0, c.history || '-', c.origPkts, c.origIpBytes, c.respPkts, c.respIpBytes, '(empty)',
+    ].join('\t')}\n`);
+  }
+  writer.write(`#close\t${zeekStamp(new Date())}\n`);
+}
+
+// Deterministic SCO: the ID is derived from the object's ID contributing properties
+function stixObservable(type, properties, extra = {}) {
+  const canonical = JSON.stringify(Object.fromEntries(Object.entries(properties).sort(([a], [b]) => a.localeCompare(b))));
+  return { type, spec_version: '2.1', id: `${type}--${uuidv5(canonical, STIX_SCO_NAMESPACE)}`, ...properties, ...extra };
+}
+
+function stixString(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+function indicatorPattern(match) {
+  if (match.type === 'ip') return `[${net.isIPv6(match.indicator) ? 'ipv6-addr' : 'ipv4-addr'}:value = '${stixString(match.indicator)}']`;
+  if (match.type === 'domain') return `[domain-name:value = '${stixString(match.indicator)}']`;
+  return `[url:value = '${stixString(match.indicator)}']`;
+}
+
+// Bundle every observable in one observed-data object, with an indicator per threat match.
+// Credentials become user-account observables; secrets are only included when not redacted.
+function buildStixBundle({ pcapPath, packets, firstTime, lastTime, observables, threats, credentials, includeSecrets }) {
+  const now = new Date().toISOString();
+  const identity = {
+    type: 'identity', spec_version: '2.1', id: `identity--${uuidv5('WireMCP', STIX_SCO_NAMESPACE)}`,
+    created: now, modified: now, name: 'WireMCP', identity_class: 'system',
+  };
+  const common = { spec_version: '2.1', created: now, modified: now, created_by_ref: identity.id };
+
+  const scos = new Map();
+  const add = sco => {
+    if (!scos.has(sco.id)) scos.set(sco.id, sco);
+  };
+  observables.ips.forEach(ip => add(stixObservable(net.isIPv6(ip) ? 'ipv6-addr' : 'ipv4-addr', { value: ip })));
+  observables.domains.forEach(domain => add(stixObservable('domain-name', { value: domain })));
+  observables.urls.forEach(url => add(stixObservable('url', { value: url })));
+  for (const c of credentials) {
+    if (!c.username) continue;
+    const secret = includeSecrets ? (c.password || c.hash) : null;
+    add(stixObservable('user-account', { account_login: c.username }, {
+      ...(secret ? { credential: secret } : {}),
+      x_wiremcp_credential_type: c.type,
+      ...(c.server ? { x_wiremcp_server: c.server } : {}),
+      x_wiremcp_frame: c.frame,
+    }));
+  }
+
+  const first = isoTime(firstTime) || now;
+  const last = isoTime(lastTime) || now;
+  const observedData = scos.size > 0 ? {
+    type: 'observed-data', id: `observed-data--${crypto.randomUUID()}`, ...common,
+    first_observed: first, last_observed: last, number_observed: Math.max(1, packets),
+    object_refs: [...scos.keys()],
+    x_wiremcp_source: path.basename(pcapPath),
+  } : null;
+
+  const indicators = threats.map(match => ({
+    type: 'indicator', id: `indicator--${crypto.randomUUID()}`, ...common,
+    name: match.indicator,
+    description: `Observed in ${path.basename(pcapPath)}; listed by ${match.feeds.join(', ')} (matched ${match.matchedOn})`,
+    indicator_types: ['malicious-activity'],
+    pattern: indicatorPattern(match),
+    pattern_type: 'stix',
+    valid_from: now,
+  }));
+  const relationships = observedData ? indicators.map(indicator => ({
+    type: 'relationship', id: `relationship--${crypto.randomUUID()}`, ...common,
+    relationship_type: 'based-on', source_ref: indicator.id, target_ref: observedData.id,
+  })) : [];
+
+  return {
+    type: 'bundle',
+    id: `bundle--${crypto.randomUUID()}`,
+    objects: [identity, ...indicators, ...(observedData ? [observedData] : []), ...relationships, ...scos.values()],
+  };
+}
+
+// Write the requested formats into outDir; files this call created are removed on failure
+async function exportFindings(tsharkPath, pcapPath, outDir, {
+  formats = EXPORT_FORMATS, displayFilter, extraArgs = [], checkThreats, extractCredentials, includeSecrets = false,
+} = {}) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const base = path.join(outDir, `${path.basename(pcapPath).replace(/\.[^.]+$/, '')}-${stamp}`);
+  const writers = [];
+  const open = suffix => {
+    const writer = fileWriter(`${base}.${suffix}`);
+    writers.push(writer);
+    return writer;
+  };
+
+  try {
+    const packetsCsv = formats.includes('csv') ? open('packets.csv') : null;
+    const data = await collectExportData(tsharkPath, pcapPath, { displayFilter, extraArgs, packetsCsv });
+    if (formats.includes('csv')) writeConversationsCsv(data.connections, open('conversations.csv'));
+    if (formats.includes('zeek')) writeConnLog(data.connections, open('conn.log'));
+
+    let threats = null;
+    let credentials = [];
+    if (formats.includes('stix')) {
+      threats = checkThreats ? await checkThreats(data.observables) : null;
+      credentials = extractCredentials ? await extractCredentials() : [];
+      const bundle = buildStixBundle({
+        pcapPath, ...data, threats: threats ? threats.matches : [], credentials, includeSecrets,
+      });
+      open('stix.json').write(JSON.stringify(bundle, null, 2));
+    }
+    writers.forEach(writer => writer.close());
+
+    const files = [];
+    for (const writer of writers) {
+      files.push({ path: writer.path, size: (await fs.stat(writer.path)).size });
+    }
+    return {
+      files,
+      packets: data.packets,
+      connections: data.connections.length,
+      observables: {
+        ips: data.observables.ips.length, domains: data.observables.domains.length, urls: data.observables.urls.length,
+      },
+      threats,
+      credentials: credentials.length,
+    };
+  } catch (error) {
+    for (const writer of writers) {
+      try {
+        writer.close();
+      } catch (err) {
+        // The file is removed below either way
+      }
+    }
+    await Promise.all(writers.map(writer => fs.rm(writer.path, { force: true })));
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  collectExportData,
+  writeConversationsCsv,
+  writeConnLog,
+  buildStixBundle,
+  exportFindings,
+};
@@ -0,0 +1,97 @@
+// lib/filters.js - Capture (BPF) and display filter validation
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { runTshark, findWiresharkTool } = require('./tshark');
+
+// Raised for filters tshark/dumpcap refuse to compile
+class FilterError extends Error {
+  constructor(kind, filter, detail) {
+    super(`Invalid ${kind} filter "${filter}": ${detail}`);
+    this.name = 'FilterError';
+    this.kind = kind;
+    this.filter = filter;
+    this.detail = detail;
+  }
+
+  toJSON() {
+    return {
+      error: `invalid_${this.kind}_filter`,
+      filter: this.filter,
+      message: this.detail,
+    };
+  }
+}
+
+// Empty pcap (global header only, Ethernet link type) used to compile display filters
+const EMPTY_PCAP = Buffer.from('d4c3b2a1020004000000000000000000ffff000001000000', 'hex');
+let emptyPcapPromise = null;
+let emptyPcapDir = null;
+
+// Written once per process into a private mkdtemp directory, so another user
+// on a shared /tmp can neither block the path nor plant a file there
+function getEmptyPcap() {
+  if (!emptyPcapPromise) {
+    emptyPcapPromise = (async () => {
+      emptyPcapDir = await fs.mkdtemp(path.join(os.tmpdir(), 'wiremcp-'));
+      const file = path.join(emptyPcapDir, 'empty.pcap');
+      await fs.writeFile(file, EMPTY_PCAP, { mode: 0o600 });
+      return file;
+    })();
+    emptyPcapPromise.catch(() => { emptyPcapPromise = null; });
+  }
+  return emptyPcapPromise;
+}
+
+// Delete the empty pcap directory on exit
+function removeEmptyPcapSync() {
+  if (emptyPcapDir) fsSync.rmSync(emptyPcapDir, { recursive: true, force: true });
+}
+
+function firstLines(text) {
+  return text.trim().split('\n').filter(line => line.trim()).slice(0, 3).join(' ').replace(/\s+/g, ' ');
+}
+
+// tshark compiles -Y before reading any packets, so an empty file is enough
+async function validateDisplayFilter(tsharkPath, filter) {
+  try {
+    await runTshark(tsharkPath, ['-r', await getEmptyPcap(), '-Y', filter]);
+  } catch (error) {
+    throw new FilterError('display', filter, firstLines(error.stderr || error.message));
+  }
+}
+
+// BPF compilation depends on the interface link type, so compile against the
+// real interface with `dumpcap -d` (print BPF code and exit) without capturing
+async function validateCaptureFilter(tsharkPath, iface, filter) {
+  // tshark hands live captures to dumpcap, which ships alongside it
+  const dumpcapPath = await findWiresharkTool(tsharkPath, 'dumpcap');
+  try {
+    await runTshark(dumpcapPath, ['-i', iface, '-f', filter, '-d']);
+  } catch (error) {
+    const stderr = error.stderr || '';
+    if (/filter|syntax/i.test(stderr)) {
+      throw new FilterError('capture', filter, firstLines(stderr));
+    }
+    throw new Error(`Could not validate capture filter with dumpcap: ${firstLines(stderr) || error.message}`);
+  }
+}
+
+function displayFilterArgs(filter) {
+  return filter ? ['-Y', filter] : [];
+}
+
+// Append a display filter to a -z statistics argument, e.g. io,phs,<filter>
+function statArg(stat, filter) {
+  return filter ? `${stat},${filter}` : stat;
+}
+
+module.exports = {
+  FilterError,
+  validateDisplayFilter,
+  validateCaptureFilter,
+  displayFilterArgs,
+  statArg,
+  removeEmptyPcapSync,
+};
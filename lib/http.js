@@ -0,0 +1,201 @@
+// lib/http.js - HTTP transaction reconstruction and object export
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const { streamFields, splitValues, runTshark } = require('./tshark');
+
+const HTTP_FIELDS = [
+  'frame.number', 'frame.time_epoch', 'ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst', 'tcp.stream', 'tcp.dstport',
+  'http.request', 'http.response', 'http.request.method', 'http.request.uri', 'http.host', 'http.user_agent',
+  'http.referer', 'http.response.code', 'http.content_type', 'http.content_length', 'http.request_in',
+];
+
+const EXECUTABLE_TYPES = new Set([
+  'application/x-msdownload', 'application/x-dosexec', 'application/x-executable', 'application/x-msi',
+  'application/vnd.microsoft.portable-executable', 'application/java-archive', 'application/x-sh',
+  'application/hta', 'application/x-elf', 'application/x-mach-binary',
+]);
+
+const EXECUTABLE_EXTENSIONS = /\.(exe|dll|scr|msi|ps1|bat|cmd|vbs|hta|jar|elf|sh|bin|apk|dmg)$/i;
+
+// User agents of scanners and exploitation tools
+const TOOL_AGENTS = /sqlmap|nikto|nmap|masscan|zgrab|nuclei|gobuster|dirbuster|wpscan|hydra/i;
+
+// Scripted clients that are legitimate in places but unusual from a workstation
+const SCRIPTED_AGENTS = /^(curl|wget|python-requests|python-urllib|go-http-client|libwww-perl|java\/|powershell|winhttp|microsoft bits|certutil)/i;
+
+// Read HTTP requests and responses from a pcap with tshark
+async function collectHttpMessages(tsharkPath, pcapPath, displayFilter, extraArgs = []) {
+  const filter = displayFilter ? `http && (${displayFilter})` : 'http';
+  const messages = [];
+  await streamFields(tsharkPath, pcapPath, { fields: HTTP_FIELDS, filter, extraArgs }, row => {
+    const isRequest = row['http.request'] !== '';
+    if (!isRequest && row['http.response'] === '') return;
+    messages.push({
+      frame: Number(row['frame.number']),
+      time: Number(row['frame.time_epoch']),
+      src: row['ip.src'] || row['ipv6.src'],
+      dst: row['ip.dst'] || row['ipv6.dst'],
+      stream: row['tcp.stream'] === '' ? null : Number(row['tcp.stream']),
+      dstPort: row['tcp.dstport'] === '' ? null : Number(row['tcp.dstport']),
+      request: isRequest,
+      method: row['http.request.method'],
+      uri: row['http.request.uri'],
+      host: row['http.host'],
+      userAgent: row['http.user_agent'],
+      referer: row['http.referer'],
+      status: row['http.response.code'] === '' ? null : Number(splitValues(row['http.response.code'])[0]),
+      contentType: splitValues(row['http.content_type'])[0] || '',
+      size: row['http.content_length'] === '' ? null : Number(splitValues(row['http.content_length'])[0]),
+      requestIn: row['http.request_in'] === '' ? null : Number(row['http.request_in']),
+    });
+  });
+  return messages;
+}
+
+// Pair responses with their requests, using tshark's request_in link and
+// falling back to pipelining order within the TCP stream
+function pairHttpTransactions(messages) {
+  const byFrame = new Map();
+  const unanswered = new Map();
+  const transactions = [];
+  for (const message of messages) {
+    if (message.request) {
+      const transaction = {
+        requestFrame: message.frame, responseFrame: null, stream: message.stream,
+        client: message.src, server: message.dst, port: message.dstPort,
+        method: message.method, host: message.host || message.dst, uri: message.uri,
+        userAgent: message.userAgent, referer: message.referer, requestSize: message.size,
+        status: null, contentType: '', responseSize: null, latencyMs: null, time: message.time,
+      };
+      byFrame.set(message.frame, transaction);
+      const queue = unanswered.get(message.stream) || [];
+      queue.push(transaction);
+      unanswered.set(message.stream, queue);
+      transactions.push(transaction);
+      continue;
+    }
+    const queue = unanswered.get(message.stream) || [];
+    let transaction = message.requestIn !== null ? byFrame.get(message.requestIn) : queue[0];
+    if (transaction) {
+      if (queue.includes(transaction)) queue.splice(queue.indexOf(transaction), 1);
+    } else {
+      // Response whose request was not captured
+      transaction = {
+        requestFrame: null, stream: message.stream, client: message.dst, server: message.src,
+        method: '', host: message.src, uri: '', userAgent: '', referer: '', requestSize: null, time: message.time,
+      };
+      transactions.push(transaction);
+    }
+    transaction.responseFrame = message.frame;
+    transaction.status = message.status;
+    transaction.contentType = message.contentType;
+    transaction.responseSize = message.size;
+    transaction.latencyMs = transaction.requestFrame !== null ? Math.round((message.time - transaction.time) * 1000 * 100) / 100 : null;
+  }
+  return transactions;
+}
+
+function hostName(host) {
+  return host.replace(/^\[(.*)\](:\d+)?$/, '$1').replace(/^([^:]+):\d+$/, '$1');
+}
+
+function flagTransaction(t) {
+  const findings = [];
+  const uriPath = (t.uri || '').split('?')[0];
+  const mediaType = (t.contentType || '').split(';')[0].trim().toLowerCase();
+  if (EXECUTABLE_TYPES.has(mediaType) || (t.responseFrame !== null && EXECUTABLE_EXTENSIONS.test(uriPath))) {
+    findings.push({ severity: 'high', issue: `Executable download: ${t.host}${t.uri} (${mediaType || 'no content type'})` });
+  }
+  if (t.method === 'POST' && net.isIP(hostName(t.host))) {
+    findings.push({ severity: 'medium', issue: `POST to raw IP address ${t.host}${t.uri}` });
+  }
+  if (t.requestFrame !== null) {
+    if (!t.userAgent) {
+      findings.push({ severity: 'low', issue: `Request without a User-Agent to ${t.host}` });
+    } else if (TOOL_AGENTS.test(t.userAgent)) {
+      findings.push({ severity: 'high', issue: `Scanner or attack tool User-Agent: ${t.userAgent}` });
+    } else if (SCRIPTED_AGENTS.test(t.userAgent)) {
+      findings.push({ severity: 'medium', issue: `Scripted client User-Agent: ${t.userAgent}` });
+    } else if (t.userAgent.length < 10) {
+      findings.push({ severity: 'low', issue: `Unusually short User-Agent: ${t.userAgent}` });
+    }
+  }
+  return findings;
+}
+
+// Group transactions by host and collect suspicious patterns
+function analyzeHttpTransactions(transactions) {
+  const hosts = new Map();
+  const findings = [];
+  for (const t of transactions) {
+    const entry = hosts.get(t.host) || {
+      host: t.host, requests: 0, bytes: 0, methods: {}, statuses: {}, clients: new Set(), userAgents: new Set(),
+    };
+    entry.requests++;
+    entry.bytes += t.responseSize || 0;
+    if (t.method) entry.methods[t.method] = (entry.methods[t.method] || 0) + 1;
+    if (t.status !== null) entry.statuses[t.status] = (entry.statuses[t.status] || 0) + 1;
+    entry.clients.add(t.client);
+    if (t.userAgent) entry.userAgents.add(t.userAgent);
+    hosts.set(t.host, entry);
+
+    for (const finding of flagTransaction(t)) {
+      findings.push({ ...finding, requestFrame: t.requestFrame, responseFrame: t.responseFrame, client: t.client });
+    }
+  }
+  return {
+    hosts: [...hosts.values()]
+      .map(h => ({ ...h, clients: [...h.clients], userAgents: [...h.userAgents] }))
+      .sort((a, b) => b.requests - a.requests),
+    findings,
+  };
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fsSync.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Export HTTP objects with tshark into outDir and hash each file. A manifest in
+// sha256sum format is written next to the directory for offline lookups.
+async function exportHttpObjects(tsharkPath, pcapPath, outDir, { displayFilter, extraArgs = [] } = {}) {
+  await fs.rm(outDir, { recursive: true, force: true });
+  await fs.mkdir(outDir, { recursive: true });
+  try {
+    await runTshark(tsharkPath, [
+      '-r', pcapPath, ...extraArgs, '-q', ...(displayFilter ? ['-Y', displayFilter] : []),
+      '--export-objects', `http,${outDir}`,
+    ]);
+  } catch (error) {
+    // Leave no partial export behind, e.g. when the request was cancelled
+    await fs.rm(outDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const objects = [];
+  for (const name of (await fs.readdir(outDir)).sort()) {
+    const filePath = path.join(outDir, name);
+    const stat = await fs.stat(filePath);
+    if (!stat.isFile()) continue;
+    objects.push({ file: name, path: filePath, size: stat.size, sha256: await sha256File(filePath) });
+  }
+  const manifestPath = `${outDir}.sha256`;
+  await fs.writeFile(manifestPath, objects.map(o => `${o.sha256}  ${o.file}\n`).join(''));
+  return { objects, manifestPath };
+}
+
+module.exports = {
+  HTTP_FIELDS,
+  collectHttpMessages,
+  pairHttpTransactions,
+  analyzeHttpTransactions,
+  exportHttpObjects,
+};
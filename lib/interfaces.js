@@ -0,0 +1,65 @@
+// lib/interfaces.js - Capture interface discovery and default interface selection
+const os = require('os');
+const { listInterfaces } = require('./tshark');
+const { config } = require('./config');
+
+// Loopback, extcap and other pseudo interfaces that make a poor default
+const PSEUDO_INTERFACES = /^(lo\d*|any|bluetooth|dbus|nflog|nfqueue|usbmon|dpauxmon|randpkt|sdjournal|ciscodump|sshdump|udpdump|wifidump|androiddump|etwdump|falcodump|awdl\d*|llw\d*|utun\d*|anpi\d*|ap\d+|gif\d*|stf\d*|bridge\d*)/i;
+
+let cachedDefault = null;
+
+// OS addresses for a tshark interface; Windows tshark names are device paths,
+// so the description (the adapter's friendly name) is tried as well
+function interfaceAddresses(iface, osInterfaces) {
+  const addresses = osInterfaces[iface.name] || osInterfaces[iface.description] || [];
+  return addresses.map(a => ({ address: a.address, family: a.family === 4 ? 'IPv4' : (a.family === 6 ? 'IPv6' : a.family), internal: a.internal }));
+}
+
+// Pick a default: the configured interface, else the first with an external IPv4
+// address, else Linux's "any", else the first non-pseudo interface
+function chooseDefault(interfaces) {
+  if (config.defaultInterface) {
+    return { name: config.defaultInterface, reason: 'configured with defaultInterface / WIREMCP_INTERFACE' };
+  }
+  const withIpv4 = interfaces.find(i => !PSEUDO_INTERFACES.test(i.name) && i.addresses.some(a => a.family === 'IPv4' && !a.internal));
+  if (withIpv4) return { name: withIpv4.name, reason: 'first interface with an external IPv4 address' };
+  if (interfaces.some(i => i.name === 'any')) return { name: 'any', reason: 'captures on all interfaces' };
+  const physical = interfaces.find(i => !PSEUDO_INTERFACES.test(i.name) && !/loopback/i.test(i.description));
+  if (physical) return { name: physical.name, reason: 'first non-loopback interface' };
+  if (interfaces.length > 0) return { name: interfaces[0].name, reason: 'first interface reported by tshark' };
+  return null;
+}
+
+// tshark -D interfaces with addresses and the default marked
+async function describeInterfaces(tsharkPath) {
+  const osInterfaces = os.networkInterfaces();
+  const interfaces = (await listInterfaces(tsharkPath)).map(iface => {
+    const addresses = interfaceAddresses(iface, osInterfaces);
+    return {
+      ...iface,
+      addresses,
+      loopback: /loopback/i.test(iface.description) || (addresses.length > 0 && addresses.every(a => a.internal)),
+    };
+  });
+  const chosen = chooseDefault(interfaces);
+  return {
+    interfaces: interfaces.map(iface => ({ ...iface, default: Boolean(chosen && iface.name === chosen.name) })),
+    defaultInterface: chosen,
+  };
+}
+
+// Resolved once per process; capture tools fall back to it when no interface is given
+async function defaultInterface(tsharkPath) {
+  if (!cachedDefault) {
+    const { defaultInterface: chosen } = await describeInterfaces(tsharkPath);
+    if (!chosen) throw new Error('tshark reports no capture interfaces. Check capture permissions (e.g. membership of the wireshark group).');
+    console.error(`Default capture interface: ${chosen.name} (${chosen.reason})`);
+    cachedDefault = chosen.name;
+  }
+  return cachedDefault;
+}
+
+module.exports = {
+  describeInterfaces,
+  defaultInterface,
+};
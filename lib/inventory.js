@@ -0,0 +1,312 @@
+// lib/inventory.js - Passive asset inventory: one record per host from ARP, DHCP,
+// mDNS, NBNS, LLDP/CDP announcements, TCP handshakes and answering services
+const { streamFields, splitValues, isSet } = require('./tshark');
+const { classifyAddress, isInternal } = require('./enrich');
+const { lookupVendor } = require('./oui');
+
+const INVENTORY_FIELDS = [
+  'frame.number', 'eth.src', 'ip.src', 'ip.ttl', 'ipv6.src', 'ipv6.hlim',
+  'tcp.srcport', 'tcp.dstport', 'tcp.flags.syn', 'tcp.flags.ack', 'tcp.window_size_value',
+  'udp.srcport', 'udp.dstport', 'arp.src.hw_mac', 'arp.src.proto_ipv4',
+  'dns.flags.response', 'dns.resp.name', 'dns.resp.type', 'dns.ptr.domain_name',
+  'nbns.name', 'nbns.addr', 'nbns.flags.opcode',
+];
+// Named bootp.* before Wireshark 3.0, and absent from minimal builds
+const OPTIONAL_FIELDS = [
+  'dhcp.option.dhcp', 'dhcp.hw.mac_addr', 'dhcp.option.hostname', 'dhcp.option.vendor_class_id',
+  'dhcp.option.request_list_item', 'dhcp.option.requested_ip_address', 'dhcp.ip.client', 'dhcp.ip.your',
+  'lldp.tlv.system.name', 'lldp.tlv.system.desc', 'lldp.port.id', 'lldp.mgn.addr.ip4',
+  'cdp.deviceid', 'cdp.platform', 'cdp.portid',
+];
+
+// Initial TTLs operating systems use; an observed TTL equal to one of them has not crossed a router
+const INITIAL_TTLS = [32, 64, 128, 255];
+
+// DHCP messages sent by clients (DISCOVER, REQUEST, INFORM) and the server's ACK
+const DHCP_CLIENT_MESSAGES = new Set(['1', '3', '8']);
+const DHCP_ACK = '5';
+
+// DHCP vendor class prefixes and the operating systems that send them
+const DHCP_VENDOR_HINTS = [
+  [/^MSFT/i, 'Windows'],
+  [/^android-dhcp/i, 'Android'],
+  [/^dhcpcd/i, 'Linux or Android (dhcpcd)'],
+  [/^udhcp/i, 'Embedded Linux (BusyBox udhcpc)'],
+  [/^Cisco|^CISCO/, 'Cisco device'],
+  [/^PXEClient/i, 'PXE network boot'],
+];
+
+// NetBIOS name suffixes that name a host (workstation and file server services)
+const NBNS_HOST_SUFFIXES = new Set(['00', '20']);
+// Name registration, refresh and multi-homed registration announce the sender's own name
+const NBNS_REGISTRATIONS = new Set(['5', '8', '9', '15']);
+
+const DNS_ADDRESS_TYPES = new Set(['1', '28', 'A', 'AAAA']);
+const MDNS_PORT = '5353';
+
+function first(value) {
+  return splitValues(value)[0] || '';
+}
+
+// Host addresses worth inventorying: not multicast, broadcast or unspecified
+function isHostAddress(ip) {
+  return Boolean(ip) && !['multicast', 'reserved', null].includes(classifyAddress(ip)) && ip !== '255.255.255.255';
+}
+
+// Coarse operating system family from a SYN's initial TTL and window size
+function tcpOsHint(initialTtl, window) {
+  if (initialTtl === 64) {
+    if (window === 65535) return 'macOS, iOS or BSD';
+    if ([5840, 14600, 29200, 64240, 65160].includes(window)) return 'Linux or Android';
+    return 'Linux, Android, macOS or other Unix-like';
+  }
+  if (initialTtl === 128) return 'Windows';
+  if (initialTtl === 255) return 'Network device, Solaris or AIX';
+  return 'Embedded device or legacy Windows';
+}
+
+function newIpRecord() {
+  return { packets: 0, firstFrame: null, hostnames: new Map(), osHints: new Map(), services: new Map(), mdnsServices: new Set() };
+}
+
+function newMacRecord() {
+  return { hostnames: new Map(), dhcp: null, osHints: new Map(), device: null };
+}
+
+function addName(record, name, source) {
+  const clean = name.trim().replace(/\.$/, '');
+  if (!clean) return;
+  const sources = record.hostnames.get(clean.toLowerCase()) || { name: clean, sources: new Set() };
+  sources.sources.add(source);
+  record.hostnames.set(clean.toLowerCase(), sources);
+}
+
+function addService(record, protocol, port) {
+  const key = `${protocol}/${port}`;
+  const service = record.services.get(key) || { protocol, port, answers: 0 };
+  service.answers++;
+  record.services.set(key, service);
+}
+
+function addHint(record, source, hint, detail) {
+  record.osHints.set(`${source}|${hint}|${detail}`, { source, hint, detail });
+}
+
+// Read every packet once and gather what each IP and MAC address reveals about itself
+async function collectInventory(tsharkPath, pcapPath, displayFilter, extraArgs = []) {
+  const ips = new Map();
+  const macs = new Map();
+  // ip -> mac -> { count, authoritative }; ARP and DHCP bindings outrank unrouted IP traffic
+  const bindings = new Map();
+  let packets = 0;
+
+  const ipRecord = ip => {
+    if (!ips.has(ip)) ips.set(ip, newIpRecord());
+    return ips.get(ip);
+  };
+  const macRecord = mac => {
+    if (!macs.has(mac)) macs.set(mac, newMacRecord());
+    return macs.get(mac);
+  };
+  const bind = (ip, mac, source) => {
+    if (!isHostAddress(ip) || !mac) return;
+    const byMac = bindings.get(ip) || new Map();
+    const entry = byMac.get(mac) || { count: 0, authoritative: false };
+    entry.count++;
+    if (source !== 'ip') entry.authoritative = true;
+    byMac.set(mac, entry);
+    bindings.set(ip, byMac);
+    macRecord(mac);
+  };
+
+  const { missingFields } = await streamFields(tsharkPath, pcapPath, {
+    fields: INVENTORY_FIELDS,
+    optionalFields: OPTIONAL_FIELDS,
+    filter: displayFilter,
+    extraArgs,
+  }, row => {
+    packets++;
+    const frame = Number(row['frame.number']);
+    const mac = first(row['eth.src']).toLowerCase();
+    const src = first(row['ip.src']) || first(row['ipv6.src']);
+    const ttl = Number(first(row['ip.ttl']) || first(row['ipv6.hlim'])) || null;
+
+    if (isHostAddress(src)) {
+      const record = ipRecord(src);
+      record.packets++;
+      if (record.firstFrame === null) record.firstFrame = frame;
+      // An untouched initial TTL means the sender is on this segment, so eth.src is its own MAC
+      if (INITIAL_TTLS.includes(ttl)) bind(src, mac, 'ip');
+
+      if (isSet(row['tcp.flags.syn']) && ttl) {
+        const initialTtl = INITIAL_TTLS.find(initial => ttl <= initial) || 255;
+        const window = Number(row['tcp.window_size_value']) || null;
+        addHint(record, 'tcp', tcpOsHint(initialTtl, window), `TTL ${ttl} (initial ${initialTtl}), window ${window}`);
+        // A SYN-ACK means the port answered
+        if (isSet(row['tcp.flags.ack'])) addService(record, 'tcp', Number(row['tcp.srcport']));
+      }
+      const udpSrc = Number(row['udp.srcport']);
+      // A well-known UDP port replying to an ephemeral one is a service answering
+      if (udpSrc && udpSrc < 1024 && Number(row['udp.dstport']) >= 1024) addService(record, 'udp', udpSrc);
+
+      // mDNS responders announce their own names and the services they offer
+      if (row['udp.srcport'] === MDNS_PORT && isSet(row['dns.flags.response'])) {
+        const names = splitValues(row['dns.resp.name']);
+        const types = splitValues(row['dns.resp.type']);
+        names.forEach((name, i) => {
+          if (DNS_ADDRESS_TYPES.has(types[i])) addName(record, name, 'mdns');
+        });
+        for (const name of [...names, ...splitValues(row['dns.ptr.domain_name'])]) {
+          const match = name.match(/(_[^.]+\._(?:tcp|udp))\.local\.?$/);
+          if (match && match[1] !== '_services._dns-sd._udp') record.mdnsServices.add(match[1]);
+        }
+      }
+    }
+
+    const arpMac = first(row['arp.src.hw_mac']).toLowerCase();
+    if (arpMac) bind(first(row['arp.src.proto_ipv4']), arpMac, 'arp');
+
+    const nbnsAddrs = splitValues(row['nbns.addr']);
+    const nbnsName = first(row['nbns.name']).match(/^(.+?)\s*<([0-9a-fA-F]{2})>$/);
+    if (nbnsName && NBNS_HOST_SUFFIXES.has(nbnsName[2]) && nbnsName[1] !== '__MSBROWSE__') {
+      // Registrations name the sender; positive answers name the address they return
+      const owners = nbnsAddrs.length > 0 ? nbnsAddrs : (NBNS_REGISTRATIONS.has(first(row['nbns.flags.opcode'])) ? [src] : []);
+      owners.filter(isHostAddress).forEach(ip => addName(ipRecord(ip), nbnsName[1], 'nbns'));
+    }
+
+    const dhcpType = first(row['dhcp.option.dhcp']);
+    const clientMac = first(row['dhcp.hw.mac_addr']).toLowerCase();
+    if (dhcpType && clientMac) {
+      const record = macRecord(clientMac);
+      if (DHCP_CLIENT_MESSAGES.has(dhcpType)) {
+        const hostname = first(row['dhcp.option.hostname']);
+        const vendorClass = first(row['dhcp.option.vendor_class_id']);
+        const requestList = splitValues(row['dhcp.option.request_list_item']).join(',');
+        if (hostname) addName(record, hostname, 'dhcp');
+        record.dhcp = {
+          hostname: hostname || (record.dhcp && record.dhcp.hostname) || null,
+          vendorClass: vendorClass || (record.dhcp && record.dhcp.vendorClass) || null,
+          parameterRequestList: requestList || (record.dhcp && record.dhcp.parameterRequestList) || null,
+        };
+        const vendorHint = vendorClass && DHCP_VENDOR_HINTS.find(([pattern]) => pattern.test(vendorClass));
+        if (vendorHint) addHint(record, 'dhcp', vendorHint[1], `vendor class "${vendorClass}"`);
+        bind(first(row['dhcp.option.requested_ip_address']), clientMac, 'dhcp');
+        bind(first(row['dhcp.ip.client']), clientMac, 'dhcp');
+      } else if (dhcpType === DHCP_ACK) {
+        bind(first(row['dhcp.ip.your']), clientMac, 'dhcp');
+        if (isHostAddress(src)) addService(ipRecord(src), 'udp', 67);
+      }
+    }
+
+    // LLDP and CDP describe the switch or device that sent them
+    const lldpName = first(row['lldp.tlv.system.name']);
+    const cdpName = first(row['cdp.deviceid']);
+    if (mac && (lldpName || cdpName || row['lldp.tlv.system.desc'] || row['cdp.platform'])) {
+      const record = macRecord(mac);
+      if (lldpName) addName(record, lldpName, 'lldp');
+      if (cdpName) addName(record, cdpName, 'cdp');
+      const device = record.device || { protocols: new Set(), description: null, portId: null, managementAddresses: new Set() };
+      device.protocols.add(lldpName || row['lldp.tlv.system.desc'] ? 'lldp' : 'cdp');
+      device.description = first(row['lldp.tlv.system.desc']) || first(row['cdp.platform']) || device.description;
+      device.portId = first(row['lldp.port.id']) || first(row['cdp.portid']) || device.portId;
+      splitValues(row['lldp.mgn.addr.ip4']).forEach(ip => device.managementAddresses.add(ip));
+      record.device = device;
+    }
+  });
+
+  return { packets, ips, macs, bindings, missingFields };
+}
+
+// Each address's MAC: the most frequent authoritative binding, else the most frequent one
+function resolveBindings(bindings) {
+  const owners = new Map();
+  for (const [ip, byMac] of bindings) {
+    const ranked = [...byMac.entries()].sort(([, a], [, b]) => (b.authoritative - a.authoritative) || (b.count - a.count));
+    owners.set(ip, ranked[0][0]);
+  }
+  return owners;
+}
+
+function sortAddresses(list) {
+  return [...list].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Merge per-IP and per-MAC observations into one record per host. Hosts are keyed
+// by MAC when the capture shows which MAC an address belongs to. Addresses seen
+// only behind a router are left out unless includeExternal is set.
+function buildInventory(collected, ouiTable, { includeExternal = false } = {}) {
+  const owners = resolveBindings(collected.bindings);
+  const hosts = new Map();
+  const host = key => {
+    if (!hosts.has(key)) {
+      hosts.set(key, {
+        addresses: new Set(), macs: new Set(), hostnames: new Map(), osHints: new Map(), services: new Map(),
+        mdnsServices: new Set(), dhcp: [], device: null, packets: 0, firstFrame: null,
+      });
+    }
+    return hosts.get(key);
+  };
+  const mergeNames = (target, source) => {
+    for (const [key, entry] of source.hostnames) {
+      const merged = target.hostnames.get(key) || { name: entry.name, sources: new Set() };
+      entry.sources.forEach(s => merged.sources.add(s));
+      target.hostnames.set(key, merged);
+    }
+    source.osHints.forEach((hint, key) => target.osHints.set(key, hint));
+  };
+
+  for (const [mac, info] of collected.macs) {
+    const h = host(`mac:${mac}`);
+    h.macs.add(mac);
+    mergeNames(h, info);
+    if (info.dhcp) h.dhcp.push({ mac, ...info.dhcp });
+    if (info.device) {
+      h.device = {
+        protocols: [...info.device.protocols],
+        description: info.device.description,
+        portId: info.device.portId,
+        managementAddresses: [...info.device.managementAddresses],
+      };
+    }
+  }
+  for (const [ip, info] of collected.ips) {
+    const mac = owners.get(ip);
+    if (!mac && !includeExternal && !isInternal(ip)) continue;
+    const h = host(mac ? `mac:${mac}` : `ip:${ip}`);
+    h.addresses.add(ip);
+    mergeNames(h, info);
+    info.services.forEach((service, key) => {
+      const merged = h.services.get(key) || { ...service, answers: 0 };
+      merged.answers += service.answers;
+      h.services.set(key, merged);
+    });
+    info.mdnsServices.forEach(service => h.mdnsServices.add(service));
+    h.packets += info.packets;
+    if (info.firstFrame !== null && (h.firstFrame === null || info.firstFrame < h.firstFrame)) h.firstFrame = info.firstFrame;
+  }
+  // Bound addresses that never sent IP themselves (e.g. only seen in ARP or a DHCP ACK)
+  for (const [ip, mac] of owners) host(`mac:${mac}`).addresses.add(ip);
+
+  return [...hosts.values()]
+    .filter(h => h.addresses.size > 0 || h.hostnames.size > 0 || h.dhcp.length > 0 || h.device)
+    .map(h => ({
+      addresses: sortAddresses(h.addresses),
+      macs: [...h.macs].map(mac => ({ mac, ...lookupVendor(ouiTable, mac) })),
+      hostnames: [...h.hostnames.values()].map(entry => ({ name: entry.name, sources: [...entry.sources] })),
+      dhcp: h.dhcp,
+      osHints: [...h.osHints.values()],
+      services: [...h.services.values()].sort((a, b) => a.protocol.localeCompare(b.protocol) || a.port - b.port),
+      mdnsServices: [...h.mdnsServices].sort(),
+      device: h.device,
+      packets: h.packets,
+      firstFrame: h.firstFrame,
+    }))
+    // Hosts known only by MAC (e.g. switches announcing over LLDP) go last
+    .sort((a, b) => (a.addresses.length === 0) - (b.addresses.length === 0) ||
+      (a.addresses[0] || '').localeCompare(b.addresses[0] || '', undefined, { numeric: true }));
+}
+
+module.exports = {
+  collectInventory,
+  buildInventory,
+};
@@ -0,0 +1,176 @@
+// lib/kerberos.js - Encryption-type-aware Kerberos hash extraction
+// Covers AS-REQ pre-authentication timestamps, AS-REP roasting and Kerberoasting
+// (TGS-REP) for RC4-HMAC and AES128/256-CTS-HMAC-SHA1-96.
+const { splitValues } = require('./tshark');
+
+const KERBEROS_FIELDS = [
+  'kerberos.msg_type', 'kerberos.CNameString', 'kerberos.realm', 'kerberos.SNameString',
+  'kerberos.etype', 'kerberos.cipher', 'kerberos.salt',
+];
+
+const MSG_TYPES = { AS_REQ: 10, AS_REP: 11, TGS_REQ: 12, TGS_REP: 13, KRB_ERROR: 30 };
+
+const ETYPES = { 17: 'AES128-CTS-HMAC-SHA1-96', 18: 'AES256-CTS-HMAC-SHA1-96', 23: 'RC4-HMAC' };
+
+const HASHCAT_MODES = {
+  pa: { 23: 7500, 17: 19800, 18: 19900 },
+  asrep: { 23: 18200, 17: 32100, 18: 32200 },
+  tgs: { 23: 13100, 17: 19600, 18: 19700 },
+};
+
+const JOHN_FORMATS = {
+  pa: { 23: 'krb5pa-md5', 17: 'krb5pa-sha1', 18: 'krb5pa-sha1' },
+  asrep: { 23: 'krb5asrep', 17: 'krb5asrep', 18: 'krb5asrep' },
+  tgs: { 23: 'krb5tgs', 17: 'krb5tgs', 18: 'krb5tgs' },
+};
+
+// The Kerberoast hash names the account that owns the SPN, which is not on the wire
+const SERVICE_ACCOUNT_PLACEHOLDER = 'SERVICE_ACCOUNT';
+
+// Byte field as tshark prints it ("aa:bb:...") to lowercase hex
+function hex(value) {
+  return (value || '').replace(/:/g, '').toLowerCase();
+}
+
+function etypeLabel(etype) {
+  return `${ETYPES[etype] || 'unknown'} (${etype})`;
+}
+
+// Read one Kerberos message from a row; only the first message of a packet is used
+function parseKerberosRow(r, p) {
+  const msgType = Number(splitValues(r['kerberos.msg_type'])[0]);
+  if (!msgType) return null;
+  return {
+    frame: p.frame,
+    stream: p.stream,
+    msgType,
+    cname: splitValues(r['kerberos.CNameString']).join('/'),
+    realms: splitValues(r['kerberos.realm']),
+    sname: splitValues(r['kerberos.SNameString']).join('/'),
+    etypes: splitValues(r['kerberos.etype']).map(Number),
+    ciphers: splitValues(r['kerberos.cipher']).map(hex),
+    salts: splitValues(r['kerberos.salt']),
+  };
+}
+
+// RC4 puts the 16-byte checksum first; AES appends a 12-byte HMAC
+function splitCipher(etype, cipher) {
+  return etype === 23
+    ? { checksum: cipher.slice(0, 32), edata: cipher.slice(32) }
+    : { checksum: cipher.slice(-24), edata: cipher.slice(0, -24) };
+}
+
+function hashEntry(kind, etype, fields) {
+  return {
+    ...fields,
+    etype: etypeLabel(etype),
+    crackingMode: `hashcat -m ${HASHCAT_MODES[kind][etype]} or john --format=${JOHN_FORMATS[kind][etype]}`,
+  };
+}
+
+// Turn parsed messages into hashes, correlating each request with its reply on the same stream
+function buildKerberosHashes(messages) {
+  const hashes = [];
+  const pending = new Map();
+  const salts = new Map();
+
+  for (const m of messages) {
+    const realm = m.realms[0] || '';
+
+    if (m.msgType === MSG_TYPES.AS_REQ || m.msgType === MSG_TYPES.TGS_REQ) {
+      // Leading etypes belong to the padata ciphertexts; the rest is the client's etype list
+      m.requestedEtypes = m.etypes.slice(m.ciphers.length);
+      const queue = pending.get(m.stream) || [];
+      queue.push(m);
+      pending.set(m.stream, queue);
+
+      const etype = m.etypes[0];
+      if (m.msgType === MSG_TYPES.AS_REQ && m.ciphers[0] && ETYPES[etype]) {
+        const cipher = m.ciphers[0];
+        const salt = salts.get(`${realm}|${m.cname}|${etype}`) || '';
+        const { checksum, edata } = splitCipher(etype, cipher);
+        m.hash = hashEntry('pa', etype, {
+          type: 'Kerberos AS-REQ pre-auth',
+          hash: etype === 23
+            ? `$krb5pa$23$${m.cname}$${realm}$${salt}$${edata}${checksum}`
+            : `$krb5pa$${etype}$${m.cname}$${realm}$${cipher}`,
+          username: m.cname || 'unknown',
+          realm: realm || 'unknown',
+          salt: salt || `${realm.toUpperCase()}${m.cname}`,
+          frame: m.frame,
+          replyFrame: null,
+        });
+        hashes.push(m.hash);
+      }
+      continue;
+    }
+
+    const wanted = m.msgType === MSG_TYPES.TGS_REP ? MSG_TYPES.TGS_REQ : MSG_TYPES.AS_REQ;
+    const queue = pending.get(m.stream) || [];
+    const index = queue.findIndex(request => request.msgType === wanted);
+    const request = index >= 0 ? queue.splice(index, 1)[0] : null;
+    const cname = m.cname || (request && request.cname) || '';
+
+    // ETYPE-INFO2 entries (KRB-ERROR e-data or AS-REP padata) carry the AES salts
+    m.salts.forEach((salt, i) => salts.set(`${realm}|${cname}|${m.etypes[i]}`, salt));
+
+    if (m.msgType === MSG_TYPES.KRB_ERROR) continue;
+    if (request && request.hash) request.hash.replyFrame = m.frame;
+
+    const correlation = {
+      requestFrame: request ? request.frame : null,
+      requestedEtypes: request ? request.requestedEtypes.map(etypeLabel) : [],
+    };
+
+    if (m.msgType === MSG_TYPES.AS_REP) {
+      // The reply's own enc-part is encrypted with the client's long-term key
+      const etype = m.etypes[m.etypes.length - 1];
+      const cipher = m.ciphers[m.ciphers.length - 1];
+      if (!cipher || !ETYPES[etype]) continue;
+      const { checksum, edata } = splitCipher(etype, cipher);
+      hashes.push(hashEntry('asrep', etype, {
+        type: 'Kerberos AS-REP',
+        hash: etype === 23
+          ? `$krb5asrep$23$${cname}@${realm}:${checksum}$${edata}`
+          : `$krb5asrep$${etype}$${cname}$${realm}$${checksum}$${edata}`,
+        username: cname || 'unknown',
+        realm: realm || 'unknown',
+        frame: m.frame,
+        ...correlation,
+      }));
+    } else if (m.msgType === MSG_TYPES.TGS_REP) {
+      // The service ticket is encrypted with the service account's key
+      const etype = m.etypes[m.etypes.length - 2];
+      const cipher = m.ciphers[0];
+      if (!cipher || !ETYPES[etype] || /^krbtgt\//i.test(m.sname)) continue;
+      const serviceRealm = m.realms[1] || realm;
+      const { checksum, edata } = splitCipher(etype, cipher);
+      const rc4Only = request && request.requestedEtypes.length > 0 && request.requestedEtypes.every(e => e === 23);
+      hashes.push(hashEntry('tgs', etype, {
+        type: 'Kerberos TGS-REP (Kerberoast)',
+        hash: etype === 23
+          ? `$krb5tgs$23$*${SERVICE_ACCOUNT_PLACEHOLDER}$${serviceRealm}$${m.sname}*$${checksum}$${edata}`
+          : `$krb5tgs$${etype}$${SERVICE_ACCOUNT_PLACEHOLDER}$${serviceRealm}$*${m.sname}*$${checksum}$${edata}`,
+        username: cname || 'unknown',
+        realm: serviceRealm || 'unknown',
+        spn: m.sname,
+        frame: m.frame,
+        ...correlation,
+        note: [
+          rc4Only ? 'The request offered only RC4, which is typical of Kerberoasting tools.' : '',
+          etype !== 23 ? `Replace ${SERVICE_ACCOUNT_PLACEHOLDER} with the account that owns ${m.sname}; AES keys are salted with its name.` : '',
+        ].filter(note => note).join(' '),
+      }));
+    }
+  }
+  return hashes;
+}
+
+module.exports = {
+  KERBEROS_FIELDS,
+  ETYPES,
+  HASHCAT_MODES,
+  hex,
+  parseKerberosRow,
+  buildKerberosHashes,
+};
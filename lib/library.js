@@ -0,0 +1,106 @@
+// lib/library.js - PCAP library browsing with capinfos metadata
+const path = require('path');
+const fs = require('fs').promises;
+const { runTshark, findWiresharkTool } = require('./tshark');
+const { PCAP_LIBRARY_DIR, isWithin } = require('./paths');
+
+const PCAP_EXTENSIONS = /\.(pcap|pcapng|cap|ntar)(\.gz)?$/i;
+const MAX_DEPTH = 5;
+const MAX_FILES = 1000;
+
+// capinfos table headers mapped to metadata keys
+const CAPINFOS_KEYS = {
+  'File type': 'fileFormat',
+  'File encapsulation': 'linkType',
+  'Number of packets': 'packets',
+  'File size (bytes)': 'fileSize',
+  'Data size (bytes)': 'dataSize',
+  'Capture duration (seconds)': 'durationSeconds',
+  'Start time': 'startTime',
+  'End time': 'endTime',
+};
+const NUMERIC_KEYS = new Set(['packets', 'fileSize', 'dataSize', 'durationSeconds']);
+const HASH_HEADERS = /^(SHA256|SHA1|RIPEMD160|MD5)$/;
+
+// Keyed by path, size and mtime so edited files are re-read
+const metadataCache = new Map();
+
+// Walk the library directory for capture files, skipping hidden entries
+async function listLibraryPcaps() {
+  if (!PCAP_LIBRARY_DIR) return [];
+  const root = await fs.realpath(PCAP_LIBRARY_DIR).catch(() => null);
+  if (!root) return [];
+  const files = [];
+  const walk = async (dir, depth) => {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (files.length >= MAX_FILES || entry.name.startsWith('.')) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && depth < MAX_DEPTH) {
+        await walk(fullPath, depth + 1);
+      } else if (entry.isFile() && PCAP_EXTENSIONS.test(entry.name)) {
+        const stat = await fs.stat(fullPath);
+        files.push({ name: path.relative(root, fullPath), path: fullPath, size: stat.size, modified: stat.mtime.toISOString() });
+      }
+    }
+  };
+  await walk(root, 0);
+  return files;
+}
+
+// Map a library-relative name back to a file, refusing anything outside the library
+async function resolveLibraryPcap(name) {
+  if (!PCAP_LIBRARY_DIR) throw new Error('No PCAP library is configured. Set WIREMCP_PCAP_DIR.');
+  const root = await fs.realpath(PCAP_LIBRARY_DIR);
+  const realPath = await fs.realpath(path.resolve(root, name)).catch(() => null);
+  if (!realPath || !isWithin(root, realPath) || !PCAP_EXTENSIONS.test(realPath)) {
+    throw new Error(`'${name}' is not a capture file in the PCAP library`);
+  }
+  return realPath;
+}
+
+function parseCapinfos(stdout) {
+  const [header = '', values = ''] = stdout.split('\n').filter(line => line.trim());
+  const columns = header.split('\t');
+  const cells = values.split('\t');
+  const metadata = { hashes: {} };
+  columns.forEach((column, i) => {
+    const value = (cells[i] || '').trim();
+    if (HASH_HEADERS.test(column)) {
+      metadata.hashes[column.toLowerCase()] = value;
+    } else if (CAPINFOS_KEYS[column]) {
+      const key = CAPINFOS_KEYS[column];
+      metadata[key] = NUMERIC_KEYS.has(key) ? Number(value) : value;
+    }
+  });
+  // -S prints times as epoch seconds; an empty capture has none
+  for (const key of ['startTime', 'endTime']) {
+    const seconds = Number(metadata[key]);
+    metadata[key] = metadata[key] && Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : null;
+  }
+  return metadata;
+}
+
+// Packet count, duration, start/end time, link type, file format and hashes
+async function readCapinfos(tsharkPath, pcapPath) {
+  const stat = await fs.stat(pcapPath);
+  const cacheKey = `${pcapPath}|${stat.size}|${stat.mtimeMs}`;
+  if (metadataCache.has(cacheKey)) return metadataCache.get(cacheKey);
+
+  const capinfosPath = await findWiresharkTool(tsharkPath, 'capinfos');
+  const { stdout, stderr } = await runTshark(capinfosPath, [
+    '-T', '-M', '-S', '-t', '-E', '-c', '-s', '-d', '-u', '-a', '-e', '-H', pcapPath,
+  ]);
+  if (stderr) console.error(`capinfos stderr: ${stderr}`);
+  const metadata = parseCapinfos(stdout);
+  if (metadataCache.size >= MAX_FILES) metadataCache.delete(metadataCache.keys().next().value);
+  metadataCache.set(cacheKey, metadata);
+  return metadata;
+}
+
+module.exports = {
+  listLibraryPcaps,
+  resolveLibraryPcap,
+  parseCapinfos,
+  readCapinfos,
+};
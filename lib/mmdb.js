@@ -0,0 +1,193 @@
+// lib/mmdb.js - Minimal reader for MaxMind DB (mmdb) files such as GeoLite2 and DB-IP
+// Implements the lookup side of https://maxmind.github.io/MaxMind-DB/ so GeoIP
+// and ASN enrichment works offline without extra dependencies.
+const net = require('net');
+const fs = require('fs').promises;
+
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex');
+const METADATA_MAX_SIZE = 128 * 1024;
+const DATA_SECTION_SEPARATOR = 16;
+const MAX_CACHED_RECORDS = 10000;
+
+// Data section field types
+const TYPES = {
+  1: 'pointer', 2: 'utf8', 3: 'double', 4: 'bytes', 5: 'uint16', 6: 'uint32', 7: 'map',
+  8: 'int32', 9: 'uint64', 10: 'uint128', 11: 'array', 12: 'container', 13: 'end', 14: 'boolean', 15: 'float',
+};
+
+function readUint(buffer, offset, size) {
+  let value = 0n;
+  for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(buffer[offset + i]);
+  // Counts and ASNs fit in a double; only oversized identifiers stay strings
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+
+// Decode one field at offset; pointers are relative to base (the data section or metadata start)
+function decode(buffer, offset, base) {
+  const control = buffer[offset++];
+  let type = TYPES[control >> 5];
+  if (control >> 5 === 0) type = TYPES[7 + buffer[offset++]];
+  if (!type) throw new Error(`Corrupt mmdb data at offset ${offset - 1}`);
+
+  if (type === 'pointer') {
+    const sizeBits = (control >> 3) & 0x3;
+    const high = control & 0x7;
+    let pointer;
+    if (sizeBits === 0) pointer = (high << 8) | buffer[offset];
+    else if (sizeBits === 1) pointer = ((high << 16) | buffer.readUInt16BE(offset)) + 2048;
+    else if (sizeBits === 2) pointer = ((high << 24) | buffer.readUIntBE(offset, 3)) + 526336;
+    else pointer = buffer.readUInt32BE(offset);
+    const [value] = decode(buffer, base + pointer, base);
+    return [value, offset + sizeBits + 1];
+  }
+
+  let size = control & 0x1f;
+  if (size === 29) size = 29 + buffer[offset++];
+  else if (size === 30) { size = 285 + buffer.readUInt16BE(offset); offset += 2; }
+  else if (size === 31) { size = 65821 + buffer.readUIntBE(offset, 3); offset += 3; }
+
+  switch (type) {
+    case 'utf8':
+      return [buffer.toString('utf8', offset, offset + size), offset + size];
+    case 'bytes':
+      return [buffer.subarray(offset, offset + size).toString('hex'), offset + size];
+    case 'double':
+      return [buffer.readDoubleBE(offset), offset + 8];
+    case 'float':
+      return [buffer.readFloatBE(offset), offset + 4];
+    case 'uint16':
+    case 'uint32':
+    case 'uint64':
+    case 'uint128':
+      return [size === 0 ? 0 : readUint(buffer, offset, size), offset + size];
+    case 'int32': {
+      if (size === 0) return [0, offset];
+      const value = buffer.readUIntBE(offset, size);
+      return [size === 4 ? value | 0 : value, offset + size];
+    }
+    case 'boolean':
+      return [size !== 0, offset];
+    case 'map': {
+      const map = {};
+      for (let i = 0; i < size; i++) {
+        const [key, afterKey] = decode(buffer, offset, base);
+        const [value, afterValue] = decode(buffer, afterKey, base);
+        map[key] = value;
+        offset = afterValue;
+      }
+      return [map, offset];
+    }
+    case 'array': {
+      const array = [];
+      for (let i = 0; i < size; i++) {
+        const [value, next] = decode(buffer, offset, base);
+        array.push(value);
+        offset = next;
+      }
+      return [array, offset];
+    }
+    default:
+      throw new Error(`Unsupported mmdb field type ${type}`);
+  }
+}
+
+// IPv6 groups as numbers; an embedded dotted quad (::ffff:1.2.3.4) counts as two groups
+function ipv6Groups(part) {
+  if (!part) return [];
+  return part.split(':').flatMap(group => {
+    if (!group.includes('.')) return [parseInt(group, 16)];
+    const [a, b, c, d] = group.split('.').map(Number);
+    return [(a << 8) | b, (c << 8) | d];
+  });
+}
+
+// Address bytes in the database's address space; null if the database cannot hold it
+function addressBytes(ip, ipVersion) {
+  if (net.isIPv4(ip)) return { bytes: ip.split('.').map(Number), ipv4InIpv6: ipVersion === 6 };
+  const address = ip.split('%')[0];
+  if (ipVersion !== 6 || !net.isIPv6(address)) return null;
+  const [head, tail] = address.split('::');
+  const headGroups = ipv6Groups(head);
+  const tailGroups = ipv6Groups(tail);
+  const fill = tail !== undefined ? new Array(8 - headGroups.length - tailGroups.length).fill(0) : [];
+  const groups = [...headGroups, ...fill, ...tailGroups];
+  return { bytes: groups.flatMap(group => [group >> 8, group & 0xff]), ipv4InIpv6: false };
+}
+
+class MmdbReader {
+  constructor(buffer, file) {
+    this.buffer = buffer;
+    this.file = file;
+    const searchStart = Math.max(0, buffer.length - METADATA_MAX_SIZE);
+    const markerAt = buffer.lastIndexOf(METADATA_MARKER);
+    if (markerAt < searchStart || markerAt < 0) throw new Error(`${file} is not a MaxMind DB file (metadata marker not found)`);
+    const metadataStart = markerAt + METADATA_MARKER.length;
+    const [metadata] = decode(buffer, metadataStart, metadataStart);
+    if (!metadata || !metadata.node_count || ![24, 28, 32].includes(metadata.record_size)) {
+      throw new Error(`${file} has unsupported mmdb metadata (record size ${metadata && metadata.record_size})`);
+    }
+    this.metadata = metadata;
+    this.nodeCount = metadata.node_count;
+    this.recordSize = metadata.record_size;
+    this.nodeBytes = (metadata.record_size * 2) / 8;
+    this.treeSize = this.nodeBytes * this.nodeCount;
+    this.dataStart = this.treeSize + DATA_SECTION_SEPARATOR;
+    this.cache = new Map();
+    this.ipv4Start = null;
+  }
+
+  readRecord(node, bit) {
+    const offset = node * this.nodeBytes;
+    const b = this.buffer;
+    if (this.recordSize === 24) return b.readUIntBE(offset + bit * 3, 3);
+    if (this.recordSize === 32) return b.readUInt32BE(offset + bit * 4);
+    // 28-bit records share the middle byte's nibbles
+    const middle = b[offset + 3];
+    return bit === 0
+      ? ((middle & 0xf0) << 20) | b.readUIntBE(offset, 3)
+      : ((middle & 0x0f) << 24) | b.readUIntBE(offset + 4, 3);
+  }
+
+  // IPv4 addresses live under ::/96 in an IPv6 tree
+  findIpv4Start() {
+    if (this.ipv4Start === null) {
+      let node = 0;
+      for (let i = 0; i < 96 && node < this.nodeCount; i++) node = this.readRecord(node, 0);
+      this.ipv4Start = node;
+    }
+    return this.ipv4Start;
+  }
+
+  resolveData(record) {
+    if (this.cache.has(record)) return this.cache.get(record);
+    const offset = this.dataStart + (record - this.nodeCount - DATA_SECTION_SEPARATOR);
+    const [value] = decode(this.buffer, offset, this.dataStart);
+    if (this.cache.size >= MAX_CACHED_RECORDS) this.cache.delete(this.cache.keys().next().value);
+    this.cache.set(record, value);
+    return value;
+  }
+
+  // Record for an address, with the prefix length of the network it matched, or null
+  get(ip) {
+    const address = addressBytes(ip, this.metadata.ip_version);
+    if (!address) return null;
+    let node = address.ipv4InIpv6 ? this.findIpv4Start() : 0;
+    const bitCount = address.bytes.length * 8;
+    let depth = 0;
+    for (; depth < bitCount && node < this.nodeCount; depth++) {
+      const bit = (address.bytes[depth >> 3] >> (7 - (depth % 8))) & 1;
+      node = this.readRecord(node, bit);
+    }
+    if (node <= this.nodeCount) return null;
+    return { data: this.resolveData(node), prefixLength: depth };
+  }
+}
+
+async function openMmdb(file) {
+  return new MmdbReader(await fs.readFile(file), file);
+}
+
+module.exports = {
+  MmdbReader,
+  openMmdb,
+};
@@ -0,0 +1,109 @@
+// lib/oui.js - MAC address vendor lookup from an OUI table
+// The table comes from ouiFile / WIREMCP_OUI_FILE, else from the manuf file that
+// ships with Wireshark, else from `tshark -G manuf` (Wireshark 4.2+ builds it in).
+const path = require('path');
+const fs = require('fs').promises;
+const { config } = require('./config');
+const { runTshark } = require('./tshark');
+
+// Prefix lengths in bits, longest first: MA-S (36), MA-M (28) and MA-L (24) blocks
+const PREFIX_BITS = [36, 28, 24];
+
+let tablePromise = null;
+
+// Wireshark manuf files found next to the tshark binary on Linux, macOS and Windows
+function manufCandidates(tsharkPath) {
+  const dir = path.dirname(tsharkPath);
+  return [
+    path.join(dir, '..', 'share', 'wireshark', 'manuf'),
+    path.join(dir, '..', 'Resources', 'share', 'wireshark', 'manuf'),
+    path.join(dir, 'manuf'),
+    '/usr/share/wireshark/manuf',
+    '/usr/local/share/wireshark/manuf',
+    '/opt/homebrew/share/wireshark/manuf',
+  ];
+}
+
+// Parse Wireshark manuf ("00:00:0C<TAB>Cisco<TAB>Cisco Systems, Inc", optionally "/28"),
+// IEEE oui.txt ("00-00-0C   (hex)<TAB>Cisco Systems, Inc") or IEEE CSV ("MA-L,00000C,Cisco Systems, Inc,...")
+function parseOuiTable(text) {
+  const prefixes = new Map(PREFIX_BITS.map(bits => [bits, new Map()]));
+  let count = 0;
+  const add = (hex, bits, vendor) => {
+    const table = prefixes.get(bits);
+    const name = vendor.trim();
+    if (!table || !name) return;
+    table.set(hex.slice(0, bits / 4), name);
+    count++;
+  };
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    let match = line.match(/^([0-9A-Fa-f]{2}-[0-9A-Fa-f]{2}-[0-9A-Fa-f]{2})\s+\(hex\)\s+(.+)$/);
+    if (match) {
+      add(match[1].replace(/-/g, '').toUpperCase(), 24, match[2]);
+      continue;
+    }
+    match = line.match(/^([0-9A-Fa-f]{2}(?:[:.-][0-9A-Fa-f]{2}){2,5})(?:\/(\d+))?\s+(\S+)(?:\s+(.+))?$/);
+    if (match) {
+      const hex = match[1].replace(/[:.-]/g, '').toUpperCase();
+      add(hex, match[2] ? Number(match[2]) : 24, match[4] || match[3]);
+      continue;
+    }
+    match = line.match(/^MA-([LMS]),([0-9A-Fa-f]{6,9}),("([^"]*)"|[^,]*)/);
+    if (match) add(match[2].toUpperCase(), { L: 24, M: 28, S: 36 }[match[1]], match[4] !== undefined ? match[4] : match[3]);
+  }
+  return { prefixes, count };
+}
+
+async function readOuiTable(tsharkPath) {
+  const files = config.ouiFile ? [config.ouiFile] : manufCandidates(tsharkPath);
+  for (const file of files) {
+    try {
+      const table = parseOuiTable(await fs.readFile(file, 'utf8'));
+      if (table.count > 0) return { source: file, ...table };
+    } catch (err) {
+      if (config.ouiFile) return { source: null, error: `${file}: ${err.message}`, prefixes: null, count: 0 };
+    }
+  }
+  try {
+    const { stdout } = await runTshark(tsharkPath, ['-G', 'manuf']);
+    const table = parseOuiTable(stdout);
+    if (table.count > 0) return { source: 'tshark -G manuf', ...table };
+  } catch (err) {
+    console.error(`tshark -G manuf failed: ${err.message}`);
+  }
+  return { source: null, prefixes: null, count: 0 };
+}
+
+// Load the table once per process
+function loadOuiTable(tsharkPath) {
+  if (!tablePromise) {
+    tablePromise = readOuiTable(tsharkPath).then(table => {
+      console.error(table.count > 0
+        ? `Loaded ${table.count} OUI entries from ${table.source}`
+        : `No OUI table available${table.error ? ` (${table.error})` : ''}; MAC vendors are unknown`);
+      return table;
+    });
+  }
+  return tablePromise;
+}
+
+// Vendor for a MAC address; locally administered (often randomized) addresses have none
+function lookupVendor(table, mac) {
+  const hex = mac.replace(/[:.-]/g, '').toUpperCase();
+  if (parseInt(hex.slice(0, 2), 16) & 0x02) return { vendor: null, locallyAdministered: true };
+  if (table.prefixes) {
+    for (const bits of PREFIX_BITS) {
+      const vendor = table.prefixes.get(bits).get(hex.slice(0, bits / 4));
+      if (vendor) return { vendor, locallyAdministered: false };
+    }
+  }
+  return { vendor: null, locallyAdministered: false };
+}
+
+module.exports = {
+  parseOuiTable,
+  loadOuiTable,
+  lookupVendor,
+};
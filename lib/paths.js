@@ -0,0 +1,86 @@
+// lib/paths.js - Allowed-directory sandbox for client-supplied file paths
+const path = require('path');
+const fs = require('fs').promises;
+const { config } = require('./config');
+
+// PCAP library exposed as MCP resources; its files are always readable
+const PCAP_LIBRARY_DIR = config.pcapDir;
+
+// Directories pcapPath may point into. The launch directory is never trusted: MCP
+// clients often start the server in / or the user's home directory.
+const ALLOWED_DIRS = [...config.allowedDirs, ...(PCAP_LIBRARY_DIR ? [PCAP_LIBRARY_DIR] : []), config.sessionDir];
+
+function isWithin(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// The PCAP library and session directories are always allowed, so list them even
+// when no allowedDirs are configured
+function outsideAllowedDirs(label, filePath) {
+  const hint = config.allowedDirs.length === 0
+    ? 'No allowedDirs are configured yet: set allowedDirs in the config file or WIREMCP_ALLOWED_DIRS to the directories holding your captures and exports.'
+    : 'Add it to allowedDirs / WIREMCP_ALLOWED_DIRS to permit other locations.';
+  return new Error(`Rejected ${label} '${filePath}': path is outside the allowed directories ` +
+    `(${ALLOWED_DIRS.join(', ')}). ${hint}`);
+}
+
+async function isAllowed(realPath) {
+  for (const dir of ALLOWED_DIRS) {
+    const realDir = await fs.realpath(dir).catch(() => null);
+    if (realDir && isWithin(realDir, realPath)) return true;
+  }
+  return false;
+}
+
+// Resolve a client-supplied path to its real location (following symlinks)
+// and reject it unless it is a regular file inside one of the allowed directories
+async function resolveAllowedPath(filePath, label = 'pcapPath') {
+  let realPath;
+  try {
+    realPath = await fs.realpath(path.resolve(filePath));
+  } catch (err) {
+    throw new Error(`Rejected ${label} '${filePath}': file does not exist or is not accessible`);
+  }
+
+  if (!(await isAllowed(realPath))) throw outsideAllowedDirs(label, filePath);
+
+  const stat = await fs.stat(realPath);
+  if (!stat.isFile()) {
+    throw new Error(`Rejected ${label} '${filePath}': not a regular file`);
+  }
+  return realPath;
+}
+
+// Resolve an output directory inside the allowed directories, creating it if needed.
+// The nearest existing ancestor is checked so symlinks cannot lead outside.
+async function resolveAllowedDir(dirPath, label = 'outputDir') {
+  const target = path.resolve(dirPath);
+  let existing = target;
+  const missing = [];
+  for (;;) {
+    try {
+      existing = await fs.realpath(existing);
+      break;
+    } catch (err) {
+      if (path.dirname(existing) === existing) throw new Error(`Rejected ${label} '${dirPath}': no accessible parent directory`);
+      missing.unshift(path.basename(existing));
+      existing = path.dirname(existing);
+    }
+  }
+  const realPath = path.join(existing, ...missing);
+  if (!(await isAllowed(realPath))) throw outsideAllowedDirs(label, dirPath);
+  await fs.mkdir(realPath, { recursive: true });
+  if (!(await fs.stat(realPath)).isDirectory()) {
+    throw new Error(`Rejected ${label} '${dirPath}': not a directory`);
+  }
+  return realPath;
+}
+
+module.exports = {
+  PCAP_LIBRARY_DIR,
+  ALLOWED_DIRS,
+  isWithin,
+  resolveAllowedPath,
+  resolveAllowedDir,
+};
@@ -0,0 +1,391 @@
+// lib/pcap.js - Built-in pcap/pcapng reader used when tshark is not installed
+// Decodes Ethernet, Linux cooked and raw IP link types, IPv4/IPv6, TCP, UDP,
+// DNS and HTTP/1 request and status lines. Anything deeper needs tshark.
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const zlib = require('zlib');
+const { activeRequest, trackProgress } = require('./tshark');
+
+const PCAP_MAGIC = {
+  a1b2c3d4: { littleEndian: false, resolution: 1e6 },
+  d4c3b2a1: { littleEndian: true, resolution: 1e6 },
+  a1b23c4d: { littleEndian: false, resolution: 1e9 },
+  '4d3cb2a1': { littleEndian: true, resolution: 1e9 },
+};
+const PCAPNG_SECTION_HEADER = 0x0a0d0d0a;
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+const MAX_BLOCK_SIZE = 256 * 1024 * 1024;
+
+const LINK_ETHERNET = 1;
+const LINK_NULL = 0;
+const LINK_RAW = [101, 12, 14];
+const LINK_LINUX_SLL = 113;
+const LINK_LINUX_SLL2 = 276;
+const LINK_IPV4 = 228;
+const LINK_IPV6 = 229;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_IPV6 = 0x86dd;
+const ETHERTYPE_ARP = 0x0806;
+const ETHERTYPE_VLAN = [0x8100, 0x88a8, 0x9100];
+
+const IPV6_EXTENSION_HEADERS = new Set([0, 43, 44, 51, 60]);
+const HTTP_REQUEST_LINE = /^(GET|POST|PUT|DELETE|HEAD|OPTIONS|PATCH|CONNECT|TRACE) (\S+) HTTP\/1\.[01]\r?\n/;
+const HTTP_STATUS_LINE = /^HTTP\/1\.[01] (\d{3})/;
+const DNS_PORT = 53;
+
+// Pull fixed-size records out of a growing buffer; returns how many bytes were used
+function pcapRecords(state, buffer, onPacket) {
+  let offset = 0;
+  const read32 = at => (state.littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+  if (!state.headerRead) {
+    if (buffer.length < 24) return 0;
+    state.linkType = read32(20) & 0xffff;
+    state.headerRead = true;
+    offset = 24;
+  }
+  while (buffer.length - offset >= 16) {
+    const capturedLength = read32(offset + 8);
+    if (capturedLength > MAX_BLOCK_SIZE) throw new Error(`Corrupt pcap record at byte ${state.consumed + offset}`);
+    if (buffer.length - offset < 16 + capturedLength) break;
+    onPacket({
+      time: read32(offset) + read32(offset + 4) / state.resolution,
+      length: read32(offset + 12),
+      linkType: state.linkType,
+      data: buffer.subarray(offset + 16, offset + 16 + capturedLength),
+    });
+    offset += 16 + capturedLength;
+  }
+  return offset;
+}
+
+// Interface Description Block options: if_tsresol (9) and if_tsoffset (14)
+function interfaceOptions(block, littleEndian) {
+  const options = { resolution: 1e6, offset: 0 };
+  let at = 16;
+  while (at + 4 <= block.length - 4) {
+    const code = littleEndian ? block.readUInt16LE(at) : block.readUInt16BE(at);
+    const length = littleEndian ? block.readUInt16LE(at + 2) : block.readUInt16BE(at + 2);
+    if (code === 0) break;
+    if (code === 9 && length >= 1) {
+      const value = block[at + 4];
+      // Capped so the resolution stays an exact integer
+      options.resolution = value & 0x80 ? 2 ** Math.min(value & 0x7f, 52) : 10 ** Math.min(value, 15);
+    } else if (code === 14 && length >= 8) {
+      options.offset = Number(littleEndian ? block.readBigInt64LE(at + 4) : block.readBigInt64BE(at + 4));
+    }
+    at += 4 + Math.ceil(length / 4) * 4;
+  }
+  return options;
+}
+
+function pcapngBlocks(state, buffer, onPacket) {
+  let offset = 0;
+  while (buffer.length - offset >= 12) {
+    const type = buffer.readUInt32LE(offset);
+    if (type === PCAPNG_SECTION_HEADER) {
+      // A new section may switch byte order and always resets the interfaces
+      const magic = buffer.readUInt32LE(offset + 8);
+      state.littleEndian = magic === PCAPNG_BYTE_ORDER_MAGIC;
+      if (!state.littleEndian && buffer.readUInt32BE(offset + 8) !== PCAPNG_BYTE_ORDER_MAGIC) {
+        throw new Error(`Corrupt pcapng section header at byte ${state.consumed + offset}`);
+      }
+      state.interfaces = [];
+    }
+    const read32 = at => (state.littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+    const blockType = read32(offset);
+    const blockLength = read32(offset + 4);
+    if (blockLength < 12 || blockLength % 4 !== 0 || blockLength > MAX_BLOCK_SIZE) {
+      throw new Error(`Corrupt pcapng block at byte ${state.consumed + offset}`);
+    }
+    if (buffer.length - offset < blockLength) break;
+    const block = buffer.subarray(offset, offset + blockLength);
+    const blockRead32 = at => (state.littleEndian ? block.readUInt32LE(at) : block.readUInt32BE(at));
+
+    if (blockType === 1) {
+      state.interfaces.push({
+        linkType: state.littleEndian ? block.readUInt16LE(8) : block.readUInt16BE(8),
+        ...interfaceOptions(block, state.littleEndian),
+      });
+    } else if (blockType === 6 || blockType === 2) {
+      // Enhanced Packet Block, or the obsolete Packet Block with a 16-bit interface ID
+      const iface = state.interfaces[blockType === 6 ? blockRead32(8) : (blockRead32(8) >>> (state.littleEndian ? 0 : 16)) & 0xffff];
+      if (!iface) throw new Error(`pcapng packet refers to an undeclared interface at byte ${state.consumed + offset}`);
+      const capturedLength = blockRead32(20);
+      // Nanosecond ticks overflow a double's precision, so split whole seconds off first
+      const ticks = (BigInt(blockRead32(12)) << 32n) | BigInt(blockRead32(16));
+      const resolution = BigInt(iface.resolution);
+      onPacket({
+        time: iface.offset + Number(ticks / resolution) + Number(ticks % resolution) / iface.resolution,
+        length: blockRead32(24),
+        linkType: iface.linkType,
+        data: block.subarray(28, 28 + capturedLength),
+      });
+    } else if (blockType === 3) {
+      // Simple Packet Block: no timestamp, always interface 0
+      const iface = state.interfaces[0];
+      if (!iface) throw new Error(`pcapng packet refers to an undeclared interface at byte ${state.consumed + offset}`);
+      const length = blockRead32(8);
+      onPacket({ time: 0, length, linkType: iface.linkType, data: block.subarray(12, 12 + Math.min(length, blockLength - 16)) });
+    }
+    offset += blockLength;
+  }
+  return offset;
+}
+
+// Identify the container from its first bytes
+function detectFormat(header) {
+  if (header.readUInt32LE(0) === PCAPNG_SECTION_HEADER) {
+    return { parse: pcapngBlocks, interfaces: [], littleEndian: true };
+  }
+  const magic = PCAP_MAGIC[header.subarray(0, 4).toString('hex')];
+  if (magic) return { parse: pcapRecords, headerRead: false, ...magic };
+  throw new Error('Not a pcap or pcapng file (unknown magic number)');
+}
+
+async function isGzip(pcapPath) {
+  const handle = await fs.open(pcapPath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+    return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Call onPacket with { number, time, length, linkType, data } for every packet.
+// Files are streamed, so captures larger than memory can be read; gzip is unwrapped.
+async function readPackets(pcapPath, onPacket) {
+  const context = activeRequest();
+  let number = 0;
+  const stop = trackProgress(context, () => [`Processed ${number} packets with the built-in reader`]);
+  const gzip = await isGzip(pcapPath);
+  const fileStream = fsSync.createReadStream(pcapPath);
+  const stream = gzip ? fileStream.pipe(zlib.createGunzip()) : fileStream;
+  let state = null;
+  let pending = Buffer.alloc(0);
+  try {
+    for await (const chunk of stream) {
+      if (context && context.signal.aborted) throw context.signal.reason;
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      if (!state) {
+        if (pending.length < 4) continue;
+        state = { ...detectFormat(pending), consumed: 0 };
+      }
+      const used = state.parse(state, pending, packet => onPacket({ number: ++number, ...packet }));
+      state.consumed += used;
+      pending = pending.subarray(used);
+    }
+  } finally {
+    stop();
+    fileStream.destroy();
+    if (stream !== fileStream) stream.destroy();
+  }
+  if (!state) throw new Error('Not a pcap or pcapng file (too short)');
+  // A capture cut off mid-packet (e.g. a live file still being written) keeps what was complete
+  return { packets: number, truncated: pending.length > 0 };
+}
+
+function formatIpv4(data, offset) {
+  return `${data[offset]}.${data[offset + 1]}.${data[offset + 2]}.${data[offset + 3]}`;
+}
+
+// RFC 5952 text form, as tshark prints it: lowercase, longest zero run compressed
+function formatIpv6(data, offset) {
+  const groups = [];
+  for (let i = 0; i < 8; i++) groups.push(data.readUInt16BE(offset + i * 2));
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8;) {
+    if (groups[i] !== 0) { i++; continue; }
+    let end = i;
+    while (end < 8 && groups[end] === 0) end++;
+    if (end - i > bestLength) {
+      bestStart = i;
+      bestLength = end - i;
+    }
+    i = end;
+  }
+  const hex = list => list.map(group => group.toString(16)).join(':');
+  if (bestStart < 0) return hex(groups);
+  return `${hex(groups.slice(0, bestStart))}::${hex(groups.slice(bestStart + bestLength))}`;
+}
+
+// DNS name at offset, following compression pointers; returns [name, offset after the name]
+function readDnsName(message, offset) {
+  const labels = [];
+  let next = null;
+  for (let jumps = 0; offset < message.length; jumps++) {
+    const length = message[offset];
+    if (length === 0) {
+      offset++;
+      break;
+    }
+    if ((length & 0xc0) === 0xc0) {
+      if (offset + 1 >= message.length || jumps > 32) throw new Error('bad DNS compression pointer');
+      if (next === null) next = offset + 2;
+      offset = ((length & 0x3f) << 8) | message[offset + 1];
+      continue;
+    }
+    labels.push(message.toString('latin1', offset + 1, offset + 1 + length));
+    offset += 1 + length;
+  }
+  return [labels.join('.') || '<Root>', next !== null ? next : offset];
+}
+
+// Header, questions and A/AAAA/CNAME answers of a DNS message; null if it does not parse
+function decodeDns(message) {
+  if (message.length < 12) return null;
+  try {
+    const flags = message.readUInt16BE(2);
+    const questionCount = message.readUInt16BE(4);
+    const answerCount = message.readUInt16BE(6);
+    const dns = { id: message.readUInt16BE(0), response: Boolean(flags & 0x8000), rcode: flags & 0xf, queries: [], answers: [] };
+    let offset = 12;
+    for (let i = 0; i < questionCount; i++) {
+      const [name, after] = readDnsName(message, offset);
+      dns.queries.push({ name, type: message.readUInt16BE(after) });
+      offset = after + 4;
+    }
+    for (let i = 0; i < answerCount && offset < message.length; i++) {
+      const [name, after] = readDnsName(message, offset);
+      const type = message.readUInt16BE(after);
+      const rdLength = message.readUInt16BE(after + 8);
+      const rdata = after + 10;
+      if (type === 1 && rdLength === 4) dns.answers.push({ name, type, value: formatIpv4(message, rdata) });
+      else if (type === 28 && rdLength === 16) dns.answers.push({ name, type, value: formatIpv6(message, rdata) });
+      else if (type === 5) dns.answers.push({ name, type, value: readDnsName(message, rdata)[0] });
+      offset = rdata + rdLength;
+    }
+    return dns;
+  } catch (err) {
+    return null;
+  }
+}
+
+// HTTP/1 request line and Host header, or the response status code
+function decodeHttp(payload) {
+  const head = payload.toString('latin1', 0, Math.min(payload.length, 4096));
+  const request = head.match(HTTP_REQUEST_LINE);
+  if (request) {
+    const host = head.match(/\r?\nHost:[ \t]*([^\r\n]*)/i);
+    return { method: request[1], uri: request[2], host: host ? host[1].trim() : null };
+  }
+  const response = head.match(HTTP_STATUS_LINE);
+  return response ? { status: Number(response[1]) } : null;
+}
+
+function decodeTransport(packet, protocol, data, offset, end) {
+  if (protocol === 6 && end - offset >= 20) {
+    const headerLength = (data[offset + 12] >> 4) * 4;
+    const flags = ((data[offset + 12] & 0x01) << 8) | data[offset + 13];
+    packet.protocols.push('tcp');
+    Object.assign(packet, {
+      transport: 'tcp', srcPort: data.readUInt16BE(offset), dstPort: data.readUInt16BE(offset + 2),
+      tcpFlags: { syn: Boolean(flags & 0x02), ack: Boolean(flags & 0x10), fin: Boolean(flags & 0x01), rst: Boolean(flags & 0x04) },
+      payload: data.subarray(Math.min(offset + headerLength, end), end),
+    });
+  } else if (protocol === 17 && end - offset >= 8) {
+    packet.protocols.push('udp');
+    Object.assign(packet, {
+      transport: 'udp', srcPort: data.readUInt16BE(offset), dstPort: data.readUInt16BE(offset + 2),
+      payload: data.subarray(offset + 8, end),
+    });
+  } else {
+    const names = { 1: 'icmp', 2: 'igmp', 47: 'gre', 50: 'esp', 58: 'icmpv6', 132: 'sctp' };
+    if (names[protocol]) packet.protocols.push(names[protocol]);
+    return;
+  }
+
+  if (packet.srcPort === DNS_PORT || packet.dstPort === DNS_PORT) {
+    // DNS over TCP carries a two-byte length prefix
+    const dns = decodeDns(packet.transport === 'tcp' ? packet.payload.subarray(2) : packet.payload);
+    if (dns && (packet.transport === 'udp' || packet.payload.length > 2)) {
+      packet.protocols.push('dns');
+      packet.dns = dns;
+    }
+  } else if (packet.transport === 'tcp' && packet.payload.length > 0) {
+    const http = decodeHttp(packet.payload);
+    if (http) {
+      packet.protocols.push('http');
+      packet.http = http;
+    }
+  }
+}
+
+function decodeIp(packet, data, offset) {
+  const version = data[offset] >> 4;
+  if (version === 4 && data.length - offset >= 20) {
+    const headerLength = (data[offset] & 0x0f) * 4;
+    // The total length trims Ethernet padding off the payload; 0 means segmentation offload
+    const totalLength = data.readUInt16BE(offset + 2);
+    const end = totalLength === 0 ? data.length : Math.min(data.length, offset + totalLength);
+    const fragmentOffset = data.readUInt16BE(offset + 6) & 0x1fff;
+    packet.protocols.push('ip');
+    Object.assign(packet, { ipVersion: 4, src: formatIpv4(data, offset + 12), dst: formatIpv4(data, offset + 16) });
+    if (fragmentOffset === 0) decodeTransport(packet, data[offset + 9], data, offset + headerLength, end);
+  } else if (version === 6 && data.length - offset >= 40) {
+    const end = Math.min(data.length, offset + 40 + data.readUInt16BE(offset + 4));
+    packet.protocols.push('ipv6');
+    Object.assign(packet, { ipVersion: 6, src: formatIpv6(data, offset + 8), dst: formatIpv6(data, offset + 24) });
+    let next = data[offset + 6];
+    let at = offset + 40;
+    while (IPV6_EXTENSION_HEADERS.has(next) && at + 8 <= end) {
+      // Only the first fragment carries the transport header
+      if (next === 44 && (data.readUInt16BE(at + 2) & 0xfff8) !== 0) return;
+      const length = next === 44 ? 8 : (next === 51 ? (data[at + 1] + 2) * 4 : (data[at + 1] + 1) * 8);
+      next = data[at];
+      at += length;
+    }
+    decodeTransport(packet, next, data, at, end);
+  }
+}
+
+function decodeEthertype(packet, type, data, offset) {
+  if (type === ETHERTYPE_IPV4 || type === ETHERTYPE_IPV6) {
+    packet.protocols.push('ethertype');
+    decodeIp(packet, data, offset);
+  } else if (type === ETHERTYPE_ARP) {
+    packet.protocols.push('ethertype', 'arp');
+  }
+}
+
+// Decode one packet from readPackets into addresses, ports, flags and
+// application data, with a tshark-style protocol path in protocols
+function decodePacket({ linkType, data }) {
+  const packet = { protocols: [], src: null, dst: null, transport: null, srcPort: null, dstPort: null };
+  try {
+    if (linkType === LINK_ETHERNET && data.length >= 14) {
+      packet.protocols.push('eth');
+      let type = data.readUInt16BE(12);
+      let offset = 14;
+      while (ETHERTYPE_VLAN.includes(type) && data.length >= offset + 4) {
+        packet.protocols.push('ethertype', 'vlan');
+        type = data.readUInt16BE(offset + 2);
+        offset += 4;
+      }
+      decodeEthertype(packet, type, data, offset);
+    } else if (linkType === LINK_LINUX_SLL && data.length >= 16) {
+      packet.protocols.push('sll');
+      decodeEthertype(packet, data.readUInt16BE(14), data, 16);
+    } else if (linkType === LINK_LINUX_SLL2 && data.length >= 20) {
+      packet.protocols.push('sll');
+      decodeEthertype(packet, data.readUInt16BE(0), data, 20);
+    } else if (linkType === LINK_NULL && data.length >= 4) {
+      // BSD loopback: address family in host byte order; 2 is IPv4, 24/28/30 are IPv6
+      packet.protocols.push('null');
+      decodeIp(packet, data, 4);
+    } else if (LINK_RAW.includes(linkType) || linkType === LINK_IPV4 || linkType === LINK_IPV6) {
+      packet.protocols.push('raw');
+      decodeIp(packet, data, 0);
+    }
+  } catch (err) {
+    // A truncated header (short snaplen) ends decoding with what was read so far
+  }
+  return packet;
+}
+
+module.exports = {
+  readPackets,
+  decodePacket,
+};
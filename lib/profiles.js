@@ -0,0 +1,166 @@
+// lib/profiles.js - Declarative analysis profiles loaded from the profiles directory
+// Each *.json file describes one analysis: the tshark fields to read, a display
+// filter and an optional group-by aggregation. The server registers every valid
+// profile as its own tool and prompt.
+const path = require('path');
+const fsSync = require('fs');
+const { streamFields, splitValues } = require('./tshark');
+
+const PROFILE_KEYS = ['name', 'description', 'fields', 'displayFilter', 'aggregate', 'maxRows', 'prompt'];
+const NAME_PATTERN = /^[a-z][a-z0-9_]{2,63}$/;
+const FIELD_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const DEFAULT_MAX_ROWS = 500;
+const MAX_ROWS_LIMIT = 10000;
+const PROMPT_PLACEHOLDERS = ['source', 'name', 'description'];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && FIELD_PATTERN.test(item));
+}
+
+// Check one parsed profile; returns a list of problems
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['must be a JSON object'];
+  const problems = Object.keys(profile).filter(key => !PROFILE_KEYS.includes(key))
+    .map(key => `unknown key '${key}' (known keys: ${PROFILE_KEYS.join(', ')})`);
+  if (typeof profile.name !== 'string' || !NAME_PATTERN.test(profile.name)) {
+    problems.push('name must be 3-64 lowercase letters, digits or underscores, starting with a letter');
+  }
+  if (typeof profile.description !== 'string' || !profile.description.trim()) problems.push('description must be a non-empty string');
+  if (!isStringList(profile.fields)) problems.push('fields must be a non-empty array of tshark field names');
+  if (profile.displayFilter !== undefined && (typeof profile.displayFilter !== 'string' || !profile.displayFilter.trim())) {
+    problems.push('displayFilter must be a non-empty string');
+  }
+  if (profile.maxRows !== undefined && (!Number.isInteger(profile.maxRows) || profile.maxRows < 1 || profile.maxRows > MAX_ROWS_LIMIT)) {
+    problems.push(`maxRows must be an integer from 1 to ${MAX_ROWS_LIMIT}`);
+  }
+  if (profile.prompt !== undefined) {
+    if (typeof profile.prompt !== 'string' || !profile.prompt.trim()) {
+      problems.push('prompt must be a non-empty string');
+    } else {
+      const unknown = [...profile.prompt.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(m => m[1]).filter(key => !PROMPT_PLACEHOLDERS.includes(key));
+      if (unknown.length > 0) problems.push(`prompt uses unknown placeholders ${unknown.join(', ')} (known: ${PROMPT_PLACEHOLDERS.join(', ')})`);
+    }
+  }
+
+  const { aggregate } = profile;
+  if (aggregate !== undefined) {
+    if (!aggregate || typeof aggregate !== 'object' || Array.isArray(aggregate)) {
+      problems.push('aggregate must be an object with groupBy and optional sum');
+    } else {
+      const extra = Object.keys(aggregate).filter(key => !['groupBy', 'sum'].includes(key));
+      if (extra.length > 0) problems.push(`unknown aggregate keys ${extra.join(', ')} (known: groupBy, sum)`);
+      if (!isStringList(aggregate.groupBy)) problems.push('aggregate.groupBy must be a non-empty array of field names');
+      if (aggregate.sum !== undefined && !isStringList(aggregate.sum)) problems.push('aggregate.sum must be a non-empty array of field names');
+      // Aggregated fields must be read, so they have to be listed in fields
+      const fields = isStringList(profile.fields) ? profile.fields : [];
+      const unread = [...(aggregate.groupBy || []), ...(aggregate.sum || [])]
+        .filter(field => typeof field === 'string' && !fields.includes(field));
+      if (unread.length > 0) problems.push(`aggregate uses fields missing from fields: ${[...new Set(unread)].join(', ')}`);
+    }
+  }
+  return problems;
+}
+
+// Read every *.json profile in dir. Problems are returned instead of thrown so
+// startup can report all of them together.
+function loadProfiles(dir) {
+  const profiles = [];
+  const errors = [];
+  let files;
+  try {
+    files = fsSync.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  } catch (err) {
+    if (err.code !== 'ENOENT') errors.push(`Cannot read profiles directory ${dir}: ${err.message}`);
+    return { profiles, errors };
+  }
+
+  const seen = new Map();
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    let profile;
+    try {
+      profile = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      errors.push(`Invalid profile ${filePath}: ${err.message}`);
+      continue;
+    }
+    const problems = validateProfile(profile);
+    if (problems.length === 0 && seen.has(profile.name)) {
+      problems.push(`name '${profile.name}' is already used by ${seen.get(profile.name)}`);
+    }
+    if (problems.length > 0) {
+      errors.push(`Invalid profile ${filePath}: ${problems.join('; ')}`);
+      continue;
+    }
+    seen.set(profile.name, filePath);
+    profiles.push({ ...profile, maxRows: profile.maxRows || DEFAULT_MAX_ROWS, file: filePath });
+  }
+  return { profiles, errors };
+}
+
+// Field value as tshark printed it: null when absent, a list for repeated fields
+function fieldValue(raw) {
+  const values = splitValues(raw);
+  if (values.length === 0) return null;
+  return values.length === 1 ? values[0] : values;
+}
+
+// Run a profile over a pcap. Without aggregation the first maxRows rows are kept;
+// with it, rows are grouped by the groupBy values and counted (and summed).
+async function runProfile(tsharkPath, pcapPath, profile, { displayFilter, extraArgs = [], maxRows = profile.maxRows } = {}) {
+  const filters = [profile.displayFilter, displayFilter].filter(filter => filter);
+  const filter = filters.length > 1 ? filters.map(f => `(${f})`).join(' && ') : filters[0];
+  const rows = [];
+  const groups = new Map();
+  let totalRows = 0;
+  const { aggregate } = profile;
+
+  await streamFields(tsharkPath, pcapPath, { fields: profile.fields, filter, extraArgs }, row => {
+    totalRows++;
+    if (!aggregate) {
+      if (rows.length < maxRows) rows.push(Object.fromEntries(profile.fields.map(field => [field, fieldValue(row[field])])));
+      return;
+    }
+    const key = aggregate.groupBy.map(field => row[field]).join('\t');
+    let group = groups.get(key);
+    if (!group) {
+      group = {
+        key: Object.fromEntries(aggregate.groupBy.map(field => [field, fieldValue(row[field])])),
+        count: 0,
+        sums: Object.fromEntries((aggregate.sum || []).map(field => [field, 0])),
+      };
+      groups.set(key, group);
+    }
+    group.count++;
+    for (const field of aggregate.sum || []) {
+      // Repeated values (e.g. several PDUs in one frame) all count
+      group.sums[field] += splitValues(row[field]).reduce((sum, value) => sum + (Number(value) || 0), 0);
+    }
+  });
+
+  const sorted = [...groups.values()].sort((a, b) => b.count - a.count);
+  return {
+    filter: filter || null,
+    totalRows,
+    rows: aggregate ? null : rows,
+    totalGroups: aggregate ? sorted.length : null,
+    groups: aggregate ? sorted.slice(0, maxRows) : null,
+  };
+}
+
+// Fill {{source}}, {{name}} and {{description}} into a profile's prompt template
+function renderProfilePrompt(profile, source) {
+  const template = profile.prompt ||
+    'Please run the {{name}} analysis ({{description}}) on {{source}}, summarize the results and point out anything unusual.';
+  const values = { source, name: profile.name, description: profile.description };
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key]);
+}
+
+module.exports = {
+  DEFAULT_MAX_ROWS,
+  MAX_ROWS_LIMIT,
+  validateProfile,
+  loadProfiles,
+  runProfile,
+  renderProfilePrompt,
+};
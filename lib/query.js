@@ -0,0 +1,88 @@
+// lib/query.js - Paginated, field-selectable packet queries
+const crypto = require('crypto');
+const { streamFields, splitValues } = require('./tshark');
+
+const DEFAULT_QUERY_FIELDS = [
+  'frame.number', 'frame.time_relative', 'ip.src', 'ip.dst',
+  'tcp.srcport', 'tcp.dstport', 'udp.srcport', 'udp.dstport', '_ws.col.Protocol', '_ws.col.Info',
+];
+
+// Combine the caller's display filter with an optional frame range
+function buildQueryFilter({ displayFilter, frameStart, frameEnd }) {
+  const clauses = [];
+  if (displayFilter) clauses.push(`(${displayFilter})`);
+  if (frameStart !== undefined) clauses.push(`frame.number >= ${frameStart}`);
+  if (frameEnd !== undefined) clauses.push(`frame.number <= ${frameEnd}`);
+  return clauses.join(' && ');
+}
+
+// Cursors carry the next offset plus a fingerprint of the query they belong to
+function queryFingerprint(pcapPath, fields, filter, extraArgs) {
+  return crypto.createHash('sha256').update(JSON.stringify([pcapPath, fields, filter, extraArgs])).digest('hex').slice(0, 16);
+}
+
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, q: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(cursor, fingerprint) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (err) {
+    throw new Error('Invalid cursor: not a cursor returned by query_packets');
+  }
+  if (!decoded || typeof decoded !== 'object' || !Number.isInteger(decoded.o) || decoded.o < 0) {
+    throw new Error('Invalid cursor: not a cursor returned by query_packets');
+  }
+  if (decoded.q !== fingerprint) {
+    throw new Error('Invalid cursor: it belongs to a query with a different file, field list, filter or decryption keys');
+  }
+  return decoded.o;
+}
+
+// Null when absent, a list for repeated fields
+function parseValue(value) {
+  const values = splitValues(value);
+  if (values.length === 0) return null;
+  return values.length === 1 ? values[0] : values;
+}
+
+// Stream matching packets from tshark, keeping only the requested page but
+// counting every match so callers learn how many packets exist in total
+async function queryPackets(tsharkPath, pcapPath, options) {
+  const fields = options.fields.includes('frame.number') ? options.fields : ['frame.number', ...options.fields];
+  const filter = buildQueryFilter(options);
+  const extraArgs = options.extraArgs || [];
+  const fingerprint = queryFingerprint(pcapPath, fields, filter, extraArgs);
+  const offset = options.cursor ? decodeCursor(options.cursor, fingerprint) : options.offset;
+  const { limit } = options;
+
+  const packets = [];
+  let totalPackets = 0;
+  await streamFields(tsharkPath, pcapPath, { fields, filter, extraArgs }, row => {
+    if (totalPackets >= offset && packets.length < limit) {
+      packets.push(Object.fromEntries(fields.map(field => [field, parseValue(row[field])])));
+    }
+    totalPackets++;
+  });
+
+  const nextOffset = offset + packets.length;
+  return {
+    fields,
+    filter: filter || null,
+    totalPackets,
+    offset,
+    returned: packets.length,
+    nextCursor: nextOffset < totalPackets ? encodeCursor(nextOffset, fingerprint) : null,
+    packets,
+  };
+}
+
+module.exports = {
+  DEFAULT_QUERY_FIELDS,
+  buildQueryFilter,
+  encodeCursor,
+  decodeCursor,
+  queryPackets,
+};
@@ -0,0 +1,164 @@
+// lib/sessions.js - Capture session store
+// Each live capture gets its own session directory and pcap file, so several
+// analysis tools can run against the same slice of traffic without recapturing.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const path = require('path');
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const { config } = require('./config');
+
+const SESSION_DIR = config.sessionDir;
+const SESSION_TTL_MS = config.sessionTtl * 1000;
+const MAX_SESSIONS = config.maxSessions;
+
+const sessions = new Map();
+
+// Emits 'change' whenever a session is created or removed
+const sessionEvents = new EventEmitter();
+
+// Create a new session with a unique directory and pcap path. Sessions made
+// for an existing pcap pass meta.pcapPath, which is never deleted with the session.
+async function createSession(meta = {}) {
+  await sweepExpiredSessions();
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const dir = path.join(SESSION_DIR, id);
+  await fs.mkdir(dir, { recursive: true });
+
+  const now = Date.now();
+  const session = {
+    ...meta,
+    id,
+    dir,
+    pcapPath: meta.pcapPath || path.join(dir, 'capture.pcap'),
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: now + SESSION_TTL_MS,
+  };
+  sessions.set(id, session);
+  console.error(`Created capture session ${id} in ${dir}`);
+  sessionEvents.emit('change');
+
+  // Evict the least recently used sessions once over the limit; running captures are kept
+  if (sessions.size > MAX_SESSIONS) {
+    const oldest = [...sessions.values()]
+      .filter(s => s.id !== id && !s.capturing)
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+      .slice(0, sessions.size - MAX_SESSIONS);
+    for (const s of oldest) await deleteSession(s.id);
+  }
+
+  return session;
+}
+
+// Look up a live session and extend its expiry; throws for unknown or expired IDs
+// and for sessions whose background capture is still running
+function getSession(id) {
+  const session = sessions.get(id);
+  const now = Date.now();
+  if (!session || session.expiresAt <= now) {
+    if (session) deleteSession(id);
+    throw new Error(`Capture session '${id}' does not exist or has expired. Use list_sessions to see active sessions.`);
+  }
+  if (session.capturing) {
+    throw new Error(`Capture session '${id}' is still capturing. Use capture_status to follow it and stop_capture before analyzing it.`);
+  }
+  session.lastUsedAt = now;
+  session.expiresAt = now + SESSION_TTL_MS;
+  return session;
+}
+
+// Remove a session and its files; returns false if the ID was unknown
+async function deleteSession(id) {
+  const session = sessions.get(id);
+  if (!session) return false;
+  sessions.delete(id);
+  await fs.rm(session.dir, { recursive: true, force: true })
+    .catch(err => console.error(`Failed to delete session directory ${session.dir}: ${err.message}`));
+  console.error(`Deleted capture session ${id}`);
+  sessionEvents.emit('change');
+  return true;
+}
+
+function listSessions() {
+  return [...sessions.values()].sort((a, b) => a.createdAt - b.createdAt);
+}
+
+async function sweepExpiredSessions() {
+  const now = Date.now();
+  for (const session of [...sessions.values()]) {
+    if (session.expiresAt <= now && !session.capturing) await deleteSession(session.id);
+  }
+}
+
+// Remove session directories left behind by a previous server run. Other
+// WireMCP instances may share the directory, so only expired ones are touched.
+async function removeStaleSessionDirs() {
+  let entries;
+  try {
+    entries = await fs.readdir(SESSION_DIR, { withFileTypes: true });
+  } catch (err) {
+    return;
+  }
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || sessions.has(entry.name)) continue;
+    const dir = path.join(SESSION_DIR, entry.name);
+    try {
+      const stat = await fs.stat(dir);
+      if (stat.mtimeMs < cutoff) {
+        await fs.rm(dir, { recursive: true, force: true });
+        console.error(`Removed stale session directory ${dir}`);
+      }
+    } catch (err) {
+      console.error(`Failed to clean up ${dir}: ${err.message}`);
+    }
+  }
+}
+
+// Synchronous variant for process exit handlers
+function removeAllSessionsSync() {
+  for (const session of sessions.values()) {
+    try {
+      fsSync.rmSync(session.dir, { recursive: true, force: true });
+    } catch (err) {
+      console.error(`Failed to delete session directory ${session.dir}: ${err.message}`);
+    }
+  }
+  sessions.clear();
+}
+
+function describeSession(session) {
+  return {
+    id: session.id,
+    interface: session.interface,
+    duration: session.duration,
+    captureFilter: session.captureFilter,
+    background: session.background,
+    capturing: session.capturing,
+    pcapPath: session.pcapPath,
+    createdAt: new Date(session.createdAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  };
+}
+
+// Periodically expire sessions without keeping the process alive
+setInterval(() => {
+  sweepExpiredSessions().catch(err => console.error(`Session sweep failed: ${err.message}`));
+}, Math.min(SESSION_TTL_MS, 60000)).unref();
+
+module.exports = {
+  SESSION_DIR,
+  SESSION_TTL_MS,
+  MAX_SESSIONS,
+  sessionEvents,
+  createSession,
+  getSession,
+  deleteSession,
+  listSessions,
+  sweepExpiredSessions,
+  removeStaleSessionDirs,
+  removeAllSessionsSync,
+  describeSession,
+};
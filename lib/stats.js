@@ -0,0 +1,84 @@
+// lib/stats.js - Parsers for tshark -z statistics output
+const { runTshark } = require('./tshark');
+const { statArg } = require('./filters');
+
+// Parse `-z io,phs` output into a flat list of protocol paths such as "eth:ip:tcp:tls".
+// Nesting is expressed by two spaces of indentation per level.
+function parseProtocolHierarchy(stdout) {
+  const protocols = [];
+  const stack = [];
+  for (const line of stdout.split('\n')) {
+    const match = line.match(/^( *)(\S+)\s+frames:(\d+)\s+bytes:(\d+)\s*$/);
+    if (!match) continue;
+    const depth = Math.floor(match[1].length / 2);
+    stack.length = depth;
+    stack.push(match[2]);
+    protocols.push({
+      protocol: match[2],
+      path: stack.join(':'),
+      depth,
+      frames: Number(match[3]),
+      bytes: Number(match[4]),
+    });
+  }
+  const totalFrames = protocols.filter(p => p.depth === 0).reduce((sum, p) => sum + p.frames, 0);
+  return { totalFrames, protocols };
+}
+
+// tshark 3.x prints plain byte counts, 4.x adds units such as "1,234 bytes" or "12 kB"
+const SIZE_UNITS = { bytes: 1, kB: 1e3, MB: 1e6, GB: 1e9, TB: 1e12, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, TiB: 1024 ** 4 };
+
+// "addr:port", where an IPv6 address keeps its colons
+function splitEndpoint(endpoint) {
+  const at = endpoint.lastIndexOf(':');
+  if (at < 0) return { address: endpoint, port: null };
+  const port = endpoint.slice(at + 1);
+  return /^\d+$/.test(port)
+    ? { address: endpoint.slice(0, at).replace(/^\[(.*)\]$/, '$1'), port: Number(port) }
+    : { address: endpoint, port: null };
+}
+
+// Parse `-z conv,tcp` / `-z conv,udp` output into one object per conversation.
+// The "<-" columns count frames and bytes towards address A, "->" those from it.
+function parseConversations(stdout, protocol) {
+  const conversations = [];
+  for (const line of stdout.split('\n')) {
+    const match = line.match(/^(\S+)\s+<->\s+(\S+)\s+(.*)$/);
+    if (!match) continue;
+    const tokens = match[3].trim().split(/\s+/);
+    const counts = [];
+    let i = 0;
+    while (counts.length < 6 && i < tokens.length) {
+      const value = Number(tokens[i++].replace(/,/g, ''));
+      if (counts.length % 2 === 1 && SIZE_UNITS[tokens[i]]) {
+        counts.push(Math.round(value * SIZE_UNITS[tokens[i++]]));
+      } else {
+        counts.push(value);
+      }
+    }
+    const [relativeStart, duration] = tokens.slice(i, i + 2).map(Number);
+    if (counts.length < 6 || counts.some(Number.isNaN) || Number.isNaN(duration)) continue;
+    const a = splitEndpoint(match[1]);
+    const b = splitEndpoint(match[2]);
+    conversations.push({
+      protocol, addressA: a.address, portA: a.port, addressB: b.address, portB: b.port,
+      framesAToB: counts[2], bytesAToB: counts[3], framesBToA: counts[0], bytesBToA: counts[1],
+      frames: counts[4], bytes: counts[5], relativeStart, duration,
+    });
+  }
+  return conversations;
+}
+
+async function protocolHierarchy(tsharkPath, pcapPath, { displayFilter, extraArgs = [] } = {}) {
+  const { stdout, stderr } = await runTshark(tsharkPath, [
+    '-r', pcapPath, ...extraArgs, '-qz', statArg('io,phs', displayFilter),
+  ]);
+  if (stderr) console.error(`tshark stderr: ${stderr}`);
+  return { stdout, ...parseProtocolHierarchy(stdout) };
+}
+
+module.exports = {
+  parseProtocolHierarchy,
+  parseConversations,
+  protocolHierarchy,
+};
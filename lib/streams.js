@@ -0,0 +1,139 @@
+// lib/streams.js - Stream listing and tshark "follow" reassembly
+const net = require('net');
+const { streamFields, streamTshark, formatEndpoint } = require('./tshark');
+
+// Stream index field per follow protocol; TLS and HTTP/2 ride on TCP stream indexes
+const STREAM_FIELD = { tcp: 'tcp.stream', udp: 'udp.stream', tls: 'tcp.stream', http2: 'tcp.stream' };
+
+// List streams with their endpoints and volume so they can be passed to follow_stream
+async function listStreams(tsharkPath, pcapPath, { protocol = 'tcp', displayFilter, extraArgs = [] } = {}) {
+  const transport = protocol === 'udp' ? 'udp' : 'tcp';
+  const streamField = STREAM_FIELD[protocol];
+  const baseFilter = protocol === 'tls' || protocol === 'http2' ? protocol : transport;
+  const streams = new Map();
+  await streamFields(tsharkPath, pcapPath, {
+    fields: [
+      streamField, 'frame.time_relative', 'frame.len', 'ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst',
+      `${transport}.srcport`, `${transport}.dstport`,
+    ],
+    filter: displayFilter ? `${baseFilter} && (${displayFilter})` : baseFilter,
+    extraArgs,
+  }, row => {
+    if (row[streamField] === '') return;
+    const index = Number(row[streamField]);
+    let stream = streams.get(index);
+    if (!stream) {
+      // The first packet seen decides which side is the client
+      stream = {
+        stream: index,
+        client: formatEndpoint(row['ip.src'] || row['ipv6.src'], row[`${transport}.srcport`]),
+        server: formatEndpoint(row['ip.dst'] || row['ipv6.dst'], row[`${transport}.dstport`]),
+        packets: 0,
+        bytes: 0,
+        start: Number(row['frame.time_relative']),
+      };
+      streams.set(index, stream);
+    }
+    stream.packets++;
+    stream.bytes += Number(row['frame.len']) || 0;
+  });
+  return [...streams.values()].sort((a, b) => a.stream - b.stream);
+}
+
+// Build the follow selector: "<index>", "<index>,<substream>" or "ip:port,ip:port"
+function followSelector({ protocol, stream, substream, tuple }) {
+  if (tuple) {
+    if (protocol === 'http2') throw new Error('HTTP/2 streams must be selected by stream index and substream');
+    if (net.isIP(tuple.srcIp) !== net.isIP(tuple.dstIp)) throw new Error('Both 5-tuple addresses must be IPv4 or both IPv6');
+    return `${formatEndpoint(tuple.srcIp, tuple.srcPort)},${formatEndpoint(tuple.dstIp, tuple.dstPort)}`;
+  }
+  if (stream === undefined) throw new Error('Provide either a stream index or a 5-tuple');
+  if (protocol === 'http2') return `${stream},${substream ?? 1}`;
+  return String(stream);
+}
+
+// Reassemble a stream with `tshark -z follow,<proto>,raw` and keep only the requested byte window
+async function followStream(tsharkPath, pcapPath, { protocol, byteOffset = 0, maxBytes, extraArgs = [], ...selection }) {
+  const selector = followSelector({ protocol, ...selection });
+  const nodes = [];
+  const totals = { clientToServer: 0, serverToClient: 0 };
+  const segments = [];
+  let position = 0;
+  let filter = '';
+
+  await streamTshark(tsharkPath, [
+    '-r', pcapPath, ...extraArgs, '-q', '-z', `follow,${protocol},raw,${selector}`,
+  ], line => {
+    const node = line.match(/^Node (\d): (.*)$/);
+    if (node) {
+      nodes[Number(node[1])] = node[2].trim();
+      return;
+    }
+    if (line.startsWith('Filter: ')) {
+      filter = line.slice(8).trim();
+      return;
+    }
+    const data = line.match(/^(\t?)([0-9a-fA-F]+)$/);
+    if (!data) return;
+
+    // Lines indented with a tab were sent by node 1 (the server)
+    const direction = data[1] ? 'serverToClient' : 'clientToServer';
+    const bytes = Buffer.from(data[2], 'hex');
+    totals[direction] += bytes.length;
+
+    const start = Math.max(byteOffset, position);
+    const end = Math.min(byteOffset + maxBytes, position + bytes.length);
+    if (end > start) {
+      const slice = bytes.subarray(start - position, end - position);
+      const last = segments[segments.length - 1];
+      // Merge consecutive chunks sent in the same direction
+      if (last && last.direction === direction) last.data = Buffer.concat([last.data, slice]);
+      else segments.push({ direction, offset: start, data: slice });
+    }
+    position += bytes.length;
+  });
+
+  const returnedBytes = segments.reduce((sum, s) => sum + s.data.length, 0);
+  return {
+    protocol,
+    selector,
+    filter,
+    client: nodes[0] || null,
+    server: nodes[1] || null,
+    totals,
+    totalBytes: position,
+    byteOffset,
+    returnedBytes,
+    nextOffset: byteOffset + maxBytes < position ? byteOffset + maxBytes : null,
+    segments,
+  };
+}
+
+// Classic 16-bytes-per-line hex dump with an ASCII column
+function hexDump(buffer, baseOffset = 0) {
+  const lines = [];
+  for (let i = 0; i < buffer.length; i += 16) {
+    const chunk = buffer.subarray(i, i + 16);
+    const hex = [...chunk].map(b => b.toString(16).padStart(2, '0')).join(' ');
+    const ascii = [...chunk].map(b => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('');
+    lines.push(`${(baseOffset + i).toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  |${ascii}|`);
+  }
+  return lines.join('\n');
+}
+
+function printable(buffer) {
+  return [...buffer].map(b => (b === 0x0a || b === 0x0d || b === 0x09 || (b >= 0x20 && b < 0x7f) ? String.fromCharCode(b) : '.')).join('');
+}
+
+function encodeSegment(segment, format) {
+  if (format === 'hex') return hexDump(segment.data, segment.offset);
+  if (format === 'base64') return segment.data.toString('base64');
+  return printable(segment.data);
+}
+
+module.exports = {
+  listStreams,
+  followStream,
+  encodeSegment,
+  hexDump,
+};
@@ -0,0 +1,261 @@
+// lib/tcp.js - TCP health diagnostics from tshark's tcp.analysis fields, expert info and io,stat
+const { runTshark, streamFields, splitValues, isSet } = require('./tshark');
+const { statArg } = require('./filters');
+
+const TCP_FIELDS = [
+  'frame.number', 'frame.time_relative', 'frame.len', 'ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst',
+  'tcp.stream', 'tcp.srcport', 'tcp.dstport', 'tcp.len', 'tcp.flags.syn', 'tcp.flags.ack', 'tcp.flags.reset',
+  'tcp.analysis.retransmission', 'tcp.analysis.fast_retransmission', 'tcp.analysis.duplicate_ack',
+  'tcp.analysis.zero_window', 'tcp.analysis.out_of_order', 'tcp.analysis.lost_segment', 'tcp.analysis.initial_rtt',
+];
+// Expert info fields are not available on every tshark build
+const EXPERT_FIELDS = ['_ws.expert.message', '_ws.expert.severity'];
+
+// Problem counters: the tcp.analysis flag each comes from and its weight in a stream's score
+const COUNTERS = {
+  retransmissions: { field: 'tcp.analysis.retransmission', weight: 2 },
+  fastRetransmissions: { field: 'tcp.analysis.fast_retransmission', weight: 2 },
+  duplicateAcks: { field: 'tcp.analysis.duplicate_ack', weight: 0.5 },
+  zeroWindows: { field: 'tcp.analysis.zero_window', weight: 3 },
+  outOfOrder: { field: 'tcp.analysis.out_of_order', weight: 1 },
+  lostSegments: { field: 'tcp.analysis.lost_segment', weight: 2 },
+  resets: { field: 'tcp.flags.reset', weight: 5 },
+};
+
+// Columns of the io,stat timeline after the all-TCP column
+const TIMELINE_COLUMNS = {
+  retransmissions: 'tcp.analysis.retransmission',
+  duplicateAcks: 'tcp.analysis.duplicate_ack',
+  zeroWindows: 'tcp.analysis.zero_window',
+  resets: 'tcp.flags.reset == 1',
+  outOfOrder: 'tcp.analysis.out_of_order',
+};
+
+// Interval sizes offered for the timeline; the smallest giving at most TIMELINE_BUCKETS buckets is used
+const TIMELINE_INTERVALS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+const TIMELINE_BUCKETS = 60;
+
+// Expert severities as -T fields prints them: the numeric PI_* value or its name
+const EXPERT_SEVERITIES = {
+  2097152: 'chat', 4194304: 'note', 6291456: 'warning', 8388608: 'error', 1048576: 'comment',
+  chat: 'chat', note: 'note', warn: 'warning', warning: 'warning', error: 'error', comment: 'comment',
+};
+const MAX_EXPERT_MESSAGES = 20;
+const MAX_EVIDENCE_FRAMES = 20;
+
+function milliseconds(seconds) {
+  return seconds === null ? null : Math.round(seconds * 1e6) / 1e3;
+}
+
+// The client is the side that sent the SYN; without one, the side using the higher port
+function newConversation(p) {
+  const fromClient = p.syn && !p.ack ? true : p.srcPort > p.dstPort;
+  return {
+    stream: p.stream,
+    client: fromClient ? p.src : p.dst,
+    clientPort: fromClient ? p.srcPort : p.dstPort,
+    server: fromClient ? p.dst : p.src,
+    serverPort: fromClient ? p.dstPort : p.srcPort,
+    packets: 0,
+    bytes: 0,
+    start: p.time,
+    end: p.time,
+    ...Object.fromEntries(Object.keys(COUNTERS).map(name => [name, 0])),
+    expertWarnings: 0,
+    expertErrors: 0,
+    handshakeRtt: null,
+    responses: 0,
+    responseTotal: 0,
+    maxResponse: null,
+    pendingRequest: null,
+    frames: [],
+  };
+}
+
+// Read TCP packets with their analysis flags in one tshark pass, updating the
+// per-conversation counters, handshake RTT and application response times as
+// rows arrive. The response time is the gap between the client's last data
+// segment of a request and the server's first data segment after it.
+async function collectTcpConversations(tsharkPath, pcapPath, displayFilter, extraArgs = []) {
+  const conversations = new Map();
+  const expert = new Map();
+  let packets = 0;
+  let lastTime = 0;
+  const { missingFields } = await streamFields(tsharkPath, pcapPath, {
+    fields: TCP_FIELDS,
+    optionalFields: EXPERT_FIELDS,
+    filter: displayFilter ? `tcp && (${displayFilter})` : 'tcp',
+    extraArgs,
+  }, row => {
+    if (row['tcp.stream'] === '') return;
+    const p = {
+      frame: Number(row['frame.number']),
+      time: Number(row['frame.time_relative']),
+      src: row['ip.src'] || row['ipv6.src'],
+      dst: row['ip.dst'] || row['ipv6.dst'],
+      stream: Number(row['tcp.stream']),
+      srcPort: Number(row['tcp.srcport']),
+      dstPort: Number(row['tcp.dstport']),
+      syn: isSet(row['tcp.flags.syn']),
+      ack: isSet(row['tcp.flags.ack']),
+    };
+    packets++;
+    lastTime = Math.max(lastTime, p.time);
+
+    let c = conversations.get(p.stream);
+    if (!c) {
+      c = newConversation(p);
+      conversations.set(p.stream, c);
+    }
+    c.packets++;
+    c.bytes += Number(row['frame.len']) || 0;
+    c.end = Math.max(c.end, p.time);
+    let problem = false;
+    for (const [name, { field }] of Object.entries(COUNTERS)) {
+      // FT_NONE analysis flags print as "1" when present
+      if (field === 'tcp.flags.reset' ? !isSet(row[field]) : row[field] === '') continue;
+      c[name]++;
+      problem = true;
+    }
+    if (problem && c.frames.length < MAX_EVIDENCE_FRAMES) c.frames.push(p.frame);
+    if (c.handshakeRtt === null && row['tcp.analysis.initial_rtt'] !== '') {
+      c.handshakeRtt = Number(splitValues(row['tcp.analysis.initial_rtt'])[0]);
+    }
+
+    const severities = splitValues(row['_ws.expert.severity']);
+    splitValues(row['_ws.expert.message']).forEach((message, i) => {
+      const severity = EXPERT_SEVERITIES[String(severities[i] || '').toLowerCase()] || severities[i] || 'unknown';
+      if (severity === 'warning') c.expertWarnings++;
+      if (severity === 'error') c.expertErrors++;
+      const key = `${severity}\t${message}`;
+      const entry = expert.get(key) || { severity, message, count: 0 };
+      entry.count++;
+      expert.set(key, entry);
+    });
+
+    // Retransmitted data is not a new request or a new response
+    const retransmitted = row['tcp.analysis.retransmission'] !== '' || row['tcp.analysis.fast_retransmission'] !== '';
+    if (!(Number(row['tcp.len']) > 0) || retransmitted) return;
+    if (p.src === c.client && p.srcPort === c.clientPort) {
+      c.pendingRequest = p.time;
+    } else if (c.pendingRequest !== null) {
+      const response = p.time - c.pendingRequest;
+      c.responses++;
+      c.responseTotal += response;
+      c.maxResponse = c.maxResponse === null ? response : Math.max(c.maxResponse, response);
+      c.pendingRequest = null;
+    }
+  });
+  return {
+    conversations,
+    expert,
+    packets,
+    lastTime,
+    expertAvailable: !missingFields.some(field => EXPERT_FIELDS.includes(field)),
+  };
+}
+
+function problemSummary(c) {
+  const segments = Math.max(c.packets, 1);
+  const reasons = [];
+  const add = (count, label) => {
+    if (count > 0) reasons.push(`${count} ${label} (${(count / segments * 100).toFixed(1)}% of segments)`);
+  };
+  add(c.retransmissions, 'retransmissions');
+  add(c.fastRetransmissions, 'fast retransmissions');
+  add(c.duplicateAcks, 'duplicate ACKs');
+  add(c.zeroWindows, 'zero windows');
+  add(c.outOfOrder, 'out-of-order segments');
+  add(c.lostSegments, 'segments not captured');
+  if (c.resets > 0) reasons.push(`${c.resets} resets`);
+  return reasons;
+}
+
+// Score and rank the collected conversations and total up the capture
+function diagnoseConversations({ conversations, expert, packets }) {
+  const list = [...conversations.values()].map(c => {
+    const score = Object.entries(COUNTERS).reduce((sum, [name, { weight }]) => sum + c[name] * weight, 0) +
+      c.expertErrors * 2;
+    return {
+      stream: c.stream,
+      client: c.client,
+      clientPort: c.clientPort,
+      server: c.server,
+      serverPort: c.serverPort,
+      packets: c.packets,
+      bytes: c.bytes,
+      start: Math.round(c.start * 1e6) / 1e6,
+      duration: Math.round((c.end - c.start) * 1e6) / 1e6,
+      ...Object.fromEntries(Object.keys(COUNTERS).map(name => [name, c[name]])),
+      expertWarnings: c.expertWarnings,
+      expertErrors: c.expertErrors,
+      handshakeRttMs: milliseconds(c.handshakeRtt),
+      responses: c.responses,
+      avgResponseMs: c.responses > 0 ? milliseconds(c.responseTotal / c.responses) : null,
+      maxResponseMs: milliseconds(c.maxResponse),
+      score: Math.round(score * 10) / 10,
+      problems: problemSummary(c),
+      frames: c.frames,
+    };
+  }).sort((a, b) => b.score - a.score || b.bytes - a.bytes);
+
+  const totals = Object.fromEntries(Object.keys(COUNTERS).map(name => [name, list.reduce((sum, c) => sum + c[name], 0)]));
+  const rtts = list.map(c => c.handshakeRttMs).filter(rtt => rtt !== null);
+  const responses = list.filter(c => c.maxResponseMs !== null);
+  return {
+    totals: {
+      packets,
+      conversations: list.length,
+      ...totals,
+      medianHandshakeRttMs: rtts.length > 0 ? [...rtts].sort((a, b) => a - b)[Math.floor(rtts.length / 2)] : null,
+      maxResponseMs: responses.length > 0 ? Math.max(...responses.map(c => c.maxResponseMs)) : null,
+    },
+    conversations: list,
+    slowest: [...responses].sort((a, b) => b.maxResponseMs - a.maxResponseMs),
+    expert: [...expert.values()].sort((a, b) => b.count - a.count).slice(0, MAX_EXPERT_MESSAGES),
+  };
+}
+
+// Parse `-z io,stat` output: one row per interval with a frames and bytes pair per column
+function parseIoStat(stdout) {
+  const rows = [];
+  for (const line of stdout.split('\n')) {
+    const match = line.match(/^\|\s*([\d.]+)\s*<>\s*([\d.]+|Dur)\s*\|(.*)\|\s*$/);
+    if (!match) continue;
+    const values = match[3].split('|').map(cell => Number(cell.trim()));
+    if (values.some(Number.isNaN)) continue;
+    rows.push({ start: Number(match[1]), end: match[2] === 'Dur' ? null : Number(match[2]), values });
+  }
+  return rows;
+}
+
+// Smallest interval that keeps the timeline within TIMELINE_BUCKETS buckets
+function timelineInterval(duration) {
+  return TIMELINE_INTERVALS.find(interval => duration / interval <= TIMELINE_BUCKETS) ||
+    TIMELINE_INTERVALS[TIMELINE_INTERVALS.length - 1];
+}
+
+// TCP frames, bytes and problem counts per time bucket, from tshark's io,stat
+async function ioTimeline(tsharkPath, pcapPath, { interval, displayFilter, extraArgs = [] }) {
+  const scope = displayFilter ? `tcp && (${displayFilter})` : 'tcp';
+  const columns = [scope, ...Object.values(TIMELINE_COLUMNS).map(filter => `${scope} && ${filter}`)];
+  const { stdout, stderr } = await runTshark(tsharkPath, [
+    '-r', pcapPath, ...extraArgs, '-qz', statArg(`io,stat,${interval}`, columns.join(',')),
+  ]);
+  if (stderr) console.error(`tshark stderr: ${stderr}`);
+  return parseIoStat(stdout).map(row => ({
+    start: row.start,
+    end: row.end,
+    frames: row.values[0] || 0,
+    bytes: row.values[1] || 0,
+    ...Object.fromEntries(Object.keys(TIMELINE_COLUMNS).map((name, i) => [name, row.values[2 * (i + 1)] || 0])),
+  }));
+}
+
+module.exports = {
+  collectTcpConversations,
+  diagnoseConversations,
+  parseIoStat,
+  timelineInterval,
+  ioTimeline,
+};
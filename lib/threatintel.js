@@ -0,0 +1,356 @@
+// lib/threatintel.js - Cached, multi-feed threat intelligence engine
+// Feeds are downloaded (or read from local files), cached on disk with a TTL,
+// and indexed for IP, CIDR, domain and URL lookups. Lookups always report
+// which feeds were stale or unavailable so a failed download never reads as
+// an all-clear.
+const net = require('net');
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+const { config } = require('./config');
+const { addressLabel } = require('./enrich');
+
+const DEFAULT_FEEDS = [
+  { name: 'urlhaus', url: 'https://urlhaus.abuse.ch/downloads/text/', format: 'plain' },
+  { name: 'feodotracker', url: 'https://feodotracker.abuse.ch/downloads/ipblocklist.txt', format: 'plain' },
+  { name: 'sslbl', url: 'https://sslbl.abuse.ch/blacklist/sslipblacklist.csv', format: 'csv' },
+];
+const FEED_FORMATS = ['plain', 'csv', 'cidr'];
+
+const CACHE_DIR = config.feedCacheDir;
+const FEED_TTL_MS = config.feedTtl * 1000;
+const OFFLINE = config.offline;
+
+const DOMAIN_REGEX = /^(?=.{1,253}$)(?:[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z0-9]$/i;
+
+let feedConfig = null;
+let state = null;
+let loading = null;
+
+// Canonical text form so equivalent IPv6 spellings index the same
+function normalizeIp(ip) {
+  return net.isIPv6(ip) ? new URL(`http://[${ip}]`).hostname.slice(1, -1) : ip;
+}
+
+function normalizeDomain(domain) {
+  return domain.toLowerCase().replace(/\.$/, '');
+}
+
+function normalizeUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Classify one blocklist entry as an IP, CIDR, URL or domain indicator
+function classifyIndicator(raw) {
+  const value = raw.trim().replace(/^["']|["']$/g, '');
+  if (!value) return null;
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    const href = normalizeUrl(value);
+    if (!href) return null;
+    const host = new URL(href).hostname.replace(/^\[|\]$/g, '');
+    return { type: 'url', value: href, host };
+  }
+
+  const slash = value.indexOf('/');
+  if (slash > 0) {
+    const address = value.slice(0, slash);
+    const prefix = Number(value.slice(slash + 1));
+    const family = net.isIP(address);
+    if (family && Number.isInteger(prefix) && prefix >= 0 && prefix <= (family === 4 ? 32 : 128)) {
+      return { type: 'cidr', value: `${normalizeIp(address)}/${prefix}`, address: normalizeIp(address), prefix, family };
+    }
+    return null;
+  }
+
+  if (net.isIP(value)) return { type: 'ip', value: normalizeIp(value) };
+  if (DOMAIN_REGEX.test(value)) return { type: 'domain', value: normalizeDomain(value) };
+  return null;
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if ((char === ',' || char === ';') && !quoted) {
+      cells.push(current);
+      current = '';
+    } else current += char;
+  }
+  cells.push(current);
+  return cells;
+}
+
+// Extract indicators from feed text in one of the supported formats
+function parseFeed(text, format) {
+  const indicators = [];
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';') || line.startsWith('//')) continue;
+
+    const candidates = format === 'csv'
+      ? splitCsvLine(line)
+      : [line.split(/\s+/)[0]];
+    for (const candidate of candidates) {
+      const indicator = classifyIndicator(candidate);
+      if (!indicator) continue;
+      if (format === 'cidr' && indicator.type !== 'cidr' && indicator.type !== 'ip') continue;
+      indicators.push(indicator);
+    }
+  }
+  return indicators;
+}
+
+function addToIndex(map, key, feedName) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(feedName);
+}
+
+function createIndex() {
+  return { ips: new Map(), domains: new Map(), urls: new Map(), urlHosts: new Map(), subnets: new Map() };
+}
+
+function indexFeed(index, feedName, indicators) {
+  const subnets = new net.BlockList();
+  let subnetCount = 0;
+  for (const indicator of indicators) {
+    if (indicator.type === 'ip') addToIndex(index.ips, indicator.value, feedName);
+    else if (indicator.type === 'domain') addToIndex(index.domains, indicator.value, feedName);
+    else if (indicator.type === 'cidr') {
+      subnets.addSubnet(indicator.address, indicator.prefix, indicator.family === 4 ? 'ipv4' : 'ipv6');
+      subnetCount++;
+    } else if (indicator.type === 'url') {
+      addToIndex(index.urls, indicator.value, feedName);
+      // URLhaus-style feeds list URLs; an IP host is itself an indicator,
+      // a domain host may be a shared service so it is tracked separately
+      if (net.isIP(indicator.host)) addToIndex(index.ips, normalizeIp(indicator.host), feedName);
+      else addToIndex(index.urlHosts, normalizeDomain(indicator.host), feedName);
+    }
+  }
+  if (subnetCount > 0) index.subnets.set(feedName, subnets);
+}
+
+// Feed list: a JSON file (feedsFile / WIREMCP_FEEDS) or the config file's feeds array
+// replaces the defaults, feedUrls repoints feeds by name, and blocklists are
+// appended as local feeds (format taken from the extension)
+async function loadFeedConfig() {
+  let feeds = config.feeds || DEFAULT_FEEDS;
+  if (config.feedsFile) {
+    feeds = JSON.parse(await fs.readFile(config.feedsFile, 'utf8'));
+    if (!Array.isArray(feeds)) throw new Error(`${config.feedsFile} must contain a JSON array of feeds`);
+  }
+  feeds = feeds.map(feed => (config.feedUrls[feed.name] ? { ...feed, url: config.feedUrls[feed.name], path: undefined } : feed));
+
+  feeds = [...feeds, ...config.blocklists.map(file => {
+    const ext = path.extname(file).slice(1).toLowerCase();
+    return { name: path.basename(file), path: file, format: FEED_FORMATS.includes(ext) ? ext : 'plain' };
+  })];
+
+  for (const feed of feeds) {
+    if (!feed.name || (!feed.url && !feed.path)) {
+      throw new Error(`Invalid threat feed ${JSON.stringify(feed)}: each feed needs a name and a url or path`);
+    }
+    if (feed.format && !FEED_FORMATS.includes(feed.format)) {
+      throw new Error(`Invalid threat feed '${feed.name}': format must be one of ${FEED_FORMATS.join(', ')}`);
+    }
+  }
+  return feeds;
+}
+
+function cacheFile(feed) {
+  return path.join(CACHE_DIR, `${feed.name.replace(/[^A-Za-z0-9_.-]/g, '_')}.txt`);
+}
+
+async function readCache(feed) {
+  try {
+    const file = cacheFile(feed);
+    const [text, stat] = await Promise.all([fs.readFile(file, 'utf8'), fs.stat(file)]);
+    return { text, fetchedAt: stat.mtimeMs };
+  } catch (err) {
+    return null;
+  }
+}
+
+async function writeCache(feed, text) {
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  const file = cacheFile(feed);
+  await fs.writeFile(`${file}.tmp`, text);
+  await fs.rename(`${file}.tmp`, file);
+}
+
+// Load one feed's text, preferring a fresh cache, then the network, then a stale cache
+async function fetchFeed(feed, force) {
+  const ttl = feed.ttl ? feed.ttl * 1000 : FEED_TTL_MS;
+
+  if (feed.path) {
+    try {
+      const [text, stat] = await Promise.all([fs.readFile(feed.path, 'utf8'), fs.stat(feed.path)]);
+      return { text, status: 'fresh', updatedAt: stat.mtimeMs, source: feed.path };
+    } catch (err) {
+      return { text: null, status: 'unavailable', error: err.message, source: feed.path };
+    }
+  }
+
+  const cached = await readCache(feed);
+  if (cached && !force && Date.now() - cached.fetchedAt < ttl) {
+    return { text: cached.text, status: 'fresh', updatedAt: cached.fetchedAt, source: feed.url };
+  }
+
+  let error = 'offline mode (WIREMCP_OFFLINE) is enabled';
+  if (!OFFLINE) {
+    try {
+      console.error(`Fetching threat feed ${feed.name} from ${feed.url}`);
+      const response = await axios.get(feed.url, { timeout: 30000, responseType: 'text' });
+      await writeCache(feed, response.data)
+        .catch(err => console.error(`Failed to cache threat feed ${feed.name}: ${err.message}`));
+      return { text: response.data, status: 'fresh', updatedAt: Date.now(), source: feed.url };
+    } catch (err) {
+      error = err.message;
+      console.error(`Failed to fetch threat feed ${feed.name}: ${err.message}`);
+    }
+  }
+
+  if (cached) return { text: cached.text, status: 'stale', updatedAt: cached.fetchedAt, error, source: feed.url };
+  return { text: null, status: 'unavailable', error, source: feed.url };
+}
+
+async function buildState(force) {
+  if (!feedConfig) feedConfig = await loadFeedConfig();
+  const index = createIndex();
+  const feeds = [];
+  for (const feed of feedConfig) {
+    const result = await fetchFeed(feed, force);
+    const indicators = result.text ? parseFeed(result.text, feed.format || 'plain') : [];
+    indexFeed(index, feed.name, indicators);
+    feeds.push({
+      name: feed.name,
+      source: result.source,
+      status: result.status,
+      indicators: indicators.length,
+      updatedAt: result.updatedAt ? new Date(result.updatedAt).toISOString() : null,
+      error: result.error || null,
+    });
+    console.error(`Threat feed ${feed.name}: ${result.status}, ${indicators.length} indicators`);
+  }
+  return { index, feeds, loadedAt: Date.now() };
+}
+
+// Load feeds on first use and rebuild the index once the TTL has passed
+async function ensureFeeds({ force = false } = {}) {
+  if (!force && state) {
+    // Retry degraded feeds sooner than healthy ones
+    const maxAge = state.feeds.some(feed => feed.status !== 'fresh') ? Math.min(FEED_TTL_MS, 300000) : FEED_TTL_MS;
+    if (Date.now() - state.loadedAt < maxAge) return state;
+  }
+  if (!loading) {
+    loading = buildState(force)
+      .then(result => {
+        state = result;
+        return result;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+}
+
+function lookupIp(current, ip) {
+  const address = normalizeIp(ip);
+  const exact = current.index.ips.get(address);
+  const feeds = new Set(exact || []);
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  for (const [feedName, subnets] of current.index.subnets) {
+    if (subnets.check(address, family)) feeds.add(feedName);
+  }
+  if (feeds.size === 0) return null;
+  return { indicator: ip, type: 'ip', feeds: [...feeds], matchedOn: exact ? address : `${address} (within a listed CIDR range)` };
+}
+
+// Domains match listed domains and their parents; hosts of listed URLs are reported separately
+function lookupDomain(current, domain) {
+  const labels = normalizeDomain(domain).split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const candidate = labels.slice(i).join('.');
+    const feeds = current.index.domains.get(candidate);
+    if (feeds) return { indicator: domain, type: 'domain', feeds: [...feeds], matchedOn: candidate };
+  }
+  const urlHostFeeds = current.index.urlHosts.get(normalizeDomain(domain));
+  if (urlHostFeeds) {
+    return { indicator: domain, type: 'domain', feeds: [...urlHostFeeds], matchedOn: 'host of listed malicious URL' };
+  }
+  return null;
+}
+
+function lookupUrl(current, url) {
+  const href = normalizeUrl(url);
+  if (!href) return null;
+  const feeds = current.index.urls.get(href);
+  if (feeds) return { indicator: url, type: 'url', feeds: [...feeds], matchedOn: href };
+  const host = new URL(href).hostname.replace(/^\[|\]$/g, '');
+  const hostMatch = net.isIP(host) ? lookupIp(current, host) : lookupDomain(current, host);
+  return hostMatch ? { ...hostMatch, indicator: url, type: 'url', matchedOn: `host ${host} (${hostMatch.matchedOn})` } : null;
+}
+
+// Check indicators against every loaded feed
+async function checkIndicators({ ips = [], domains = [], urls = [] } = {}) {
+  const current = await ensureFeeds();
+  const matches = [
+    ...ips.filter(ip => net.isIP(ip)).map(ip => lookupIp(current, ip)),
+    ...domains.map(domain => lookupDomain(current, domain)),
+    ...urls.map(url => lookupUrl(current, url)),
+  ].filter(match => match);
+
+  const degraded = current.feeds.filter(feed => feed.status !== 'fresh');
+  return {
+    matches,
+    feeds: current.feeds,
+    complete: degraded.length === 0,
+    degraded,
+  };
+}
+
+// Human-readable report shared by the threat tools
+// enriched optionally maps matched IPs to their enrichment (see enrich.js) for labelling
+function formatThreatReport(result, subject = 'indicators', enriched = null) {
+  const loaded = result.feeds.filter(feed => feed.status !== 'unavailable');
+  let text = `Threat check against ${loaded.length} of ${result.feeds.length} threat intelligence feeds:\n`;
+  if (result.matches.length > 0) {
+    text += `Potential threats:\n${result.matches.map(m => `- ${m.indicator} (${m.type}) listed by ${m.feeds.join(', ')} [matched ${m.matchedOn}]` +
+      (enriched && enriched.has(m.indicator) ? ` ${addressLabel(enriched.get(m.indicator))}` : '')).join('\n')}\n`;
+  } else if (result.complete) {
+    text += `No threats detected for the checked ${subject}.\n`;
+  } else {
+    text += `No matches in the feeds that loaded. This is NOT an all-clear: some feeds were stale or unavailable.\n`;
+  }
+  text += `\nFeed status:\n${result.feeds.map(formatFeedStatus).join('\n')}`;
+  if (!result.complete) {
+    text += `\n\nWarning: ${result.degraded.map(feed => `${feed.name} is ${feed.status}`).join('; ')}. Results may be incomplete.`;
+  }
+  return text;
+}
+
+function formatFeedStatus(feed) {
+  const updated = feed.updatedAt ? `, updated ${feed.updatedAt}` : '';
+  const error = feed.error ? ` (${feed.error})` : '';
+  return `- ${feed.name}: ${feed.status.toUpperCase()}, ${feed.indicators} indicators${updated}${error}`;
+}
+
+module.exports = {
+  DEFAULT_FEEDS,
+  CACHE_DIR,
+  FEED_TTL_MS,
+  classifyIndicator,
+  parseFeed,
+  loadFeedConfig,
+  ensureFeeds,
+  checkIndicators,
+  formatThreatReport,
+  formatFeedStatus,
+};
@@ -0,0 +1,295 @@
+// lib/tls.js - TLS handshake inspection and certificate audit
+const path = require('path');
+const fs = require('fs').promises;
+const { X509Certificate } = require('crypto');
+const { streamFields, splitValues, streamTshark, fieldArgs } = require('./tshark');
+const { config } = require('./config');
+
+const TLS_FIELDS = [
+  'frame.number', 'frame.time_epoch', 'tcp.stream', 'ip.src', 'ip.dst', 'ipv6.src', 'ipv6.dst',
+  'tcp.srcport', 'tcp.dstport', 'tls.handshake.type', 'tls.handshake.extensions_server_name',
+  'tls.handshake.extensions_alpn_str', 'tls.handshake.version', 'tls.handshake.extensions.supported_version',
+  'tls.handshake.ciphersuite', 'tls.handshake.certificate',
+];
+
+// Fingerprint fields vary by Wireshark release (JA3 since 3.6, JA4 since 4.2)
+const FINGERPRINT_FIELDS = ['tls.handshake.ja3', 'tls.handshake.ja3s', 'tls.handshake.ja4'];
+
+const TLS_VERSIONS = {
+  0x0300: 'SSL 3.0', 0x0301: 'TLS 1.0', 0x0302: 'TLS 1.1', 0x0303: 'TLS 1.2', 0x0304: 'TLS 1.3',
+};
+const DEPRECATED_VERSIONS = new Set([0x0002, 0x0300, 0x0301, 0x0302]);
+
+const CIPHER_SUITES = {
+  0x0000: 'TLS_NULL_WITH_NULL_NULL', 0x0001: 'TLS_RSA_WITH_NULL_MD5', 0x0002: 'TLS_RSA_WITH_NULL_SHA',
+  0x0003: 'TLS_RSA_EXPORT_WITH_RC4_40_MD5', 0x0004: 'TLS_RSA_WITH_RC4_128_MD5', 0x0005: 'TLS_RSA_WITH_RC4_128_SHA',
+  0x0009: 'TLS_RSA_WITH_DES_CBC_SHA', 0x000A: 'TLS_RSA_WITH_3DES_EDE_CBC_SHA', 0x0016: 'TLS_DHE_RSA_WITH_3DES_EDE_CBC_SHA',
+  0x002F: 'TLS_RSA_WITH_AES_128_CBC_SHA', 0x0033: 'TLS_DHE_RSA_WITH_AES_128_CBC_SHA', 0x0035: 'TLS_RSA_WITH_AES_256_CBC_SHA',
+  0x0039: 'TLS_DHE_RSA_WITH_AES_256_CBC_SHA', 0x003B: 'TLS_RSA_WITH_NULL_SHA256', 0x003C: 'TLS_RSA_WITH_AES_128_CBC_SHA256',
+  0x003D: 'TLS_RSA_WITH_AES_256_CBC_SHA256', 0x009C: 'TLS_RSA_WITH_AES_128_GCM_SHA256', 0x009D: 'TLS_RSA_WITH_AES_256_GCM_SHA384',
+  0x009E: 'TLS_DHE_RSA_WITH_AES_128_GCM_SHA256', 0x009F: 'TLS_DHE_RSA_WITH_AES_256_GCM_SHA384',
+  0x1301: 'TLS_AES_128_GCM_SHA256', 0x1302: 'TLS_AES_256_GCM_SHA384', 0x1303: 'TLS_CHACHA20_POLY1305_SHA256',
+  0x1304: 'TLS_AES_128_CCM_SHA256', 0x1305: 'TLS_AES_128_CCM_8_SHA256',
+  0xC007: 'TLS_ECDHE_ECDSA_WITH_RC4_128_SHA', 0xC008: 'TLS_ECDHE_ECDSA_WITH_3DES_EDE_CBC_SHA',
+  0xC009: 'TLS_ECDHE_ECDSA_WITH_AES_128_CBC_SHA', 0xC00A: 'TLS_ECDHE_ECDSA_WITH_AES_256_CBC_SHA',
+  0xC011: 'TLS_ECDHE_RSA_WITH_RC4_128_SHA', 0xC012: 'TLS_ECDHE_RSA_WITH_3DES_EDE_CBC_SHA',
+  0xC013: 'TLS_ECDHE_RSA_WITH_AES_128_CBC_SHA', 0xC014: 'TLS_ECDHE_RSA_WITH_AES_256_CBC_SHA',
+  0xC023: 'TLS_ECDHE_ECDSA_WITH_AES_128_CBC_SHA256', 0xC024: 'TLS_ECDHE_ECDSA_WITH_AES_256_CBC_SHA384',
+  0xC027: 'TLS_ECDHE_RSA_WITH_AES_128_CBC_SHA256', 0xC028: 'TLS_ECDHE_RSA_WITH_AES_256_CBC_SHA384',
+  0xC02B: 'TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256', 0xC02C: 'TLS_ECDHE_ECDSA_WITH_AES_256_GCM_SHA384',
+  0xC02F: 'TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256', 0xC030: 'TLS_ECDHE_RSA_WITH_AES_256_GCM_SHA384',
+  0xCCA8: 'TLS_ECDHE_RSA_WITH_CHACHA20_POLY1305_SHA256', 0xCCA9: 'TLS_ECDHE_ECDSA_WITH_CHACHA20_POLY1305_SHA256',
+};
+
+// Suites without confidentiality or with broken primitives, by category
+const WEAK_CIPHERS = {
+  NULL: [0x0000, 0x0001, 0x0002, 0x002C, 0x002D, 0x002E, 0x003B, 0x00B0, 0x00B1, 0x00B4, 0x00B5, 0x00B8, 0x00B9,
+    0xC001, 0xC006, 0xC00B, 0xC010, 0xC015],
+  EXPORT: [0x0003, 0x0006, 0x0008, 0x000B, 0x000E, 0x0011, 0x0014, 0x0017, 0x0019, 0x0026, 0x0027, 0x0028, 0x0029,
+    0x002A, 0x002B, 0x0060, 0x0061, 0x0062, 0x0063, 0x0064, 0x0065],
+  RC4: [0x0004, 0x0005, 0x0018, 0x0020, 0x0024, 0x0028, 0x002B, 0x008A, 0x008E, 0x0092, 0xC002, 0xC007, 0xC00C,
+    0xC011, 0xC016, 0xC033],
+  DES: [0x0009, 0x000C, 0x000F, 0x0012, 0x0015, 0x001A, 0x001E, 0x0022],
+  '3DES': [0x000A, 0x000D, 0x0010, 0x0013, 0x0016, 0x001B, 0x001F, 0x0023, 0x008B, 0x008F, 0x0093, 0xC003, 0xC008,
+    0xC00D, 0xC012, 0xC017, 0xC01A, 0xC01B, 0xC01C, 0xC034],
+  anonymous: [0x0018, 0x0019, 0x001A, 0x001B, 0x0034, 0x003A, 0x0046, 0x006C, 0x006D, 0x0089, 0x009B, 0x00A6,
+    0x00A7, 0xC015, 0xC016, 0xC017, 0xC018, 0xC019],
+};
+
+const MIN_RSA_BITS = 2048;
+const MIN_EC_BITS = 224;
+const EC_CURVE_BITS = { prime256v1: 256, secp256k1: 256, secp384r1: 384, secp521r1: 521, secp224r1: 224, secp192r1: 192, prime192v1: 192 };
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function hex4(number) {
+  return `0x${number.toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+function versionName(version) {
+  return TLS_VERSIONS[version] || (version !== null ? hex4(version) : null);
+}
+
+function cipherName(cipher) {
+  return CIPHER_SUITES[cipher] || hex4(cipher);
+}
+
+function weakCipherReasons(cipher) {
+  return Object.entries(WEAK_CIPHERS).filter(([, ids]) => ids.includes(cipher)).map(([category]) => category);
+}
+
+// Local known-bad fingerprint lists: one JA3/JA3S/JA4 or certificate SHA-1/SHA-256
+// per line, optionally followed by a comma and a description (SSLBL CSVs work as-is)
+async function loadFingerprintBlocklist() {
+  const files = config.tlsFingerprints;
+  const entries = new Map();
+  const errors = [];
+  for (const file of files) {
+    try {
+      const text = await fs.readFile(file, 'utf8');
+      for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+        const [fingerprint, ...rest] = line.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+        const description = rest.filter(cell => cell && !/^\d{4}-\d{2}-\d{2}/.test(cell)).join(', ');
+        entries.set(fingerprint.toLowerCase().replace(/:/g, ''), description || path.basename(file));
+      }
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+    }
+  }
+  return { entries, errors };
+}
+
+function describeKey(cert) {
+  const details = cert.publicKey.asymmetricKeyDetails || {};
+  const type = cert.publicKey.asymmetricKeyType;
+  const bits = details.modulusLength || EC_CURVE_BITS[details.namedCurve] || null;
+  return { type, bits, curve: details.namedCurve || null };
+}
+
+// Decode and audit one DER certificate from tls.handshake.certificate
+function auditCertificate(hex, observedAt) {
+  let cert;
+  try {
+    cert = new X509Certificate(Buffer.from(hex.replace(/:/g, ''), 'hex'));
+  } catch (err) {
+    return { error: `Could not parse certificate: ${err.message}` };
+  }
+  const key = describeKey(cert);
+  const validFrom = new Date(cert.validFrom);
+  const validTo = new Date(cert.validTo);
+  const selfSigned = cert.subject === cert.issuer && cert.checkIssued(cert) && (() => {
+    try {
+      return cert.verify(cert.publicKey);
+    } catch (err) {
+      return false;
+    }
+  })();
+
+  const issues = [];
+  if (validTo < observedAt) issues.push(`expired on ${validTo.toISOString()}`);
+  if (validFrom > observedAt) issues.push(`not valid until ${validFrom.toISOString()}`);
+  if (selfSigned) issues.push('self-signed');
+  if (key.type === 'rsa' && key.bits && key.bits < MIN_RSA_BITS) issues.push(`weak ${key.bits}-bit RSA key`);
+  if (key.type === 'ec' && key.bits && key.bits < MIN_EC_BITS) issues.push(`weak ${key.bits}-bit EC key`);
+  if (key.type === 'dsa') issues.push('DSA key');
+
+  return {
+    subject: cert.subject.replace(/\n/g, ', '),
+    issuer: cert.issuer.replace(/\n/g, ', '),
+    subjectAltName: cert.subjectAltName || null,
+    serialNumber: cert.serialNumber,
+    validFrom: validFrom.toISOString(),
+    validTo: validTo.toISOString(),
+    keyType: key.type,
+    keyBits: key.bits,
+    keyCurve: key.curve,
+    sha1: cert.fingerprint.replace(/:/g, '').toLowerCase(),
+    sha256: cert.fingerprint256.replace(/:/g, '').toLowerCase(),
+    selfSigned,
+    issues,
+  };
+}
+
+// tshark preferences that point the TLS dissector at a key log and/or RSA key.
+// Paths must already be validated; quotes would break the UAT record syntax.
+function tlsDecryptionArgs({ keyLogPath, rsaKeyPath } = {}) {
+  const args = [];
+  for (const file of [keyLogPath, rsaKeyPath]) {
+    if (file && file.includes('"')) throw new Error(`Rejected TLS key path '${file}': paths may not contain double quotes`);
+  }
+  if (keyLogPath) args.push('-o', `tls.keylog_file:${keyLogPath}`);
+  if (rsaKeyPath) args.push('-o', `uat:rsa_keys:"${rsaKeyPath}",""`);
+  return args;
+}
+
+// Count TLS sessions (TCP streams with TLS records) and how many of them
+// carried application data the dissector could decrypt and hand to a protocol
+async function countDecryptedSessions(tsharkPath, pcapPath, decryptionArgs) {
+  const tlsStreams = new Set();
+  const decryptedStreams = new Set();
+  await streamTshark(tsharkPath, [
+    '-r', pcapPath, ...decryptionArgs, '-Y', 'tls', '-T', 'fields',
+    ...fieldArgs(['tcp.stream', 'tls.app_data_proto']),
+  ], line => {
+    const [stream, appDataProto] = line.split('\t');
+    if (!stream) return;
+    tlsStreams.add(stream);
+    if (appDataProto) decryptedStreams.add(stream);
+  });
+  return { tlsSessions: tlsStreams.size, decryptedSessions: decryptedStreams.size };
+}
+
+// Collect ClientHello, ServerHello and Certificate messages and join them per TCP stream
+async function collectTlsSessions(tsharkPath, pcapPath, displayFilter, extraArgs = []) {
+  const handshakeFilter = 'tls.handshake.type == 1 || tls.handshake.type == 2 || tls.handshake.type == 11';
+  const filter = displayFilter ? `(${handshakeFilter}) && (${displayFilter})` : handshakeFilter;
+  const streams = new Map();
+
+  const { missingFields } = await streamFields(tsharkPath, pcapPath, {
+    fields: TLS_FIELDS,
+    optionalFields: FINGERPRINT_FIELDS,
+    filter,
+    extraArgs,
+  }, row => {
+    const types = splitValues(row['tls.handshake.type']);
+    const key = row['tcp.stream'] || `${row['frame.number']}`;
+    const src = row['ip.src'] || row['ipv6.src'];
+    const dst = row['ip.dst'] || row['ipv6.dst'];
+    const time = parseNumber(row['frame.time_epoch']);
+
+    if (!streams.has(key)) {
+      streams.set(key, {
+        stream: parseNumber(row['tcp.stream']), client: null, server: null, serverPort: null,
+        sni: null, alpnOffered: [], alpn: null, offeredVersions: [], version: null, cipher: null,
+        ja3: null, ja3s: null, ja4: null, certificates: [], frames: [], time,
+      });
+    }
+    const session = streams.get(key);
+    session.frames.push(parseNumber(row['frame.number']));
+
+    if (types.includes('1')) {
+      session.client = src;
+      session.server = dst;
+      session.serverPort = parseNumber(row['tcp.dstport']);
+      session.sni = splitValues(row['tls.handshake.extensions_server_name'])[0] || null;
+      session.alpnOffered = splitValues(row['tls.handshake.extensions_alpn_str']);
+      session.offeredVersions = splitValues(row['tls.handshake.extensions.supported_version'])
+        .map(parseNumber).filter(v => v !== null && (v & 0x0f0f) !== 0x0a0a).map(versionName);
+      session.ja3 = splitValues(row['tls.handshake.ja3'])[0] || null;
+      session.ja4 = splitValues(row['tls.handshake.ja4'])[0] || null;
+    }
+    if (types.includes('2')) {
+      if (!session.client) {
+        session.client = dst;
+        session.server = src;
+        session.serverPort = parseNumber(row['tcp.srcport']);
+      }
+      // TLS 1.3 negotiates through the supported_versions extension, not the legacy field
+      const negotiated = parseNumber(splitValues(row['tls.handshake.extensions.supported_version'])[0])
+        || parseNumber(splitValues(row['tls.handshake.version']).slice(-1)[0]);
+      session.version = negotiated;
+      session.cipher = parseNumber(splitValues(row['tls.handshake.ciphersuite'])[0]);
+      session.alpn = splitValues(row['tls.handshake.extensions_alpn_str'])[0] || null;
+      session.ja3s = splitValues(row['tls.handshake.ja3s'])[0] || null;
+    }
+    if (types.includes('11')) {
+      const observedAt = time ? new Date(time * 1000) : new Date();
+      session.certificates.push(...splitValues(row['tls.handshake.certificate']).map(hex => auditCertificate(hex, observedAt)));
+    }
+  });
+
+  return { sessions: [...streams.values()], missingFields };
+}
+
+// Turn raw session data into a report with per-session findings
+function auditSessions(sessions, blocklist) {
+  return sessions.map(session => {
+    const findings = [];
+    if (session.version !== null && DEPRECATED_VERSIONS.has(session.version)) {
+      findings.push({ severity: 'high', issue: `deprecated protocol ${versionName(session.version)}` });
+    }
+    if (session.cipher !== null) {
+      const weak = weakCipherReasons(session.cipher);
+      if (weak.length > 0) findings.push({ severity: 'high', issue: `weak cipher ${cipherName(session.cipher)} (${weak.join(', ')})` });
+    }
+    session.certificates.forEach((cert, i) => {
+      const position = i === 0 ? 'server certificate' : `chain certificate ${i}`;
+      if (cert.error) findings.push({ severity: 'low', issue: `${position}: ${cert.error}` });
+      for (const issue of cert.issues || []) {
+        // A self-signed root at the end of a chain is normal
+        if (issue === 'self-signed' && i > 0 && i === session.certificates.length - 1) continue;
+        findings.push({ severity: issue.startsWith('expired') || issue === 'self-signed' ? 'high' : 'medium', issue: `${position}: ${issue}` });
+      }
+    });
+    for (const [label, value] of [['JA3', session.ja3], ['JA3S', session.ja3s], ['JA4', session.ja4],
+      ...session.certificates.flatMap(cert => [['certificate SHA-1', cert.sha1], ['certificate SHA-256', cert.sha256]])]) {
+      if (value && blocklist.entries.has(value.toLowerCase())) {
+        findings.push({ severity: 'critical', issue: `${label} ${value} matches known-bad list: ${blocklist.entries.get(value.toLowerCase())}` });
+      }
+    }
+
+    const { time, ...rest } = session;
+    return {
+      ...rest,
+      version: versionName(session.version),
+      cipher: session.cipher !== null ? cipherName(session.cipher) : null,
+      findings,
+    };
+  });
+}
+
+module.exports = {
+  FINGERPRINT_FIELDS,
+  tlsDecryptionArgs,
+  countDecryptedSessions,
+  collectTlsSessions,
+  auditCertificate,
+  auditSessions,
+  loadFingerprintBlocklist,
+};
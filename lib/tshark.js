@@ -0,0 +1,287 @@
+// lib/tshark.js - Shell-free tshark runner
+// Arguments are always passed as an array to execFile, so client-supplied
+// values such as interface names or paths are never parsed by a shell.
+// Processes started while a tool request is running are tied to it: they report
+// MCP progress and are killed when the client cancels or the tool times out.
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const which = require('which');
+const { config } = require('./config');
+const execFileAsync = promisify(execFile);
+
+const EXTRA_PATHS = ['/usr/bin', '/usr/local/bin', '/opt/homebrew/bin'];
+const PROGRESS_INTERVAL_MS = 1000;
+
+// The tool request the current async call chain belongs to, if any
+const requestContext = new AsyncLocalStorage();
+
+function tsharkEnv() {
+  return { ...process.env, PATH: `${process.env.PATH}:${EXTRA_PATHS.join(':')}` };
+}
+
+// Run handler as one tool request. The request ends when the client cancels
+// (extra.signal) or after timeoutSeconds, whichever comes first, and the
+// returned promise rejects with the reason even if handler is still unwinding.
+async function runWithRequest({ toolName, extra = {}, timeoutSeconds }, handler) {
+  const controller = new AbortController();
+  const progressToken = extra._meta && extra._meta.progressToken;
+  const context = {
+    signal: controller.signal,
+    startedAt: Date.now(),
+    active: true,
+    lastProgress: 0,
+    // Progress is seconds since the request started, so it only ever increases
+    report(message, total) {
+      if (!this.active || progressToken === undefined || !extra.sendNotification) return;
+      const progress = Math.round((Date.now() - this.startedAt) / 100) / 10;
+      if (progress <= this.lastProgress) return;
+      this.lastProgress = progress;
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, ...(total ? { total } : {}), message },
+      }).catch(err => console.error(`Failed to send progress for ${toolName}: ${err.message}`));
+    },
+  };
+
+  const cancel = () => controller.abort(new Error(`${toolName} was cancelled by the client`));
+  if (extra.signal) {
+    if (extra.signal.aborted) cancel();
+    else extra.signal.addEventListener('abort', cancel, { once: true });
+  }
+  const timer = setTimeout(() => controller.abort(new Error(
+    `${toolName} timed out after ${timeoutSeconds}s and its tshark processes were stopped. ` +
+    'Narrow the work with displayFilter or a shorter capture, or raise toolTimeout / toolTimeouts in the configuration.'
+  )), timeoutSeconds * 1000);
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  aborted.catch(() => {});
+
+  try {
+    return await requestContext.run(context, () => Promise.race([handler(), aborted]));
+  } finally {
+    context.active = false;
+    clearTimeout(timer);
+    if (extra.signal) extra.signal.removeEventListener('abort', cancel);
+  }
+}
+
+// The running request; work started after its tool returned (e.g. background
+// capture finalization) is no longer bound to it
+function activeRequest() {
+  const context = requestContext.getStore();
+  return context && context.active ? context : null;
+}
+
+// Report progress once a second while a process runs; returns the stop function
+function trackProgress(context, describe) {
+  if (!context) return () => {};
+  const timer = setInterval(() => context.report(...describe()), PROGRESS_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// tshark reports a running "\r<count> " and a final "<count> packets captured" while capturing to a file
+function capturedPacketCount(chunk) {
+  const counts = [...String(chunk).matchAll(/(?:^|[\r\n])(\d+) (?:packets? captured|(?=\r|$))/g)];
+  return counts.length > 0 ? Number(counts[counts.length - 1][1]) : null;
+}
+
+// Replace cancellation and buffer overflow errors with ones that say what happened
+function explainFailure(error, context, binary) {
+  if (context && context.signal.aborted) return context.signal.reason;
+  if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+    const explained = new Error(`${path.basename(binary)} produced more than ${config.maxBufferMB} MB of output and was stopped. ` +
+      'Narrow the packets with displayFilter, page through them with query_packets, or raise maxBufferMB / WIREMCP_MAX_BUFFER_MB.');
+    explained.code = error.code;
+    return explained;
+  }
+  return error;
+}
+
+// Run tshark (or any Wireshark CLI binary) with an argument array
+async function runTshark(tsharkPath, args, options = {}) {
+  const context = activeRequest();
+  const promise = execFileAsync(tsharkPath, args, {
+    maxBuffer: config.maxBufferMB * 1024 * 1024,
+    ...options,
+    env: tsharkEnv(),
+    ...(context ? { signal: context.signal } : {}),
+  });
+
+  // Live captures (-a duration:N) report elapsed time against their duration
+  const durationArg = args.find(arg => /^duration:\d+$/.test(arg));
+  const captureEnd = context && durationArg && args.includes('-i')
+    ? (Date.now() - context.startedAt) / 1000 + Number(durationArg.slice(9))
+    : null;
+  let packets = null;
+  if (context && promise.child.stderr) {
+    promise.child.stderr.on('data', chunk => {
+      const count = capturedPacketCount(chunk);
+      if (count !== null) packets = count;
+    });
+  }
+  const started = Date.now();
+  const stop = trackProgress(context, () => {
+    const elapsed = Math.round((Date.now() - started) / 1000);
+    const label = captureEnd ? `Capturing: ${elapsed}s of ${durationArg.slice(9)}s` : `${path.basename(tsharkPath)} running for ${elapsed}s`;
+    return [`${label}${packets !== null ? `, ${packets} packets` : ''}`, captureEnd ? Math.round(captureEnd * 10) / 10 : undefined];
+  });
+
+  try {
+    return await promise;
+  } catch (error) {
+    throw explainFailure(error, context, tsharkPath);
+  } finally {
+    stop();
+  }
+}
+
+// Locate a Wireshark companion binary (dumpcap, mergecap, capinfos), preferring the one next to tshark
+async function findWiresharkTool(tsharkPath, name) {
+  const sibling = path.join(path.dirname(tsharkPath), process.platform === 'win32' ? `${name}.exe` : name);
+  try {
+    await fs.access(sibling);
+    return sibling;
+  } catch (err) {
+    return which(name).catch(() => name);
+  }
+}
+
+// Stream tshark stdout line by line for outputs too large to buffer in memory
+function streamTshark(tsharkPath, args, onLine) {
+  const context = activeRequest();
+  let lineCount = 0;
+  const stop = trackProgress(context, () => [`Processed ${lineCount} packets`]);
+  return new Promise((resolve, reject) => {
+    const child = spawn(tsharkPath, args, { env: tsharkEnv(), ...(context ? { signal: context.signal } : {}) });
+    let pending = '';
+    let stderr = '';
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      pending += chunk;
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      lineCount += lines.length;
+      lines.forEach(onLine);
+    });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-65536);
+    });
+    child.on('error', error => {
+      stop();
+      reject(explainFailure(error, context, tsharkPath));
+    });
+    child.on('close', code => {
+      stop();
+      if (context && context.signal.aborted) return reject(context.signal.reason);
+      if (pending) onLine(pending);
+      if (code === 0) return resolve({ stderr });
+      const error = new Error(`tshark exited with code ${code}: ${stderr.trim()}`);
+      error.code = code;
+      error.stderr = stderr;
+      reject(error);
+    });
+  });
+}
+
+// Expand a field list into tshark -e arguments
+function fieldArgs(fields) {
+  return fields.flatMap(field => ['-e', field]);
+}
+
+// Multi-occurrence field values are joined with this character (-E aggregator)
+const FIELD_AGGREGATOR = '\x1f';
+
+// Field names tshark rejected, parsed from "Some fields aren't valid:" errors
+function invalidFields(stderr) {
+  const match = (stderr || '').match(/Some fields aren't valid:\s*\n((?:[ \t]+\S+[ \t]*\n?)+)/);
+  return match ? match[1].split('\n').map(line => line.trim()).filter(line => line) : [];
+}
+
+// Stream -T fields rows as { field: rawValue } objects. Fields in optionalFields
+// that this tshark version does not know (e.g. JA4 on older releases) are
+// dropped and the read retried; the dropped names are returned.
+async function streamFields(tsharkPath, pcapPath, { fields, optionalFields = [], filter, extraArgs = [] }, onRow) {
+  let requested = [...fields, ...optionalFields];
+  const missingFields = [];
+  for (;;) {
+    try {
+      await streamTshark(tsharkPath, [
+        '-r', pcapPath, ...extraArgs, '-T', 'fields',
+        '-E', 'separator=/t', '-E', 'occurrence=a', '-E', `aggregator=${FIELD_AGGREGATOR}`,
+        ...(filter ? ['-Y', filter] : []),
+        ...fieldArgs(requested),
+      ], line => {
+        if (!line) return;
+        const cols = line.split('\t');
+        onRow(Object.fromEntries(requested.map((field, i) => [field, cols[i] || ''])));
+      });
+      return { missingFields };
+    } catch (error) {
+      const invalid = invalidFields(error.stderr).filter(field => optionalFields.includes(field));
+      if (invalid.length === 0) throw error;
+      console.error(`tshark does not support fields ${invalid.join(', ')}; retrying without them`);
+      missingFields.push(...invalid);
+      requested = requested.filter(field => !invalid.includes(field));
+    }
+  }
+}
+
+// Split an aggregated multi-occurrence value into its parts
+function splitValues(value) {
+  return value ? value.split(FIELD_AGGREGATOR).filter(part => part) : [];
+}
+
+// Boolean field as -T fields prints it: "1" on current tshark, "True" on older releases
+function isSet(value) {
+  return value === '1' || value === 'True' || value === 'true';
+}
+
+// "address:port", with IPv6 addresses in brackets
+function formatEndpoint(address, port) {
+  return address.includes(':') ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+// Parse `tshark -D` output, e.g. "1. eth0" or "4. \Device\NPF_{...} (Ethernet)"
+async function listInterfaces(tsharkPath) {
+  const { stdout } = await runTshark(tsharkPath, ['-D']);
+  return stdout.split('\n')
+    .map(line => line.trim().match(/^(\d+)\.\s+(\S+)(?:\s+\((.*)\))?$/))
+    .filter(match => match)
+    .map(([, index, name, description]) => ({ index, name, description: description || '' }));
+}
+
+// Accept an interface only if tshark reports it, by name or by -D index
+async function validateInterface(tsharkPath, iface) {
+  const interfaces = await listInterfaces(tsharkPath);
+  const match = interfaces.find(i => i.name === iface || i.index === iface);
+  if (!match) {
+    throw new Error(`Rejected interface '${iface}': not a capture interface reported by tshark -D. ` +
+      `Available interfaces: ${interfaces.map(i => i.name).join(', ') || 'none'}`);
+  }
+  return match.name;
+}
+
+module.exports = {
+  runWithRequest,
+  activeRequest,
+  trackProgress,
+  capturedPacketCount,
+  runTshark,
+  streamTshark,
+  fieldArgs,
+  FIELD_AGGREGATOR,
+  streamFields,
+  splitValues,
+  isSet,
+  formatEndpoint,
+  listInterfaces,
+  validateInterface,
+  findWiresharkTool,
+};
@@ -0,0 +1,132 @@
+// Anomaly heuristics: findings just below, at and above each threshold
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { THRESHOLDS, detectAnomalies } = require('../lib/anomalies');
+
+let frame = 0;
+
+function packet(fields) {
+  frame++;
+  return {
+    frame, time: frame, length: 60, src: null, dst: null, proto: 'tcp', stream: null, srcPort: null, dstPort: null,
+    syn: false, ack: false, reset: false, arpOpcode: null, arpIp: '', arpMac: '', ...fields,
+  };
+}
+
+// A TCP connection attempt; completed ones get the SYN-ACK and the client's ACK
+function connection(stream, client, server, port, { time = 0, completed = false } = {}) {
+  const syn = packet({ time, src: client, dst: server, stream, srcPort: 40000 + stream, dstPort: port, syn: true });
+  if (!completed) return [syn];
+  return [
+    syn,
+    packet({ time, src: server, dst: client, stream, srcPort: port, dstPort: 40000 + stream, syn: true, ack: true }),
+    packet({ time, src: client, dst: server, stream, srcPort: 40000 + stream, dstPort: port, ack: true }),
+  ];
+}
+
+function findings(packets, type) {
+  return detectAnomalies(packets).findings.filter(f => f.type === type);
+}
+
+test('port scans need scanPorts ports and scanFailureRatio failed handshakes', () => {
+  const scan = (ports, completedCount = 0) => Array.from({ length: ports }, (_, i) =>
+    connection(i, '10.0.0.5', '10.0.0.9', 1000 + i, { completed: i < completedCount })).flat();
+
+  assert.deepEqual(findings(scan(THRESHOLDS.scanPorts - 1), 'port_scan'), []);
+  const [atThreshold] = findings(scan(THRESHOLDS.scanPorts), 'port_scan');
+  assert.equal(atThreshold.severity, 'medium');
+  assert.deepEqual(
+    [atThreshold.evidence.ports, atThreshold.evidence.attempts, atThreshold.evidence.incomplete],
+    [20, 20, 20],
+  );
+  assert.equal(findings(scan(THRESHOLDS.scanPorts * 5), 'port_scan')[0].severity, 'high');
+
+  // 14 of 20 failed is exactly 0.7; 13 of 20 is below it
+  assert.equal(findings(scan(20, 6), 'port_scan').length, 1);
+  assert.deepEqual(findings(scan(20, 7), 'port_scan'), []);
+});
+
+test('host sweeps need sweepHosts targets on one port', () => {
+  const sweep = hosts => Array.from({ length: hosts }, (_, i) =>
+    connection(i, '10.0.0.5', `10.0.1.${i + 1}`, 445)).flat();
+
+  assert.deepEqual(findings(sweep(THRESHOLDS.sweepHosts - 1), 'host_sweep'), []);
+  const [finding] = findings(sweep(THRESHOLDS.sweepHosts), 'host_sweep');
+  assert.equal(finding.severity, 'medium');
+  assert.deepEqual([finding.evidence.source, finding.evidence.port, finding.evidence.hosts], ['10.0.0.5', 445, 20]);
+});
+
+test('beaconing is judged by connection count, interval and jitter', () => {
+  const beacon = (intervals, server = '203.0.113.10') => {
+    let time = 1000;
+    const times = [time, ...intervals.map(interval => (time += interval))];
+    return times.map((t, i) => connection(i, '10.0.0.5', server, 443, { time: t, completed: true })).flat();
+  };
+  const steady = count => new Array(count - 1).fill(60);
+
+  assert.deepEqual(findings(beacon(steady(THRESHOLDS.beaconMinConnections - 1)), 'beaconing'), []);
+  const [finding] = findings(beacon(steady(THRESHOLDS.beaconMinConnections)), 'beaconing');
+  assert.equal(finding.severity, 'high');
+  assert.deepEqual(
+    [finding.evidence.connections, finding.evidence.meanIntervalSeconds, finding.evidence.jitter],
+    [6, 60, 0],
+  );
+
+  // Internal servers are never more than medium
+  assert.equal(findings(beacon(steady(6), '10.0.0.20'), 'beaconing')[0].severity, 'medium');
+  // Connections closer together than beaconMinInterval are not beacons
+  assert.deepEqual(findings(beacon(new Array(9).fill(4)), 'beaconing'), []);
+
+  // 54/66 alternating: mean 60, standard deviation 6, jitter exactly 0.1
+  const atMaxJitter = findings(beacon([54, 66, 54, 66, 54, 66]), 'beaconing');
+  assert.deepEqual(atMaxJitter.map(f => [f.severity, f.evidence.jitter]), [['medium', 0.1]]);
+  assert.deepEqual(findings(beacon([53, 67, 53, 67, 53, 67]), 'beaconing'), []);
+});
+
+test('an IP claimed by more than one MAC is ARP spoofing', () => {
+  const arp = (ip, mac) => packet({ proto: 'arp', arpOpcode: 2, arpIp: ip, arpMac: mac });
+  assert.deepEqual(findings([
+    arp('10.0.0.1', '00:11:22:33:44:55'),
+    arp('10.0.0.1', '00:11:22:33:44:55'),
+    arp('0.0.0.0', '00:00:5e:00:53:01'),
+    arp('0.0.0.0', '00:00:5e:00:53:02'),
+  ], 'arp_spoofing'), []);
+
+  const [finding] = findings([
+    arp('10.0.0.1', '00:11:22:33:44:55'),
+    arp('10.0.0.1', '66:77:88:99:aa:bb'),
+    arp('10.0.0.1', '66:77:88:99:aa:bb'),
+  ], 'arp_spoofing');
+  assert.equal(finding.severity, 'high');
+  assert.deepEqual(finding.evidence.macs.map(m => [m.mac, m.packets]), [['00:11:22:33:44:55', 1], ['66:77:88:99:aa:bb', 2]]);
+});
+
+test('large outbound transfers need exfilMinBytes and exfilRatio', () => {
+  const transfer = (out, back) => [
+    packet({ src: '10.0.0.5', dst: '203.0.113.50', proto: 'udp', srcPort: 50000, dstPort: 443, length: out }),
+    packet({ src: '203.0.113.50', dst: '10.0.0.5', proto: 'udp', srcPort: 443, dstPort: 50000, length: back }),
+  ];
+  const min = THRESHOLDS.exfilMinBytes;
+
+  assert.deepEqual(findings(transfer(min - 1, 0), 'large_outbound_transfer'), []);
+  const [atThreshold] = findings(transfer(min, min / THRESHOLDS.exfilRatio), 'large_outbound_transfer');
+  assert.equal(atThreshold.severity, 'medium');
+  assert.deepEqual(
+    [atThreshold.evidence.source, atThreshold.evidence.destination, atThreshold.evidence.ratio],
+    ['10.0.0.5', '203.0.113.50', 10],
+  );
+  assert.deepEqual(findings(transfer(min, min / THRESHOLDS.exfilRatio + 1), 'large_outbound_transfer'), []);
+
+  const [large] = findings(transfer(min * 10, 0), 'large_outbound_transfer');
+  assert.deepEqual([large.severity, large.evidence.ratio], ['high', null]);
+  // Traffic between two internal hosts is never exfiltration
+  assert.deepEqual(findings([packet({ src: '10.0.0.5', dst: '10.0.0.6', proto: 'udp', length: min * 10 })], 'large_outbound_transfer'), []);
+});
+
+test('custom thresholds override the defaults', () => {
+  const scan = Array.from({ length: 5 }, (_, i) => connection(i, '10.0.0.5', '10.0.0.9', 1000 + i)).flat();
+  const { thresholds, findings: found } = detectAnomalies(scan, { scanPorts: 5 });
+  assert.equal(thresholds.scanPorts, 5);
+  assert.equal(thresholds.sweepHosts, THRESHOLDS.sweepHosts);
+  assert.deepEqual(found.map(f => f.type), ['port_scan']);
+});
@@ -0,0 +1,126 @@
+// Credential extraction: known-answer hash formats and plaintext parsing.
+// A stub tshark prints prepared -T fields rows, so the test runs without Wireshark.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { CREDENTIAL_FIELDS, extractCredentials } = require('../lib/credentials');
+const { FIELD_AGGREGATOR } = require('../lib/tshark');
+
+// Column order of the stub output: required fields, then the optional SMTP ones
+const COLUMNS = [...CREDENTIAL_FIELDS, 'smtp.auth.username', 'smtp.auth.password', 'smtp.auth.username_password'];
+
+// tshark prints byte fields as colon-separated hex
+function bytes(hex) {
+  return hex.match(/../g).join(':');
+}
+
+function row(fields) {
+  return COLUMNS.map(field => {
+    const value = fields[field];
+    return Array.isArray(value) ? value.join(FIELD_AGGREGATOR) : value || '';
+  }).join('\t');
+}
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wiremcp-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function extract(rows) {
+  const rowsFile = path.join(dir, 'rows.tsv');
+  const tshark = path.join(dir, 'tshark');
+  await fs.writeFile(rowsFile, `${rows.map(row).join('\n')}\n`);
+  await fs.writeFile(tshark, `#!/bin/sh\ncat '${rowsFile}'\n`, { mode: 0o755 });
+  return extractCredentials(tshark, path.join(dir, 'capture.pcap'));
+}
+
+const client = { 'ip.src': '10.0.0.5', 'ip.dst': '10.0.0.1' };
+const server = { 'ip.src': '10.0.0.1', 'ip.dst': '10.0.0.5' };
+
+test('NTLMv1 and NTLMv2 responses match the hashcat formats', async () => {
+  const { encrypted } = await extract([
+    { ...server, 'frame.number': '1', 'tcp.stream': '0', 'ntlmssp.messagetype': '2', 'ntlmssp.ntlmserverchallenge': bytes('cb8086049ec4736c') },
+    {
+      ...client, 'frame.number': '2', 'tcp.stream': '0', 'ntlmssp.messagetype': '3',
+      'ntlmssp.auth.username': 'u4-netntlm', 'ntlmssp.auth.domain': 'kNS',
+      'ntlmssp.auth.lmresponse': bytes('338d08f8e26de93300000000000000000000000000000000'),
+      'ntlmssp.auth.ntresponse': bytes('9526fb8c23a90751cdd619b6cea564742e1e4bf33006ba41'),
+    },
+    { ...server, 'frame.number': '3', 'tcp.stream': '1', 'ntlmssp.messagetype': '2', 'ntlmssp.ntlmserverchallenge': bytes('08ca45b7d7ea58ee') },
+    {
+      ...client, 'frame.number': '4', 'tcp.stream': '1', 'ntlmssp.messagetype': '3',
+      'ntlmssp.auth.username': 'admin', 'ntlmssp.auth.domain': 'N46iSNekpT',
+      'ntlmssp.auth.ntresponse': bytes('88dcbe4446168966a153a0064958dac6' +
+        '5c7830315c7830310000000000000b45c67103d07d7b95acd12ffa11230e0000000052920b85f78d013c31cdb3b92f5d765c783030'),
+    },
+  ]);
+  assert.deepEqual(encrypted.map(c => [c.type, c.crackingMode, c.hash]), [
+    ['NTLMv1', 'hashcat -m 5500',
+      'u4-netntlm::kNS:338d08f8e26de93300000000000000000000000000000000:9526fb8c23a90751cdd619b6cea564742e1e4bf33006ba41:cb8086049ec4736c'],
+    ['NTLMv2', 'hashcat -m 5600',
+      'admin::N46iSNekpT:08ca45b7d7ea58ee:88dcbe4446168966a153a0064958dac6:' +
+      '5c7830315c7830310000000000000b45c67103d07d7b95acd12ffa11230e0000000052920b85f78d013c31cdb3b92f5d765c783030'],
+  ]);
+});
+
+test('Kerberos RC4 pre-auth, AS-REP and TGS-REP hashes match the hashcat formats', async () => {
+  const paChecksum = '8aa0d9966785ecd958f971f622bf5c42';
+  const paTimestamp = '4e751db65422b2117f7eac7b721932dcdc0c70b532363138363631363132333238383835';
+  const asrepChecksum = '3e156ada591263b8aab0965f5aebd837';
+  const asrepData = '007497cb51b6c8116d6407a782ea0e1c5402b17db7afa6b05a6d30ed164a9933c754d720e279c6c573679bd27128fe77';
+  const tgsChecksum = '63386d22d359fe42230300d56852c9eb';
+  const tgsData = '891ad31d09ab89c6b3b8c5e5de6c06a7f49fd559d7a9a3c32576c8fedf705376cea582ab5938f7fc8bc741acf05c5990';
+  const { encrypted } = await extract([
+    // KRB-ERROR (pre-auth required) carries the salt the following AS-REQ uses
+    { ...server, 'frame.number': '1', 'tcp.stream': '0', 'kerberos.msg_type': '30', 'kerberos.realm': 'realm', 'kerberos.CNameString': 'user', 'kerberos.etype': '23', 'kerberos.salt': 'salt' },
+    {
+      ...client, 'frame.number': '2', 'tcp.stream': '0', 'kerberos.msg_type': '10', 'kerberos.realm': 'realm', 'kerberos.CNameString': 'user',
+      'kerberos.etype': ['23', '23'], 'kerberos.cipher': bytes(paChecksum + paTimestamp),
+    },
+    {
+      ...server, 'frame.number': '3', 'tcp.stream': '1', 'kerberos.msg_type': '11', 'kerberos.realm': 'domain.com', 'kerberos.CNameString': 'user',
+      'kerberos.etype': ['18', '23'], 'kerberos.cipher': [bytes('00112233'), bytes(asrepChecksum + asrepData)],
+    },
+    {
+      ...server, 'frame.number': '4', 'tcp.stream': '2', 'kerberos.msg_type': '13', 'kerberos.realm': ['realm', 'realm'],
+      'kerberos.CNameString': 'user', 'kerberos.SNameString': ['test', 'spn'],
+      'kerberos.etype': ['23', '18'], 'kerberos.cipher': [bytes(tgsChecksum + tgsData), bytes('00112233')],
+    },
+  ]);
+  assert.deepEqual(encrypted.map(c => [c.type, c.crackingMode, c.hash]), [
+    ['Kerberos AS-REQ pre-auth', 'hashcat -m 7500 or john --format=krb5pa-md5',
+      `$krb5pa$23$user$realm$salt$${paTimestamp}${paChecksum}`],
+    ['Kerberos AS-REP', 'hashcat -m 18200 or john --format=krb5asrep',
+      `$krb5asrep$23$user@domain.com:${asrepChecksum}$${asrepData}`],
+    ['Kerberos TGS-REP (Kerberoast)', 'hashcat -m 13100 or john --format=krb5tgs',
+      `$krb5tgs$23$*SERVICE_ACCOUNT$realm$test/spn*$${tgsChecksum}$${tgsData}`],
+  ]);
+});
+
+test('Kerberos AES TGS-REP hashes split the HMAC off the end', async () => {
+  const edata = 'aa'.repeat(40);
+  const hmac = 'bb'.repeat(12);
+  const { encrypted } = await extract([{
+    ...server, 'frame.number': '1', 'tcp.stream': '0', 'kerberos.msg_type': '13', 'kerberos.realm': ['EXAMPLE.COM', 'EXAMPLE.COM'],
+    'kerberos.CNameString': 'alice', 'kerberos.SNameString': ['MSSQLSvc', 'db.example.com'],
+    'kerberos.etype': ['18', '18'], 'kerberos.cipher': [bytes(edata + hmac), bytes('00112233')],
+  }]);
+  assert.equal(encrypted.length, 1);
+  assert.equal(encrypted[0].crackingMode, 'hashcat -m 19700 or john --format=krb5tgs');
+  assert.equal(encrypted[0].hash, `$krb5tgs$18$SERVICE_ACCOUNT$EXAMPLE.COM$*MSSQLSvc/db.example.com*$${hmac}$${edata}`);
+});
+
+test('Basic auth passwords keep every colon after the first', async () => {
+  const { plaintext } = await extract([
+    { ...client, 'frame.number': '1', 'tcp.stream': '0', 'http.authbasic': 'alice:pa:ss:word' },
+    { ...client, 'frame.number': '2', 'tcp.stream': '1', 'http.authbasic': Buffer.from('bob:x:y').toString('base64') },
+  ]);
+  assert.deepEqual(plaintext.map(c => [c.username, c.password]), [['alice', 'pa:ss:word'], ['bob', 'x:y']]);
+});
@@ -0,0 +1,134 @@
+// DNS analysis: known answers for the tunneling and DGA heuristics at their thresholds
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  THRESHOLDS, shannonEntropy, splitDomain, dgaScore, pairTransactions, analyzeTransactions,
+} = require('../lib/dns');
+
+function query(name, { client = '10.0.0.5', type = 'A', rcode = 'NOERROR' } = {}) {
+  return { client, server: '10.0.0.53', name, type, rcode };
+}
+
+function findings(transactions, type) {
+  return analyzeTransactions(transactions).findings.filter(f => f.type === type);
+}
+
+test('shannonEntropy counts bits per character', () => {
+  assert.equal(shannonEntropy(''), 0);
+  assert.equal(shannonEntropy('aaaa'), 0);
+  assert.equal(shannonEntropy('abab'), 1);
+  assert.equal(shannonEntropy('abcd'), 2);
+});
+
+test('splitDomain groups names under their registrable domain', () => {
+  assert.deepEqual(splitDomain('www.Example.com.'), { registered: 'example.com', subdomain: 'www', label: 'example' });
+  assert.deepEqual(splitDomain('a.b.example.co.uk'), { registered: 'example.co.uk', subdomain: 'a.b', label: 'example' });
+  assert.deepEqual(splitDomain('example.com'), { registered: 'example.com', subdomain: '', label: 'example' });
+});
+
+test('dgaScore flags random-looking labels and ignores short or readable ones', () => {
+  assert.deepEqual(dgaScore('xkqzvbnmwrtplkjh'), {
+    score: 4,
+    reasons: ['entropy 3.88', 'vowel ratio 0.00', 'consonant run of 16', 'length 16'],
+  });
+  assert.equal(dgaScore('wikipedia').score, 0);
+  assert.equal(dgaScore('xkqzvbn').score, 0);
+  // Two indicators stay below the reporting threshold
+  assert.equal(dgaScore('a1b2c3d4e5').score, 2);
+  assert.ok(dgaScore('a1b2c3d4e5').score < THRESHOLDS.dgaScore);
+});
+
+test('pairTransactions matches responses to queries and measures latency', () => {
+  const transactions = pairTransactions([
+    { frame: 1, time: 100, src: '10.0.0.5', dst: '10.0.0.53', id: '0x1234', response: false, name: 'example.com', type: 'A' },
+    { frame: 2, time: 100.0125, src: '10.0.0.53', dst: '10.0.0.5', id: '0x1234', response: true, name: 'example.com', type: 'A', rcode: 'NOERROR', answers: ['192.0.2.1'] },
+    { frame: 3, time: 101, src: '10.0.0.53', dst: '10.0.0.6', id: '0x9999', response: true, name: 'lost.example', type: 'A', rcode: 'NXDOMAIN', answers: [] },
+  ]);
+  assert.equal(transactions.length, 2);
+  assert.deepEqual(
+    [transactions[0].queryFrame, transactions[0].responseFrame, transactions[0].latencyMs, transactions[0].answers],
+    [1, 2, 12.5, ['192.0.2.1']],
+  );
+  assert.deepEqual([transactions[1].queryFrame, transactions[1].client, transactions[1].latencyMs], [null, '10.0.0.6', null]);
+});
+
+test('labels longer than longLabel are tunneling indicators', () => {
+  const atLimit = `${'a'.repeat(THRESHOLDS.longLabel)}.example.com`;
+  const overLimit = `${'a'.repeat(THRESHOLDS.longLabel + 1)}.example.com`;
+  assert.deepEqual(findings([query(atLimit)], 'tunneling'), []);
+  assert.deepEqual(findings([query(overLimit)], 'tunneling'), [{
+    type: 'tunneling', indicator: overLimit, domain: 'example.com', severity: 'medium', reasons: ['label of 41 characters'],
+  }]);
+});
+
+test('long names and high-entropy subdomains are tunneling indicators', () => {
+  const long = `${'a'.repeat(35)}.${'b'.repeat(35)}.${'c'.repeat(30)}.example.com`;
+  assert.deepEqual(findings([query(long)], 'tunneling').map(f => f.reasons), [['name of 114 characters']]);
+
+  // 24 distinct characters: log2(24) = 4.58 bits, above highEntropy
+  const random = 'abcdefghijklmnopqrstuvwx.example.com';
+  assert.deepEqual(findings([query(random)], 'tunneling').map(f => f.reasons), [['subdomain entropy 4.58']]);
+  // Below highEntropyMinLength the entropy is not judged
+  assert.deepEqual(findings([query('abcdefghijklmnopqrs.example.com')], 'tunneling'), []);
+});
+
+test('reverse lookups are never tunneling indicators', () => {
+  const name = `${'1.'.repeat(60)}in-addr.arpa`;
+  assert.deepEqual(findings([query(name, { type: 'PTR' })], 'tunneling'), []);
+});
+
+test('TXT-heavy domains are flagged above txtRatio once txtMinQueries is reached', () => {
+  const mix = txt => [
+    ...Array.from({ length: txt }, () => query('t.example.org', { type: 'TXT' })),
+    ...Array.from({ length: THRESHOLDS.txtMinQueries - txt }, () => query('t.example.org')),
+  ];
+  assert.deepEqual(findings(mix(5), 'tunneling'), []);
+  assert.deepEqual(findings(mix(6), 'tunneling').map(f => f.reasons), [['6 of 10 queries are TXT']]);
+  const tooFew = Array.from({ length: THRESHOLDS.txtMinQueries - 1 }, () => query('t.example.org', { type: 'TXT' }));
+  assert.deepEqual(findings(tooFew, 'tunneling'), []);
+});
+
+test('domains with more than manySubdomains unique subdomains are flagged', () => {
+  const spread = count => Array.from({ length: count }, (_, i) => query(`h${i}.example.net`));
+  assert.deepEqual(findings(spread(THRESHOLDS.manySubdomains), 'tunneling'), []);
+  assert.deepEqual(findings(spread(THRESHOLDS.manySubdomains + 1), 'tunneling').map(f => f.reasons), [['51 unique subdomains']]);
+});
+
+test('NULL queries and several reasons together raise the severity', () => {
+  const transactions = [
+    ...Array.from({ length: THRESHOLDS.manySubdomains + 1 }, (_, i) => query(`h${i}.example.net`)),
+    query('n.example.net', { type: 'NULL' }),
+  ];
+  assert.deepEqual(findings(transactions, 'tunneling'), [{
+    type: 'tunneling', indicator: 'example.net', domain: 'example.net', severity: 'high',
+    reasons: ['52 unique subdomains', '1 NULL record queries'],
+  }]);
+});
+
+test('DGA domains are reported, and NXDOMAIN answers make them high severity', () => {
+  assert.deepEqual(findings([query('www.xkqzvbnmwrtplkjh.com')], 'dga'), [{
+    type: 'dga', indicator: 'xkqzvbnmwrtplkjh.com', domain: 'xkqzvbnmwrtplkjh.com', severity: 'medium',
+    reasons: ['entropy 3.88', 'vowel ratio 0.00', 'consonant run of 16', 'length 16'],
+  }]);
+  const [nx] = findings([query('xkqzvbnmwrtplkjh.com', { rcode: 'NXDOMAIN' })], 'dga');
+  assert.equal(nx.severity, 'high');
+  assert.equal(nx.reasons[nx.reasons.length - 1], '1 NXDOMAIN responses');
+  assert.deepEqual(findings([query('a1b2c3d4e5.com', { rcode: 'NXDOMAIN' })], 'dga'), []);
+});
+
+test('clients are ranked by NXDOMAIN ratio', () => {
+  const { clients, topDomains, uniqueNames } = analyzeTransactions([
+    query('a.example.com', { client: '10.0.0.1' }),
+    query('a.example.com', { client: '10.0.0.1' }),
+    query('b.example.com', { client: '10.0.0.2', rcode: 'NXDOMAIN' }),
+    query('a.example.com', { client: '10.0.0.2' }),
+    query('c.example.com', { client: '10.0.0.2', rcode: 'NXDOMAIN' }),
+    query('d.example.com', { client: '10.0.0.2' }),
+  ]);
+  assert.deepEqual(clients, [
+    { client: '10.0.0.2', queries: 4, nxdomain: 2, nxdomainRatio: 0.5 },
+    { client: '10.0.0.1', queries: 2, nxdomain: 0, nxdomainRatio: 0 },
+  ]);
+  assert.deepEqual(topDomains[0], { name: 'a.example.com', count: 3 });
+  assert.deepEqual(uniqueNames, ['a.example.com', 'b.example.com', 'c.example.com', 'd.example.com']);
+});
@@ -0,0 +1,156 @@
+// MaxMind DB reader: known answers from a small database built to the spec
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { MmdbReader, openMmdb } = require('../lib/mmdb');
+
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex');
+const TYPES = { pointer: 1, utf8: 2, map: 7, uint16: 5, uint32: 6, array: 11, boolean: 14 };
+
+// Field header: type in the top three bits, or 0 plus an extended type byte.
+// Sizes from 29 to 284 take one extra byte.
+function control(type, size) {
+  const code = TYPES[type];
+  const sizeBits = size < 29 ? size : 29;
+  const extra = size < 29 ? [] : [size - 29];
+  return Buffer.from(code <= 7 ? [(code << 5) | sizeBits, ...extra] : [sizeBits, code - 7, ...extra]);
+}
+
+function uint(type, value) {
+  const bytes = [];
+  for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+  return Buffer.concat([control(type, bytes.length), Buffer.from(bytes)]);
+}
+
+// Encode a value; { pointer: n } becomes a one-byte-size pointer to data offset n
+function encode(value) {
+  if (typeof value === 'string') return Buffer.concat([control('utf8', Buffer.byteLength(value)), Buffer.from(value)]);
+  if (typeof value === 'number') return uint('uint32', value);
+  if (typeof value === 'boolean') return control('boolean', value ? 1 : 0);
+  if (Array.isArray(value)) return Buffer.concat([control('array', value.length), ...value.map(encode)]);
+  if (value.pointer !== undefined) return Buffer.from([(TYPES.pointer << 5) | (value.pointer >> 8), value.pointer & 0xff]);
+  if (value.uint16 !== undefined) return uint('uint16', value.uint16);
+  const entries = Object.entries(value);
+  return Buffer.concat([control('map', entries.length), ...entries.flatMap(([key, v]) => [encode(key), encode(v)])]);
+}
+
+// Build an IPv4 or IPv6 database from [address bytes, prefix length, data offset] networks
+function buildMmdb({ ipVersion, recordSize, networks, data }) {
+  const nodes = [[null, null]];
+  for (const [bytes, prefixLength, dataOffset] of networks) {
+    let node = 0;
+    for (let depth = 0; depth < prefixLength; depth++) {
+      const bit = (bytes[depth >> 3] >> (7 - (depth % 8))) & 1;
+      if (depth === prefixLength - 1) {
+        nodes[node][bit] = { data: dataOffset };
+      } else {
+        if (nodes[node][bit] === null) {
+          nodes.push([null, null]);
+          nodes[node][bit] = { node: nodes.length - 1 };
+        }
+        node = nodes[node][bit].node;
+      }
+    }
+  }
+  const nodeCount = nodes.length;
+  const recordValue = record => {
+    if (record === null) return nodeCount;
+    return record.node !== undefined ? record.node : nodeCount + 16 + record.data;
+  };
+  const nodeBytes = recordSize / 4;
+  const tree = Buffer.alloc(nodeCount * nodeBytes);
+  nodes.forEach(([left, right], i) => {
+    const offset = i * nodeBytes;
+    const [l, r] = [recordValue(left), recordValue(right)];
+    if (recordSize === 24) {
+      tree.writeUIntBE(l, offset, 3);
+      tree.writeUIntBE(r, offset + 3, 3);
+    } else if (recordSize === 28) {
+      tree.writeUIntBE(l & 0xffffff, offset, 3);
+      tree[offset + 3] = ((l >> 20) & 0xf0) | ((r >> 24) & 0x0f);
+      tree.writeUIntBE(r & 0xffffff, offset + 4, 3);
+    } else {
+      tree.writeUInt32BE(l, offset);
+      tree.writeUInt32BE(r, offset + 4);
+    }
+  });
+  const metadata = encode({
+    node_count: nodeCount,
+    record_size: { uint16: recordSize },
+    ip_version: { uint16: ipVersion },
+    database_type: 'WireMCP-Test',
+    languages: ['en'],
+    binary_format_major_version: { uint16: 2 },
+    binary_format_minor_version: { uint16: 0 },
+  });
+  return Buffer.concat([tree, Buffer.alloc(16), data, METADATA_MARKER, metadata]);
+}
+
+// Country record at offset 0; the ASN record points back into it for the country
+const COUNTRY = encode({ country: { iso_code: 'AU', names: { en: 'Australia' } } });
+const ASN = encode({ autonomous_system_number: 64500, autonomous_system_organization: 'Example Net', country: { pointer: 0 } });
+const DATA = Buffer.concat([COUNTRY, ASN]);
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wiremcp-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('looks up IPv4 networks at every record size', () => {
+  for (const recordSize of [24, 28, 32]) {
+    const reader = new MmdbReader(buildMmdb({
+      ipVersion: 4,
+      recordSize,
+      networks: [[[1, 2, 3, 0], 24, 0], [[198, 51, 100, 128], 25, COUNTRY.length]],
+      data: DATA,
+    }), 'test.mmdb');
+    assert.deepEqual(reader.get('1.2.3.4'), {
+      data: { country: { iso_code: 'AU', names: { en: 'Australia' } } },
+      prefixLength: 24,
+    }, `record size ${recordSize}`);
+    const asn = reader.get('198.51.100.200');
+    assert.equal(asn.prefixLength, 25);
+    assert.equal(asn.data.autonomous_system_number, 64500);
+    assert.equal(asn.data.autonomous_system_organization, 'Example Net');
+    // The pointer resolves to the whole record at offset 0
+    assert.deepEqual(asn.data.country, { country: { iso_code: 'AU', names: { en: 'Australia' } } });
+    assert.equal(reader.get('198.51.100.1'), null);
+    assert.equal(reader.get('1.2.4.4'), null);
+    assert.equal(reader.get('2001:db8::1'), null);
+  }
+});
+
+test('finds IPv4 addresses under ::/96 in an IPv6 database', () => {
+  const v4Mapped = [...new Array(12).fill(0), 1, 2, 3, 0];
+  const reader = new MmdbReader(buildMmdb({
+    ipVersion: 6,
+    recordSize: 28,
+    networks: [[v4Mapped, 120, 0], [[0x20, 0x01, 0x0d, 0xb8], 32, COUNTRY.length]],
+    data: DATA,
+  }), 'test.mmdb');
+  assert.equal(reader.get('1.2.3.4').data.country.iso_code, 'AU');
+  // IPv4 prefixes are reported in IPv4 terms, not as ::/96 + n
+  assert.equal(reader.get('1.2.3.4').prefixLength, 24);
+  assert.equal(reader.get('2001:db8::1').data.autonomous_system_number, 64500);
+  assert.equal(reader.get('2001:db8:0:0:0:0:0:ffff').prefixLength, 32);
+  assert.equal(reader.get('2001:db9::1'), null);
+});
+
+test('openMmdb reads a file and rejects files without metadata', async () => {
+  const file = path.join(dir, 'test.mmdb');
+  await fs.writeFile(file, buildMmdb({ ipVersion: 4, recordSize: 24, networks: [[[10, 0, 0, 0], 8, 0]], data: DATA }));
+  const reader = await openMmdb(file);
+  assert.equal(reader.metadata.database_type, 'WireMCP-Test');
+  assert.equal(reader.get('10.20.30.40').prefixLength, 8);
+
+  const bad = path.join(dir, 'bad.mmdb');
+  await fs.writeFile(bad, Buffer.alloc(64));
+  await assert.rejects(openMmdb(bad), /not a MaxMind DB file/);
+});
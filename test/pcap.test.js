@@ -0,0 +1,206 @@
+// Built-in pcap/pcapng reader: container parsing, truncation and packet decoding
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { readPackets, decodePacket } = require('../lib/pcap');
+
+const BASE_TIME = 1700000000;
+
+function ipv4(src, dst, protocol, payload) {
+  const header = Buffer.alloc(20);
+  header[0] = 0x45;
+  header.writeUInt16BE(20 + payload.length, 2);
+  header[8] = 64;
+  header[9] = protocol;
+  src.split('.').forEach((octet, i) => { header[12 + i] = Number(octet); });
+  dst.split('.').forEach((octet, i) => { header[16 + i] = Number(octet); });
+  return Buffer.concat([header, payload]);
+}
+
+function ipv6(src, dst, protocol, payload) {
+  const header = Buffer.alloc(40);
+  header.writeUInt32BE(0x60000000, 0);
+  header.writeUInt16BE(payload.length, 4);
+  header[6] = protocol;
+  header[7] = 64;
+  Buffer.from(src, 'hex').copy(header, 8);
+  Buffer.from(dst, 'hex').copy(header, 24);
+  return Buffer.concat([header, payload]);
+}
+
+function tcp(srcPort, dstPort, flags, data = Buffer.alloc(0)) {
+  const header = Buffer.alloc(20);
+  header.writeUInt16BE(srcPort, 0);
+  header.writeUInt16BE(dstPort, 2);
+  header[12] = 5 << 4;
+  header[13] = flags;
+  header.writeUInt16BE(65535, 14);
+  return Buffer.concat([header, data]);
+}
+
+function udp(srcPort, dstPort, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt16BE(srcPort, 0);
+  header.writeUInt16BE(dstPort, 2);
+  header.writeUInt16BE(8 + data.length, 4);
+  return Buffer.concat([header, data]);
+}
+
+function ethernet(payload, etherType) {
+  const header = Buffer.from('001122334455' + '66778899aabb' + etherType.toString(16).padStart(4, '0'), 'hex');
+  return Buffer.concat([header, payload]);
+}
+
+function dnsQuery(id, name) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(0x0100, 2);
+  header.writeUInt16BE(1, 4);
+  const labels = name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)]));
+  return Buffer.concat([header, ...labels, Buffer.from([0, 0, 1, 0, 1])]);
+}
+
+const PACKETS = [
+  ethernet(ipv4('10.0.0.5', '203.0.113.7', 6, tcp(40000, 80, 0x02)), 0x0800),
+  ethernet(ipv4('10.0.0.5', '203.0.113.7', 6, tcp(40000, 80, 0x18,
+    Buffer.from('GET /index.html HTTP/1.1\r\nHost: example.com\r\n\r\n'))), 0x0800),
+  ethernet(ipv4('10.0.0.5', '8.8.8.8', 17, udp(5353, 53, dnsQuery(0x1234, 'www.example.com'))), 0x0800),
+  ethernet(ipv6('20010db8000000000000000000000001', '20010db8000000000001000000000002', 17, udp(1000, 2000, Buffer.from('hi'))), 0x86dd),
+];
+
+function pcapFile(littleEndian, packets) {
+  const write32 = (buffer, value, offset) => (littleEndian ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt32BE(value, offset));
+  const header = Buffer.alloc(24);
+  write32(header, 0xa1b2c3d4, 0);
+  const write16 = (value, offset) => (littleEndian ? header.writeUInt16LE(value, offset) : header.writeUInt16BE(value, offset));
+  write16(2, 4);
+  write16(4, 6);
+  write32(header, 65535, 16);
+  write32(header, 1, 20);
+  const records = packets.map((data, i) => {
+    const record = Buffer.alloc(16);
+    write32(record, BASE_TIME + i, 0);
+    write32(record, 500000, 4);
+    write32(record, data.length, 8);
+    write32(record, data.length, 12);
+    return Buffer.concat([record, data]);
+  });
+  return Buffer.concat([header, ...records]);
+}
+
+// One section, one Ethernet interface with nanosecond timestamps (if_tsresol = 9)
+function pcapngFile(littleEndian, packets) {
+  const block = (type, body) => {
+    const padded = Buffer.concat([body, Buffer.alloc((4 - (body.length % 4)) % 4)]);
+    const buffer = Buffer.alloc(12 + padded.length);
+    const write32 = (value, offset) => (littleEndian ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt32BE(value, offset));
+    write32(type, 0);
+    write32(buffer.length, 4);
+    padded.copy(buffer, 8);
+    write32(buffer.length, buffer.length - 4);
+    return buffer;
+  };
+  const fields = (spec) => {
+    const buffer = Buffer.alloc(spec.reduce((sum, [size]) => sum + size, 0));
+    let offset = 0;
+    for (const [size, value] of spec) {
+      const method = { 2: 'writeUInt16', 4: 'writeUInt32', 8: 'writeBigInt64' }[size];
+      if (method) buffer[`${method}${littleEndian ? 'LE' : 'BE'}`](value, offset);
+      else buffer[offset] = value;
+      offset += size;
+    }
+    return buffer;
+  };
+  const blocks = [
+    block(0x0a0d0d0a, fields([[4, 0x1a2b3c4d], [2, 1], [2, 0], [8, -1n]])),
+    block(1, fields([[2, 1], [2, 0], [4, 0], [2, 9], [2, 1], [1, 9], [1, 0], [1, 0], [1, 0], [2, 0], [2, 0]])),
+    ...packets.map((data, i) => {
+      const ticks = BigInt(BASE_TIME + i) * 1000000000n + 250000000n;
+      return block(6, Buffer.concat([
+        fields([[4, 0], [4, Number(ticks >> 32n)], [4, Number(ticks & 0xffffffffn)], [4, data.length], [4, data.length]]),
+        data,
+      ]));
+    }),
+  ];
+  return Buffer.concat(blocks);
+}
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wiremcp-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function readFile(name, contents) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, contents);
+  const packets = [];
+  const result = await readPackets(file, packet => packets.push({ ...packet, data: Buffer.from(packet.data) }));
+  return { packets, result };
+}
+
+test('reads a little-endian pcap', async () => {
+  const { packets, result } = await readFile('le.pcap', pcapFile(true, PACKETS));
+  assert.deepEqual(result, { packets: 4, truncated: false });
+  assert.deepEqual(packets.map(p => p.number), [1, 2, 3, 4]);
+  assert.equal(packets[0].time, BASE_TIME + 0.5);
+  assert.equal(packets[0].linkType, 1);
+  assert.ok(packets[1].data.equals(PACKETS[1]));
+});
+
+test('reads a big-endian pcap inside gzip', async () => {
+  const { packets, result } = await readFile('be.pcap.gz', zlib.gzipSync(pcapFile(false, PACKETS)));
+  assert.deepEqual(result, { packets: 4, truncated: false });
+  assert.equal(packets[3].time, BASE_TIME + 3.5);
+  assert.ok(packets[3].data.equals(PACKETS[3]));
+});
+
+test('reads pcapng in both byte orders with nanosecond timestamps', async () => {
+  for (const littleEndian of [true, false]) {
+    const { packets, result } = await readFile(`${littleEndian}.pcapng`, pcapngFile(littleEndian, PACKETS));
+    assert.deepEqual(result, { packets: 4, truncated: false });
+    assert.equal(packets[2].time, BASE_TIME + 2.25);
+    assert.equal(packets[2].linkType, 1);
+    assert.ok(packets[2].data.equals(PACKETS[2]));
+  }
+});
+
+test('keeps the complete packets of a truncated file', async () => {
+  const full = pcapFile(true, PACKETS);
+  const { packets, result } = await readFile('cut.pcap', full.subarray(0, full.length - 10));
+  assert.deepEqual(result, { packets: 3, truncated: true });
+  assert.equal(packets.length, 3);
+});
+
+test('rejects files that are not captures', async () => {
+  await assert.rejects(readFile('short.pcap', Buffer.from('ab')), /too short/);
+  await assert.rejects(readFile('text.pcap', Buffer.from('not a capture file at all')), /pcap/i);
+});
+
+test('decodes TCP, HTTP, DNS and IPv6 packets', () => {
+  const [syn, http, dns, v6] = PACKETS.map(data => decodePacket({ linkType: 1, data }));
+  assert.deepEqual(syn.protocols, ['eth', 'ethertype', 'ip', 'tcp']);
+  assert.equal(syn.src, '10.0.0.5');
+  assert.equal(syn.dst, '203.0.113.7');
+  assert.equal(syn.dstPort, 80);
+  assert.deepEqual(syn.tcpFlags, { syn: true, ack: false, fin: false, rst: false });
+
+  assert.deepEqual(http.http, { method: 'GET', uri: '/index.html', host: 'example.com' });
+
+  assert.deepEqual(dns.protocols, ['eth', 'ethertype', 'ip', 'udp', 'dns']);
+  assert.equal(dns.dns.id, 0x1234);
+  assert.equal(dns.dns.response, false);
+  assert.deepEqual(dns.dns.queries, [{ name: 'www.example.com', type: 1 }]);
+
+  assert.equal(v6.src, '2001:db8::1');
+  // RFC 5952: of two equally long zero runs the first is compressed
+  assert.equal(v6.dst, '2001:db8::1:0:0:2');
+  assert.equal(v6.transport, 'udp');
+});
@@ -0,0 +1,83 @@
+// Analysis profiles: validation problems and loading a profiles directory
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { DEFAULT_MAX_ROWS, validateProfile, loadProfiles, renderProfilePrompt } = require('../lib/profiles');
+
+const SMB = {
+  name: 'smb_commands',
+  description: 'SMB2 commands per client',
+  fields: ['ip.src', 'smb2.cmd', 'frame.len'],
+  displayFilter: 'smb2',
+  aggregate: { groupBy: ['ip.src', 'smb2.cmd'], sum: ['frame.len'] },
+};
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wiremcp-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('validateProfile accepts a complete profile', () => {
+  assert.deepEqual(validateProfile(SMB), []);
+  assert.deepEqual(validateProfile({ name: 'dns_names', description: 'Names', fields: ['dns.qry.name'], maxRows: 10 }), []);
+});
+
+test('validateProfile reports every problem', () => {
+  assert.deepEqual(validateProfile([]), ['must be a JSON object']);
+  assert.deepEqual(validateProfile({
+    name: 'Bad-Name',
+    description: ' ',
+    fields: ['ip.src; rm'],
+    maxRows: 0,
+    prompt: 'Look at {{source}} and {{secret}}',
+    extra: true,
+  }), [
+    "unknown key 'extra' (known keys: name, description, fields, displayFilter, aggregate, maxRows, prompt)",
+    'name must be 3-64 lowercase letters, digits or underscores, starting with a letter',
+    'description must be a non-empty string',
+    'fields must be a non-empty array of tshark field names',
+    'maxRows must be an integer from 1 to 10000',
+    'prompt uses unknown placeholders secret (known: source, name, description)',
+  ]);
+});
+
+test('validateProfile requires aggregated fields to be read', () => {
+  assert.deepEqual(validateProfile({ ...SMB, aggregate: { groupBy: ['ip.dst'], sum: ['tcp.len'], by: 1 } }), [
+    'unknown aggregate keys by (known: groupBy, sum)',
+    'aggregate uses fields missing from fields: ip.dst, tcp.len',
+  ]);
+});
+
+test('loadProfiles returns valid profiles and one error per bad file', async () => {
+  await fs.writeFile(path.join(dir, 'a-smb.json'), JSON.stringify(SMB));
+  await fs.writeFile(path.join(dir, 'b-copy.json'), JSON.stringify(SMB));
+  await fs.writeFile(path.join(dir, 'c-broken.json'), '{ "name": ');
+  await fs.writeFile(path.join(dir, 'd-invalid.json'), JSON.stringify({ name: 'x', description: 'd', fields: ['ip.src'] }));
+  await fs.writeFile(path.join(dir, 'notes.txt'), 'not a profile');
+
+  const { profiles, errors } = loadProfiles(dir);
+  assert.deepEqual(profiles, [{ ...SMB, maxRows: DEFAULT_MAX_ROWS, file: path.join(dir, 'a-smb.json') }]);
+  assert.equal(errors.length, 3);
+  assert.equal(errors[0], `Invalid profile ${path.join(dir, 'b-copy.json')}: name 'smb_commands' is already used by ${path.join(dir, 'a-smb.json')}`);
+  assert.match(errors[1], /^Invalid profile .*c-broken\.json: /);
+  assert.match(errors[2], /d-invalid\.json: name must be 3-64/);
+});
+
+test('loadProfiles treats a missing directory as empty', () => {
+  assert.deepEqual(loadProfiles(path.join(dir, 'missing')), { profiles: [], errors: [] });
+});
+
+test('renderProfilePrompt fills the template placeholders', () => {
+  assert.equal(
+    renderProfilePrompt({ ...SMB, prompt: 'Run {{ name }} on {{source}}: {{description}}' }, 'the PCAP file at /tmp/a.pcap'),
+    'Run smb_commands on the PCAP file at /tmp/a.pcap: SMB2 commands per client',
+  );
+  assert.match(renderProfilePrompt(SMB, 'live traffic'), /^Please run the smb_commands analysis \(SMB2 commands per client\) on live traffic/);
+});
@@ -0,0 +1,69 @@
+// Paginated packet queries: cursors only resume the query that issued them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { encodeCursor, decodeCursor, queryPackets } = require('../lib/query');
+
+let dir;
+let tshark;
+let pcapPath;
+
+// The stub tshark prints five frame.number/ip.src rows whatever it is asked
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wiremcp-test-'));
+  const rowsFile = path.join(dir, 'rows.tsv');
+  tshark = path.join(dir, 'tshark');
+  pcapPath = path.join(dir, 'capture.pcap');
+  await fs.writeFile(rowsFile, [1, 2, 3, 4, 5].map(n => `${n}\t10.0.0.${n}`).join('\n') + '\n');
+  await fs.writeFile(tshark, `#!/bin/sh\ncat '${rowsFile}'\n`, { mode: 0o755 });
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const QUERY = { fields: ['frame.number', 'ip.src'], displayFilter: 'ip', offset: 0, limit: 2 };
+
+test('a cursor resumes the query where the previous page ended', async () => {
+  const first = await queryPackets(tshark, pcapPath, QUERY);
+  assert.deepEqual(first.packets.map(p => p['frame.number']), ['1', '2']);
+  assert.equal(first.totalPackets, 5);
+  const second = await queryPackets(tshark, pcapPath, { ...QUERY, cursor: first.nextCursor });
+  assert.deepEqual(second.packets.map(p => p['ip.src']), ['10.0.0.3', '10.0.0.4']);
+  const last = await queryPackets(tshark, pcapPath, { ...QUERY, cursor: second.nextCursor });
+  assert.deepEqual(last.packets.map(p => p['frame.number']), ['5']);
+  assert.equal(last.nextCursor, null);
+});
+
+test('encodeCursor and decodeCursor round-trip an offset for the same query', () => {
+  assert.equal(decodeCursor(encodeCursor(40, 'abc123'), 'abc123'), 40);
+});
+
+test('tampered cursors are rejected', () => {
+  const cursor = encodeCursor(40, 'abc123');
+  assert.throws(() => decodeCursor(`${cursor.slice(0, -4)}!!!!`, 'abc123'), /not a cursor returned by query_packets/);
+  for (const decoded of [null, 'text', 7, [], { o: '40', q: 'abc123' }, { o: 1.5, q: 'abc123' }]) {
+    const forged = Buffer.from(JSON.stringify(decoded)).toString('base64url');
+    assert.throws(() => decodeCursor(forged, 'abc123'), /not a cursor returned by query_packets/);
+  }
+  // A different fingerprint means the cursor was issued for another query
+  assert.throws(() => decodeCursor(encodeCursor(40, 'def456'), 'abc123'), /different file, field list, filter/);
+});
+
+test('negative offsets are rejected', () => {
+  assert.throws(() => decodeCursor(encodeCursor(-1, 'abc123'), 'abc123'), /not a cursor returned by query_packets/);
+});
+
+test('a cursor from a different field list, filter or decryption arguments is rejected', async () => {
+  const { nextCursor } = await queryPackets(tshark, pcapPath, QUERY);
+  const mismatch = /different file, field list, filter or decryption keys/;
+  await assert.rejects(queryPackets(tshark, pcapPath, { ...QUERY, fields: ['ip.dst'], cursor: nextCursor }), mismatch);
+  await assert.rejects(queryPackets(tshark, pcapPath, { ...QUERY, displayFilter: 'tcp', cursor: nextCursor }), mismatch);
+  await assert.rejects(queryPackets(tshark, pcapPath, { ...QUERY, frameEnd: 3, cursor: nextCursor }), mismatch);
+  await assert.rejects(
+    queryPackets(tshark, pcapPath, { ...QUERY, extraArgs: ['-o', 'tls.keylog_file:/tmp/keys.log'], cursor: nextCursor }),
+    mismatch,
+  );
+});
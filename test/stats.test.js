@@ -0,0 +1,98 @@
+// tshark -z statistics parsers: captured io,phs and conv output from tshark 3.x and 4.x
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProtocolHierarchy, parseConversations } = require('../lib/stats');
+
+const PHS = `
+===================================================================
+Protocol Hierarchy Statistics
+Filter:
+
+eth                                      frames:120 bytes:98234
+  ip                                     frames:110 bytes:96012
+    tcp                                  frames:90 bytes:91200
+      tls                                frames:40 bytes:60210
+      http                               frames:6 bytes:4120
+        data-text-lines                  frames:2 bytes:1800
+    udp                                  frames:20 bytes:4812
+      dns                                frames:20 bytes:4812
+  arp                                    frames:10 bytes:600
+===================================================================
+`;
+
+// tshark 3.x: plain counts
+const CONV_TCP_3 = `
+================================================================================
+TCP Conversations
+Filter:<No Filter>
+                                                           |       <-      | |       ->      | |     Total     |    Relative    |   Duration   |
+                                                           | Frames  Bytes | | Frames  Bytes | | Frames  Bytes |      Start     |              |
+192.168.1.10:52311         <-> 93.184.216.34:443               12      8432      10      1520      22      9952     0.000000000         1.2345
+192.168.1.10:52312         <-> 93.184.216.34:80                 3       180       4       650       7       830     2.500000000         0.0410
+================================================================================
+`;
+
+// tshark 4.x: thousands separators and units on the byte columns
+const CONV_TCP_4 = `
+================================================================================
+TCP Conversations
+Filter:<No Filter>
+                                                           |       <-      | |       ->      | |     Total     |    Relative    |   Duration   |
+                                                           | Frames  Bytes | | Frames  Bytes | | Frames  Bytes |      Start     |              |
+192.168.1.10:52311         <-> 93.184.216.34:443               12 1,234 bytes      10 560 bytes       22 1,794 bytes     0.000000000         1.2345
+192.168.1.10:52313         <-> 93.184.216.34:443            1,204 1,482 kB        980 64 kB          2,184 1,546 kB     3.000000000        12.5000
+[2001:db8::10]:40000       <-> [2001:db8::1]:53                 1 90 bytes          1 70 bytes          2 160 bytes       4.000000000         0.0020
+================================================================================
+`;
+
+test('parseProtocolHierarchy builds protocol paths from the indentation', () => {
+  const { totalFrames, protocols } = parseProtocolHierarchy(PHS);
+  assert.equal(totalFrames, 120);
+  assert.deepEqual(protocols.map(p => [p.path, p.depth, p.frames, p.bytes]), [
+    ['eth', 0, 120, 98234],
+    ['eth:ip', 1, 110, 96012],
+    ['eth:ip:tcp', 2, 90, 91200],
+    ['eth:ip:tcp:tls', 3, 40, 60210],
+    ['eth:ip:tcp:http', 3, 6, 4120],
+    ['eth:ip:tcp:http:data-text-lines', 4, 2, 1800],
+    ['eth:ip:udp', 2, 20, 4812],
+    ['eth:ip:udp:dns', 3, 20, 4812],
+    ['eth:arp', 1, 10, 600],
+  ]);
+  assert.equal(protocols[3].protocol, 'tls');
+});
+
+test('parseProtocolHierarchy returns nothing for output without statistics', () => {
+  assert.deepEqual(parseProtocolHierarchy(''), { totalFrames: 0, protocols: [] });
+});
+
+test('parseConversations maps "<-" to B towards A and "->" to A towards B', () => {
+  const [first, second] = parseConversations(CONV_TCP_3, 'tcp');
+  assert.deepEqual(first, {
+    protocol: 'tcp', addressA: '192.168.1.10', portA: 52311, addressB: '93.184.216.34', portB: 443,
+    framesAToB: 10, bytesAToB: 1520, framesBToA: 12, bytesBToA: 8432,
+    frames: 22, bytes: 9952, relativeStart: 0, duration: 1.2345,
+  });
+  assert.deepEqual([second.portB, second.framesAToB, second.bytesBToA, second.relativeStart], [80, 4, 180, 2.5]);
+});
+
+test('parseConversations reads tshark 4 byte units and IPv6 endpoints', () => {
+  const [plain, scaled, v6] = parseConversations(CONV_TCP_4, 'tcp');
+  assert.deepEqual(
+    [plain.framesBToA, plain.bytesBToA, plain.framesAToB, plain.bytesAToB, plain.frames, plain.bytes],
+    [12, 1234, 10, 560, 22, 1794],
+  );
+  assert.deepEqual(
+    [scaled.framesBToA, scaled.bytesBToA, scaled.framesAToB, scaled.bytesAToB, scaled.frames, scaled.bytes, scaled.duration],
+    [1204, 1482000, 980, 64000, 2184, 1546000, 12.5],
+  );
+  assert.deepEqual(
+    [v6.addressA, v6.portA, v6.addressB, v6.portB, v6.bytesAToB, v6.bytesBToA],
+    ['2001:db8::10', 40000, '2001:db8::1', 53, 70, 90],
+  );
+});
+
+test('parseConversations skips header and malformed rows', () => {
+  assert.deepEqual(parseConversations('10.0.0.1:1 <-> 10.0.0.2:2 5 300\n', 'udp'), []);
+  assert.deepEqual(parseConversations('', 'udp'), []);
+});